@@ -0,0 +1,240 @@
+import ApiKey from "../models/apiKeyModels.js";
+import User from "../models/userModels.js";
+import { asyncHandler } from "../utils/errorHandler.js";
+import { logger } from "../utils/logger.js";
+import {
+  sendSuccessResponse,
+  sendErrorResponse,
+} from "../utils/responseHandler.js";
+import {
+  PRIVILEGED_API_KEY_SCOPES,
+  generateApiKey,
+  getApiKeyConfig,
+  formatApiKey,
+} from "../utils/apiKey.js";
+import { recordAuditEvent } from "../utils/auditLog.js";
+import { getUserPermissions } from "../utils/permissions.js";
+import { getTenant } from "../utils/organizations.js";
+
+// ==================== API Key Operations ====================
+
+export const getApiKeys = asyncHandler(async (req, res) => {
+  const userId = req.user.id;
+
+  logger.debug(`Fetching API keys for user ID: ${userId}`);
+
+  const apiKeys = await ApiKey.find({ user: userId, revokedAt: null }).sort({
+    createdAt: -1,
+  });
+
+  logger.info(`Retrieved ${apiKeys.length} API keys for user ID: ${userId}`);
+  sendSuccessResponse(
+    res,
+    { apiKeys: apiKeys.map(formatApiKey) },
+    "API keys retrieved successfully"
+  );
+});
+
+export const createApiKey = asyncHandler(async (req, res) => {
+  const userId = req.user.id;
+  const { name, scopes } = req.body;
+  const { defaultExpiresInDays, maxKeysPerUser } = getApiKeyConfig();
+  const expiresInDays = req.body.expiresInDays ?? defaultExpiresInDays;
+
+  logger.debug(`API key creation for user ID: ${userId}`);
+
+  // Checked against the current role and groups, not the access token
+  const user = await User.findById(userId).select("role").lean();
+
+  if (!user) {
+    logger.error(`User with ID: ${userId} not found`);
+    return sendErrorResponse(res, "User not found", 404);
+  }
+
+  const permissions = await getUserPermissions(user);
+  const deniedScopes = scopes.filter(
+    (scope) =>
+      PRIVILEGED_API_KEY_SCOPES.includes(scope) && !permissions.includes(scope)
+  );
+  if (deniedScopes.length > 0) {
+    logger.error(`Privileged API key scope requested by user ID: ${userId}`);
+    return sendErrorResponse(
+      res,
+      `You do not have permission to create keys with the ${deniedScopes.join(", ")} scopes`,
+      403
+    );
+  }
+
+  const activeKeys = await ApiKey.countDocuments({
+    user: userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  });
+  if (activeKeys >= maxKeysPerUser) {
+    logger.error(`API key limit reached for user ID: ${userId}`);
+    return sendErrorResponse(
+      res,
+      `You can have at most ${maxKeysPerUser} active API keys`,
+      409
+    );
+  }
+
+  const { key, prefix, keyHash } = generateApiKey();
+  const apiKey = await ApiKey.create({
+    user: userId,
+    name,
+    prefix,
+    keyHash,
+    scopes: [...new Set(scopes)],
+    expiresAt: new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000),
+  });
+
+  await recordAuditEvent({
+    event: "api_key_created",
+    user: userId,
+    details: { apiKeyId: apiKey._id, name, scopes: apiKey.scopes },
+    req,
+  });
+
+  logger.info(`API key ${apiKey._id} created for user ID: ${userId}`);
+  sendSuccessResponse(
+    res,
+    { apiKey: formatApiKey(apiKey), key },
+    "API key created. Copy it now; it will not be shown again",
+    201
+  );
+});
+
+export const updateApiKey = asyncHandler(async (req, res) => {
+  const userId = req.user.id;
+  const { id } = req.params;
+
+  logger.debug(`Updating API key ${id} for user ID: ${userId}`);
+
+  const apiKey = await ApiKey.findOne({
+    _id: id,
+    user: userId,
+    revokedAt: null,
+  });
+
+  if (!apiKey) {
+    logger.error(`API key ${id} not found for user ID: ${userId}`);
+    return sendErrorResponse(res, "API key not found", 404);
+  }
+
+  apiKey.name = req.body.name;
+  await apiKey.save();
+
+  logger.info(`API key ${id} updated for user ID: ${userId}`);
+  sendSuccessResponse(
+    res,
+    formatApiKey(apiKey),
+    "API key updated successfully"
+  );
+});
+
+export const revokeApiKey = asyncHandler(async (req, res) => {
+  const userId = req.user.id;
+  const { id } = req.params;
+
+  logger.debug(`Revoking API key ${id} for user ID: ${userId}`);
+
+  const apiKey = await ApiKey.findOne({
+    _id: id,
+    user: userId,
+    revokedAt: null,
+  });
+
+  if (!apiKey) {
+    logger.error(`API key ${id} not found for user ID: ${userId}`);
+    return sendErrorResponse(res, "API key not found", 404);
+  }
+
+  apiKey.revokedAt = new Date();
+  apiKey.revokedBy = userId;
+  await apiKey.save();
+
+  await recordAuditEvent({
+    event: "api_key_revoked",
+    user: userId,
+    details: { apiKeyId: apiKey._id, name: apiKey.name },
+    req,
+  });
+
+  logger.info(`API key ${id} revoked for user ID: ${userId}`);
+  sendSuccessResponse(res, null, "API key revoked successfully");
+});
+
+// ==================== Admin Operations ====================
+
+export const getUserApiKeys = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  logger.debug(`Admin fetching API keys for user ID: ${id}`);
+
+  // Users of other organizations are reported as not found
+  const user = await User.findById(id)
+    .setOptions({ includeDeleted: true, tenant: getTenant(req.user) })
+    .select("_id")
+    .lean();
+
+  if (!user) {
+    logger.error(`User with ID: ${id} not found`);
+    return sendErrorResponse(res, "User not found", 404);
+  }
+
+  // Revoked keys are included so admins can see the full history
+  const apiKeys = await ApiKey.find({ user: id }).sort({ createdAt: -1 });
+
+  sendSuccessResponse(
+    res,
+    { apiKeys: apiKeys.map(formatApiKey) },
+    "API keys retrieved successfully"
+  );
+});
+
+export const adminRevokeApiKey = asyncHandler(async (req, res) => {
+  const { id, keyId } = req.params;
+
+  logger.debug(`Admin revoking API key ${keyId} of user ID: ${id}`);
+
+  const user = await User.findById(id)
+    .setOptions({ includeDeleted: true, tenant: getTenant(req.user) })
+    .select("_id")
+    .lean();
+
+  if (!user) {
+    logger.error(`User with ID: ${id} not found`);
+    return sendErrorResponse(res, "User not found", 404);
+  }
+
+  const apiKey = await ApiKey.findOne({
+    _id: keyId,
+    user: id,
+    revokedAt: null,
+  });
+
+  if (!apiKey) {
+    logger.error(`API key ${keyId} not found for user ID: ${id}`);
+    return sendErrorResponse(res, "API key not found", 404);
+  }
+
+  apiKey.revokedAt = new Date();
+  apiKey.revokedBy = req.user.id;
+  await apiKey.save();
+
+  await recordAuditEvent({
+    event: "api_key_revoked",
+    user: id,
+    actor: req.user.id,
+    details: { apiKeyId: apiKey._id, name: apiKey.name },
+    req,
+  });
+
+  logger.security("api_key_revoked", {
+    userId: id,
+    apiKeyId: apiKey._id,
+    adminId: req.user.id,
+  });
+  sendSuccessResponse(res, null, "API key revoked successfully");
+});
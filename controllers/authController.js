@@ -0,0 +1,52 @@
+import User from "../models/userModels.js";
+import { asyncHandler } from "../utils/errorHandler.js";
+import { logger } from "../utils/logger.js";
+import { sendErrorResponse } from "../utils/responseHandler.js";
+import {
+  inspectAccessToken,
+  buildIntrospectionResponse,
+  buildUserinfo,
+} from "../utils/introspection.js";
+
+// Both endpoints answer with bare JSON (not the usual response format) so
+// standard OAuth 2.0 / OpenID Connect clients can read them directly.
+
+// ==================== Token Introspection Operations ====================
+
+export const introspectToken = asyncHandler(async (req, res) => {
+  const { token, token_type_hint: tokenTypeHint } = req.body;
+
+  logger.debug(`Token introspection by client: ${req.client.id}`);
+
+  res.set("Cache-Control", "no-store");
+
+  // Only access tokens are introspectable; refresh tokens never leave this API
+  if (tokenTypeHint === "refresh_token") {
+    return res.json({ active: false, state: "invalid" });
+  }
+
+  const inspection = await inspectAccessToken(token);
+
+  logger.info(
+    `Token introspected by client ${req.client.id}: ${inspection.state}`
+  );
+  res.json(buildIntrospectionResponse(inspection));
+});
+
+export const getUserinfo = asyncHandler(async (req, res) => {
+  const userId = req.user.id;
+
+  logger.debug(`Userinfo requested for user ID: ${userId}`);
+
+  const user = await User.findById(userId)
+    .select("name email role emailVerified updatedAt")
+    .lean();
+
+  if (!user) {
+    logger.error(`User with ID: ${userId} not found`);
+    return sendErrorResponse(res, "User not found", 404);
+  }
+
+  res.set("Cache-Control", "no-store");
+  res.json(buildUserinfo(user));
+});
@@ -0,0 +1,156 @@
+import path from "path";
+import DataExport from "../models/dataExportModels.js";
+import { asyncHandler } from "../utils/errorHandler.js";
+import { logger } from "../utils/logger.js";
+import {
+  sendSuccessResponse,
+  sendErrorResponse,
+} from "../utils/responseHandler.js";
+import { generateOneTimeToken, hashToken } from "../utils/authHelper.js";
+import { recordAuditEvent } from "../utils/auditLog.js";
+import { getDataExportDir } from "../utils/dataExport.js";
+import {
+  processDataExport,
+  getPendingExportCutoff,
+} from "../jobs/dataExports.js";
+
+/**
+ * Public representation of a data export
+ * @param {Object} dataExport - DataExport document
+ * @returns {Object} Export status without file or token details
+ */
+const formatDataExport = (dataExport) => {
+  return {
+    id: dataExport._id,
+    status: dataExport.status,
+    format: dataExport.format,
+    createdAt: dataExport.createdAt,
+    completedAt: dataExport.completedAt,
+    expiresAt: dataExport.expiresAt,
+  };
+};
+
+// ==================== Data Export Operations ====================
+
+export const requestDataExport = asyncHandler(async (req, res) => {
+  const userId = req.user.id;
+  const { format = "json" } = req.body;
+
+  logger.debug(`Data export requested for user ID: ${userId}`);
+
+  // Exports pending past the timeout were lost (e.g. to a restart) and no
+  // longer block a new request
+  const pendingExport = await DataExport.findOne({
+    user: userId,
+    status: "pending",
+    createdAt: { $gt: getPendingExportCutoff() },
+  });
+  if (pendingExport) {
+    logger.error(`Data export already in progress for user ID: ${userId}`);
+    return sendErrorResponse(res, "A data export is already in progress", 409);
+  }
+
+  const dataExport = await DataExport.create({ user: userId, format });
+
+  // Generated in the background; clients poll the status endpoint
+  processDataExport(dataExport._id).catch((error) => {
+    logger.error(`Data export ${dataExport._id} failed: ${error.message}`);
+  });
+
+  await recordAuditEvent({
+    event: "data_export_requested",
+    user: userId,
+    details: { exportId: dataExport._id, format },
+    req,
+  });
+
+  logger.info(`Data export ${dataExport._id} queued for user ID: ${userId}`);
+  sendSuccessResponse(
+    res,
+    formatDataExport(dataExport),
+    "Data export started. Check its status to download it when ready",
+    202
+  );
+});
+
+export const getDataExport = asyncHandler(async (req, res) => {
+  const userId = req.user.id;
+  const { id } = req.params;
+
+  logger.debug(`Fetching data export ${id} for user ID: ${userId}`);
+
+  const dataExport = await DataExport.findOne({ _id: id, user: userId });
+
+  if (!dataExport) {
+    logger.error(`Data export ${id} not found for user ID: ${userId}`);
+    return sendErrorResponse(res, "Data export not found", 404);
+  }
+
+  const data = formatDataExport(dataExport);
+
+  // A short-lived download link is handed out once. Until it is used or
+  // expires, status checks only report its expiry
+  if (dataExport.status === "ready") {
+    const now = new Date();
+    const expiresInMinutes =
+      parseInt(process.env.DATA_EXPORT_LINK_EXPIRES_MINUTES) || 15;
+    const { token, hashedToken, expiresAt } =
+      generateOneTimeToken(expiresInMinutes);
+
+    const issued = await DataExport.findOneAndUpdate(
+      {
+        _id: id,
+        $or: [{ downloadToken: null }, { downloadTokenExpires: { $lte: now } }],
+      },
+      { $set: { downloadToken: hashedToken, downloadTokenExpires: expiresAt } }
+    );
+
+    if (issued) {
+      data.downloadUrl = `${req.protocol}://${req.get("host")}/api/users/profile/export/${id}/download?token=${token}`;
+      data.downloadUrlExpiresAt = expiresAt;
+    } else {
+      const outstanding = await DataExport.findById(id).select(
+        "+downloadTokenExpires"
+      );
+      data.downloadUrlExpiresAt = outstanding?.downloadTokenExpires;
+    }
+  }
+
+  sendSuccessResponse(res, data, "Data export retrieved successfully");
+});
+
+export const downloadDataExport = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { token } = req.query;
+
+  logger.debug(`Download attempt for data export ${id}`);
+
+  // Download links are single-use: the token is cleared as it is accepted
+  const dataExport = await DataExport.findOneAndUpdate(
+    {
+      _id: id,
+      status: "ready",
+      downloadToken: hashToken(token),
+      downloadTokenExpires: { $gt: new Date() },
+    },
+    { $unset: { downloadToken: 1, downloadTokenExpires: 1 } }
+  ).select("+fileName");
+
+  if (!dataExport) {
+    logger.error(`Invalid or expired download link for data export ${id}`);
+    return sendErrorResponse(res, "Invalid or expired download link", 400);
+  }
+
+  await recordAuditEvent({
+    event: "data_export_downloaded",
+    user: dataExport.user,
+    details: { exportId: dataExport._id },
+    req,
+  });
+
+  logger.info(`Data export ${id} downloaded`);
+  res.download(
+    path.resolve(getDataExportDir(), dataExport.fileName),
+    dataExport.fileName
+  );
+});
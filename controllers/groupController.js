@@ -0,0 +1,338 @@
+import Group from "../models/groupModels.js";
+import User from "../models/userModels.js";
+import { asyncHandler } from "../utils/errorHandler.js";
+import { logger } from "../utils/logger.js";
+import {
+  sendSuccessResponse,
+  sendErrorResponse,
+} from "../utils/responseHandler.js";
+import {
+  getRoleDefinitions,
+  resolveGroupPermissions,
+  hasPermissions,
+  clearGroupCache,
+} from "../utils/permissions.js";
+
+/**
+ * Public representation of a group
+ * @param {Object} group - Group document
+ * @param {Map} roles - All role definitions (to resolve its roles)
+ * @returns {Object} Group with its effective permissions
+ */
+const formatGroup = (group, roles) => {
+  return {
+    id: group._id,
+    name: group.name,
+    description: group.description,
+    roles: group.roles,
+    permissions: group.permissions,
+    effectivePermissions: resolveGroupPermissions(group, roles),
+    memberCount: group.members.length,
+    createdAt: group.createdAt,
+    updatedAt: group.updatedAt,
+  };
+};
+
+/**
+ * Check what a group would grant before it is saved or gets new members:
+ * its roles must exist, and the caller must hold every permission it grants
+ * (so groups:manage cannot be used to gain more)
+ * @param {Object} group - Group (roles and permissions)
+ * @param {Map} roles - All role definitions
+ * @param {Object} user - Authenticated user (req.user)
+ * @returns {Object|null} { message, status } of the error, or null if allowed
+ */
+const checkGrants = (group, roles, user) => {
+  const unknown = group.roles.filter((role) => !roles.has(role));
+  if (unknown.length > 0) {
+    return { message: `Unknown roles: ${unknown.join(", ")}`, status: 400 };
+  }
+
+  if (!hasPermissions(user, resolveGroupPermissions(group, roles))) {
+    return {
+      message: "You cannot grant permissions you do not have",
+      status: 403,
+    };
+  }
+  return null;
+};
+
+// ==================== Group Operations ====================
+
+export const getGroups = asyncHandler(async (req, res) => {
+  logger.debug("Fetching groups");
+
+  const groups = await Group.find().sort({ name: 1 }).lean();
+  const roles = await getRoleDefinitions();
+
+  logger.info(`Retrieved ${groups.length} groups`);
+  sendSuccessResponse(
+    res,
+    { groups: groups.map((group) => formatGroup(group, roles)) },
+    "Groups retrieved successfully"
+  );
+});
+
+export const getGroup = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  logger.debug(`Fetching group ${id}`);
+
+  const group = await Group.findById(id).lean();
+
+  if (!group) {
+    logger.error(`Group ${id} not found`);
+    return sendErrorResponse(res, "Group not found", 404);
+  }
+
+  sendSuccessResponse(
+    res,
+    { group: formatGroup(group, await getRoleDefinitions()) },
+    "Group retrieved successfully"
+  );
+});
+
+export const createGroup = asyncHandler(async (req, res) => {
+  const { name, description, roles = [], permissions = [] } = req.body;
+
+  logger.debug(`Creating group ${name}`);
+
+  const existing = await Group.findOne({ name }).collation({
+    locale: "en",
+    strength: 2,
+  });
+  if (existing) {
+    logger.error(`Group creation failed: ${name} already exists`);
+    return sendErrorResponse(res, "Group already exists", 409);
+  }
+
+  const group = {
+    name,
+    description,
+    roles: [...new Set(roles)],
+    permissions: [...new Set(permissions)],
+  };
+
+  const roleDefinitions = await getRoleDefinitions();
+  const grantError = checkGrants(group, roleDefinitions, req.user);
+  if (grantError) {
+    logger.error(`Group creation failed: ${grantError.message}`);
+    return sendErrorResponse(res, grantError.message, grantError.status);
+  }
+
+  const created = await Group.create({ ...group, createdBy: req.user.id });
+  clearGroupCache();
+
+  logger.security("group_created", {
+    groupId: created._id,
+    name,
+    roles: created.roles,
+    permissions: created.permissions,
+    adminId: req.user.id,
+  });
+  sendSuccessResponse(
+    res,
+    { group: formatGroup(created, roleDefinitions) },
+    "Group created successfully",
+    201
+  );
+});
+
+export const updateGroup = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { name, description, roles, permissions } = req.body;
+
+  logger.debug(`Updating group ${id}`);
+
+  const group = await Group.findById(id);
+
+  if (!group) {
+    logger.error(`Group ${id} not found`);
+    return sendErrorResponse(res, "Group not found", 404);
+  }
+
+  if (name !== undefined && name !== group.name) {
+    const existing = await Group.findOne({ name, _id: { $ne: id } }).collation({
+      locale: "en",
+      strength: 2,
+    });
+    if (existing) {
+      logger.error(`Group update failed: ${name} already exists`);
+      return sendErrorResponse(res, "Group already exists", 409);
+    }
+    group.name = name;
+  }
+  if (description !== undefined) {
+    group.description = description;
+  }
+  if (roles !== undefined) {
+    group.roles = [...new Set(roles)];
+  }
+  if (permissions !== undefined) {
+    group.permissions = [...new Set(permissions)];
+  }
+
+  const roleDefinitions = await getRoleDefinitions();
+  if (roles !== undefined || permissions !== undefined) {
+    const grantError = checkGrants(group, roleDefinitions, req.user);
+    if (grantError) {
+      logger.error(`Group update failed: ${grantError.message}`);
+      return sendErrorResponse(res, grantError.message, grantError.status);
+    }
+  }
+
+  await group.save();
+  clearGroupCache();
+
+  logger.security("group_updated", {
+    groupId: group._id,
+    fields: ["name", "description", "roles", "permissions"].filter(
+      (field) => req.body[field] !== undefined
+    ),
+    adminId: req.user.id,
+  });
+  sendSuccessResponse(
+    res,
+    { group: formatGroup(group, roleDefinitions) },
+    "Group updated successfully"
+  );
+});
+
+export const deleteGroup = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  logger.debug(`Deleting group ${id}`);
+
+  const group = await Group.findById(id);
+
+  if (!group) {
+    logger.error(`Group ${id} not found`);
+    return sendErrorResponse(res, "Group not found", 404);
+  }
+
+  await Group.deleteOne({ _id: group._id });
+  clearGroupCache();
+
+  logger.security("group_deleted", {
+    groupId: group._id,
+    name: group.name,
+    memberCount: group.members.length,
+    adminId: req.user.id,
+  });
+  sendSuccessResponse(res, null, "Group deleted successfully");
+});
+
+// ==================== Membership Operations ====================
+
+export const getGroupMembers = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  logger.debug(`Fetching members of group ${id}`);
+
+  const group = await Group.findById(id).select("members").lean();
+
+  if (!group) {
+    logger.error(`Group ${id} not found`);
+    return sendErrorResponse(res, "Group not found", 404);
+  }
+
+  const members = await User.find({ _id: { $in: group.members } })
+    .select("name email role")
+    .sort({ name: 1 })
+    .lean();
+
+  sendSuccessResponse(
+    res,
+    {
+      members: members.map((member) => ({
+        id: member._id,
+        name: member.name,
+        email: member.email,
+        role: member.role,
+      })),
+    },
+    "Members retrieved successfully"
+  );
+});
+
+export const addGroupMembers = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const userIds = [...new Set(req.body.userIds)];
+
+  logger.debug(`Adding ${userIds.length} members to group ${id}`);
+
+  const group = await Group.findById(id);
+
+  if (!group) {
+    logger.error(`Group ${id} not found`);
+    return sendErrorResponse(res, "Group not found", 404);
+  }
+
+  const users = await User.find({ _id: { $in: userIds } })
+    .select("_id")
+    .lean();
+  const found = new Set(users.map((user) => user._id.toString()));
+  const missing = userIds.filter((userId) => !found.has(userId));
+  if (missing.length > 0) {
+    logger.error(`Users not found: ${missing.join(", ")}`);
+    return sendErrorResponse(
+      res,
+      `Users not found: ${missing.join(", ")}`,
+      404
+    );
+  }
+
+  const grantError = checkGrants(group, await getRoleDefinitions(), req.user);
+  if (grantError) {
+    logger.error(`Adding group members failed: ${grantError.message}`);
+    return sendErrorResponse(res, grantError.message, grantError.status);
+  }
+
+  const current = new Set(group.members.map(String));
+  const added = userIds.filter((userId) => !current.has(userId));
+  group.members.push(...added);
+  await group.save();
+  clearGroupCache();
+
+  logger.security("group_members_added", {
+    groupId: group._id,
+    userIds: added,
+    adminId: req.user.id,
+  });
+  sendSuccessResponse(
+    res,
+    { added: added.length, memberCount: group.members.length },
+    "Members added successfully"
+  );
+});
+
+export const removeGroupMember = asyncHandler(async (req, res) => {
+  const { id, userId } = req.params;
+
+  logger.debug(`Removing user ID: ${userId} from group ${id}`);
+
+  const group = await Group.findById(id);
+
+  if (!group) {
+    logger.error(`Group ${id} not found`);
+    return sendErrorResponse(res, "Group not found", 404);
+  }
+
+  if (!group.members.some((member) => member.toString() === userId)) {
+    logger.error(`User ID: ${userId} is not a member of group ${id}`);
+    return sendErrorResponse(res, "Member not found", 404);
+  }
+
+  group.members = group.members.filter(
+    (member) => member.toString() !== userId
+  );
+  await group.save();
+  clearGroupCache();
+
+  logger.security("group_member_removed", {
+    groupId: group._id,
+    userId,
+    adminId: req.user.id,
+  });
+  sendSuccessResponse(res, null, "Member removed successfully");
+});
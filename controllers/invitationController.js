@@ -0,0 +1,219 @@
+import Invitation from "../models/invitationModels.js";
+import Organization from "../models/organizationModels.js";
+import User from "../models/userModels.js";
+import { asyncHandler } from "../utils/errorHandler.js";
+import { logger } from "../utils/logger.js";
+import {
+  sendSuccessResponse,
+  sendErrorResponse,
+} from "../utils/responseHandler.js";
+import { sendInvitationEmail } from "../utils/mailer.js";
+import { getRolePermissions, hasPermissions } from "../utils/permissions.js";
+import {
+  getTenant,
+  canManageOrganization,
+  canManageOwners,
+} from "../utils/organizations.js";
+import {
+  getInvitationExpiryDays,
+  generateInvitationToken,
+  findPendingInvitation,
+  formatInvitation,
+} from "../utils/invitations.js";
+
+// ==================== Invitation Operations ====================
+
+export const createInvitation = asyncHandler(async (req, res) => {
+  const { email, role = "User" } = req.body;
+  const expiresInDays = req.body.expiresInDays ?? getInvitationExpiryDays();
+  // Members of an organization invite people into it
+  const organizationId = req.body.organizationId ?? getTenant(req.user);
+  const orgRole = organizationId ? (req.body.orgRole ?? "member") : null;
+
+  logger.debug(`Invitation requested for ${email} by user ID: ${req.user.id}`);
+
+  // Same rule as changing a user's role
+  const rolePermissions = await getRolePermissions(role);
+  if (!hasPermissions(req.user, rolePermissions)) {
+    logger.error(`User ID: ${req.user.id} cannot invite with role ${role}`);
+    return sendErrorResponse(
+      res,
+      "You cannot assign a role with permissions you do not have",
+      403
+    );
+  }
+
+  if (organizationId) {
+    if (
+      !canManageOrganization(req.user, organizationId) ||
+      (orgRole === "owner" && !canManageOwners(req.user))
+    ) {
+      logger.error(
+        `User ID: ${req.user.id} cannot invite into organization ${organizationId}`
+      );
+      return sendErrorResponse(
+        res,
+        "You cannot invite people into this organization",
+        403
+      );
+    }
+    if (!(await Organization.exists({ _id: organizationId }))) {
+      logger.error(`Organization ${organizationId} not found`);
+      return sendErrorResponse(res, "Organization not found", 404);
+    }
+  }
+
+  // Deleted accounts keep their email until they are purged
+  const existingUser = await User.findOne({ email }).setOptions({
+    includeDeleted: true,
+  });
+  if (existingUser) {
+    logger.error(`Invitation failed: Email ${email} already exists`);
+    return sendErrorResponse(res, "Email already exists", 409);
+  }
+
+  const pending = await Invitation.exists({
+    email,
+    acceptedAt: null,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  });
+  if (pending) {
+    logger.error(`Invitation failed: ${email} already has one pending`);
+    return sendErrorResponse(
+      res,
+      "A pending invitation already exists for this email",
+      409
+    );
+  }
+
+  const invitation = await Invitation.create({
+    email,
+    role,
+    organization: organizationId,
+    orgRole,
+    invitedBy: req.user.id,
+    expiresAt: new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000),
+  });
+
+  const inviter = await User.findById(req.user.id).select("name").lean();
+  await sendInvitationEmail(
+    invitation,
+    generateInvitationToken(invitation),
+    inviter?.name ?? "An administrator"
+  );
+
+  logger.security("invitation_created", {
+    invitationId: invitation._id,
+    role,
+    organizationId,
+    adminId: req.user.id,
+  });
+  sendSuccessResponse(
+    res,
+    { invitation: formatInvitation(invitation) },
+    "Invitation sent successfully",
+    201
+  );
+});
+
+export const getInvitations = asyncHandler(async (req, res) => {
+  logger.debug("Fetching pending invitations");
+
+  const filter = {
+    acceptedAt: null,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  };
+  // Members of an organization only see its invitations
+  const tenant = getTenant(req.user);
+  if (tenant) {
+    filter.organization = tenant;
+  }
+
+  const invitations = await Invitation.find(filter)
+    .sort({ createdAt: -1 })
+    .lean();
+
+  logger.info(`Retrieved ${invitations.length} pending invitations`);
+  sendSuccessResponse(
+    res,
+    { invitations: invitations.map(formatInvitation) },
+    "Invitations retrieved successfully"
+  );
+});
+
+export const revokeInvitation = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  logger.debug(`Revoking invitation ${id}`);
+
+  const filter = { _id: id, acceptedAt: null, revokedAt: null };
+  const tenant = getTenant(req.user);
+  if (tenant) {
+    filter.organization = tenant;
+  }
+
+  const invitation = await Invitation.findOne(filter);
+
+  if (!invitation) {
+    logger.error(`Pending invitation ${id} not found`);
+    return sendErrorResponse(res, "Invitation not found", 404);
+  }
+
+  invitation.revokedAt = new Date();
+  invitation.revokedBy = req.user.id;
+  await invitation.save();
+
+  logger.security("invitation_revoked", {
+    invitationId: invitation._id,
+    adminId: req.user.id,
+  });
+  sendSuccessResponse(res, null, "Invitation revoked successfully");
+});
+
+// ==================== Invite Link Operations ====================
+
+export const previewInvitation = asyncHandler(async (req, res) => {
+  const invitation = await findPendingInvitation(req.params.token);
+
+  if (!invitation) {
+    logger.error("Invalid or expired invitation previewed");
+    return sendErrorResponse(res, "Invalid or expired invitation", 400);
+  }
+
+  const organization =
+    invitation.organization &&
+    (await Organization.findById(invitation.organization)
+      .select("name")
+      .lean());
+
+  sendSuccessResponse(
+    res,
+    {
+      invitation: {
+        email: invitation.email,
+        role: invitation.role,
+        organization: organization?.name ?? null,
+        expiresAt: invitation.expiresAt,
+      },
+    },
+    "Invitation retrieved successfully"
+  );
+});
+
+/**
+ * Middleware for accepting an invitation: loads the invitation named by the
+ * token in the URL into req.invitation, for createUser to use
+ */
+export const loadInvitation = asyncHandler(async (req, res, next) => {
+  const invitation = await findPendingInvitation(req.params.token);
+
+  if (!invitation) {
+    logger.error("Invalid or expired invitation used");
+    return sendErrorResponse(res, "Invalid or expired invitation", 400);
+  }
+
+  req.invitation = invitation;
+  next();
+});
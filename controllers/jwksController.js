@@ -0,0 +1,11 @@
+import { asyncHandler } from "../utils/errorHandler.js";
+import { getJwks } from "../utils/keyring.js";
+
+// ==================== Key Discovery Operations ====================
+
+// Served as a bare JWK Set (not wrapped in the usual response format) so
+// standard JWT libraries can consume it directly
+export const getJwksDocument = asyncHandler(async (req, res) => {
+  res.set("Cache-Control", "public, max-age=300");
+  res.json(getJwks());
+});
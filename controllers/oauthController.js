@@ -0,0 +1,210 @@
+import User from "../models/userModels.js";
+import { asyncHandler } from "../utils/errorHandler.js";
+import { logger } from "../utils/logger.js";
+import { sendErrorResponse } from "../utils/responseHandler.js";
+import { hashRandomPassword } from "../utils/authHelper.js";
+import { completeLogin } from "../utils/loginHelper.js";
+import {
+  getOAuthProvider,
+  resolveProviderEndpoints,
+} from "../utils/oauthProviders.js";
+import {
+  createOAuthState,
+  consumeOAuthState,
+  buildAuthorizationUrl,
+  exchangeAuthorizationCode,
+  fetchOAuthProfile,
+} from "../utils/oauth.js";
+
+const STATE_COOKIE = "oauth_state";
+
+/**
+ * Callback URL registered with the provider
+ * @param {Object} req - Express request
+ * @param {string} provider - Provider name
+ * @returns {string} Redirect URI
+ */
+const getRedirectUri = (req, provider) => {
+  const baseUrl =
+    process.env.OAUTH_REDIRECT_BASE_URL ||
+    `${req.protocol}://${req.get("host")}`;
+  return `${baseUrl}/api/users/oauth/${provider}/callback`;
+};
+
+/**
+ * Read the state cookie set when the login attempt started
+ * @param {Object} req - Express request
+ * @returns {string|undefined} Cookie value
+ */
+const getStateCookie = (req) => {
+  const cookies = req.get("cookie")?.split(";") ?? [];
+  const cookie = cookies.find((entry) =>
+    entry.trim().startsWith(`${STATE_COOKIE}=`)
+  );
+  return cookie?.trim().slice(STATE_COOKIE.length + 1);
+};
+
+/**
+ * Find the user behind an external identity, linking or creating accounts
+ * @param {string} provider - Provider name
+ * @param {Object} profile - Provider profile
+ * @returns {Promise<Object>} { user } or { error, statusCode }
+ */
+const findOrCreateOAuthUser = async (provider, profile) => {
+  // Deleted accounts keep their identities until they are purged
+  const linkedUser = await User.findOne({
+    identities: { $elemMatch: { provider, subject: profile.subject } },
+  }).setOptions({ includeDeleted: true });
+  if (linkedUser?.deletedAt) {
+    return {
+      error: "The account linked to this login has been deleted",
+      statusCode: 409,
+    };
+  }
+  if (linkedUser) {
+    return { user: linkedUser };
+  }
+
+  if (!profile.email) {
+    return {
+      error: "The provider did not share an email address",
+      statusCode: 400,
+    };
+  }
+
+  const email = profile.email.toLowerCase();
+  const identity = { provider, subject: profile.subject, email };
+  const existingUser = await User.findOne({ email }).setOptions({
+    includeDeleted: true,
+  });
+
+  if (existingUser) {
+    // Both sides must prove the email: the provider for the external account,
+    // and the account itself (otherwise whoever registered it unverified,
+    // possibly an attacker, would keep a password on the linked account)
+    if (
+      !profile.emailVerified ||
+      !existingUser.emailVerified ||
+      existingUser.deletedAt
+    ) {
+      return {
+        error:
+          "An account with this email already exists. Log in with your password instead",
+        statusCode: 409,
+      };
+    }
+    existingUser.identities.push(identity);
+    logger.security("oauth_identity_linked", {
+      userId: existingUser._id,
+      provider,
+    });
+    return { user: existingUser };
+  }
+
+  const user = new User({
+    name: profile.name || email.split("@")[0],
+    email,
+    password: await hashRandomPassword(),
+    emailVerified: profile.emailVerified,
+    identities: [identity],
+  });
+  logger.info(`New user created from ${provider} login`);
+  return { user };
+};
+
+// ==================== OAuth Operations ====================
+
+export const startOAuthLogin = asyncHandler(async (req, res) => {
+  const { provider: providerName } = req.params;
+
+  logger.debug(`OAuth login started with provider: ${providerName}`);
+
+  const configuredProvider = getOAuthProvider(providerName);
+  if (!configuredProvider) {
+    logger.error(`Unknown OAuth provider: ${providerName}`);
+    return sendErrorResponse(res, "Unknown login provider", 404);
+  }
+
+  const provider = await resolveProviderEndpoints(configuredProvider);
+  const { state, codeVerifier, nonce } = createOAuthState(providerName);
+
+  // Binds the callback to the browser that started the login
+  res.cookie(STATE_COOKIE, state, {
+    httpOnly: true,
+    sameSite: "lax",
+    secure: req.secure,
+    maxAge: 10 * 60 * 1000,
+    path: "/api/users/oauth",
+  });
+
+  res.redirect(
+    buildAuthorizationUrl(provider, {
+      redirectUri: getRedirectUri(req, providerName),
+      state,
+      codeVerifier,
+      nonce,
+    })
+  );
+});
+
+export const handleOAuthCallback = asyncHandler(async (req, res) => {
+  const { provider: providerName } = req.params;
+  const { code, state, error } = req.query;
+
+  logger.debug(`OAuth callback from provider: ${providerName}`);
+
+  const configuredProvider = getOAuthProvider(providerName);
+  if (!configuredProvider) {
+    logger.error(`Unknown OAuth provider: ${providerName}`);
+    return sendErrorResponse(res, "Unknown login provider", 404);
+  }
+
+  res.clearCookie(STATE_COOKIE, { path: "/api/users/oauth" });
+
+  if (error) {
+    logger.error(`OAuth login denied by ${providerName}: ${error}`);
+    return sendErrorResponse(res, "Login was cancelled or denied", 400);
+  }
+
+  const pending =
+    state && state === getStateCookie(req)
+      ? consumeOAuthState(state, providerName)
+      : null;
+  if (!pending || !code) {
+    logger.error(`Invalid OAuth state for provider: ${providerName}`);
+    return sendErrorResponse(res, "Invalid or expired login attempt", 400);
+  }
+
+  let profile;
+  try {
+    const provider = await resolveProviderEndpoints(configuredProvider);
+    const tokens = await exchangeAuthorizationCode(provider, {
+      code,
+      redirectUri: getRedirectUri(req, providerName),
+      codeVerifier: pending.codeVerifier,
+    });
+    profile = await fetchOAuthProfile(provider, tokens, pending.nonce);
+  } catch (error) {
+    logger.error(`OAuth login with ${providerName} failed: ${error.message}`);
+    return sendErrorResponse(res, "Login with provider failed", 502);
+  }
+
+  const result = await findOrCreateOAuthUser(providerName, profile);
+  if (result.error) {
+    logger.error(`OAuth login with ${providerName} refused: ${result.error}`);
+    return sendErrorResponse(res, result.error, result.statusCode);
+  }
+  const { user } = result;
+
+  if (user.status === "suspended") {
+    logger.error(`OAuth login failed: Account ${user._id} is suspended`);
+    return sendErrorResponse(res, "Account suspended", 403);
+  }
+
+  // Keep a new account or a linked identity even if a second factor or
+  // email verification is still required
+  await user.save();
+
+  logger.info(`User with ID: ${user._id} authenticated with ${providerName}`);
+  return completeLogin(req, res, user, "oauth", { provider: providerName });
+});
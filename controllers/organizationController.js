@@ -0,0 +1,329 @@
+import Organization from "../models/organizationModels.js";
+import User from "../models/userModels.js";
+import { asyncHandler } from "../utils/errorHandler.js";
+import { logger } from "../utils/logger.js";
+import {
+  sendSuccessResponse,
+  sendErrorResponse,
+} from "../utils/responseHandler.js";
+import { revokeAllUserTokens } from "../utils/authHelper.js";
+import { slugify, canManageOwners } from "../utils/organizations.js";
+
+/**
+ * Public representation of an organization
+ * @param {Object} organization - Organization document
+ * @param {number} [memberCount] - Number of members, when known
+ * @returns {Object} Organization without internal fields
+ */
+const formatOrganization = (organization, memberCount) => {
+  return {
+    id: organization._id,
+    name: organization.name,
+    slug: organization.slug,
+    memberCount,
+    createdAt: organization.createdAt,
+    updatedAt: organization.updatedAt,
+  };
+};
+
+/**
+ * Public representation of a member
+ * @param {Object} user - User document
+ * @returns {Object} Member identity and organization role
+ */
+const formatMember = (user) => {
+  return {
+    id: user._id,
+    name: user.name,
+    email: user.email,
+    role: user.orgRole,
+    status: user.status,
+  };
+};
+
+/**
+ * Check whether changing a member would leave the organization without an
+ * owner (organizations created without one are left alone)
+ * @param {Object} member - User document of the member being changed
+ * @returns {Promise<boolean>} True if the member is the only owner
+ */
+const isLastOwner = async (member) => {
+  if (member.orgRole !== "owner") {
+    return false;
+  }
+  const owners = await User.countDocuments({
+    organization: member.organization,
+    orgRole: "owner",
+  });
+  return owners <= 1;
+};
+
+// Find a member of the organization in the URL
+const findMember = (req) => {
+  return User.findOne({
+    _id: req.params.userId,
+    organization: req.params.id,
+  });
+};
+
+// ==================== Organization Operations ====================
+
+export const getOrganizations = asyncHandler(async (req, res) => {
+  logger.debug("Fetching organizations");
+
+  const organizations = await Organization.find().sort({ name: 1 }).lean();
+
+  logger.info(`Retrieved ${organizations.length} organizations`);
+  sendSuccessResponse(
+    res,
+    {
+      organizations: organizations.map((organization) =>
+        formatOrganization(organization)
+      ),
+    },
+    "Organizations retrieved successfully"
+  );
+});
+
+export const createOrganization = asyncHandler(async (req, res) => {
+  const { name, ownerId } = req.body;
+  const slug = req.body.slug ?? slugify(name);
+
+  logger.debug(`Creating organization ${slug}`);
+
+  if (!slug) {
+    logger.error(`No slug could be derived from organization name ${name}`);
+    return sendErrorResponse(res, "A slug is required for this name", 400);
+  }
+
+  if (await Organization.exists({ slug })) {
+    logger.error(`Organization creation failed: ${slug} already exists`);
+    return sendErrorResponse(res, "Organization slug already exists", 409);
+  }
+
+  let owner = null;
+  if (ownerId) {
+    owner = await User.findById(ownerId);
+    if (!owner) {
+      logger.error(`Owner with ID: ${ownerId} not found`);
+      return sendErrorResponse(res, "Owner not found", 404);
+    }
+    if (owner.organization) {
+      logger.error(`User ID: ${ownerId} already belongs to an organization`);
+      return sendErrorResponse(
+        res,
+        "User already belongs to an organization",
+        409
+      );
+    }
+  }
+
+  const organization = await Organization.create({
+    name,
+    slug,
+    createdBy: req.user.id,
+  });
+
+  if (owner) {
+    owner.organization = organization._id;
+    owner.orgRole = "owner";
+    // Tokens carry the organization
+    revokeAllUserTokens(owner);
+    await owner.save();
+  }
+
+  logger.security("organization_created", {
+    organizationId: organization._id,
+    slug,
+    ownerId: owner?._id,
+    adminId: req.user.id,
+  });
+  sendSuccessResponse(
+    res,
+    { organization: formatOrganization(organization, owner ? 1 : 0) },
+    "Organization created successfully",
+    201
+  );
+});
+
+export const getOrganization = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  logger.debug(`Fetching organization ${id}`);
+
+  const organization = await Organization.findById(id).lean();
+
+  if (!organization) {
+    logger.error(`Organization ${id} not found`);
+    return sendErrorResponse(res, "Organization not found", 404);
+  }
+
+  const memberCount = await User.countDocuments({ organization: id });
+
+  sendSuccessResponse(
+    res,
+    { organization: formatOrganization(organization, memberCount) },
+    "Organization retrieved successfully"
+  );
+});
+
+// ==================== Member Operations ====================
+
+export const getMembers = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  logger.debug(`Fetching members of organization ${id}`);
+
+  if (!(await Organization.exists({ _id: id }))) {
+    logger.error(`Organization ${id} not found`);
+    return sendErrorResponse(res, "Organization not found", 404);
+  }
+
+  const members = await User.find({ organization: id })
+    .select("name email orgRole status")
+    .sort({ name: 1 })
+    .lean();
+
+  logger.info(`Retrieved ${members.length} members of organization ${id}`);
+  sendSuccessResponse(
+    res,
+    { members: members.map(formatMember) },
+    "Members retrieved successfully"
+  );
+});
+
+export const addMember = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { userId, role = "member" } = req.body;
+
+  logger.debug(`Adding user ID: ${userId} to organization ${id}`);
+
+  if (!(await Organization.exists({ _id: id }))) {
+    logger.error(`Organization ${id} not found`);
+    return sendErrorResponse(res, "Organization not found", 404);
+  }
+
+  const user = await User.findById(userId);
+
+  if (!user) {
+    logger.error(`User with ID: ${userId} not found`);
+    return sendErrorResponse(res, "User not found", 404);
+  }
+
+  if (user.organization) {
+    logger.error(`User ID: ${userId} already belongs to an organization`);
+    return sendErrorResponse(
+      res,
+      "User already belongs to an organization",
+      409
+    );
+  }
+
+  user.organization = id;
+  user.orgRole = role;
+  // Tokens carry the organization
+  revokeAllUserTokens(user);
+  await user.save();
+
+  logger.security("organization_member_added", {
+    organizationId: id,
+    userId: user._id,
+    role,
+    adminId: req.user.id,
+  });
+  sendSuccessResponse(
+    res,
+    { member: formatMember(user) },
+    "Member added successfully",
+    201
+  );
+});
+
+export const updateMember = asyncHandler(async (req, res) => {
+  const { id, userId } = req.params;
+  const { role } = req.body;
+
+  logger.debug(`Changing role of user ID: ${userId} in organization ${id}`);
+
+  const member = await findMember(req);
+
+  if (!member) {
+    logger.error(`User ID: ${userId} is not a member of organization ${id}`);
+    return sendErrorResponse(res, "Member not found", 404);
+  }
+
+  if (
+    (member.orgRole === "owner" || role === "owner") &&
+    !canManageOwners(req.user)
+  ) {
+    logger.error(`User ID: ${req.user.id} cannot manage owners of ${id}`);
+    return sendErrorResponse(res, "Only owners can manage owners", 403);
+  }
+
+  if (role !== "owner" && (await isLastOwner(member))) {
+    logger.error(`Refusing to demote the last owner of organization ${id}`);
+    return sendErrorResponse(
+      res,
+      "An organization must keep at least one owner",
+      409
+    );
+  }
+
+  if (role !== member.orgRole) {
+    member.orgRole = role;
+    // Tokens carry the organization role
+    revokeAllUserTokens(member);
+    await member.save();
+  }
+
+  logger.security("organization_member_updated", {
+    organizationId: id,
+    userId: member._id,
+    role,
+    adminId: req.user.id,
+  });
+  sendSuccessResponse(
+    res,
+    { member: formatMember(member) },
+    "Member updated successfully"
+  );
+});
+
+export const removeMember = asyncHandler(async (req, res) => {
+  const { id, userId } = req.params;
+
+  logger.debug(`Removing user ID: ${userId} from organization ${id}`);
+
+  const member = await findMember(req);
+
+  if (!member) {
+    logger.error(`User ID: ${userId} is not a member of organization ${id}`);
+    return sendErrorResponse(res, "Member not found", 404);
+  }
+
+  if (member.orgRole === "owner" && !canManageOwners(req.user)) {
+    logger.error(`User ID: ${req.user.id} cannot manage owners of ${id}`);
+    return sendErrorResponse(res, "Only owners can manage owners", 403);
+  }
+
+  if (await isLastOwner(member)) {
+    logger.error(`Refusing to remove the last owner of organization ${id}`);
+    return sendErrorResponse(
+      res,
+      "An organization must keep at least one owner",
+      409
+    );
+  }
+
+  member.organization = null;
+  member.orgRole = null;
+  revokeAllUserTokens(member);
+  await member.save();
+
+  logger.security("organization_member_removed", {
+    organizationId: id,
+    userId: member._id,
+    adminId: req.user.id,
+  });
+  sendSuccessResponse(res, null, "Member removed successfully");
+});
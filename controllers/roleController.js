@@ -0,0 +1,292 @@
+import Role from "../models/roleModels.js";
+import User from "../models/userModels.js";
+import Group from "../models/groupModels.js";
+import { asyncHandler } from "../utils/errorHandler.js";
+import { logger } from "../utils/logger.js";
+import {
+  sendSuccessResponse,
+  sendErrorResponse,
+} from "../utils/responseHandler.js";
+import {
+  getRoleDefinitions,
+  resolvePermissions,
+  getAncestorRoles,
+  isBuiltInRole,
+  clearRoleCache,
+  hasPermissions,
+} from "../utils/permissions.js";
+
+/**
+ * Public representation of a role
+ * @param {Object} role - Role definition
+ * @param {Map} roles - All role definitions (to resolve inheritance)
+ * @returns {Object} Role with its effective permissions
+ */
+const formatRole = (role, roles) => {
+  return {
+    name: role.name,
+    description: role.description,
+    permissions: role.permissions,
+    parents: role.parents,
+    effectivePermissions: resolvePermissions(role.name, roles),
+    builtIn: role.builtIn,
+    createdAt: role.createdAt,
+    updatedAt: role.updatedAt,
+  };
+};
+
+/**
+ * Check the parents of a role: they must exist and must not inherit from it
+ * @param {string} name - Role being created or updated
+ * @param {Array<string>} parents - Requested parent roles
+ * @param {Map} roles - All role definitions
+ * @returns {string|null} Error message, or null if the parents are valid
+ */
+const checkParents = (name, parents, roles) => {
+  const unknown = parents.filter((parent) => !roles.has(parent));
+  if (unknown.length > 0) {
+    return `Unknown parent roles: ${unknown.join(", ")}`;
+  }
+
+  const circular = parents.some(
+    (parent) => parent === name || getAncestorRoles(parent, roles).has(name)
+  );
+  if (circular) {
+    return "A role cannot inherit from itself";
+  }
+  return null;
+};
+
+/**
+ * Check that the caller holds every permission a role would grant, its own
+ * and inherited ones (so roles:manage cannot be used to gain more)
+ * @param {Object} role - Role (permissions and parents)
+ * @param {Map} roles - All role definitions
+ * @param {Object} user - Authenticated user (req.user)
+ * @returns {boolean} True if the caller may save the role
+ */
+const canGrantRole = (role, roles, user) => {
+  const granted = new Set(role.permissions);
+  for (const parent of role.parents) {
+    resolvePermissions(parent, roles).forEach((permission) =>
+      granted.add(permission)
+    );
+  }
+  return hasPermissions(user, [...granted]);
+};
+
+// ==================== Role Operations ====================
+
+export const getRoles = asyncHandler(async (req, res) => {
+  logger.debug("Fetching roles");
+
+  const roles = await getRoleDefinitions();
+
+  logger.info(`Retrieved ${roles.size} roles`);
+  sendSuccessResponse(
+    res,
+    {
+      roles: [...roles.values()].map((role) => formatRole(role, roles)),
+    },
+    "Roles retrieved successfully"
+  );
+});
+
+export const getRole = asyncHandler(async (req, res) => {
+  const { name } = req.params;
+
+  logger.debug(`Fetching role ${name}`);
+
+  const roles = await getRoleDefinitions();
+  const role = roles.get(name);
+
+  if (!role) {
+    logger.error(`Role ${name} not found`);
+    return sendErrorResponse(res, "Role not found", 404);
+  }
+
+  sendSuccessResponse(
+    res,
+    { role: formatRole(role, roles) },
+    "Role retrieved successfully"
+  );
+});
+
+export const createRole = asyncHandler(async (req, res) => {
+  const { name, description, permissions = [], parents = [] } = req.body;
+
+  logger.debug(`Creating role ${name}`);
+
+  // Always read the latest roles before changing them
+  clearRoleCache();
+  const roles = await getRoleDefinitions();
+
+  // "admin" next to "Admin" would only cause confusion
+  const taken = [...roles.keys()].some(
+    (existing) => existing.toLowerCase() === name.toLowerCase()
+  );
+  if (taken) {
+    logger.error(`Role creation failed: ${name} already exists`);
+    return sendErrorResponse(res, "Role already exists", 409);
+  }
+
+  const parentError = checkParents(name, parents, roles);
+  if (parentError) {
+    logger.error(`Role creation failed: ${parentError}`);
+    return sendErrorResponse(res, parentError, 400);
+  }
+
+  if (!canGrantRole({ permissions, parents }, roles, req.user)) {
+    logger.error(`Role creation failed: ${name} grants more than the caller`);
+    return sendErrorResponse(
+      res,
+      "You cannot grant permissions you do not have",
+      403
+    );
+  }
+
+  const role = await Role.create({
+    name,
+    description,
+    permissions: [...new Set(permissions)],
+    parents: [...new Set(parents)],
+    createdBy: req.user.id,
+  });
+  clearRoleCache();
+
+  const updatedRoles = await getRoleDefinitions();
+
+  logger.security("role_created", {
+    role: name,
+    permissions: role.permissions,
+    parents: role.parents,
+    adminId: req.user.id,
+  });
+  sendSuccessResponse(
+    res,
+    { role: formatRole(updatedRoles.get(name), updatedRoles) },
+    "Role created successfully",
+    201
+  );
+});
+
+export const updateRole = asyncHandler(async (req, res) => {
+  const { name } = req.params;
+  const { description, permissions, parents } = req.body;
+
+  logger.debug(`Updating role ${name}`);
+
+  if (isBuiltInRole(name)) {
+    logger.error(`Attempt to change built-in role ${name}`);
+    return sendErrorResponse(res, "Built-in roles cannot be changed", 403);
+  }
+
+  const role = await Role.findOne({ name });
+
+  if (!role) {
+    logger.error(`Role ${name} not found`);
+    return sendErrorResponse(res, "Role not found", 404);
+  }
+
+  // Always read the latest roles before changing them
+  clearRoleCache();
+  const currentRoles = await getRoleDefinitions();
+
+  if (parents !== undefined) {
+    const parentError = checkParents(name, parents, currentRoles);
+    if (parentError) {
+      logger.error(`Role update failed: ${parentError}`);
+      return sendErrorResponse(res, parentError, 400);
+    }
+    role.parents = [...new Set(parents)];
+  }
+  if (description !== undefined) {
+    role.description = description;
+  }
+  if (permissions !== undefined) {
+    role.permissions = [...new Set(permissions)];
+  }
+
+  if (
+    (permissions !== undefined || parents !== undefined) &&
+    !canGrantRole(role, currentRoles, req.user)
+  ) {
+    logger.error(`Role update failed: ${name} grants more than the caller`);
+    return sendErrorResponse(
+      res,
+      "You cannot grant permissions you do not have",
+      403
+    );
+  }
+
+  await role.save();
+  clearRoleCache();
+
+  const roles = await getRoleDefinitions();
+
+  logger.security("role_updated", {
+    role: name,
+    fields: ["description", "permissions", "parents"].filter(
+      (field) => req.body[field] !== undefined
+    ),
+    adminId: req.user.id,
+  });
+  sendSuccessResponse(
+    res,
+    { role: formatRole(roles.get(name), roles) },
+    "Role updated successfully"
+  );
+});
+
+export const deleteRole = asyncHandler(async (req, res) => {
+  const { name } = req.params;
+
+  logger.debug(`Deleting role ${name}`);
+
+  if (isBuiltInRole(name)) {
+    logger.error(`Attempt to delete built-in role ${name}`);
+    return sendErrorResponse(res, "Built-in roles cannot be deleted", 403);
+  }
+
+  const role = await Role.findOne({ name });
+
+  if (!role) {
+    logger.error(`Role ${name} not found`);
+    return sendErrorResponse(res, "Role not found", 404);
+  }
+
+  // Deleted users keep their role and could be restored
+  const assignedUsers = await User.countDocuments({ role: name }).setOptions({
+    includeDeleted: true,
+  });
+  if (assignedUsers > 0) {
+    logger.error(`Role ${name} is assigned to ${assignedUsers} users`);
+    return sendErrorResponse(
+      res,
+      `Role is assigned to ${assignedUsers} users`,
+      409
+    );
+  }
+
+  const children = await Role.countDocuments({ parents: name });
+  if (children > 0) {
+    logger.error(`Role ${name} is inherited by ${children} roles`);
+    return sendErrorResponse(
+      res,
+      `Role is inherited by ${children} other roles`,
+      409
+    );
+  }
+
+  const groups = await Group.countDocuments({ roles: name });
+  if (groups > 0) {
+    logger.error(`Role ${name} is attached to ${groups} groups`);
+    return sendErrorResponse(res, `Role is attached to ${groups} groups`, 409);
+  }
+
+  await Role.deleteOne({ _id: role._id });
+  clearRoleCache();
+
+  logger.security("role_deleted", { role: name, adminId: req.user.id });
+  sendSuccessResponse(res, null, "Role deleted successfully");
+});
@@ -0,0 +1,136 @@
+import User from "../models/userModels.js";
+import { asyncHandler } from "../utils/errorHandler.js";
+import { logger } from "../utils/logger.js";
+import {
+  sendSuccessResponse,
+  sendErrorResponse,
+} from "../utils/responseHandler.js";
+import { formatSession, revokeSessions } from "../utils/sessionHelper.js";
+import { revokeSessionAccessTokens } from "../utils/revocationStore.js";
+import { revokeAllUserTokens } from "../utils/authHelper.js";
+import { getTenant } from "../utils/organizations.js";
+import { getUserPermissions, hasPermissions } from "../utils/permissions.js";
+
+// ==================== Session Operations ====================
+
+export const getSessions = asyncHandler(async (req, res) => {
+  const userId = req.user.id;
+
+  logger.debug(`Fetching sessions for user ID: ${userId}`);
+
+  const user = await User.findById(userId).select("sessions").lean();
+
+  if (!user) {
+    logger.error(`User with ID: ${userId} not found`);
+    return sendErrorResponse(res, "User not found", 404);
+  }
+
+  const now = new Date();
+  const sessions = (user.sessions ?? [])
+    .filter((session) => session.expiresAt > now)
+    .sort((a, b) => b.lastUsedAt - a.lastUsedAt)
+    .map((session) => formatSession(session, req.user.sid));
+
+  logger.info(`Retrieved ${sessions.length} sessions for user ID: ${userId}`);
+  sendSuccessResponse(res, { sessions }, "Sessions retrieved successfully");
+});
+
+export const revokeSession = asyncHandler(async (req, res) => {
+  const userId = req.user.id;
+  const { id } = req.params;
+
+  logger.debug(`Revoking session ${id} for user ID: ${userId}`);
+
+  const user = await User.findById(userId);
+
+  if (!user) {
+    logger.error(`User with ID: ${userId} not found`);
+    return sendErrorResponse(res, "User not found", 404);
+  }
+
+  const session = user.sessions.find((session) => session.id === id);
+
+  if (!session) {
+    logger.error(`Session ${id} not found for user ID: ${userId}`);
+    return sendErrorResponse(res, "Session not found", 404);
+  }
+
+  await revokeSessionAccessTokens(session);
+  revokeSessions(user, (session) => session.id === id);
+  await user.save();
+
+  logger.info(`Session ${id} revoked for user ID: ${userId}`);
+  sendSuccessResponse(res, null, "Session revoked successfully");
+});
+
+export const revokeOtherSessions = asyncHandler(async (req, res) => {
+  const userId = req.user.id;
+
+  logger.debug(`Revoking other sessions for user ID: ${userId}`);
+
+  const user = await User.findById(userId);
+
+  if (!user) {
+    logger.error(`User with ID: ${userId} not found`);
+    return sendErrorResponse(res, "User not found", 404);
+  }
+
+  const isOtherSession = (session) => session.family !== req.user.sid;
+
+  for (const session of user.sessions.filter(isOtherSession)) {
+    await revokeSessionAccessTokens(session);
+  }
+  const revoked = revokeSessions(user, isOtherSession);
+  await user.save();
+
+  logger.info(`Revoked ${revoked} other sessions for user ID: ${userId}`);
+  sendSuccessResponse(
+    res,
+    { revokedSessions: revoked },
+    "Logged out of all other sessions"
+  );
+});
+
+// ==================== Admin Operations ====================
+
+export const revokeUserSessions = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  logger.debug(`Admin sign-out of user ID: ${id}`);
+
+  // Users of other organizations are reported as not found
+  const user = await User.findById(id).setOptions({
+    tenant: getTenant(req.user),
+  });
+
+  if (!user) {
+    logger.error(`User with ID: ${id} not found`);
+    return sendErrorResponse(res, "User not found", 404);
+  }
+
+  // Admins cannot act on accounts that hold more than they do
+  const userPermissions = await getUserPermissions(user);
+  if (!hasPermissions(req.user, userPermissions)) {
+    logger.error(`User ID: ${req.user.id} cannot sign out user ID: ${id}`);
+    return sendErrorResponse(
+      res,
+      "You cannot manage a user with permissions you do not have",
+      403
+    );
+  }
+
+  const revoked = user.sessions.length;
+  revokeAllUserTokens(user);
+  await user.save();
+
+  logger.security("user_sessions_revoked", {
+    userId: user._id,
+    adminId: req.user.id,
+    revokedSessions: revoked,
+  });
+  sendSuccessResponse(
+    res,
+    { revokedSessions: revoked },
+    "User signed out of all sessions"
+  );
+});
@@ -0,0 +1,359 @@
+import User from "../models/userModels.js";
+import { asyncHandler } from "../utils/errorHandler.js";
+import { logger } from "../utils/logger.js";
+import {
+  sendSuccessResponse,
+  sendErrorResponse,
+} from "../utils/responseHandler.js";
+import { verifyPurposeToken } from "../utils/jwt.js";
+import {
+  createSessionTokens,
+  cancelAccountDeletion,
+  generateRecoveryCodes,
+  normalizeRecoveryCode,
+  hashToken,
+} from "../utils/authHelper.js";
+import { getSessionContext } from "../utils/sessionHelper.js";
+import { recordAuditEvent } from "../utils/auditLog.js";
+import {
+  getLockRemainingMs,
+  recordAccountFailedLogin,
+  clearAccountLoginThrottle,
+} from "../utils/loginThrottle.js";
+import { sendLockoutResponse } from "../utils/loginHelper.js";
+import {
+  generateTotpSecret,
+  verifyTotp,
+  buildOtpauthUri,
+} from "../utils/totp.js";
+import { verifyAuthenticationResponse } from "../utils/webauthn.js";
+import { getTenant } from "../utils/organizations.js";
+import { getUserPermissions, hasPermissions } from "../utils/permissions.js";
+
+const TWO_FACTOR_SECRETS =
+  "+twoFactor.secret +twoFactor.pendingSecret +twoFactor.recoveryCodes +twoFactor.lastUsedStep";
+
+/**
+ * Check a TOTP code against the user's secret, rejecting replays of a code
+ * that was already accepted. Records the accepted step (caller saves the user).
+ * @param {Object} user - User document with two-factor secrets selected
+ * @param {string} secret - Base32 secret to verify against
+ * @param {string} code - Code entered by the user
+ * @returns {boolean} True if the code is valid and unused
+ */
+const acceptTotpCode = (user, secret, code) => {
+  const step = verifyTotp(secret, code);
+  if (step === null || step <= (user.twoFactor.lastUsedStep ?? -1)) {
+    return false;
+  }
+  user.twoFactor.lastUsedStep = step;
+  return true;
+};
+
+/**
+ * Refuse a second factor. Like a wrong password, the failure counts toward
+ * the account lockout, so codes cannot be guessed with one password.
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object} user - User document
+ * @param {string} reason - Failure reason recorded in the audit log
+ * @param {string} message - Error message for the client
+ */
+const rejectSecondFactor = async (req, res, user, reason, message) => {
+  const lockDurationMs = await recordAccountFailedLogin(user._id);
+
+  if (lockDurationMs > 0) {
+    logger.security("account_locked", {
+      userId: user._id,
+      lockedForMs: lockDurationMs,
+      ip: req.ip,
+    });
+  }
+
+  await recordAuditEvent({
+    event: "login_failed",
+    user: user._id,
+    details: { reason, locked: lockDurationMs > 0 },
+    req,
+  });
+  return sendErrorResponse(res, message, 401);
+};
+
+// ==================== Enrolment Operations ====================
+
+export const setupTwoFactor = asyncHandler(async (req, res) => {
+  const userId = req.user.id;
+
+  logger.debug(`Two-factor setup requested for user ID: ${userId}`);
+
+  const user = await User.findById(userId).select(TWO_FACTOR_SECRETS);
+
+  if (!user) {
+    logger.error(`User with ID: ${userId} not found`);
+    return sendErrorResponse(res, "User not found", 404);
+  }
+
+  if (user.twoFactor?.enabled) {
+    logger.error(`Two-factor already enabled for user ID: ${userId}`);
+    return sendErrorResponse(
+      res,
+      "Two-factor authentication is already enabled",
+      409
+    );
+  }
+
+  const secret = generateTotpSecret();
+  user.twoFactor.pendingSecret = secret;
+  await user.save();
+
+  const otpauthUri = buildOtpauthUri({
+    secret,
+    accountName: user.email,
+    issuer: process.env.TOTP_ISSUER || "User Management API",
+  });
+
+  logger.info(`Two-factor setup started for user ID: ${userId}`);
+  sendSuccessResponse(
+    res,
+    { secret, otpauthUri },
+    "Scan the QR code and confirm with a code from your authenticator app"
+  );
+});
+
+export const confirmTwoFactor = asyncHandler(async (req, res) => {
+  const userId = req.user.id;
+  const { code } = req.body;
+
+  logger.debug(`Two-factor confirmation for user ID: ${userId}`);
+
+  const user = await User.findById(userId).select(TWO_FACTOR_SECRETS);
+
+  if (!user) {
+    logger.error(`User with ID: ${userId} not found`);
+    return sendErrorResponse(res, "User not found", 404);
+  }
+
+  if (user.twoFactor?.enabled) {
+    logger.error(`Two-factor already enabled for user ID: ${userId}`);
+    return sendErrorResponse(
+      res,
+      "Two-factor authentication is already enabled",
+      409
+    );
+  }
+
+  const secret = user.twoFactor?.pendingSecret;
+  if (!secret) {
+    logger.error(`No pending two-factor setup for user ID: ${userId}`);
+    return sendErrorResponse(res, "Two-factor setup has not been started", 400);
+  }
+
+  if (!acceptTotpCode(user, secret, code)) {
+    logger.error(`Invalid two-factor code during setup for user ID: ${userId}`);
+    return sendErrorResponse(res, "Invalid authentication code", 400);
+  }
+
+  const { codes, hashedCodes } = generateRecoveryCodes();
+
+  user.twoFactor.enabled = true;
+  user.twoFactor.enabledAt = new Date();
+  user.twoFactor.secret = secret;
+  user.twoFactor.pendingSecret = undefined;
+  user.twoFactor.recoveryCodes = hashedCodes;
+  await user.save();
+
+  logger.info(`Two-factor enabled for user ID: ${userId}`);
+  sendSuccessResponse(
+    res,
+    { recoveryCodes: codes },
+    "Two-factor authentication enabled. Store your recovery codes safely; they will not be shown again"
+  );
+});
+
+// ==================== Authentication Operations ====================
+
+export const verifyTwoFactorLogin = asyncHandler(async (req, res) => {
+  const { mfaToken, code, recoveryCode, webauthn } = req.body;
+
+  logger.debug("Two-factor login attempt");
+
+  let decoded;
+  try {
+    decoded = verifyPurposeToken(mfaToken, "mfa");
+  } catch (error) {
+    logger.error(`Two-factor login failed: ${error.message}`);
+    return sendErrorResponse(res, "Invalid or expired MFA token", 401);
+  }
+
+  const user = await User.findById(decoded.id).select(
+    `${TWO_FACTOR_SECRETS} +twoFactor.challengeToken +passkeys`
+  );
+
+  // Only the latest challenge is accepted, and only until it is used
+  if (
+    !user ||
+    !user.twoFactor?.enabled ||
+    user.twoFactor.challengeToken !== hashToken(mfaToken)
+  ) {
+    logger.error(
+      "Two-factor login failed: user not found, 2FA disabled or challenge used"
+    );
+    return sendErrorResponse(res, "Invalid or expired MFA token", 401);
+  }
+
+  const lockRemainingMs = getLockRemainingMs(user);
+  if (lockRemainingMs > 0) {
+    logger.warn(`Two-factor login blocked: user ID ${user._id} is locked`);
+    return sendLockoutResponse(res, lockRemainingMs);
+  }
+
+  let method;
+  if (webauthn) {
+    // A registered passkey can stand in for the authenticator app
+    const passkey = user.passkeys.find(
+      (stored) => stored.credentialId === webauthn.id
+    );
+    try {
+      if (!passkey) {
+        throw new Error("unknown credential");
+      }
+      Object.assign(
+        passkey,
+        verifyAuthenticationResponse(webauthn, passkey, {
+          ceremony: "mfa",
+          userId: user._id,
+        })
+      );
+    } catch (error) {
+      logger.error(
+        `Invalid passkey for user ID: ${user._id}: ${error.message}`
+      );
+      return rejectSecondFactor(
+        req,
+        res,
+        user,
+        "invalid_passkey",
+        "Invalid passkey"
+      );
+    }
+    passkey.lastUsedAt = new Date();
+    method = "passkey";
+  } else if (code) {
+    if (!acceptTotpCode(user, user.twoFactor.secret, code)) {
+      logger.error(`Invalid two-factor code for user ID: ${user._id}`);
+      return rejectSecondFactor(
+        req,
+        res,
+        user,
+        "invalid_two_factor_code",
+        "Invalid authentication code"
+      );
+    }
+    method = "totp";
+  } else {
+    // Recovery codes are single-use
+    const hashedCode = hashToken(normalizeRecoveryCode(recoveryCode));
+    const remaining = user.twoFactor.recoveryCodes.filter(
+      (storedCode) => storedCode !== hashedCode
+    );
+
+    if (remaining.length === user.twoFactor.recoveryCodes.length) {
+      logger.error(`Invalid recovery code for user ID: ${user._id}`);
+      return rejectSecondFactor(
+        req,
+        res,
+        user,
+        "invalid_recovery_code",
+        "Invalid recovery code"
+      );
+    }
+
+    user.twoFactor.recoveryCodes = remaining;
+    logger.warn(
+      `Recovery code used for user ID: ${user._id} (${remaining.length} left)`
+    );
+    method = "recovery_code";
+  }
+
+  // Forget earlier failures, unless parallel attempts locked the account
+  if (!(await clearAccountLoginThrottle(user._id))) {
+    logger.warn(`Two-factor login blocked: user ID ${user._id} was locked`);
+    const lockedUser = await User.findById(user._id).select("lockUntil");
+    return sendLockoutResponse(res, getLockRemainingMs(lockedUser));
+  }
+
+  // Claim the challenge so a parallel request cannot use it as well
+  const claimed = await User.updateOne(
+    { _id: user._id, "twoFactor.challengeToken": hashToken(mfaToken) },
+    { $unset: { "twoFactor.challengeToken": 1 } }
+  );
+  if (claimed.matchedCount === 0) {
+    logger.error(`Two-factor challenge reused for user ID: ${user._id}`);
+    return sendErrorResponse(res, "Invalid or expired MFA token", 401);
+  }
+
+  // Logging in during the grace period keeps the account
+  if (cancelAccountDeletion(user)) {
+    logger.security("account_deletion_cancelled", { userId: user._id });
+  }
+
+  const { accessToken, refreshToken } = createSessionTokens(
+    user,
+    getSessionContext(req)
+  );
+  await user.save();
+
+  await recordAuditEvent({
+    event: "login",
+    user: user._id,
+    details: { method },
+    req,
+  });
+
+  logger.info(`User with ID: ${user._id} completed two-factor login`);
+  sendSuccessResponse(res, { accessToken, refreshToken }, "Login successful");
+});
+
+// ==================== Admin Operations ====================
+
+export const resetTwoFactor = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  logger.debug(`Admin two-factor reset for user ID: ${id}`);
+
+  // Users of other organizations are reported as not found
+  const user = await User.findById(id).setOptions({
+    tenant: getTenant(req.user),
+  });
+
+  if (!user) {
+    logger.error(`User with ID: ${id} not found`);
+    return sendErrorResponse(res, "User not found", 404);
+  }
+
+  // Admins cannot act on accounts that hold more than they do
+  const userPermissions = await getUserPermissions(user);
+  if (!hasPermissions(req.user, userPermissions)) {
+    logger.error(
+      `User ID: ${req.user.id} cannot reset two-factor for user ID: ${id}`
+    );
+    return sendErrorResponse(
+      res,
+      "You cannot manage a user with permissions you do not have",
+      403
+    );
+  }
+
+  user.twoFactor = { enabled: false };
+  await user.save();
+
+  logger.security("two_factor_reset", {
+    userId: user._id,
+    adminId: req.user.id,
+  });
+  sendSuccessResponse(
+    res,
+    null,
+    "Two-factor authentication reset successfully"
+  );
+});
@@ -1,20 +1,72 @@
+import mongoose from "mongoose";
 import User from "../models/userModels.js";
+import Group from "../models/groupModels.js";
+import Invitation from "../models/invitationModels.js";
+import ApiKey from "../models/apiKeyModels.js";
 import { asyncHandler } from "../utils/errorHandler.js";
 import { logger } from "../utils/logger.js";
 import {
   sendSuccessResponse,
   sendErrorResponse,
 } from "../utils/responseHandler.js";
-import { verifyRefreshToken } from "../utils/jwt.js";
+import {
+  verifyRefreshToken,
+  generatePurposeToken,
+  verifyPurposeToken,
+} from "../utils/jwt.js";
 import {
   hashPassword,
   comparePassword,
   generateTokenPair,
+  buildTokenPayload,
+  createSessionTokens,
   addRefreshToken,
   removeRefreshToken,
   hasValidRefreshToken,
+  hasRefreshTokenFamily,
+  revokeRefreshTokenFamily,
+  revokeAllUserTokens,
+  hashToken,
+  generateOneTimeToken,
+  getEmailVerificationPolicy,
   sanitizeUser,
 } from "../utils/authHelper.js";
+import {
+  getSessionContext,
+  findSessionByToken,
+  findSessionByFamily,
+  revokeSessions,
+} from "../utils/sessionHelper.js";
+import {
+  revokeAccessToken,
+  revokeSessionAccessTokens,
+} from "../utils/revocationStore.js";
+import {
+  getLockRemainingMs,
+  recordFailedLogin,
+  recordAccountFailedLogin,
+  resetLoginThrottle,
+  getUnknownEmailState,
+} from "../utils/loginThrottle.js";
+import { isValidPassword } from "../utils/validationHelper.js";
+import { recordAuditEvent } from "../utils/auditLog.js";
+import { completeLogin, sendLockoutResponse } from "../utils/loginHelper.js";
+import {
+  getRolePermissions,
+  getUserPermissions,
+  hasPermissions,
+  projectUser,
+} from "../utils/permissions.js";
+import { getTenant } from "../utils/organizations.js";
+import {
+  generateImpersonationToken,
+  getImpersonatorId,
+} from "../utils/impersonation.js";
+import {
+  sendPasswordResetEmail,
+  sendVerificationEmail,
+  sendMagicLinkEmail,
+} from "../utils/mailer.js";
 import {
   parsePaginationQuery,
   validatePaginationParams,
@@ -23,7 +75,14 @@ import {
 // ==================== User CRUD Operations ====================
 
 export const getAllUsers = asyncHandler(async (req, res) => {
-  const totalCount = await User.countDocuments();
+  // Soft-deleted users are only listed on request
+  const includeDeleted = req.query.includeDeleted === "true";
+  // Members of an organization only see its members
+  const tenant = getTenant(req.user);
+  const totalCount = await User.countDocuments().setOptions({
+    includeDeleted,
+    tenant,
+  });
 
   if (totalCount === 0) {
     return sendErrorResponse(res, "No users found", 404);
@@ -59,19 +118,38 @@ export const getAllUsers = asyncHandler(async (req, res) => {
     ];
   }
 
+  // Only list the members of a group
+  const groupId = req.query.group;
+  if (groupId) {
+    if (!mongoose.isValidObjectId(groupId)) {
+      logger.error(`Invalid group ID: ${groupId}`);
+      return sendErrorResponse(res, "Invalid group ID", 400);
+    }
+    const group = await Group.findById(groupId).select("members").lean();
+    if (!group) {
+      logger.error(`Group ${groupId} not found`);
+      return sendErrorResponse(res, "Group not found", 404);
+    }
+    query._id = { $in: group.members };
+  }
+
   // Calculate skip value
   const skip = (page - 1) * limit;
 
   // Fetch users with pagination
   const sortOrder = order === "asc" ? 1 : -1;
   const users = await User.find(query)
-    .select("-password -refreshTokens")
+    .setOptions({ includeDeleted, tenant })
+    .select("-password -refreshTokens -sessions")
     .sort({ [sortBy]: sortOrder })
     .skip(skip)
     .limit(limit)
     .lean();
 
-  const filteredCount = await User.countDocuments(query);
+  const filteredCount = await User.countDocuments(query).setOptions({
+    includeDeleted,
+    tenant,
+  });
   const totalPages = Math.ceil(filteredCount / limit);
 
   // Create pagination metadata
@@ -90,7 +168,7 @@ export const getAllUsers = asyncHandler(async (req, res) => {
   sendSuccessResponse(
     res,
     {
-      users,
+      users: users.map((user) => projectUser(user, req.user)),
       pagination: paginationData,
     },
     "Users retrieved successfully"
@@ -102,8 +180,10 @@ export const getUserById = asyncHandler(async (req, res) => {
 
   logger.debug(`Searching for user with ID: ${id}`);
 
+  // Users of other organizations are reported as not found
   const user = await User.findById(id)
-    .select("-password -refreshTokens")
+    .setOptions({ tenant: getTenant(req.user) })
+    .select("-password -refreshTokens -sessions")
     .lean();
 
   if (!user) {
@@ -112,14 +192,23 @@ export const getUserById = asyncHandler(async (req, res) => {
   }
 
   logger.info(`User with ID: ${id} retrieved successfully`);
-  sendSuccessResponse(res, user, "User retrieved successfully");
+  sendSuccessResponse(
+    res,
+    projectUser(user, req.user),
+    "User retrieved successfully"
+  );
 });
 
 export const createUser = asyncHandler(async (req, res) => {
   logger.info("createUser controller called");
   logger.debug(`Request body: ${JSON.stringify(req.body)}`);
 
-  const { name, email, role, password } = req.body;
+  // Accepting an invitation: the invitation decides the email and role.
+  // Self-registration always creates a User, whatever the body says
+  const { invitation } = req;
+  const { name, password } = req.body;
+  const email = invitation ? invitation.email : req.body.email;
+  const role = invitation ? invitation.role : "User";
 
   logger.debug("Creating a new user");
 
@@ -134,7 +223,10 @@ export const createUser = asyncHandler(async (req, res) => {
   }
 
   // Check if user already exists
-  const existingUser = await User.findOne({ email });
+  // Deleted accounts keep their email until they are purged
+  const existingUser = await User.findOne({ email }).setOptions({
+    includeDeleted: true,
+  });
   if (existingUser) {
     logger.error(`User creation failed: Email ${email} already exists`);
     return sendErrorResponse(res, "Email already exists", 409);
@@ -145,19 +237,52 @@ export const createUser = asyncHandler(async (req, res) => {
     name,
     email,
     password: await hashPassword(password),
-    role: role || "User",
+    role,
   });
 
-  // Generate tokens
-  const { accessToken, refreshToken } = generateTokenPair({
-    id: newUser._id,
-    email: newUser.email,
-    role: newUser.role,
-  });
+  if (invitation) {
+    // Claim the invitation before the account exists so it works only once
+    const claimed = await Invitation.findOneAndUpdate(
+      { _id: invitation._id, acceptedAt: null, revokedAt: null },
+      { acceptedAt: new Date(), acceptedBy: newUser._id }
+    );
+    if (!claimed) {
+      logger.error(`Invitation ${invitation._id} was already used`);
+      return sendErrorResponse(res, "Invalid or expired invitation", 400);
+    }
+    newUser.organization = invitation.organization;
+    newUser.orgRole = invitation.orgRole;
+    // The invite link was delivered to this address
+    newUser.emailVerified = true;
+  }
+
+  const { token: verificationToken, expiresInHours } = invitation
+    ? {}
+    : issueEmailVerificationToken(newUser);
+
+  // Unverified accounts get no tokens when verification is mandatory
+  const verificationRequired =
+    !invitation && getEmailVerificationPolicy() === "block";
+
+  let tokens = {};
+  if (!verificationRequired) {
+    tokens = createSessionTokens(newUser, getSessionContext(req));
+  }
 
-  addRefreshToken(newUser, refreshToken);
   await newUser.save();
 
+  if (invitation) {
+    await recordAuditEvent({
+      event: "invitation_accepted",
+      user: newUser._id,
+      actor: invitation.invitedBy,
+      details: { invitationId: invitation._id, role: newUser.role },
+      req,
+    });
+  } else {
+    await sendVerificationEmail(newUser, verificationToken, expiresInHours);
+  }
+
   logger.info(`New user created with ID: ${newUser._id}`);
 
   sendSuccessResponse(
@@ -168,11 +293,13 @@ export const createUser = asyncHandler(async (req, res) => {
         name: newUser.name,
         email: newUser.email,
         role: newUser.role,
+        emailVerified: newUser.emailVerified,
       },
-      accessToken,
-      refreshToken,
+      ...tokens,
     },
-    "User created successfully",
+    verificationRequired
+      ? "User created successfully. Please verify your email address"
+      : "User created successfully",
     201
   );
 });
@@ -186,7 +313,17 @@ export const loginUser = asyncHandler(async (req, res) => {
 
   // Find user by email
   const user = await User.findOne({ email });
+
+  // Unknown emails are throttled like real accounts so lockouts reveal nothing
+  const throttleState = user ?? getUnknownEmailState(email);
+  const lockRemainingMs = getLockRemainingMs(throttleState);
+  if (lockRemainingMs > 0) {
+    logger.warn(`Login blocked: ${email} is temporarily locked`);
+    return sendLockoutResponse(res, lockRemainingMs);
+  }
+
   if (!user) {
+    recordFailedLogin(throttleState);
     logger.error(`Login failed: User with email ${email} not found`);
     return sendErrorResponse(res, "Invalid email or password", 401);
   }
@@ -194,23 +331,120 @@ export const loginUser = asyncHandler(async (req, res) => {
   // Verify password
   const isPasswordValid = await comparePassword(password, user.password);
   if (!isPasswordValid) {
+    const lockDurationMs = await recordAccountFailedLogin(user._id);
+
+    if (lockDurationMs > 0) {
+      logger.security("account_locked", {
+        userId: user._id,
+        lockedForMs: lockDurationMs,
+        ip: req.ip,
+      });
+    }
+
+    await recordAuditEvent({
+      event: "login_failed",
+      user: user._id,
+      details: { reason: "invalid_password", locked: lockDurationMs > 0 },
+      req,
+    });
+
     logger.error(`Login failed: Invalid password for email ${email}`);
     return sendErrorResponse(res, "Invalid email or password", 401);
   }
 
-  // Generate tokens
-  const { accessToken, refreshToken } = generateTokenPair({
-    id: user._id,
-    email: user.email,
-    role: user.role,
-  });
+  if (user.status === "suspended") {
+    logger.error(`Login failed: Account ${email} is suspended`);
+    return sendErrorResponse(res, "Account suspended", 403);
+  }
 
-  addRefreshToken(user, refreshToken);
-  await user.save();
+  // Earlier failures are forgotten once the login completes (after the
+  // second factor, if enabled)
+  return completeLogin(req, res, user, "password");
+});
+
+// ==================== Passwordless Login Operations ====================
 
-  logger.info(`User with email ${email} logged in successfully`);
+export const requestMagicLink = asyncHandler(async (req, res) => {
+  const { email } = req.body;
+
+  logger.debug("Magic link requested");
+
+  const user = await User.findOne({ email });
+
+  if (user && user.status !== "suspended") {
+    const expiresInMinutes =
+      parseInt(process.env.MAGIC_LINK_EXPIRES_MINUTES) || 15;
+    const token = generatePurposeToken(
+      { id: user._id },
+      "magic_link",
+      `${expiresInMinutes}m`
+    );
 
-  sendSuccessResponse(res, { accessToken, refreshToken }, "Login successful");
+    // Only the latest link works, and only once
+    user.magicLinkToken = hashToken(token);
+    user.magicLinkExpires = new Date(Date.now() + expiresInMinutes * 60 * 1000);
+    await user.save();
+
+    await sendMagicLinkEmail(user, token, expiresInMinutes);
+
+    logger.info(`Magic link issued for user ID: ${user._id}`);
+  } else {
+    logger.warn(`Magic link not sent for ${email}`);
+  }
+
+  // Same response whether or not the account exists to avoid user enumeration
+  sendSuccessResponse(
+    res,
+    null,
+    "If an account with that email exists, a login link has been sent"
+  );
+});
+
+export const consumeMagicLink = asyncHandler(async (req, res) => {
+  const { token } = req.body;
+
+  logger.debug("Magic link login attempt");
+
+  let decoded;
+  try {
+    decoded = verifyPurposeToken(token, "magic_link");
+  } catch (error) {
+    logger.error(`Magic link login failed: ${error.message}`);
+    return sendErrorResponse(res, "Invalid or expired login link", 401);
+  }
+
+  const user = await User.findById(decoded.id).select(
+    "+magicLinkToken +magicLinkExpires"
+  );
+
+  if (
+    !user ||
+    user.magicLinkToken !== hashToken(token) ||
+    !(user.magicLinkExpires > new Date())
+  ) {
+    logger.error("Magic link login failed: link unknown or already used");
+    return sendErrorResponse(res, "Invalid or expired login link", 401);
+  }
+
+  // Links are single-use
+  user.magicLinkToken = undefined;
+  user.magicLinkExpires = undefined;
+
+  if (user.status === "suspended") {
+    await user.save();
+    logger.error(`Magic link login failed: Account ${user.email} is suspended`);
+    return sendErrorResponse(res, "Account suspended", 403);
+  }
+
+  // Opening the link proves the user controls the email address
+  if (!user.emailVerified) {
+    user.emailVerified = true;
+    user.emailVerificationToken = undefined;
+    user.emailVerificationExpires = undefined;
+  }
+  await user.save();
+
+  return completeLogin(req, res, user, "magic_link");
 });
 
 export const logoutUser = asyncHandler(async (req, res) => {
@@ -232,7 +466,10 @@ export const logoutUser = asyncHandler(async (req, res) => {
       return sendErrorResponse(res, "Invalid refresh token", 401);
     }
 
-    // Remove refresh token
+    // End the session and revoke its access tokens, including the one used
+    // for this request
+    await revokeSessionAccessTokens(findSessionByToken(user, refreshToken));
+    await revokeAccessToken(req.user);
     removeRefreshToken(user, refreshToken);
     await user.save();
 
@@ -257,24 +494,47 @@ export const refreshAccessToken = asyncHandler(async (req, res) => {
     const decoded = verifyRefreshToken(refreshToken);
     const user = await User.findById(decoded.id);
 
-    // Check if user exists and token is valid
-    if (!user || !hasValidRefreshToken(user, refreshToken)) {
+    if (!user) {
       logger.error("Invalid refresh token");
       return sendErrorResponse(res, "Invalid refresh token", 401);
     }
 
-    // Generate new access token
-    const { accessToken } = generateTokenPair({
-      id: user._id,
-      email: user.email,
-      role: user.role,
-    });
+    // A correctly signed token that is no longer stored has already been
+    // rotated: if its family is still active, someone is replaying it
+    if (!hasValidRefreshToken(user, refreshToken)) {
+      if (decoded.family && hasRefreshTokenFamily(user, decoded.family)) {
+        await revokeSessionAccessTokens(
+          findSessionByFamily(user, decoded.family)
+        );
+        revokeRefreshTokenFamily(user, decoded.family);
+        await user.save();
+
+        logger.security("refresh_token_reuse_detected", {
+          userId: user._id,
+          family: decoded.family,
+          ip: req.ip,
+          userAgent: req.get("user-agent"),
+        });
+      }
+
+      logger.error("Invalid refresh token");
+      return sendErrorResponse(res, "Invalid refresh token", 401);
+    }
+
+    // Rotate: the new token replaces the presented one in the same session
+    const { accessToken, refreshToken: newRefreshToken } = generateTokenPair(
+      buildTokenPayload(user),
+      decoded.family
+    );
 
-    logger.info(`Access token refreshed for user ID: ${user._id}`);
+    addRefreshToken(user, newRefreshToken, getSessionContext(req));
+    await user.save();
+
+    logger.info(`Tokens refreshed for user ID: ${user._id}`);
 
     sendSuccessResponse(
       res,
-      { email: user.email, accessToken: accessToken },
+      { email: user.email, accessToken, refreshToken: newRefreshToken },
       "Token refreshed successfully"
     );
   } catch (error) {
@@ -283,6 +543,154 @@ export const refreshAccessToken = asyncHandler(async (req, res) => {
   }
 });
 
+// ==================== Email Verification Operations ====================
+
+// Attach a fresh verification token to the user (caller saves the document)
+const issueEmailVerificationToken = (user) => {
+  const expiresInHours =
+    parseInt(process.env.EMAIL_VERIFICATION_EXPIRES_HOURS) || 24;
+  const { token, hashedToken, expiresAt } = generateOneTimeToken(
+    expiresInHours * 60
+  );
+
+  user.emailVerificationToken = hashedToken;
+  user.emailVerificationExpires = expiresAt;
+
+  return { token, expiresInHours };
+};
+
+export const verifyEmail = asyncHandler(async (req, res) => {
+  const token = req.query.token || req.body.token;
+
+  logger.debug("Email verification attempt");
+
+  const user = await User.findOne({
+    emailVerificationToken: hashToken(token),
+    emailVerificationExpires: { $gt: new Date() },
+  });
+
+  if (!user) {
+    logger.error("Email verification failed: invalid or expired token");
+    return sendErrorResponse(res, "Invalid or expired verification token", 400);
+  }
+
+  user.emailVerified = true;
+  user.emailVerificationToken = undefined;
+  user.emailVerificationExpires = undefined;
+  await user.save();
+
+  logger.info(`Email verified for user ID: ${user._id}`);
+  sendSuccessResponse(
+    res,
+    { email: user.email, emailVerified: true },
+    "Email verified successfully"
+  );
+});
+
+export const resendVerificationEmail = asyncHandler(async (req, res) => {
+  const { email } = req.body;
+
+  logger.debug("Verification email resend requested");
+
+  const user = await User.findOne({ email });
+
+  if (user && !user.emailVerified) {
+    const { token, expiresInHours } = issueEmailVerificationToken(user);
+    await user.save();
+    await sendVerificationEmail(user, token, expiresInHours);
+
+    logger.info(`Verification email resent for user ID: ${user._id}`);
+  } else {
+    logger.warn(`Verification email not resent for ${email}`);
+  }
+
+  // Same response whether or not the account exists to avoid user enumeration
+  sendSuccessResponse(
+    res,
+    null,
+    "If an unverified account with that email exists, a verification email has been sent"
+  );
+});
+
+// ==================== Password Recovery Operations ====================
+
+export const forgotPassword = asyncHandler(async (req, res) => {
+  const { email } = req.body;
+
+  logger.debug("Password reset requested");
+
+  const user = await User.findOne({ email });
+
+  if (user) {
+    const expiresInMinutes =
+      parseInt(process.env.PASSWORD_RESET_EXPIRES_MINUTES) || 30;
+    const { token, hashedToken, expiresAt } =
+      generateOneTimeToken(expiresInMinutes);
+
+    user.passwordResetToken = hashedToken;
+    user.passwordResetExpires = expiresAt;
+    await user.save();
+
+    await sendPasswordResetEmail(user, token, expiresInMinutes);
+
+    logger.info(`Password reset token issued for user ID: ${user._id}`);
+  } else {
+    logger.warn(`Password reset requested for unknown email ${email}`);
+  }
+
+  // Same response whether or not the account exists to avoid user enumeration
+  sendSuccessResponse(
+    res,
+    null,
+    "If an account with that email exists, a password reset link has been sent"
+  );
+});
+
+export const resetPassword = asyncHandler(async (req, res) => {
+  const { token, password } = req.body;
+
+  logger.debug("Password reset attempt");
+
+  const validation = isValidPassword(password);
+  if (!validation.isValid) {
+    logger.error(`Password reset failed: ${validation.error}`);
+    return sendErrorResponse(res, validation.error, 400);
+  }
+
+  const user = await User.findOne({
+    passwordResetToken: hashToken(token),
+    passwordResetExpires: { $gt: new Date() },
+  });
+
+  if (!user) {
+    logger.error("Password reset failed: invalid or expired token");
+    return sendErrorResponse(
+      res,
+      "Invalid or expired password reset token",
+      400
+    );
+  }
+
+  user.password = await hashPassword(password);
+
+  // Tokens are single-use
+  user.passwordResetToken = undefined;
+  user.passwordResetExpires = undefined;
+
+  // Sign the user out everywhere. Whoever knew the old password may have
+  // created API keys, so those go too
+  revokeAllUserTokens(user);
+  await user.save();
+  const { modifiedCount: revokedApiKeys } = await ApiKey.updateMany(
+    { user: user._id, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedBy: user._id } }
+  );
+
+  logger.security("password_reset", { userId: user._id, revokedApiKeys });
+  logger.info(`Password reset successfully for user ID: ${user._id}`);
+  sendSuccessResponse(res, null, "Password has been reset successfully");
+});
+
 // ==================== Profile Operations ====================
 
 export const getCurrentUserProfile = asyncHandler(async (req, res) => {
@@ -299,6 +707,22 @@ export const getCurrentUserProfile = asyncHandler(async (req, res) => {
 
   const sanitizedUser = sanitizeUser(user);
 
+  // Lets clients show that an admin is acting as the user
+  const impersonatorId = getImpersonatorId(req.user);
+  if (impersonatorId) {
+    const impersonator = await User.findById(impersonatorId)
+      .select("name email")
+      .lean();
+    sanitizedUser.impersonation = {
+      impersonatedBy: {
+        id: impersonatorId,
+        name: impersonator?.name ?? null,
+        email: impersonator?.email ?? null,
+      },
+      expiresAt: new Date(req.user.exp * 1000),
+    };
+  }
+
   logger.info(`Profile retrieved successfully for user ID: ${userId}`);
   sendSuccessResponse(res, sanitizedUser, "Profile retrieved successfully");
 });
@@ -318,7 +742,10 @@ export const updateCurrentUserProfile = asyncHandler(async (req, res) => {
 
   // Check if email is being changed and if it already exists
   if (email && email !== user.email) {
-    const emailExists = await User.findOne({ email, _id: { $ne: userId } });
+    const emailExists = await User.findOne({
+      email,
+      _id: { $ne: userId },
+    }).setOptions({ includeDeleted: true });
     if (emailExists) {
       logger.error(`Email ${email} already exists`);
       return sendErrorResponse(res, "Email already exists", 409);
@@ -338,3 +765,405 @@ export const updateCurrentUserProfile = asyncHandler(async (req, res) => {
   logger.info(`Profile updated successfully for user ID: ${userId}`);
   sendSuccessResponse(res, sanitizedUser, "Profile updated successfully");
 });
+
+export const changePassword = asyncHandler(async (req, res) => {
+  const userId = req.user.id;
+  const { currentPassword, newPassword } = req.body;
+
+  logger.debug(`Password change attempt for user ID: ${userId}`);
+
+  const validation = isValidPassword(newPassword);
+  if (!validation.isValid) {
+    logger.error(`Password change failed: ${validation.error}`);
+    return sendErrorResponse(res, validation.error, 400);
+  }
+
+  const user = await User.findById(userId);
+
+  if (!user) {
+    logger.error(`User with ID: ${userId} not found`);
+    return sendErrorResponse(res, "User not found", 404);
+  }
+
+  const isPasswordValid = await comparePassword(currentPassword, user.password);
+  if (!isPasswordValid) {
+    logger.error(`Incorrect current password for user ID: ${userId}`);
+    return sendErrorResponse(res, "Current password is incorrect", 401);
+  }
+
+  if (await comparePassword(newPassword, user.password)) {
+    logger.error(`New password matches current one for user ID: ${userId}`);
+    return sendErrorResponse(
+      res,
+      "New password must be different from the current password",
+      400
+    );
+  }
+
+  user.password = await hashPassword(newPassword);
+
+  // Sign out everywhere, then reissue tokens for this session so the caller
+  // stays logged in
+  revokeAllUserTokens(user);
+  const tokens = generateTokenPair(buildTokenPayload(user), req.user.sid);
+  addRefreshToken(user, tokens.refreshToken, getSessionContext(req));
+  await user.save();
+
+  logger.security("password_changed", { userId: user._id, ip: req.ip });
+  sendSuccessResponse(res, tokens, "Password changed successfully");
+});
+
+export const deleteCurrentUser = asyncHandler(async (req, res) => {
+  const userId = req.user.id;
+  const { password } = req.body;
+
+  logger.debug(`Account deletion requested for user ID: ${userId}`);
+
+  const user = await User.findById(userId);
+
+  if (!user) {
+    logger.error(`User with ID: ${userId} not found`);
+    return sendErrorResponse(res, "User not found", 404);
+  }
+
+  const isPasswordValid = await comparePassword(password, user.password);
+  if (!isPasswordValid) {
+    logger.error(`Incorrect password for account deletion, user ID: ${userId}`);
+    return sendErrorResponse(res, "Password is incorrect", 401);
+  }
+
+  if (user.deletionScheduledFor) {
+    logger.error(`Account deletion already scheduled for user ID: ${userId}`);
+    return sendErrorResponse(res, "Account deletion is already scheduled", 409);
+  }
+
+  if (await isLastActiveAdmin(user)) {
+    logger.error(`Refusing to delete the last admin (ID: ${userId})`);
+    return sendErrorResponse(
+      res,
+      "Cannot delete the last remaining admin",
+      409
+    );
+  }
+
+  const graceDays = parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS) || 14;
+  user.deletionScheduledFor = new Date(
+    Date.now() + graceDays * 24 * 60 * 60 * 1000
+  );
+
+  // End every session, so no refresh token keeps the account in use through
+  // the grace period; only a new login (which cancels the deletion) does.
+  // The current access token works until it expires, so the pending deletion
+  // still shows in the profile
+  const isOtherSession = (session) => session.family !== req.user.sid;
+  for (const session of user.sessions.filter(isOtherSession)) {
+    await revokeSessionAccessTokens(session);
+  }
+  revokeSessions(user, () => true);
+  await user.save();
+
+  logger.security("account_deletion_scheduled", {
+    userId: user._id,
+    deletionScheduledFor: user.deletionScheduledFor,
+  });
+  sendSuccessResponse(
+    res,
+    { deletionScheduledFor: user.deletionScheduledFor },
+    "Account deletion scheduled. Log in before the deletion date to cancel it"
+  );
+});
+
+// ==================== Admin Operations ====================
+
+/**
+ * Check whether a user is the only active Admin left
+ * @param {Object} user - User document
+ * @returns {Promise<boolean>} True if no other active Admin exists
+ */
+const isLastActiveAdmin = async (user) => {
+  if (user.role !== "Admin" || user.status === "suspended") {
+    return false;
+  }
+  // Admins waiting for their own deletion will not be around for long
+  const otherAdmins = await User.countDocuments({
+    role: "Admin",
+    status: { $ne: "suspended" },
+    deletionScheduledFor: null,
+    _id: { $ne: user._id },
+  });
+  return otherAdmins === 0;
+};
+
+export const updateUser = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { name, email, role, status } = req.body;
+
+  logger.debug(`Admin update for user ID: ${id}`);
+
+  const user = await User.findById(id).setOptions({
+    tenant: getTenant(req.user),
+  });
+
+  if (!user) {
+    logger.error(`User with ID: ${id} not found`);
+    return sendErrorResponse(res, "User not found", 404);
+  }
+
+  const roleChanged = role !== undefined && role !== user.role;
+  const suspended = status === "suspended" && user.status !== "suspended";
+
+  // Custom roles can grant users:write; it must not lead to more than that
+  if (roleChanged) {
+    const rolePermissions = await getRolePermissions(role);
+    if (!hasPermissions(req.user, rolePermissions)) {
+      logger.error(`User ID: ${req.user.id} cannot assign role ${role}`);
+      return sendErrorResponse(
+        res,
+        "You cannot assign a role with permissions you do not have",
+        403
+      );
+    }
+  }
+
+  if (
+    ((roleChanged && role !== "Admin") || suspended) &&
+    (await isLastActiveAdmin(user))
+  ) {
+    logger.error(`Refusing to demote or suspend the last admin (ID: ${id})`);
+    return sendErrorResponse(
+      res,
+      "Cannot demote or suspend the last remaining admin",
+      409
+    );
+  }
+
+  if (email && email !== user.email) {
+    const emailExists = await User.findOne({
+      email,
+      _id: { $ne: id },
+    }).setOptions({ includeDeleted: true });
+    if (emailExists) {
+      logger.error(`Email ${email} already exists`);
+      return sendErrorResponse(res, "Email already exists", 409);
+    }
+    user.email = email;
+  }
+
+  if (name) {
+    user.name = name;
+  }
+  if (role) {
+    user.role = role;
+  }
+  if (status) {
+    user.status = status;
+  }
+
+  // Tokens carry the role, so a new role (or a suspension) needs new tokens
+  if (roleChanged || suspended) {
+    revokeAllUserTokens(user);
+  }
+
+  await user.save();
+
+  logger.security("user_updated", {
+    userId: user._id,
+    adminId: req.user.id,
+    fields: ["name", "email", "role", "status"].filter(
+      (field) => req.body[field] !== undefined
+    ),
+  });
+  sendSuccessResponse(
+    res,
+    sanitizeUser(user.toObject()),
+    "User updated successfully"
+  );
+});
+
+export const deleteUser = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  logger.debug(`Admin delete for user ID: ${id}`);
+
+  const user = await User.findById(id).setOptions({
+    tenant: getTenant(req.user),
+  });
+
+  if (!user) {
+    logger.error(`User with ID: ${id} not found`);
+    return sendErrorResponse(res, "User not found", 404);
+  }
+
+  if (await isLastActiveAdmin(user)) {
+    logger.error(`Refusing to delete the last admin (ID: ${id})`);
+    return sendErrorResponse(
+      res,
+      "Cannot delete the last remaining admin",
+      409
+    );
+  }
+
+  // Soft delete: the record is kept (and can be restored) until purged
+  user.deletedAt = new Date();
+  user.deletedBy = req.user.id;
+  revokeAllUserTokens(user);
+  await user.save();
+
+  logger.security("user_deleted", { userId: user._id, adminId: req.user.id });
+  sendSuccessResponse(res, null, "User deleted successfully");
+});
+
+export const restoreUser = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  logger.debug(`Admin restore for user ID: ${id}`);
+
+  const user = await User.findById(id).setOptions({
+    includeDeleted: true,
+    tenant: getTenant(req.user),
+  });
+
+  if (!user) {
+    logger.error(`User with ID: ${id} not found`);
+    return sendErrorResponse(res, "User not found", 404);
+  }
+
+  if (!user.deletedAt) {
+    logger.error(`User with ID: ${id} is not deleted`);
+    return sendErrorResponse(res, "User is not deleted", 409);
+  }
+
+  user.deletedAt = null;
+  user.deletedBy = null;
+  await user.save();
+
+  logger.security("user_restored", { userId: user._id, adminId: req.user.id });
+  sendSuccessResponse(
+    res,
+    sanitizeUser(user.toObject()),
+    "User restored successfully"
+  );
+});
+
+export const unlockUser = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  logger.debug(`Unlocking user with ID: ${id}`);
+
+  const user = await User.findById(id).setOptions({
+    tenant: getTenant(req.user),
+  });
+
+  if (!user) {
+    logger.error(`User with ID: ${id} not found`);
+    return sendErrorResponse(res, "User not found", 404);
+  }
+
+  // Admins cannot act on accounts that hold more than they do
+  const userPermissions = await getUserPermissions(user);
+  if (!hasPermissions(req.user, userPermissions)) {
+    logger.error(`User ID: ${req.user.id} cannot unlock user ID: ${id}`);
+    return sendErrorResponse(
+      res,
+      "You cannot manage a user with permissions you do not have",
+      403
+    );
+  }
+
+  resetLoginThrottle(user);
+  await user.save();
+
+  logger.security("account_unlocked", {
+    userId: user._id,
+    adminId: req.user.id,
+  });
+  sendSuccessResponse(res, null, "User unlocked successfully");
+});
+
+// ==================== Impersonation Operations ====================
+
+export const impersonateUser = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  logger.debug(`Impersonation of user ID: ${id} by user ID: ${req.user.id}`);
+
+  if (id === req.user.id) {
+    logger.error(`User ID: ${id} tried to impersonate themselves`);
+    return sendErrorResponse(res, "You cannot impersonate yourself", 400);
+  }
+
+  // Members of an organization can only impersonate users they can see
+  const user = await User.findById(id).setOptions({
+    tenant: getTenant(req.user),
+  });
+
+  if (!user) {
+    logger.error(`User with ID: ${id} not found`);
+    return sendErrorResponse(res, "User not found", 404);
+  }
+
+  if (user.status === "suspended") {
+    logger.error(`Refusing to impersonate suspended user ID: ${id}`);
+    return sendErrorResponse(res, "Account suspended", 403);
+  }
+
+  // Impersonation must not lead to more than the caller already has
+  const userPermissions = await getUserPermissions(user);
+  if (!hasPermissions(req.user, userPermissions)) {
+    logger.error(`User ID: ${req.user.id} cannot impersonate user ID: ${id}`);
+    return sendErrorResponse(
+      res,
+      "You cannot impersonate a user with permissions you do not have",
+      403
+    );
+  }
+
+  const { accessToken, jti, expiresAt } = generateImpersonationToken(
+    user,
+    req.user.id
+  );
+
+  await recordAuditEvent({
+    event: "impersonation_started",
+    user: user._id,
+    actor: req.user.id,
+    details: { jti, expiresAt },
+    req,
+  });
+  logger.security("impersonation_started", {
+    userId: user._id,
+    adminId: req.user.id,
+    jti,
+  });
+  sendSuccessResponse(
+    res,
+    { accessToken, expiresAt, user: sanitizeUser(user.toObject()) },
+    "Impersonation started"
+  );
+});
+
+export const endImpersonation = asyncHandler(async (req, res) => {
+  const impersonatorId = getImpersonatorId(req.user);
+
+  if (!impersonatorId) {
+    logger.error(`User ID: ${req.user.id} is not being impersonated`);
+    return sendErrorResponse(res, "Not impersonating", 400);
+  }
+
+  // The token used for this request stops working
+  await revokeAccessToken(req.user);
+
+  await recordAuditEvent({
+    event: "impersonation_ended",
+    user: req.user.id,
+    actor: impersonatorId,
+    details: { jti: req.user.jti },
+    req,
+  });
+  logger.security("impersonation_ended", {
+    userId: req.user.id,
+    adminId: impersonatorId,
+    jti: req.user.jti,
+  });
+  sendSuccessResponse(res, null, "Impersonation ended");
+});
@@ -0,0 +1,243 @@
+import User from "../models/userModels.js";
+import { asyncHandler } from "../utils/errorHandler.js";
+import { logger } from "../utils/logger.js";
+import {
+  sendSuccessResponse,
+  sendErrorResponse,
+} from "../utils/responseHandler.js";
+import { verifyPurposeToken } from "../utils/jwt.js";
+import { recordAuditEvent } from "../utils/auditLog.js";
+import { completeLogin } from "../utils/loginHelper.js";
+import {
+  buildRegistrationOptions,
+  buildAuthenticationOptions,
+  verifyRegistrationResponse,
+  verifyAuthenticationResponse,
+  formatPasskey,
+} from "../utils/webauthn.js";
+
+// ==================== Registration Operations ====================
+
+export const getRegistrationOptions = asyncHandler(async (req, res) => {
+  const userId = req.user.id;
+
+  logger.debug(`Passkey registration options for user ID: ${userId}`);
+
+  const user = await User.findById(userId).select("+passkeys");
+
+  if (!user) {
+    logger.error(`User with ID: ${userId} not found`);
+    return sendErrorResponse(res, "User not found", 404);
+  }
+
+  sendSuccessResponse(
+    res,
+    { options: buildRegistrationOptions(user, user.passkeys) },
+    "Passkey registration options created"
+  );
+});
+
+export const registerPasskey = asyncHandler(async (req, res) => {
+  const userId = req.user.id;
+  const { credential, name } = req.body;
+
+  logger.debug(`Passkey registration for user ID: ${userId}`);
+
+  const user = await User.findById(userId).select("+passkeys");
+
+  if (!user) {
+    logger.error(`User with ID: ${userId} not found`);
+    return sendErrorResponse(res, "User not found", 404);
+  }
+
+  let passkey;
+  try {
+    passkey = verifyRegistrationResponse(credential, userId);
+  } catch (error) {
+    logger.error(
+      `Passkey registration failed for user ID: ${userId}: ${error.message}`
+    );
+    return sendErrorResponse(res, "Passkey verification failed", 400);
+  }
+
+  // A credential can only belong to one account
+  const existing = await User.exists({
+    "passkeys.credentialId": passkey.credentialId,
+  }).setOptions({ includeDeleted: true });
+  if (existing) {
+    logger.error(`Passkey already registered, user ID: ${userId}`);
+    return sendErrorResponse(res, "This passkey is already registered", 409);
+  }
+
+  user.passkeys.push({
+    ...passkey,
+    name: name || `Passkey ${user.passkeys.length + 1}`,
+  });
+  await user.save();
+
+  const created = user.passkeys[user.passkeys.length - 1];
+
+  await recordAuditEvent({
+    event: "passkey_registered",
+    user: user._id,
+    details: { passkeyId: created._id, name: created.name },
+    req,
+  });
+
+  logger.info(`Passkey ${created._id} registered for user ID: ${userId}`);
+  sendSuccessResponse(
+    res,
+    { passkey: formatPasskey(created) },
+    "Passkey registered successfully",
+    201
+  );
+});
+
+// ==================== Authentication Operations ====================
+
+export const getAuthenticationOptions = asyncHandler(async (req, res) => {
+  const { mfaToken } = req.body;
+
+  // Without an MFA token the browser offers any passkey it holds for us
+  if (!mfaToken) {
+    logger.debug("Passkey login options requested");
+    return sendSuccessResponse(
+      res,
+      { options: buildAuthenticationOptions("login") },
+      "Passkey login options created"
+    );
+  }
+
+  let decoded;
+  try {
+    decoded = verifyPurposeToken(mfaToken, "mfa");
+  } catch (error) {
+    logger.error(`Passkey MFA options failed: ${error.message}`);
+    return sendErrorResponse(res, "Invalid or expired MFA token", 401);
+  }
+
+  const user = await User.findById(decoded.id).select("+passkeys");
+
+  if (!user || !user.twoFactor?.enabled) {
+    logger.error("Passkey MFA options failed: user not found or 2FA disabled");
+    return sendErrorResponse(res, "Invalid or expired MFA token", 401);
+  }
+
+  if (user.passkeys.length === 0) {
+    logger.error(`No passkeys registered for user ID: ${user._id}`);
+    return sendErrorResponse(res, "No passkeys registered", 400);
+  }
+
+  sendSuccessResponse(
+    res,
+    { options: buildAuthenticationOptions("mfa", user, user.passkeys) },
+    "Passkey login options created"
+  );
+});
+
+export const loginWithPasskey = asyncHandler(async (req, res) => {
+  const { credential } = req.body;
+
+  logger.debug("Passkey login attempt");
+
+  const user = await User.findOne({
+    "passkeys.credentialId": credential.id,
+  }).select("+passkeys");
+  const passkey = user?.passkeys.find(
+    (stored) => stored.credentialId === credential.id
+  );
+
+  if (!passkey) {
+    logger.error("Passkey login failed: unknown credential");
+    return sendErrorResponse(res, "Invalid passkey", 401);
+  }
+
+  try {
+    Object.assign(
+      passkey,
+      verifyAuthenticationResponse(credential, passkey, {
+        ceremony: "login",
+        userId: user._id,
+      })
+    );
+  } catch (error) {
+    logger.error(
+      `Passkey login failed for user ID: ${user._id}: ${error.message}`
+    );
+    await recordAuditEvent({
+      event: "login_failed",
+      user: user._id,
+      details: { reason: "invalid_passkey" },
+      req,
+    });
+    return sendErrorResponse(res, "Invalid passkey", 401);
+  }
+  passkey.lastUsedAt = new Date();
+
+  if (user.status === "suspended") {
+    logger.error(`Passkey login failed: user ID ${user._id} is suspended`);
+    return sendErrorResponse(res, "Account suspended", 403);
+  }
+
+  // A passkey with user verification is already two factors
+  return completeLogin(
+    req,
+    res,
+    user,
+    "passkey",
+    { passkeyId: passkey._id },
+    { skipTwoFactor: true }
+  );
+});
+
+// ==================== Passkey Operations ====================
+
+export const getPasskeys = asyncHandler(async (req, res) => {
+  const userId = req.user.id;
+
+  logger.debug(`Fetching passkeys for user ID: ${userId}`);
+
+  const user = await User.findById(userId).select("+passkeys");
+
+  if (!user) {
+    logger.error(`User with ID: ${userId} not found`);
+    return sendErrorResponse(res, "User not found", 404);
+  }
+
+  logger.info(
+    `Retrieved ${user.passkeys.length} passkeys for user ID: ${userId}`
+  );
+  sendSuccessResponse(
+    res,
+    { passkeys: user.passkeys.map(formatPasskey) },
+    "Passkeys retrieved successfully"
+  );
+});
+
+export const removePasskey = asyncHandler(async (req, res) => {
+  const userId = req.user.id;
+  const { id } = req.params;
+
+  logger.debug(`Removing passkey ${id} for user ID: ${userId}`);
+
+  const user = await User.findById(userId).select("+passkeys");
+  const passkey = user?.passkeys.find((stored) => stored.id === id);
+
+  if (!passkey) {
+    logger.error(`Passkey ${id} not found for user ID: ${userId}`);
+    return sendErrorResponse(res, "Passkey not found", 404);
+  }
+
+  user.passkeys = user.passkeys.filter((stored) => stored !== passkey);
+  await user.save();
+
+  await recordAuditEvent({
+    event: "passkey_removed",
+    user: user._id,
+    details: { passkeyId: id, name: passkey.name },
+    req,
+  });
+
+  logger.info(`Passkey ${id} removed for user ID: ${userId}`);
+  sendSuccessResponse(res, null, "Passkey removed successfully");
+});
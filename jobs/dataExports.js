@@ -0,0 +1,121 @@
+import DataExport from "../models/dataExportModels.js";
+import { logger } from "../utils/logger.js";
+import {
+  buildUserDataExport,
+  writeExportArchive,
+  removeExportArchive,
+} from "../utils/dataExport.js";
+import { scheduleJob } from "./scheduler.js";
+
+/**
+ * Hours an export archive is kept once generated
+ * @returns {number} Retention in hours
+ */
+export const getDataExportRetentionHours = () => {
+  return parseInt(process.env.DATA_EXPORT_EXPIRES_HOURS) || 24;
+};
+
+/**
+ * Minutes after which a pending export is considered lost. Exports run inside
+ * the server process, so a restart leaves them pending for good.
+ * @returns {number} Timeout in minutes (DATA_EXPORT_PENDING_TIMEOUT_MINUTES, 30 by default)
+ */
+export const getDataExportPendingTimeoutMinutes = () => {
+  return parseInt(process.env.DATA_EXPORT_PENDING_TIMEOUT_MINUTES) || 30;
+};
+
+/**
+ * Oldest creation date of a pending export that may still be running
+ * @param {Date} [now] - Current time
+ * @returns {Date} Cutoff date
+ */
+export const getPendingExportCutoff = (now = new Date()) => {
+  return new Date(
+    now.getTime() - getDataExportPendingTimeoutMinutes() * 60 * 1000
+  );
+};
+
+/**
+ * Generate the archive of a pending export
+ * @param {string} exportId - DataExport ID
+ */
+export const processDataExport = async (exportId) => {
+  const dataExport = await DataExport.findById(exportId);
+  if (!dataExport || dataExport.status !== "pending") {
+    return;
+  }
+
+  try {
+    const data = await buildUserDataExport(dataExport.user);
+    if (!data) {
+      throw new Error("User not found");
+    }
+
+    dataExport.fileName = await writeExportArchive(
+      data,
+      `user-data-${dataExport._id}`,
+      dataExport.format
+    );
+    dataExport.status = "ready";
+    dataExport.completedAt = new Date();
+    dataExport.expiresAt = new Date(
+      Date.now() + getDataExportRetentionHours() * 60 * 60 * 1000
+    );
+    logger.info(`Data export ${exportId} ready`);
+  } catch (error) {
+    dataExport.status = "failed";
+    dataExport.failureReason = error.message;
+    logger.error(`Data export ${exportId} failed: ${error.message}`);
+  }
+
+  await dataExport.save();
+};
+
+/**
+ * Remove the archives of exports past their expiry date
+ * @param {Date} [now] - Current time
+ * @returns {Promise<number>} Number of exports expired
+ */
+export const expireDataExports = async (now = new Date()) => {
+  const exports = await DataExport.find({
+    status: "ready",
+    expiresAt: { $lte: now },
+  }).select("+fileName");
+
+  for (const dataExport of exports) {
+    await removeExportArchive(dataExport.fileName);
+    dataExport.status = "expired";
+    dataExport.fileName = undefined;
+    await dataExport.save();
+  }
+
+  return exports.length;
+};
+
+/**
+ * Mark exports pending for longer than the timeout as failed, so their users
+ * can request a new one
+ * @param {Date} [now] - Current time
+ * @returns {Promise<number>} Number of exports failed
+ */
+export const failStalledDataExports = async (now = new Date()) => {
+  const result = await DataExport.updateMany(
+    { status: "pending", createdAt: { $lte: getPendingExportCutoff(now) } },
+    { $set: { status: "failed", failureReason: "Export timed out" } }
+  );
+  return result.modifiedCount;
+};
+
+/**
+ * Run the export cleanup periodically (DATA_EXPORT_CLEANUP_INTERVAL_MS, hourly
+ * by default): fail stalled exports and expire old archives
+ * @returns {Object} Timer handle
+ */
+export const startDataExportCleanupJob = () => {
+  const intervalMs =
+    parseInt(process.env.DATA_EXPORT_CLEANUP_INTERVAL_MS) || 60 * 60 * 1000;
+  return scheduleJob("expireDataExports", intervalMs, async () => {
+    await failStalledDataExports();
+    await expireDataExports();
+  });
+};
@@ -0,0 +1,69 @@
+import User from "../models/userModels.js";
+import { logger } from "../utils/logger.js";
+import {
+  hashRandomPassword,
+  revokeAllUserTokens,
+} from "../utils/authHelper.js";
+import { scheduleJob } from "./scheduler.js";
+
+/**
+ * Strip personal data from a user and mark it deleted. The anonymised record
+ * is then purged like any soft-deleted user (see purgeDeletedUsers.js).
+ * @param {Object} user - User document (caller saves it)
+ * @param {Date} [now] - Deletion time
+ */
+export const anonymizeUser = async (user, now = new Date()) => {
+  user.name = "Deleted User";
+  user.email = `deleted-${user._id}@deleted.example.org`;
+  // Nobody knows this password, so the account cannot be logged into
+  user.password = await hashRandomPassword();
+  user.emailVerified = false;
+  user.emailVerificationToken = undefined;
+  user.emailVerificationExpires = undefined;
+  user.passwordResetToken = undefined;
+  user.passwordResetExpires = undefined;
+  user.magicLinkToken = undefined;
+  user.magicLinkExpires = undefined;
+  user.twoFactor = { enabled: false };
+  user.passkeys = [];
+  // Frees the provider identities for a new account
+  user.identities = [];
+  revokeAllUserTokens(user);
+
+  user.deletionScheduledFor = null;
+  user.deletedAt = now;
+  user.deletedBy = user._id;
+};
+
+/**
+ * Delete accounts whose self-service deletion grace period has ended
+ * @param {Date} [now] - Current time
+ * @returns {Promise<number>} Number of accounts deleted
+ */
+export const processAccountDeletions = async (now = new Date()) => {
+  const users = await User.find({
+    deletionScheduledFor: { $ne: null, $lte: now },
+  });
+
+  for (const user of users) {
+    await anonymizeUser(user, now);
+    await user.save();
+    logger.security("account_deleted", { userId: user._id });
+  }
+
+  return users.length;
+};
+
+/**
+ * Run the deletion job periodically (ACCOUNT_DELETION_INTERVAL_MS, hourly by default)
+ * @returns {Object} Timer handle
+ */
+export const startAccountDeletionJob = () => {
+  const intervalMs =
+    parseInt(process.env.ACCOUNT_DELETION_INTERVAL_MS) || 60 * 60 * 1000;
+  return scheduleJob(
+    "processAccountDeletions",
+    intervalMs,
+    processAccountDeletions
+  );
+};
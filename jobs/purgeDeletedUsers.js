@@ -0,0 +1,54 @@
+import User from "../models/userModels.js";
+import ApiKey from "../models/apiKeyModels.js";
+import Group from "../models/groupModels.js";
+import { logger } from "../utils/logger.js";
+import { clearGroupCache } from "../utils/permissions.js";
+import { scheduleJob } from "./scheduler.js";
+
+/**
+ * Days a soft-deleted user is kept before being purged
+ * @returns {number} Retention period in days
+ */
+export const getDeletedUserRetentionDays = () => {
+  return parseInt(process.env.DELETED_USER_RETENTION_DAYS) || 30;
+};
+
+/**
+ * Permanently remove users soft-deleted longer than the retention period
+ * @param {Date} [now] - Current time
+ * @returns {Promise<number>} Number of users purged
+ */
+export const purgeDeletedUsers = async (now = new Date()) => {
+  const retentionMs = getDeletedUserRetentionDays() * 24 * 60 * 60 * 1000;
+  const cutoff = new Date(now.getTime() - retentionMs);
+
+  const filter = { deletedAt: { $ne: null, $lte: cutoff } };
+
+  // Keys and group memberships go first so none are left pointing at a
+  // removed user
+  const userIds = await User.distinct("_id", filter);
+  if (userIds.length > 0) {
+    await ApiKey.deleteMany({ user: { $in: userIds } });
+    await Group.updateMany(
+      { members: { $in: userIds } },
+      { $pull: { members: { $in: userIds } } }
+    );
+    clearGroupCache();
+  }
+  const { deletedCount } = await User.deleteMany(filter);
+
+  if (deletedCount > 0) {
+    logger.info(`Purged ${deletedCount} deleted users`);
+  }
+  return deletedCount;
+};
+
+/**
+ * Run the purge periodically (PURGE_INTERVAL_MS, daily by default)
+ * @returns {Object} Timer handle
+ */
+export const startPurgeDeletedUsersJob = () => {
+  const intervalMs =
+    parseInt(process.env.PURGE_INTERVAL_MS) || 24 * 60 * 60 * 1000;
+  return scheduleJob("purgeDeletedUsers", intervalMs, purgeDeletedUsers);
+};
@@ -0,0 +1,25 @@
+import { logger } from "../utils/logger.js";
+
+/**
+ * Run a background job at a fixed interval. Failures are logged and the job
+ * keeps its schedule; the timer does not keep the process alive.
+ * @param {string} name - Job name used in logs
+ * @param {number} intervalMs - Time between runs in ms
+ * @param {Function} job - Async function to run
+ * @returns {Object} Timer handle (pass to clearInterval to stop the job)
+ */
+export const scheduleJob = (name, intervalMs, job) => {
+  const run = async () => {
+    try {
+      await job();
+    } catch (error) {
+      logger.error(`Job ${name} failed: ${error.message}`);
+    }
+  };
+
+  const timer = setInterval(run, intervalMs);
+  timer.unref();
+
+  logger.info(`Job ${name} scheduled every ${intervalMs}ms`);
+  return timer;
+};
@@ -1,8 +1,135 @@
 import { verifyToken } from "../utils/jwt.js";
 import { logger } from "../utils/logger.js";
 import { sendErrorResponse } from "../utils/responseHandler.js";
+import { getEmailVerificationPolicy, hashToken } from "../utils/authHelper.js";
+import { isAccessTokenRevokedForUser } from "../utils/revocationStore.js";
+import { getApiKeyFromRequest, isApiKeyFormat } from "../utils/apiKey.js";
+import {
+  parseBasicCredentials,
+  verifyIntrospectionClient,
+} from "../utils/introspection.js";
+import { getUserPermissions, hasPermissions } from "../utils/permissions.js";
+import User from "../models/userModels.js";
+import ApiKey from "../models/apiKeyModels.js";
+
+// lastUsedAt is written at most this often per key
+const API_KEY_USAGE_UPDATE_MS = 60 * 1000;
+
+/**
+ * Apply the email verification policy to an authenticated request
+ * @param {Object} req - Express request with req.user set
+ * @returns {boolean} True if the request must be rejected
+ */
+const isBlockedByEmailVerification = (req) => {
+  // Tokens issued before email verification existed carry no claim
+  if (req.user.emailVerified !== false) {
+    return false;
+  }
+  const policy = getEmailVerificationPolicy();
+  return (
+    policy === "block" || (policy === "limit" && !req.allowUnverifiedEmail)
+  );
+};
+
+/**
+ * Authenticate a request made with an API key. Keys only reach routes that
+ * opted in with allowApiKey, and only with the scope the route asks for.
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Next middleware
+ * @param {string} key - API key sent by the client
+ */
+const authenticateApiKey = async (req, res, next, key) => {
+  if (!req.apiKeyScope) {
+    logger.error(`API key used on ${req.method} ${req.originalUrl}`);
+    return sendErrorResponse(
+      res,
+      "API keys cannot be used for this endpoint",
+      403
+    );
+  }
+
+  if (!isApiKeyFormat(key)) {
+    logger.error("Malformed API key");
+    return sendErrorResponse(res, "Invalid API key", 401);
+  }
+
+  try {
+    const now = new Date();
+    const apiKey = await ApiKey.findOne({
+      keyHash: hashToken(key),
+      revokedAt: null,
+      expiresAt: { $gt: now },
+    });
+    // Keys of deleted users are not found along with their owner
+    const user =
+      apiKey &&
+      (await User.findById(apiKey.user)
+        .select("email role emailVerified status organization orgRole")
+        .lean());
+
+    if (!apiKey || !user) {
+      logger.error("Unknown, revoked or expired API key");
+      return sendErrorResponse(res, "Invalid API key", 401);
+    }
+
+    if (user.status === "suspended") {
+      logger.error(`API key used by suspended user ID: ${user._id}`);
+      return sendErrorResponse(res, "Account suspended", 403);
+    }
+
+    if (!apiKey.scopes.includes(req.apiKeyScope)) {
+      logger.error(
+        `API key ${apiKey._id} is missing the ${req.apiKeyScope} scope`
+      );
+      return sendErrorResponse(
+        res,
+        `API key is missing the ${req.apiKeyScope} scope`,
+        403
+      );
+    }
+
+    if (
+      !apiKey.lastUsedAt ||
+      now - apiKey.lastUsedAt > API_KEY_USAGE_UPDATE_MS
+    ) {
+      await ApiKey.updateOne(
+        { _id: apiKey._id },
+        { lastUsedAt: now, lastUsedIp: req.ip }
+      );
+    }
+
+    req.user = {
+      id: user._id.toString(),
+      email: user.email,
+      role: user.role,
+      emailVerified: user.emailVerified,
+      permissions: await getUserPermissions(user),
+      orgId: user.organization ? user.organization.toString() : undefined,
+      orgRole: user.organization ? user.orgRole : undefined,
+      apiKeyId: apiKey._id.toString(),
+      scopes: apiKey.scopes,
+    };
+    logger.info(`API key ${apiKey._id} verified for user ID: ${user._id}`);
+  } catch (error) {
+    logger.error(`API key verification failed: ${error.message}`);
+    return sendErrorResponse(res, "Invalid API key", 401, error);
+  }
+
+  if (isBlockedByEmailVerification(req)) {
+    logger.error(`Unverified email access denied for user ID: ${req.user.id}`);
+    return sendErrorResponse(res, "Email address not verified", 403);
+  }
+
+  next();
+};
 
 export const authenticateToken = async (req, res, next) => {
+  const apiKey = getApiKeyFromRequest(req);
+  if (apiKey) {
+    return authenticateApiKey(req, res, next, apiKey);
+  }
+
   const authHeader = req.headers["authorization"];
   const token = authHeader && authHeader.split(" ")[1];
 
@@ -14,9 +141,84 @@ export const authenticateToken = async (req, res, next) => {
     req.user = decoded;
     logger.info("Token verified successfully");
     logger.info(`User data from token: ${JSON.stringify(decoded)}`); // Add this line to see what's in the token
-    next();
   } catch (error) {
     logger.error(`Token verification failed: ${error.message}`);
     return sendErrorResponse(res, "Invalid token", 403, error);
   }
+
+  // Reject tokens revoked on logout and tokens issued before the user's token
+  // version was bumped (password reset, role change, deletion...)
+  try {
+    const user = await User.findById(req.user.id).select("tokenVersion").lean();
+    if (await isAccessTokenRevokedForUser(req.user, user)) {
+      logger.error(`Revoked token used for user ID: ${req.user.id}`);
+      return sendErrorResponse(res, "Token has been revoked", 401);
+    }
+
+    // Tokens carry the role (a role change bumps the token version); group
+    // permissions are looked up on each request
+    req.user.permissions = await getUserPermissions(req.user);
+  } catch (error) {
+    logger.error(`Token revocation check failed: ${error.message}`);
+    return sendErrorResponse(res, "Invalid token", 403, error);
+  }
+
+  if (isBlockedByEmailVerification(req)) {
+    logger.error(`Unverified email access denied for user ID: ${req.user.id}`);
+    return sendErrorResponse(res, "Email address not verified", 403);
+  }
+
+  next();
+};
+
+// Authenticate a backend service calling the introspection endpoint, either
+// with client credentials (HTTP Basic) or with an admin API key
+export const authenticateIntrospectionClient = async (req, res, next) => {
+  const credentials = parseBasicCredentials(req.headers["authorization"]);
+
+  if (credentials) {
+    if (
+      !verifyIntrospectionClient(credentials.clientId, credentials.clientSecret)
+    ) {
+      logger.error(`Invalid introspection client: ${credentials.clientId}`);
+      res.set("WWW-Authenticate", 'Basic realm="introspection"');
+      return sendErrorResponse(res, "Invalid client credentials", 401);
+    }
+    req.client = { id: credentials.clientId };
+    return next();
+  }
+
+  if (!getApiKeyFromRequest(req)) {
+    res.set("WWW-Authenticate", 'Basic realm="introspection"');
+    return sendErrorResponse(res, "Client authentication required", 401);
+  }
+
+  req.apiKeyScope = "tokens:introspect";
+  return authenticateToken(req, res, () => {
+    // Keys stop working if their owner loses the permission
+    if (!hasPermissions(req.user, ["tokens:introspect"])) {
+      logger.error(`Introspection by non-admin user ID: ${req.user.id}`);
+      return sendErrorResponse(
+        res,
+        "Access denied: insufficient permissions",
+        403
+      );
+    }
+    req.client = { id: `api-key:${req.user.apiKeyId}` };
+    next();
+  });
+};
+
+// Opt a route in to unverified accounts under the "limit" verification policy
+export const allowUnverifiedEmail = (req, res, next) => {
+  req.allowUnverifiedEmail = true;
+  next();
+};
+
+// Opt a route in to API keys carrying the given scope
+export const allowApiKey = (scope) => {
+  return (req, res, next) => {
+    req.apiKeyScope = scope;
+    next();
+  };
 };
@@ -24,3 +24,29 @@ export const createAccountRateLimiter = rateLimit({
   max: 3, // limit each IP to 3 account creation requests per windowMs
   message: "Too many accounts created from this IP, please try again later.",
 });
+
+// Verification email resend rate limiter
+export const verificationEmailRateLimiter = rateLimit({
+  windowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS), // 15 minutes
+  max: parseInt(process.env.VERIFICATION_EMAIL_RATE_LIMIT_MAX) || 3, // limit each IP to 3 resend requests per windowMs
+  message:
+    "Too many verification emails requested from this IP, please try again later.",
+});
+
+// Magic link rate limiter, counted per email address so one inbox cannot be
+// flooded from many IPs (runs after validation has normalized the email)
+export const magicLinkRateLimiter = rateLimit({
+  windowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS), // 15 minutes
+  max: parseInt(process.env.MAGIC_LINK_RATE_LIMIT_MAX) || 3, // limit each email to 3 links per windowMs
+  keyGenerator: (req) => `magic-link:${String(req.body.email).toLowerCase()}`,
+  message:
+    "Too many login links requested for this email, please try again later.",
+});
+
+// Token introspection rate limiter (called by backend services on every request they serve)
+export const introspectionRateLimiter = rateLimit({
+  windowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS), // 15 minutes
+  max: parseInt(process.env.INTROSPECTION_RATE_LIMIT_MAX) || 1000, // limit each IP to 1000 introspections per windowMs
+  message:
+    "Too many introspection requests from this IP, please try again later.",
+});
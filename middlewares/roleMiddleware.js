@@ -1,13 +1,16 @@
 import { sendErrorResponse } from "../utils/responseHandler.js";
 import { logger } from "../utils/logger.js";
+import { hasPermissions, canAccessUser } from "../utils/permissions.js";
+import { canManageOrganization, getTenant } from "../utils/organizations.js";
+import { getImpersonatorId } from "../utils/impersonation.js";
 
-export const authorizeRole = (...roles) => {
+export const authorize = (...permissions) => {
   return (req, res, next) => {
-    if (!req.user || !roles.includes(req.user.role)) {
+    if (!req.user || !hasPermissions(req.user, permissions)) {
       logger.error(
         `Unauthorized access attempt by user with role: ${
           req.user ? req.user.role : "unknown"
-        }`
+        } (needs ${permissions.join(", ")})`
       );
       return sendErrorResponse(
         res,
@@ -19,3 +22,79 @@ export const authorizeRole = (...roles) => {
     next();
   };
 };
+
+// For per-user routes (/:id): users may always act on their own record,
+// other records need the permissions
+export const authorizeSelfOr = (...permissions) => {
+  return (req, res, next) => {
+    if (!req.user || !canAccessUser(req.user, req.params.id, permissions)) {
+      logger.error(
+        `Unauthorized access to user ${req.params.id} by user: ${
+          req.user ? req.user.id : "unknown"
+        } (needs ${permissions.join(", ")})`
+      );
+      return sendErrorResponse(
+        res,
+        "Access denied: insufficient permissions",
+        403
+      );
+    }
+    logger.info(`User ${req.user.id} authorized for user ${req.params.id}`);
+    next();
+  };
+};
+
+// For organization routes (/:id): owners and admins of that organization,
+// or holders of organizations:manage
+export const authorizeOrganizationManager = (req, res, next) => {
+  if (!req.user || !canManageOrganization(req.user, req.params.id)) {
+    logger.error(
+      `Unauthorized access to organization ${req.params.id} by user: ${
+        req.user ? req.user.id : "unknown"
+      }`
+    );
+    return sendErrorResponse(
+      res,
+      "Access denied: insufficient permissions",
+      403
+    );
+  }
+  logger.info(
+    `User ${req.user.id} authorized for organization ${req.params.id}`
+  );
+  next();
+};
+
+// For platform-wide settings (groups...): only staff outside any
+// organization may change them, whatever their permissions
+export const denyOrganizationMembers = (req, res, next) => {
+  const tenant = getTenant(req.user);
+  if (tenant) {
+    logger.error(
+      `Blocked ${req.method} ${req.originalUrl} for user ${req.user.id} of organization ${tenant}`
+    );
+    return sendErrorResponse(
+      res,
+      "Access denied: not available to organization members",
+      403
+    );
+  }
+  next();
+};
+
+// For sensitive account operations (credentials, deletion...): an admin
+// impersonating the user may not perform them
+export const denyImpersonation = (req, res, next) => {
+  const impersonatorId = getImpersonatorId(req.user);
+  if (impersonatorId) {
+    logger.error(
+      `Blocked ${req.method} ${req.originalUrl} for user ${req.user.id} impersonated by ${impersonatorId}`
+    );
+    return sendErrorResponse(
+      res,
+      "This action is not allowed while impersonating",
+      403
+    );
+  }
+  next();
+};
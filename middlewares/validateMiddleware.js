@@ -1,12 +1,24 @@
-import { body, validationResult } from "express-validator";
+import { body, check, param, validationResult } from "express-validator";
+import { API_KEY_SCOPES, getApiKeyConfig } from "../utils/apiKey.js";
+import { PERMISSIONS, roleExists } from "../utils/permissions.js";
+import { ORG_ROLES } from "../utils/organizations.js";
 
-export const validateRegistration = [
-  body("email")
-    .trim()
-    .isEmail()
-    .withMessage("Invalid email format")
-    .normalizeEmail(),
-  body("password")
+// Roles live in the database, so this check is asynchronous
+const existingRole = () =>
+  body("role")
+    .optional()
+    .isString()
+    .withMessage("Role must be a string")
+    .bail()
+    .custom(async (role) => {
+      if (!(await roleExists(role))) {
+        throw new Error("Role does not exist");
+      }
+      return true;
+    });
+
+const strongPassword = (field) =>
+  body(field)
     .isLength({ min: 8 })
     .withMessage("Password must be at least 8 characters")
     .matches(/[a-z]/)
@@ -14,7 +26,15 @@ export const validateRegistration = [
     .matches(/[A-Z]/)
     .withMessage("Password must contain uppercase letter")
     .matches(/[0-9]/)
-    .withMessage("Password must contain number"),
+    .withMessage("Password must contain number");
+
+export const validateRegistration = [
+  body("email")
+    .trim()
+    .isEmail()
+    .withMessage("Invalid email format")
+    .normalizeEmail(),
+  strongPassword("password"),
   body("username")
     .optional()
     .trim()
@@ -54,6 +74,118 @@ export const validateProfileUpdate = [
   handleValidationErrors,
 ];
 
+export const validateAccountDeletion = [
+  body("password").notEmpty().withMessage("Password is required"),
+  handleValidationErrors,
+];
+
+export const validateDataExportRequest = [
+  body("format")
+    .optional()
+    .isIn(["json", "gzip"])
+    .withMessage("Format must be json or gzip"),
+  handleValidationErrors,
+];
+
+export const validateDataExportId = [
+  param("id").isMongoId().withMessage("Invalid export ID"),
+  handleValidationErrors,
+];
+
+export const validateDataExportDownload = [
+  param("id").isMongoId().withMessage("Invalid export ID"),
+  // A repeated token parameter arrives as an array
+  check("token")
+    .isString()
+    .withMessage("Download token must be a string")
+    .notEmpty()
+    .withMessage("Download token is required"),
+  handleValidationErrors,
+];
+
+const apiKeyName = () =>
+  body("name")
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage("Name must be between 1 and 100 characters");
+
+export const validateApiKeyCreation = [
+  apiKeyName(),
+  body("scopes")
+    .isArray({ min: 1 })
+    .withMessage("At least one scope is required"),
+  body("scopes.*")
+    .isIn(API_KEY_SCOPES)
+    .withMessage(`Scopes must be among ${API_KEY_SCOPES.join(", ")}`),
+  body("expiresInDays")
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage("expiresInDays must be a positive integer")
+    .bail()
+    .custom((value) => Number(value) <= getApiKeyConfig().maxExpiresInDays)
+    .withMessage("expiresInDays is above the allowed maximum")
+    .toInt(),
+  handleValidationErrors,
+];
+
+export const validateApiKeyUpdate = [
+  param("id").isMongoId().withMessage("Invalid API key ID"),
+  apiKeyName(),
+  handleValidationErrors,
+];
+
+export const validateApiKeyId = [
+  param("id").isMongoId().withMessage("Invalid API key ID"),
+  handleValidationErrors,
+];
+
+export const validateUserApiKeyId = [
+  param("id").isMongoId().withMessage("Invalid user ID"),
+  param("keyId").isMongoId().withMessage("Invalid API key ID"),
+  handleValidationErrors,
+];
+
+export const validateIntrospection = [
+  body("token")
+    .notEmpty()
+    .withMessage("Token is required")
+    .isString()
+    .withMessage("Token must be a string"),
+  body("token_type_hint")
+    .optional()
+    .isIn(["access_token", "refresh_token"])
+    .withMessage("token_type_hint must be access_token or refresh_token"),
+  handleValidationErrors,
+];
+
+export const validateUserId = [
+  param("id").isMongoId().withMessage("Invalid user ID"),
+  handleValidationErrors,
+];
+
+export const validateUserUpdate = [
+  param("id").isMongoId().withMessage("Invalid user ID"),
+  body("name")
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 50 })
+    .withMessage("Name must be between 2 and 50 characters")
+    .matches(/^[a-zA-Z\s]+$/)
+    .withMessage("Name can only contain letters and spaces"),
+  body("email")
+    .optional()
+    .trim()
+    .isEmail()
+    .withMessage("Invalid email format")
+    .normalizeEmail(),
+  existingRole(),
+  body("status")
+    .optional()
+    .isIn(["active", "suspended"])
+    .withMessage("Status must be active or suspended"),
+  handleValidationErrors,
+];
+
 export const validateRefreshToken = [
   body("refreshToken")
     .notEmpty()
@@ -63,6 +195,368 @@ export const validateRefreshToken = [
   handleValidationErrors,
 ];
 
+export const validateForgotPassword = [
+  body("email")
+    .trim()
+    .isEmail()
+    .withMessage("Invalid email format")
+    .normalizeEmail(),
+  handleValidationErrors,
+];
+
+export const validateResetPassword = [
+  body("token")
+    .notEmpty()
+    .withMessage("Reset token is required")
+    .isString()
+    .withMessage("Reset token must be a string"),
+  strongPassword("password"),
+  handleValidationErrors,
+];
+
+export const validateChangePassword = [
+  body("currentPassword")
+    .notEmpty()
+    .withMessage("Current password is required"),
+  strongPassword("newPassword"),
+  handleValidationErrors,
+];
+
+// Token may come from the query string (email link) or the request body
+export const validateEmailVerification = [
+  check("token")
+    .notEmpty()
+    .withMessage("Verification token is required")
+    .isString()
+    .withMessage("Verification token must be a string"),
+  handleValidationErrors,
+];
+
+export const validateResendVerification = [
+  body("email")
+    .trim()
+    .isEmail()
+    .withMessage("Invalid email format")
+    .normalizeEmail(),
+  handleValidationErrors,
+];
+
+export const validateMagicLinkRequest = [
+  body("email")
+    .trim()
+    .isEmail()
+    .withMessage("Invalid email format")
+    .normalizeEmail(),
+  handleValidationErrors,
+];
+
+export const validateMagicLinkConsume = [
+  body("token")
+    .notEmpty()
+    .withMessage("Login token is required")
+    .isString()
+    .withMessage("Login token must be a string"),
+  handleValidationErrors,
+];
+
+export const validateTwoFactorCode = [
+  body("code")
+    .trim()
+    .matches(/^\d{6}$/)
+    .withMessage("Authentication code must be 6 digits"),
+  handleValidationErrors,
+];
+
+export const validateTwoFactorLogin = [
+  body("mfaToken")
+    .notEmpty()
+    .withMessage("MFA token is required")
+    .isString()
+    .withMessage("MFA token must be a string"),
+  body("code")
+    .optional()
+    .trim()
+    .matches(/^\d{6}$/)
+    .withMessage("Authentication code must be 6 digits"),
+  body("recoveryCode")
+    .optional()
+    .isString()
+    .withMessage("Recovery code must be a string"),
+  body("webauthn")
+    .optional()
+    .isObject()
+    .withMessage("webauthn must be a passkey assertion"),
+  body().custom((value) => {
+    if (!value.code && !value.recoveryCode && !value.webauthn) {
+      throw new Error(
+        "Authentication code, recovery code or passkey is required"
+      );
+    }
+    return true;
+  }),
+  handleValidationErrors,
+];
+
+const webauthnCredential = (field) => [
+  body(field).isObject().withMessage("Passkey credential is required"),
+  body(`${field}.id`)
+    .isString()
+    .notEmpty()
+    .withMessage("Passkey credential ID is required"),
+  body(`${field}.response`)
+    .isObject()
+    .withMessage("Passkey credential response is required"),
+];
+
+export const validatePasskeyRegistration = [
+  ...webauthnCredential("credential"),
+  body("name")
+    .optional()
+    .isString()
+    .withMessage("Passkey name must be a string")
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage("Passkey name must be between 1 and 100 characters"),
+  handleValidationErrors,
+];
+
+export const validatePasskeyLoginOptions = [
+  body("mfaToken")
+    .optional()
+    .isString()
+    .withMessage("MFA token must be a string"),
+  handleValidationErrors,
+];
+
+export const validatePasskeyLogin = [
+  ...webauthnCredential("credential"),
+  handleValidationErrors,
+];
+
+export const validatePasskeyId = [
+  param("id").isMongoId().withMessage("Invalid passkey ID"),
+  handleValidationErrors,
+];
+
+const roleName = () =>
+  param("name")
+    .matches(/^[A-Za-z][A-Za-z0-9_-]{1,29}$/)
+    .withMessage("Invalid role name");
+
+const roleFields = () => [
+  body("description")
+    .optional()
+    .isString()
+    .withMessage("Description must be a string")
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage("Description must be at most 200 characters"),
+  body("permissions")
+    .optional()
+    .isArray()
+    .withMessage("Permissions must be an array"),
+  body("permissions.*")
+    .isIn(PERMISSIONS)
+    .withMessage(`Permissions must be among ${PERMISSIONS.join(", ")}`),
+  body("parents")
+    .optional()
+    .isArray()
+    .withMessage("Parents must be an array of role names"),
+  body("parents.*").isString().withMessage("Parents must be role names"),
+];
+
+export const validateRoleCreation = [
+  body("name")
+    .isString()
+    .withMessage("Name is required")
+    .trim()
+    .matches(/^[A-Za-z][A-Za-z0-9_-]{1,29}$/)
+    .withMessage(
+      "Name must be 2-30 letters, numbers, hyphens or underscores, starting with a letter"
+    ),
+  ...roleFields(),
+  handleValidationErrors,
+];
+
+export const validateRoleUpdate = [
+  roleName(),
+  body("name").not().exists().withMessage("Roles cannot be renamed"),
+  ...roleFields(),
+  handleValidationErrors,
+];
+
+export const validateRoleName = [roleName(), handleValidationErrors];
+
+// Organization validation rules
+const organizationId = () =>
+  param("id").isMongoId().withMessage("Invalid organization ID");
+
+const orgRole = () =>
+  body("role")
+    .isIn(ORG_ROLES)
+    .withMessage(`Role must be one of: ${ORG_ROLES.join(", ")}`);
+
+const optionalOrgRole = () =>
+  body("role")
+    .optional()
+    .isIn(ORG_ROLES)
+    .withMessage(`Role must be one of: ${ORG_ROLES.join(", ")}`);
+
+export const validateOrganizationCreation = [
+  body("name")
+    .isString()
+    .withMessage("Name is required")
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage("Name must be between 2 and 100 characters"),
+  body("slug")
+    .optional()
+    .matches(/^[a-z0-9]+(-[a-z0-9]+)*$/)
+    .withMessage(
+      "Slug can only contain lowercase letters, numbers and single hyphens"
+    )
+    .isLength({ max: 50 })
+    .withMessage("Slug must be at most 50 characters"),
+  body("ownerId").optional().isMongoId().withMessage("Invalid owner ID"),
+  handleValidationErrors,
+];
+
+export const validateOrganizationId = [
+  organizationId(),
+  handleValidationErrors,
+];
+
+export const validateMemberAddition = [
+  organizationId(),
+  body("userId").isMongoId().withMessage("Invalid user ID"),
+  optionalOrgRole(),
+  handleValidationErrors,
+];
+
+export const validateMemberUpdate = [
+  organizationId(),
+  param("userId").isMongoId().withMessage("Invalid user ID"),
+  orgRole(),
+  handleValidationErrors,
+];
+
+export const validateMemberId = [
+  organizationId(),
+  param("userId").isMongoId().withMessage("Invalid user ID"),
+  handleValidationErrors,
+];
+
+// Group validation rules
+const groupId = () => param("id").isMongoId().withMessage("Invalid group ID");
+
+const groupFields = () => [
+  body("description")
+    .optional()
+    .isString()
+    .withMessage("Description must be a string")
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage("Description must be at most 200 characters"),
+  body("roles")
+    .optional()
+    .isArray()
+    .withMessage("Roles must be an array of role names"),
+  body("roles.*").isString().withMessage("Roles must be role names"),
+  body("permissions")
+    .optional()
+    .isArray()
+    .withMessage("Permissions must be an array"),
+  body("permissions.*")
+    .isIn(PERMISSIONS)
+    .withMessage(`Permissions must be among ${PERMISSIONS.join(", ")}`),
+];
+
+const groupName = () =>
+  body("name")
+    .isString()
+    .withMessage("Name is required")
+    .trim()
+    .isLength({ min: 2, max: 50 })
+    .withMessage("Name must be between 2 and 50 characters");
+
+export const validateGroupCreation = [
+  groupName(),
+  ...groupFields(),
+  handleValidationErrors,
+];
+
+export const validateGroupUpdate = [
+  groupId(),
+  groupName().optional(),
+  ...groupFields(),
+  handleValidationErrors,
+];
+
+export const validateGroupId = [groupId(), handleValidationErrors];
+
+export const validateGroupMembers = [
+  groupId(),
+  body("userIds")
+    .isArray({ min: 1, max: 100 })
+    .withMessage("userIds must be an array of 1 to 100 user IDs"),
+  body("userIds.*").isMongoId().withMessage("Invalid user ID"),
+  handleValidationErrors,
+];
+
+export const validateGroupMemberId = [
+  groupId(),
+  param("userId").isMongoId().withMessage("Invalid user ID"),
+  handleValidationErrors,
+];
+
+// Invitation validation rules
+const invitationToken = () =>
+  param("token")
+    .notEmpty()
+    .withMessage("Invitation token is required")
+    .isString()
+    .withMessage("Invitation token must be a string");
+
+export const validateInvitation = [
+  body("email")
+    .trim()
+    .isEmail()
+    .withMessage("Invalid email format")
+    .normalizeEmail(),
+  existingRole(),
+  body("expiresInDays")
+    .optional()
+    .isInt({ min: 1, max: 30 })
+    .withMessage("expiresInDays must be between 1 and 30")
+    .toInt(),
+  body("organizationId")
+    .optional()
+    .isMongoId()
+    .withMessage("Invalid organization ID"),
+  body("orgRole")
+    .optional()
+    .isIn(ORG_ROLES)
+    .withMessage(`orgRole must be one of: ${ORG_ROLES.join(", ")}`),
+  handleValidationErrors,
+];
+
+export const validateInvitationId = [
+  param("id").isMongoId().withMessage("Invalid invitation ID"),
+  handleValidationErrors,
+];
+
+export const validateInvitationToken = [
+  invitationToken(),
+  handleValidationErrors,
+];
+
+export const validateInvitationAcceptance = [
+  invitationToken(),
+  body("name").trim().notEmpty().withMessage("Name is required"),
+  strongPassword("password"),
+  handleValidationErrors,
+];
+
 function handleValidationErrors(req, res, next) {
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
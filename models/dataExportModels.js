@@ -0,0 +1,54 @@
+import mongoose from "mongoose";
+
+// A personal data export requested by a user. The archive is written to disk
+// in the background and removed once the export expires.
+const dataExportSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ["pending", "ready", "failed", "expired"],
+      default: "pending",
+    },
+    format: {
+      type: String,
+      enum: ["json", "gzip"],
+      default: "json",
+    },
+    fileName: {
+      type: String,
+      select: false,
+    },
+    // Short-lived download link token (hashed)
+    downloadToken: {
+      type: String,
+      select: false,
+    },
+    downloadTokenExpires: {
+      type: Date,
+      select: false,
+    },
+    completedAt: {
+      type: Date,
+    },
+    expiresAt: {
+      type: Date,
+    },
+    failureReason: {
+      type: String,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+dataExportSchema.index({ user: 1, createdAt: -1 });
+
+const DataExport = mongoose.model("DataExport", dataExportSchema);
+
+export default DataExport;
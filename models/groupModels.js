@@ -0,0 +1,46 @@
+import mongoose from "mongoose";
+
+// A group of users. Members get the permissions of the group's roles and
+// its own permissions on top of those of their role (see utils/permissions.js).
+const groupSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      unique: true,
+      trim: true,
+    },
+    description: {
+      type: String,
+      trim: true,
+      default: "",
+    },
+    // Names of built-in or custom roles
+    roles: {
+      type: [String],
+      default: [],
+    },
+    permissions: {
+      type: [String],
+      default: [],
+    },
+    members: {
+      type: [{ type: mongoose.Schema.Types.ObjectId, ref: "User" }],
+      default: [],
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+groupSchema.index({ members: 1 });
+groupSchema.index({ roles: 1 });
+
+const Group = mongoose.model("Group", groupSchema);
+
+export default Group;
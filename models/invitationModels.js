@@ -0,0 +1,66 @@
+import mongoose from "mongoose";
+import { ORG_ROLES } from "../utils/organizations.js";
+
+// An invitation to create an account with a role chosen by an admin. The
+// invite link carries a signed token naming the invitation (see
+// utils/invitations.js); it works once, until it expires or is revoked.
+const invitationSchema = new mongoose.Schema(
+  {
+    email: {
+      type: String,
+      required: true,
+      lowercase: true,
+      trim: true,
+    },
+    // Name of a built-in or custom role (see utils/permissions.js)
+    role: {
+      type: String,
+      default: "User",
+    },
+    // Organization the new user joins, if any
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+      default: null,
+    },
+    orgRole: {
+      type: String,
+      enum: ORG_ROLES,
+      default: null,
+    },
+    invitedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    acceptedAt: {
+      type: Date,
+      default: null,
+    },
+    acceptedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+    revokedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+invitationSchema.index({ email: 1, acceptedAt: 1, revokedAt: 1 });
+
+const Invitation = mongoose.model("Invitation", invitationSchema);
+
+export default Invitation;
@@ -0,0 +1,32 @@
+import mongoose from "mongoose";
+
+// A customer company (tenant). Users join at most one organization; their
+// membership is stored on the user (organization, orgRole).
+const organizationSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    // URL-friendly unique identifier, e.g. "acme-corp"
+    slug: {
+      type: String,
+      required: true,
+      unique: true,
+      lowercase: true,
+      trim: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+const Organization = mongoose.model("Organization", organizationSchema);
+
+export default Organization;
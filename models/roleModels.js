@@ -0,0 +1,39 @@
+import mongoose from "mongoose";
+
+// A custom role created by an admin. Built-in roles (User, Moderator, Admin)
+// are defined in utils/permissions.js and are not stored here.
+const roleSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      unique: true,
+      trim: true,
+    },
+    description: {
+      type: String,
+      trim: true,
+      default: "",
+    },
+    permissions: {
+      type: [String],
+      default: [],
+    },
+    // Roles whose permissions this role inherits
+    parents: {
+      type: [String],
+      default: [],
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+const Role = mongoose.model("Role", roleSchema);
+
+export default Role;
@@ -1,4 +1,99 @@
 import mongoose from "mongoose";
+import { ORG_ROLES } from "../utils/organizations.js";
+
+// An external account (OAuth / OpenID Connect) linked to the user
+const identitySchema = new mongoose.Schema({
+  provider: {
+    type: String,
+    required: true,
+  },
+  subject: {
+    type: String,
+    required: true,
+  },
+  email: {
+    type: String,
+  },
+  linkedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// A WebAuthn credential (see utils/webauthn.js)
+const passkeySchema = new mongoose.Schema({
+  credentialId: {
+    type: String,
+    required: true,
+  },
+  // SPKI DER public key, base64url
+  publicKey: {
+    type: String,
+    required: true,
+  },
+  // COSE algorithm of the key (-7 ES256, -8 EdDSA, -257 RS256)
+  algorithm: {
+    type: Number,
+    required: true,
+  },
+  signCount: {
+    type: Number,
+    default: 0,
+  },
+  transports: {
+    type: [String],
+    default: [],
+  },
+  name: {
+    type: String,
+    trim: true,
+  },
+  aaguid: {
+    type: String,
+  },
+  backedUp: {
+    type: Boolean,
+    default: false,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  lastUsedAt: {
+    type: Date,
+  },
+});
+
+// One entry per refresh token family (see utils/sessionHelper.js)
+const sessionSchema = new mongoose.Schema({
+  tokenHash: {
+    type: String,
+    required: true,
+  },
+  family: {
+    type: String,
+    required: true,
+  },
+  userAgent: {
+    type: String,
+    default: "unknown",
+  },
+  ip: {
+    type: String,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+});
 
 const userSchema = new mongoose.Schema(
   {
@@ -25,15 +120,139 @@ const userSchema = new mongoose.Schema(
       required: [true, "Password is required"],
       minlength: [6, "Password must be at least 6 characters"],
     },
+    // Name of a built-in or custom role (see utils/permissions.js)
     role: {
       type: String,
-      enum: ["User", "Admin", "Moderator"],
       default: "User",
     },
-    refreshTokens: {
-      type: [String],
+    // Tenant membership (see utils/organizations.js); null outside any
+    // organization
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+      default: null,
+    },
+    orgRole: {
+      type: String,
+      enum: ORG_ROLES,
+      default: null,
+    },
+    status: {
+      type: String,
+      enum: ["active", "suspended"],
+      default: "active",
+    },
+    sessions: {
+      type: [sessionSchema],
+      default: [],
+    },
+    // Bumped to invalidate every access token issued so far
+    tokenVersion: {
+      type: Number,
+      default: 0,
+    },
+    emailVerified: {
+      type: Boolean,
+      default: false,
+    },
+    emailVerificationToken: {
+      type: String,
+      select: false,
+    },
+    emailVerificationExpires: {
+      type: Date,
+      select: false,
+    },
+    // Login throttling state (see utils/loginThrottle.js)
+    failedLoginAttempts: {
+      type: Number,
+      default: 0,
+    },
+    lastFailedLoginAt: {
+      type: Date,
+    },
+    lockUntil: {
+      type: Date,
+    },
+    lockoutCount: {
+      type: Number,
+      default: 0,
+    },
+    identities: {
+      type: [identitySchema],
       default: [],
     },
+    passkeys: {
+      type: [passkeySchema],
+      default: [],
+      select: false,
+    },
+    twoFactor: {
+      enabled: {
+        type: Boolean,
+        default: false,
+      },
+      enabledAt: {
+        type: Date,
+      },
+      secret: {
+        type: String,
+        select: false,
+      },
+      // Secret awaiting confirmation during enrolment
+      pendingSecret: {
+        type: String,
+        select: false,
+      },
+      // SHA-256 hashes of unused recovery codes
+      recoveryCodes: {
+        type: [String],
+        select: false,
+      },
+      // Last accepted time step, so a code cannot be replayed
+      lastUsedStep: {
+        type: Number,
+        select: false,
+      },
+      // Hash of the outstanding login challenge (mfaToken), single-use
+      challengeToken: {
+        type: String,
+        select: false,
+      },
+    },
+    passwordResetToken: {
+      type: String,
+      select: false,
+    },
+    passwordResetExpires: {
+      type: Date,
+      select: false,
+    },
+    // Passwordless login link (hashed, single-use)
+    magicLinkToken: {
+      type: String,
+      select: false,
+    },
+    magicLinkExpires: {
+      type: Date,
+      select: false,
+    },
+    // Self-service deletion: the account is deleted after this date unless
+    // the user logs in again before it
+    deletionScheduledFor: {
+      type: Date,
+      default: null,
+    },
+    // Soft delete: deleted users are hidden from queries until purged
+    deletedAt: {
+      type: Date,
+      default: null,
+    },
+    deletedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
   },
   {
     timestamps: true,
@@ -42,6 +261,47 @@ const userSchema = new mongoose.Schema(
 
 // Create index for role (email index is automatically created by unique: true)
 userSchema.index({ role: 1 });
+userSchema.index({ organization: 1 });
+userSchema.index({ deletedAt: 1 });
+userSchema.index({ deletionScheduledFor: 1 });
+userSchema.index(
+  { "identities.provider": 1, "identities.subject": 1 },
+  {
+    unique: true,
+    partialFilterExpression: { "identities.subject": { $exists: true } },
+  }
+);
+userSchema.index(
+  { "passkeys.credentialId": 1 },
+  {
+    unique: true,
+    partialFilterExpression: { "passkeys.credentialId": { $exists: true } },
+  }
+);
+
+// Hide soft-deleted users unless a query opts in with
+// .setOptions({ includeDeleted: true }) or filters on deletedAt itself
+userSchema.pre(
+  ["find", "findOne", "findOneAndUpdate", "countDocuments"],
+  function () {
+    if (this.getOptions().includeDeleted || "deletedAt" in this.getFilter()) {
+      return;
+    }
+    this.where({ deletedAt: null });
+  }
+);
+
+// Limit a query to one organization with .setOptions({ tenant: orgId })
+// (see getTenant in utils/organizations.js); a null tenant is not scoped
+userSchema.pre(
+  ["find", "findOne", "findOneAndUpdate", "countDocuments"],
+  function () {
+    const { tenant } = this.getOptions();
+    if (tenant) {
+      this.where({ organization: tenant });
+    }
+  }
+);
 
 const User = mongoose.model("User", userSchema);
 
@@ -0,0 +1,38 @@
+import express from "express";
+import {
+  authenticateToken,
+  authenticateIntrospectionClient,
+  allowUnverifiedEmail,
+  allowApiKey,
+} from "../middlewares/authMiddleware.js";
+import { introspectToken, getUserinfo } from "../controllers/authController.js";
+import { validateIntrospection } from "../middlewares/validateMiddleware.js";
+import {
+  apiRateLimiter,
+  introspectionRateLimiter,
+} from "../middlewares/rateLimitMiddleware.js";
+
+const router = express.Router();
+
+// Service-to-service routes (client credentials or admin API key).
+// RFC 7662 clients send form-encoded bodies.
+router.post(
+  "/introspect",
+  introspectionRateLimiter,
+  express.urlencoded({ extended: false }),
+  authenticateIntrospectionClient,
+  validateIntrospection,
+  introspectToken
+);
+
+// Protected routes (authentication required)
+router.get(
+  "/userinfo",
+  apiRateLimiter,
+  allowUnverifiedEmail,
+  allowApiKey("profile:read"),
+  authenticateToken,
+  getUserinfo
+);
+
+export default router;
@@ -0,0 +1,105 @@
+import express from "express";
+import { authenticateToken } from "../middlewares/authMiddleware.js";
+import {
+  authorize,
+  denyOrganizationMembers,
+} from "../middlewares/roleMiddleware.js";
+import {
+  getGroups,
+  getGroup,
+  createGroup,
+  updateGroup,
+  deleteGroup,
+  getGroupMembers,
+  addGroupMembers,
+  removeGroupMember,
+} from "../controllers/groupController.js";
+import {
+  validateGroupCreation,
+  validateGroupUpdate,
+  validateGroupId,
+  validateGroupMembers,
+  validateGroupMemberId,
+} from "../middlewares/validateMiddleware.js";
+import { apiRateLimiter } from "../middlewares/rateLimitMiddleware.js";
+
+const router = express.Router();
+
+// Group management routes (see utils/permissions.js). Groups are not scoped
+// to an organization and grant their permissions everywhere, so they are
+// managed by staff outside any organization only.
+router.get(
+  "/",
+  apiRateLimiter,
+  authenticateToken,
+  authorize("groups:manage"),
+  denyOrganizationMembers,
+  getGroups
+);
+router.post(
+  "/",
+  apiRateLimiter,
+  authenticateToken,
+  authorize("groups:manage"),
+  denyOrganizationMembers,
+  validateGroupCreation,
+  createGroup
+);
+router.get(
+  "/:id",
+  apiRateLimiter,
+  authenticateToken,
+  authorize("groups:manage"),
+  denyOrganizationMembers,
+  validateGroupId,
+  getGroup
+);
+router.patch(
+  "/:id",
+  apiRateLimiter,
+  authenticateToken,
+  authorize("groups:manage"),
+  denyOrganizationMembers,
+  validateGroupUpdate,
+  updateGroup
+);
+router.delete(
+  "/:id",
+  apiRateLimiter,
+  authenticateToken,
+  authorize("groups:manage"),
+  denyOrganizationMembers,
+  validateGroupId,
+  deleteGroup
+);
+
+// Group membership routes
+router.get(
+  "/:id/members",
+  apiRateLimiter,
+  authenticateToken,
+  authorize("groups:manage"),
+  denyOrganizationMembers,
+  validateGroupId,
+  getGroupMembers
+);
+router.post(
+  "/:id/members",
+  apiRateLimiter,
+  authenticateToken,
+  authorize("groups:manage"),
+  denyOrganizationMembers,
+  validateGroupMembers,
+  addGroupMembers
+);
+router.delete(
+  "/:id/members/:userId",
+  apiRateLimiter,
+  authenticateToken,
+  authorize("groups:manage"),
+  denyOrganizationMembers,
+  validateGroupMemberId,
+  removeGroupMember
+);
+
+export default router;
@@ -0,0 +1,66 @@
+import express from "express";
+import { authenticateToken } from "../middlewares/authMiddleware.js";
+import { authorize } from "../middlewares/roleMiddleware.js";
+import {
+  createInvitation,
+  getInvitations,
+  revokeInvitation,
+  previewInvitation,
+  loadInvitation,
+} from "../controllers/invitationController.js";
+import { createUser } from "../controllers/userController.js";
+import {
+  validateInvitation,
+  validateInvitationId,
+  validateInvitationToken,
+  validateInvitationAcceptance,
+} from "../middlewares/validateMiddleware.js";
+import {
+  apiRateLimiter,
+  createAccountRateLimiter,
+} from "../middlewares/rateLimitMiddleware.js";
+
+const router = express.Router();
+
+// Invitation management routes
+router.get(
+  "/",
+  apiRateLimiter,
+  authenticateToken,
+  authorize("users:invite"),
+  getInvitations
+);
+router.post(
+  "/",
+  apiRateLimiter,
+  authenticateToken,
+  authorize("users:invite"),
+  validateInvitation,
+  createInvitation
+);
+router.delete(
+  "/:id",
+  apiRateLimiter,
+  authenticateToken,
+  authorize("users:invite"),
+  validateInvitationId,
+  revokeInvitation
+);
+
+// Invite link routes (the token is the credential)
+router.get(
+  "/:token",
+  apiRateLimiter,
+  validateInvitationToken,
+  previewInvitation
+);
+router.post(
+  "/:token/accept",
+  apiRateLimiter,
+  createAccountRateLimiter,
+  validateInvitationAcceptance,
+  loadInvitation,
+  createUser
+);
+
+export default router;
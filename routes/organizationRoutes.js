@@ -0,0 +1,87 @@
+import express from "express";
+import { authenticateToken } from "../middlewares/authMiddleware.js";
+import {
+  authorize,
+  authorizeOrganizationManager,
+} from "../middlewares/roleMiddleware.js";
+import {
+  getOrganizations,
+  createOrganization,
+  getOrganization,
+  getMembers,
+  addMember,
+  updateMember,
+  removeMember,
+} from "../controllers/organizationController.js";
+import {
+  validateOrganizationCreation,
+  validateOrganizationId,
+  validateMemberAddition,
+  validateMemberUpdate,
+  validateMemberId,
+} from "../middlewares/validateMiddleware.js";
+import { apiRateLimiter } from "../middlewares/rateLimitMiddleware.js";
+
+const router = express.Router();
+
+// Platform routes (see utils/permissions.js)
+router.get(
+  "/",
+  apiRateLimiter,
+  authenticateToken,
+  authorize("organizations:manage"),
+  getOrganizations
+);
+router.post(
+  "/",
+  apiRateLimiter,
+  authenticateToken,
+  authorize("organizations:manage"),
+  validateOrganizationCreation,
+  createOrganization
+);
+// Only the platform adds existing accounts to an organization
+router.post(
+  "/:id/members",
+  apiRateLimiter,
+  authenticateToken,
+  authorize("organizations:manage"),
+  validateMemberAddition,
+  addMember
+);
+
+// Organization owner and admin routes (see utils/organizations.js)
+router.get(
+  "/:id",
+  apiRateLimiter,
+  authenticateToken,
+  validateOrganizationId,
+  authorizeOrganizationManager,
+  getOrganization
+);
+router.get(
+  "/:id/members",
+  apiRateLimiter,
+  authenticateToken,
+  validateOrganizationId,
+  authorizeOrganizationManager,
+  getMembers
+);
+router.patch(
+  "/:id/members/:userId",
+  apiRateLimiter,
+  authenticateToken,
+  validateMemberUpdate,
+  authorizeOrganizationManager,
+  updateMember
+);
+router.delete(
+  "/:id/members/:userId",
+  apiRateLimiter,
+  authenticateToken,
+  validateMemberId,
+  authorizeOrganizationManager,
+  removeMember
+);
+
+export default router;
@@ -0,0 +1,61 @@
+import express from "express";
+import { authenticateToken } from "../middlewares/authMiddleware.js";
+import { authorize } from "../middlewares/roleMiddleware.js";
+import {
+  getRoles,
+  getRole,
+  createRole,
+  updateRole,
+  deleteRole,
+} from "../controllers/roleController.js";
+import {
+  validateRoleCreation,
+  validateRoleUpdate,
+  validateRoleName,
+} from "../middlewares/validateMiddleware.js";
+import { apiRateLimiter } from "../middlewares/rateLimitMiddleware.js";
+
+const router = express.Router();
+
+// Role management routes (see utils/permissions.js)
+router.get(
+  "/",
+  apiRateLimiter,
+  authenticateToken,
+  authorize("roles:manage"),
+  getRoles
+);
+router.post(
+  "/",
+  apiRateLimiter,
+  authenticateToken,
+  authorize("roles:manage"),
+  validateRoleCreation,
+  createRole
+);
+router.get(
+  "/:name",
+  apiRateLimiter,
+  authenticateToken,
+  authorize("roles:manage"),
+  validateRoleName,
+  getRole
+);
+router.patch(
+  "/:name",
+  apiRateLimiter,
+  authenticateToken,
+  authorize("roles:manage"),
+  validateRoleUpdate,
+  updateRole
+);
+router.delete(
+  "/:name",
+  apiRateLimiter,
+  authenticateToken,
+  authorize("roles:manage"),
+  validateRoleName,
+  deleteRole
+);
+
+export default router;
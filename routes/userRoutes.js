@@ -1,26 +1,110 @@
 import express from "express";
-import { authenticateToken } from "../middlewares/authMiddleware.js";
-import { authorizeRole } from "../middlewares/roleMiddleware.js";
+import {
+  authenticateToken,
+  allowUnverifiedEmail,
+  allowApiKey,
+} from "../middlewares/authMiddleware.js";
+import {
+  authorize,
+  authorizeSelfOr,
+  denyImpersonation,
+} from "../middlewares/roleMiddleware.js";
 import {
   getAllUsers,
   createUser,
   getUserById,
   loginUser,
+  requestMagicLink,
+  consumeMagicLink,
   logoutUser,
   refreshAccessToken,
   getCurrentUserProfile,
   updateCurrentUserProfile,
+  changePassword,
+  deleteCurrentUser,
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerificationEmail,
+  unlockUser,
+  updateUser,
+  deleteUser,
+  restoreUser,
+  impersonateUser,
+  endImpersonation,
 } from "../controllers/userController.js";
+import {
+  getSessions,
+  revokeSession,
+  revokeOtherSessions,
+  revokeUserSessions,
+} from "../controllers/sessionController.js";
+import {
+  setupTwoFactor,
+  confirmTwoFactor,
+  verifyTwoFactorLogin,
+  resetTwoFactor,
+} from "../controllers/twoFactorController.js";
+import {
+  requestDataExport,
+  getDataExport,
+  downloadDataExport,
+} from "../controllers/dataExportController.js";
+import {
+  startOAuthLogin,
+  handleOAuthCallback,
+} from "../controllers/oauthController.js";
+import {
+  getApiKeys,
+  createApiKey,
+  updateApiKey,
+  revokeApiKey,
+  getUserApiKeys,
+  adminRevokeApiKey,
+} from "../controllers/apiKeyController.js";
+import {
+  getRegistrationOptions,
+  registerPasskey,
+  getAuthenticationOptions,
+  loginWithPasskey,
+  getPasskeys,
+  removePasskey,
+} from "../controllers/webauthnController.js";
 import {
   validateRegistration,
   validateLogin,
   validateProfileUpdate,
   validateRefreshToken,
+  validateForgotPassword,
+  validateResetPassword,
+  validateEmailVerification,
+  validateResendVerification,
+  validateTwoFactorCode,
+  validateTwoFactorLogin,
+  validateMagicLinkRequest,
+  validateMagicLinkConsume,
+  validateChangePassword,
+  validateAccountDeletion,
+  validateUserId,
+  validateUserUpdate,
+  validateDataExportRequest,
+  validateDataExportId,
+  validateDataExportDownload,
+  validateApiKeyCreation,
+  validateApiKeyUpdate,
+  validateApiKeyId,
+  validateUserApiKeyId,
+  validatePasskeyRegistration,
+  validatePasskeyLoginOptions,
+  validatePasskeyLogin,
+  validatePasskeyId,
 } from "../middlewares/validateMiddleware.js";
 import {
   createAccountRateLimiter,
   authRateLimiter,
   apiRateLimiter,
+  verificationEmailRateLimiter,
+  magicLinkRateLimiter,
 } from "../middlewares/rateLimitMiddleware.js";
 
 const router = express.Router();
@@ -40,45 +124,356 @@ router.post(
   validateLogin,
   loginUser
 );
+router.post(
+  "/login/2fa",
+  apiRateLimiter,
+  authRateLimiter,
+  validateTwoFactorLogin,
+  verifyTwoFactorLogin
+);
+router.post(
+  "/login/magic-link",
+  apiRateLimiter,
+  authRateLimiter,
+  validateMagicLinkRequest,
+  magicLinkRateLimiter,
+  requestMagicLink
+);
+router.post(
+  "/login/magic-link/consume",
+  apiRateLimiter,
+  authRateLimiter,
+  validateMagicLinkConsume,
+  consumeMagicLink
+);
+router.post(
+  "/webauthn/login/options",
+  apiRateLimiter,
+  authRateLimiter,
+  validatePasskeyLoginOptions,
+  getAuthenticationOptions
+);
+router.post(
+  "/webauthn/login/verify",
+  apiRateLimiter,
+  authRateLimiter,
+  validatePasskeyLogin,
+  loginWithPasskey
+);
+router.get(
+  "/oauth/:provider/start",
+  apiRateLimiter,
+  authRateLimiter,
+  startOAuthLogin
+);
+router.get(
+  "/oauth/:provider/callback",
+  apiRateLimiter,
+  authRateLimiter,
+  handleOAuthCallback
+);
 router.post(
   "/refresh",
   apiRateLimiter,
   validateRefreshToken,
   refreshAccessToken
 );
+router.post(
+  "/password/forgot",
+  apiRateLimiter,
+  authRateLimiter,
+  validateForgotPassword,
+  forgotPassword
+);
+router.post(
+  "/password/reset",
+  apiRateLimiter,
+  authRateLimiter,
+  validateResetPassword,
+  resetPassword
+);
+router.get(
+  "/verify-email",
+  apiRateLimiter,
+  validateEmailVerification,
+  verifyEmail
+);
+router.post(
+  "/verify-email",
+  apiRateLimiter,
+  validateEmailVerification,
+  verifyEmail
+);
+router.post(
+  "/verify-email/resend",
+  apiRateLimiter,
+  verificationEmailRateLimiter,
+  validateResendVerification,
+  resendVerificationEmail
+);
 
 // Protected routes (authentication required)
-router.post("/logout", apiRateLimiter, authenticateToken, logoutUser);
+router.post(
+  "/logout",
+  apiRateLimiter,
+  allowUnverifiedEmail,
+  authenticateToken,
+  logoutUser
+);
 
 // Current user profile routes
 router.get(
   "/profile",
   apiRateLimiter,
+  allowUnverifiedEmail,
+  allowApiKey("profile:read"),
   authenticateToken,
   getCurrentUserProfile
 );
 router.put(
   "/profile",
   apiRateLimiter,
+  allowApiKey("profile:write"),
   authenticateToken,
+  denyImpersonation,
   validateProfileUpdate,
   updateCurrentUserProfile
 );
+router.delete(
+  "/profile",
+  apiRateLimiter,
+  authRateLimiter,
+  authenticateToken,
+  denyImpersonation,
+  validateAccountDeletion,
+  deleteCurrentUser
+);
+router.post(
+  "/profile/export",
+  apiRateLimiter,
+  authenticateToken,
+  denyImpersonation,
+  validateDataExportRequest,
+  requestDataExport
+);
+router.get(
+  "/profile/export/:id",
+  apiRateLimiter,
+  authenticateToken,
+  denyImpersonation,
+  validateDataExportId,
+  getDataExport
+);
+// Download links are opened directly, so they carry a token instead of a JWT
+router.get(
+  "/profile/export/:id/download",
+  apiRateLimiter,
+  validateDataExportDownload,
+  downloadDataExport
+);
+router.put(
+  "/profile/password",
+  apiRateLimiter,
+  authRateLimiter,
+  authenticateToken,
+  denyImpersonation,
+  validateChangePassword,
+  changePassword
+);
 
-// Admin-only routes
+// Current user API key routes (API keys cannot manage keys themselves)
+router.get("/profile/api-keys", apiRateLimiter, authenticateToken, getApiKeys);
+router.post(
+  "/profile/api-keys",
+  apiRateLimiter,
+  authenticateToken,
+  denyImpersonation,
+  validateApiKeyCreation,
+  createApiKey
+);
+router.patch(
+  "/profile/api-keys/:id",
+  apiRateLimiter,
+  authenticateToken,
+  denyImpersonation,
+  validateApiKeyUpdate,
+  updateApiKey
+);
+router.delete(
+  "/profile/api-keys/:id",
+  apiRateLimiter,
+  authenticateToken,
+  denyImpersonation,
+  validateApiKeyId,
+  revokeApiKey
+);
+
+// Current user passkey routes
+router.post(
+  "/webauthn/register/options",
+  apiRateLimiter,
+  authenticateToken,
+  denyImpersonation,
+  getRegistrationOptions
+);
+router.post(
+  "/webauthn/register/verify",
+  apiRateLimiter,
+  authenticateToken,
+  denyImpersonation,
+  validatePasskeyRegistration,
+  registerPasskey
+);
+router.get("/profile/passkeys", apiRateLimiter, authenticateToken, getPasskeys);
+router.delete(
+  "/profile/passkeys/:id",
+  apiRateLimiter,
+  authenticateToken,
+  denyImpersonation,
+  validatePasskeyId,
+  removePasskey
+);
+
+// Current user session routes
+router.get("/sessions", apiRateLimiter, authenticateToken, getSessions);
+router.delete(
+  "/sessions",
+  apiRateLimiter,
+  authenticateToken,
+  denyImpersonation,
+  revokeOtherSessions
+);
+router.delete(
+  "/sessions/:id",
+  apiRateLimiter,
+  authenticateToken,
+  denyImpersonation,
+  revokeSession
+);
+
+// Two-factor authentication routes
+router.post(
+  "/2fa/setup",
+  apiRateLimiter,
+  authenticateToken,
+  denyImpersonation,
+  setupTwoFactor
+);
+router.post(
+  "/2fa/verify",
+  apiRateLimiter,
+  authenticateToken,
+  denyImpersonation,
+  validateTwoFactorCode,
+  confirmTwoFactor
+);
+
+// Ends the impersonation the token was issued for (see utils/impersonation.js)
+router.post(
+  "/impersonation/end",
+  apiRateLimiter,
+  allowUnverifiedEmail,
+  authenticateToken,
+  endImpersonation
+);
+
+// User administration routes (see utils/permissions.js)
+// GET /:id is also open to the user themselves
 router.get(
   "/all",
   apiRateLimiter,
+  allowApiKey("users:read"),
   authenticateToken,
-  authorizeRole("Admin"),
+  authorize("users:read"),
   getAllUsers
 );
 router.get(
   "/:id",
   apiRateLimiter,
+  allowApiKey("users:read"),
   authenticateToken,
-  authorizeRole("Admin"),
+  authorizeSelfOr("users:read"),
   getUserById
 );
+router.patch(
+  "/:id",
+  apiRateLimiter,
+  allowApiKey("users:write"),
+  authenticateToken,
+  authorize("users:write"),
+  validateUserUpdate,
+  updateUser
+);
+router.delete(
+  "/:id",
+  apiRateLimiter,
+  allowApiKey("users:write"),
+  authenticateToken,
+  authorize("users:delete"),
+  validateUserId,
+  deleteUser
+);
+router.post(
+  "/:id/restore",
+  apiRateLimiter,
+  allowApiKey("users:write"),
+  authenticateToken,
+  authorize("users:delete"),
+  validateUserId,
+  restoreUser
+);
+router.post(
+  "/:id/unlock",
+  apiRateLimiter,
+  allowApiKey("users:write"),
+  authenticateToken,
+  authorize("users:write"),
+  validateUserId,
+  unlockUser
+);
+router.delete(
+  "/:id/sessions",
+  apiRateLimiter,
+  allowApiKey("users:write"),
+  authenticateToken,
+  authorize("sessions:revoke"),
+  validateUserId,
+  revokeUserSessions
+);
+router.delete(
+  "/:id/2fa",
+  apiRateLimiter,
+  allowApiKey("users:write"),
+  authenticateToken,
+  authorize("users:write"),
+  validateUserId,
+  resetTwoFactor
+);
+router.get(
+  "/:id/api-keys",
+  apiRateLimiter,
+  authenticateToken,
+  authorize("users:read"),
+  validateUserId,
+  getUserApiKeys
+);
+router.delete(
+  "/:id/api-keys/:keyId",
+  apiRateLimiter,
+  authenticateToken,
+  authorize("sessions:revoke"),
+  validateUserApiKeyId,
+  adminRevokeApiKey
+);
+
+router.post(
+  "/:id/impersonate",
+  apiRateLimiter,
+  authenticateToken,
+  authorize("users:impersonate"),
+  denyImpersonation,
+  validateUserId,
+  impersonateUser
+);
 
 export default router;
@@ -0,0 +1,9 @@
+import express from "express";
+import { getJwksDocument } from "../controllers/jwksController.js";
+import { apiRateLimiter } from "../middlewares/rateLimitMiddleware.js";
+
+const router = express.Router();
+
+router.get("/jwks.json", apiRateLimiter, getJwksDocument);
+
+export default router;
@@ -0,0 +1,36 @@
+import fs from "fs";
+import path from "path";
+import { generateSigningKey } from "../utils/keyring.js";
+import { logger } from "../utils/logger.js";
+
+// Usage: node scripts/generateSigningKey.js <kid> [RS256|ES256] [directory]
+// Writes <directory>/<kid>.pem and prints the entry to add to the keyring file.
+
+const [kid, alg = "ES256", directory = "keys"] = process.argv.slice(2);
+
+if (!kid) {
+  logger.error(
+    "Usage: node scripts/generateSigningKey.js <kid> [RS256|ES256] [directory]"
+  );
+  process.exit(1);
+}
+
+const file = path.join(directory, `${kid}.pem`);
+if (fs.existsSync(file)) {
+  logger.error(`${file} already exists`);
+  process.exit(1);
+}
+
+fs.mkdirSync(directory, { recursive: true });
+fs.writeFileSync(file, generateSigningKey(alg), { mode: 0o600 });
+
+logger.info(`Private key written to ${file}`);
+logger.info("Add this entry to the keyring file (JWT_KEYRING_FILE):");
+// Printed bare so it can be copied as is
+console.log(
+  JSON.stringify(
+    { kid, alg, privateKeyFile: `${kid}.pem`, status: "active" },
+    null,
+    2
+  )
+);
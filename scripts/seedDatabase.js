@@ -14,60 +14,70 @@ const seedUsers = [
     email: "alice@example.com",
     password: bcrypt.hashSync("password123", saltRounds),
     role: "Admin",
+    emailVerified: true,
   },
   {
     name: "Bob Smith",
     email: "bob@example.com",
     password: bcrypt.hashSync("password123", saltRounds),
     role: "User",
+    emailVerified: true,
   },
   {
     name: "Charlie Brown",
     email: "charlie@example.com",
     password: bcrypt.hashSync("password123", saltRounds),
     role: "User",
+    emailVerified: true,
   },
   {
     name: "Diana King",
     email: "diana@example.com",
     password: bcrypt.hashSync("password123", saltRounds),
     role: "Moderator",
+    emailVerified: true,
   },
   {
     name: "Evan Lee",
     email: "evan@example.com",
     password: bcrypt.hashSync("password123", saltRounds),
     role: "User",
+    emailVerified: true,
   },
   {
     name: "Fiona Davis",
     email: "fiona@example.com",
     password: bcrypt.hashSync("password123", saltRounds),
     role: "Admin",
+    emailVerified: true,
   },
   {
     name: "George Miller",
     email: "george@example.com",
     password: bcrypt.hashSync("password123", saltRounds),
     role: "User",
+    emailVerified: true,
   },
   {
     name: "Hannah Scott",
     email: "hannah@example.com",
     password: bcrypt.hashSync("password123", saltRounds),
     role: "User",
+    emailVerified: true,
   },
   {
     name: "Ivan Lopez",
     email: "ivan@example.com",
     password: bcrypt.hashSync("password123", saltRounds),
     role: "User",
+    emailVerified: true,
   },
   {
     name: "Jenny Carter",
     email: "jenny@example.com",
     password: bcrypt.hashSync("password123", saltRounds),
     role: "Moderator",
+    emailVerified: true,
   },
 ];
 
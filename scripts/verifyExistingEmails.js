@@ -0,0 +1,37 @@
+import dotenv from "dotenv";
+dotenv.config();
+
+import mongoose from "mongoose";
+import User from "../models/userModels.js";
+import { logger } from "../utils/logger.js";
+
+// Usage: node scripts/verifyExistingEmails.js
+// Accounts created before email verification existed have no emailVerified
+// field and would be read as unverified, so EMAIL_VERIFICATION_POLICY=block
+// would lock them out. This marks them verified. Accounts created since then
+// store the field, so running the script again changes nothing.
+
+const verifyExistingEmails = async () => {
+  try {
+    const mongoUri =
+      process.env.MONGODB_URI || "mongodb://localhost:27017/user-management";
+
+    await mongoose.connect(mongoUri);
+    logger.info("Connected to MongoDB");
+
+    const result = await User.updateMany(
+      { emailVerified: { $exists: false } },
+      { $set: { emailVerified: true } }
+    );
+    logger.info(`Marked ${result.modifiedCount} existing users as verified`);
+
+    await mongoose.connection.close();
+    logger.info("Database connection closed");
+    process.exit(0);
+  } catch (error) {
+    logger.error(`Migration failed: ${error.message}`);
+    process.exit(1);
+  }
+};
+
+verifyExistingEmails();
@@ -3,8 +3,18 @@ dotenv.config();
 
 import express from "express";
 import userRoutes from "./routes/userRoutes.js";
+import authRoutes from "./routes/authRoutes.js";
+import roleRoutes from "./routes/roleRoutes.js";
+import organizationRoutes from "./routes/organizationRoutes.js";
+import groupRoutes from "./routes/groupRoutes.js";
+import invitationRoutes from "./routes/invitationRoutes.js";
+import wellKnownRoutes from "./routes/wellKnownRoutes.js";
 import { logger } from "./utils/logger.js";
 import { connectDatabase } from "./config/database.js";
+import { startPurgeDeletedUsersJob } from "./jobs/purgeDeletedUsers.js";
+import { startAccountDeletionJob } from "./jobs/processAccountDeletions.js";
+import { startDataExportCleanupJob } from "./jobs/dataExports.js";
+import { getKeyring, getSigningKey } from "./utils/keyring.js";
 
 // Connect to MongoDB
 connectDatabase();
@@ -26,6 +36,12 @@ app.use((req, res, next) => {
 
 // Routes
 app.use("/api/users", userRoutes);
+app.use("/api/auth", authRoutes);
+app.use("/api/roles", roleRoutes);
+app.use("/api/organizations", organizationRoutes);
+app.use("/api/groups", groupRoutes);
+app.use("/api/invitations", invitationRoutes);
+app.use("/.well-known", wellKnownRoutes);
 
 // Error handling middleware
 app.use((err, req, res, next) => {
@@ -42,7 +58,20 @@ export default app;
 
 // Start server only if not in test environment
 if (process.env.NODE_ENV !== "test") {
+  // Load the keyring now so a broken key file stops startup
+  const signingKey = getSigningKey();
+  logger.info(
+    signingKey
+      ? `Signing access tokens with ${signingKey.alg} key ${signingKey.kid} (${getKeyring().length} keys in keyring)`
+      : "Signing access tokens with HS256 (JWT_SECRET)"
+  );
+
   app.listen(PORT, () => {
     logger.info(`Server is running on port ${PORT}`);
   });
+
+  // Background jobs
+  startPurgeDeletedUsersJob();
+  startAccountDeletionJob();
+  startDataExportCleanupJob();
 }
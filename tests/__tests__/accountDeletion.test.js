@@ -0,0 +1,77 @@
+import request from "supertest";
+import app from "../../server.js";
+
+describe("Account Deletion API", () => {
+  let session;
+  let otherSession;
+  const testUser = {
+    name: "Deletion Test User",
+    email: `deletion${Date.now()}@example.com`,
+    password: "Test@123",
+  };
+
+  const login = async () => {
+    const response = await request(app)
+      .post("/api/users/login")
+      .send({ email: testUser.email, password: testUser.password })
+      .expect(200);
+    return response.body.data;
+  };
+
+  const getProfile = (accessToken) =>
+    request(app)
+      .get("/api/users/profile")
+      .set("Authorization", `Bearer ${accessToken}`);
+
+  const requestDeletion = (password) =>
+    request(app)
+      .delete("/api/users/profile")
+      .set("Authorization", `Bearer ${session.accessToken}`)
+      .send({ password });
+
+  beforeAll(async () => {
+    await request(app).post("/api/users/register").send(testUser);
+    session = await login();
+    otherSession = await login();
+  });
+
+  test("should require the password", async () => {
+    await requestDeletion(undefined).expect(400);
+
+    const response = await requestDeletion("Wrong@123").expect(401);
+    expect(response.body.message).toBe("Password is incorrect");
+  });
+
+  test("should schedule the deletion and sign out other sessions", async () => {
+    const response = await requestDeletion(testUser.password).expect(200);
+
+    const scheduledFor = new Date(response.body.data.deletionScheduledFor);
+    expect(scheduledFor.getTime()).toBeGreaterThan(Date.now());
+
+    // The pending deletion shows in the profile of the current session
+    const profile = await getProfile(session.accessToken).expect(200);
+    expect(profile.body.data.deletionScheduledFor).toBe(
+      response.body.data.deletionScheduledFor
+    );
+
+    await getProfile(otherSession.accessToken).expect(401);
+  });
+
+  test("should not let the current session be refreshed", async () => {
+    await request(app)
+      .post("/api/users/refresh")
+      .send({ refreshToken: session.refreshToken })
+      .expect(401);
+  });
+
+  test("should reject a second deletion request", async () => {
+    await requestDeletion(testUser.password).expect(409);
+  });
+
+  test("should cancel the deletion when the user logs in again", async () => {
+    const newSession = await login();
+
+    const profile = await getProfile(newSession.accessToken).expect(200);
+    expect(profile.body.data.deletionScheduledFor).toBeNull();
+  });
+});
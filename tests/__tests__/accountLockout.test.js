@@ -0,0 +1,109 @@
+import request from "supertest";
+import app from "../../server.js";
+
+describe("Account Lockout API", () => {
+  let userId;
+  let adminToken;
+  const originalMaxAttempts = process.env.LOGIN_MAX_FAILED_ATTEMPTS;
+
+  const testUser = {
+    name: "Lockout Test User",
+    email: `lockout${Date.now()}@example.com`,
+    password: "Test@123",
+  };
+
+  const login = (password) =>
+    request(app)
+      .post("/api/users/login")
+      .send({ email: testUser.email, password });
+
+  beforeAll(async () => {
+    process.env.LOGIN_MAX_FAILED_ATTEMPTS = "3";
+
+    const registerResponse = await request(app)
+      .post("/api/users/register")
+      .send(testUser);
+    userId = registerResponse.body.data.user.id;
+
+    const adminRes = await request(app).post("/api/users/login").send({
+      email: "alice@example.com",
+      password: "password123",
+    });
+    adminToken = adminRes.body.data.accessToken;
+  });
+
+  afterAll(() => {
+    if (originalMaxAttempts === undefined) {
+      delete process.env.LOGIN_MAX_FAILED_ATTEMPTS;
+    } else {
+      process.env.LOGIN_MAX_FAILED_ATTEMPTS = originalMaxAttempts;
+    }
+  });
+
+  test("should lock the account after repeated failed logins", async () => {
+    await login("Wrong@123").expect(401);
+    await login("Wrong@123").expect(401);
+    await login("Wrong@123").expect(401);
+
+    const response = await login(testUser.password).expect(429);
+
+    expect(response.body.success).toBe(false);
+    expect(Number(response.headers["retry-after"])).toBeGreaterThan(0);
+  });
+
+  test("should lock unknown emails the same way", async () => {
+    const email = `nobody${Date.now()}@example.com`;
+    const attempt = () =>
+      request(app)
+        .post("/api/users/login")
+        .send({ email, password: "Wrong@123" });
+
+    await attempt().expect(401);
+    await attempt().expect(401);
+    await attempt().expect(401);
+    await attempt().expect(429);
+  });
+
+  test("should count parallel failed logins", async () => {
+    await request(app)
+      .post(`/api/users/${userId}/unlock`)
+      .set("Authorization", `Bearer ${adminToken}`)
+      .expect(200);
+
+    await Promise.all(
+      Array.from({ length: 3 }, () => login("Wrong@123").expect(401))
+    );
+
+    await login(testUser.password).expect(429);
+  });
+
+  test("should reject malformed ids when unlocking", async () => {
+    await request(app)
+      .post("/api/users/not-an-id/unlock")
+      .set("Authorization", `Bearer ${adminToken}`)
+      .expect(400);
+  });
+
+  test("should not let non-admins unlock accounts", async () => {
+    const userRes = await request(app).post("/api/users/login").send({
+      email: "bob@example.com",
+      password: "password123",
+    });
+
+    await request(app)
+      .post(`/api/users/${userId}/unlock`)
+      .set("Authorization", `Bearer ${userRes.body.data.accessToken}`)
+      .expect(403);
+  });
+
+  test("should allow login again after an admin unlock", async () => {
+    await request(app)
+      .post(`/api/users/${userId}/unlock`)
+      .set("Authorization", `Bearer ${adminToken}`)
+      .expect(200);
+
+    const response = await login(testUser.password).expect(200);
+
+    expect(response.body.data.accessToken).toBeDefined();
+  });
+});
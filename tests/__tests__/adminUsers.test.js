@@ -0,0 +1,223 @@
+import request from "supertest";
+import app from "../../server.js";
+
+describe("Admin User Management API", () => {
+  let adminToken;
+  let userToken;
+  let targetId;
+  let targetToken;
+  const target = {
+    name: "Managed User",
+    email: `managed${Date.now()}@example.com`,
+    password: "Test@123",
+  };
+
+  const asAdmin = (req) => req.set("Authorization", `Bearer ${adminToken}`);
+
+  beforeAll(async () => {
+    const adminRes = await request(app).post("/api/users/login").send({
+      email: "alice@example.com",
+      password: "password123",
+    });
+    adminToken = adminRes.body.data.accessToken;
+
+    const userRes = await request(app).post("/api/users/login").send({
+      email: "bob@example.com",
+      password: "password123",
+    });
+    userToken = userRes.body.data.accessToken;
+
+    const registerResponse = await request(app)
+      .post("/api/users/register")
+      .send(target);
+    targetId = registerResponse.body.data.user.id;
+    targetToken = registerResponse.body.data.accessToken;
+  });
+
+  describe("PATCH /api/users/:id", () => {
+    test("should update the name", async () => {
+      const response = await asAdmin(
+        request(app).patch(`/api/users/${targetId}`)
+      )
+        .send({ name: "Renamed User" })
+        .expect(200);
+
+      expect(response.body.data.name).toBe("Renamed User");
+      expect(response.body.data).not.toHaveProperty("password");
+
+      // No role change: existing tokens keep working
+      await request(app)
+        .get("/api/users/profile")
+        .set("Authorization", `Bearer ${targetToken}`)
+        .expect(200);
+    });
+
+    test("should change the role and revoke the user's tokens", async () => {
+      const response = await asAdmin(
+        request(app).patch(`/api/users/${targetId}`)
+      )
+        .send({ role: "Moderator" })
+        .expect(200);
+
+      expect(response.body.data.role).toBe("Moderator");
+
+      await request(app)
+        .get("/api/users/profile")
+        .set("Authorization", `Bearer ${targetToken}`)
+        .expect(401);
+
+      const loginRes = await request(app)
+        .post("/api/users/login")
+        .send({ email: target.email, password: target.password })
+        .expect(200);
+      targetToken = loginRes.body.data.accessToken;
+    });
+
+    test("should block login for suspended users", async () => {
+      await asAdmin(request(app).patch(`/api/users/${targetId}`))
+        .send({ status: "suspended" })
+        .expect(200);
+
+      await request(app)
+        .post("/api/users/login")
+        .send({ email: target.email, password: target.password })
+        .expect(403);
+
+      await asAdmin(request(app).patch(`/api/users/${targetId}`))
+        .send({ status: "active" })
+        .expect(200);
+    });
+
+    test("should reject an invalid role", async () => {
+      await asAdmin(request(app).patch(`/api/users/${targetId}`))
+        .send({ role: "Superuser" })
+        .expect(400);
+    });
+
+    test("should reject an email already in use", async () => {
+      await asAdmin(request(app).patch(`/api/users/${targetId}`))
+        .send({ email: "bob@example.com" })
+        .expect(409);
+    });
+
+    test("should reject an invalid ID", async () => {
+      await asAdmin(request(app).patch("/api/users/not-an-id"))
+        .send({ name: "Nobody" })
+        .expect(400);
+    });
+
+    test("should deny non-admin users", async () => {
+      await request(app)
+        .patch(`/api/users/${targetId}`)
+        .set("Authorization", `Bearer ${userToken}`)
+        .send({ role: "Admin" })
+        .expect(403);
+    });
+  });
+
+  describe("DELETE /api/users/:id", () => {
+    test("should deny non-admin users", async () => {
+      await request(app)
+        .delete(`/api/users/${targetId}`)
+        .set("Authorization", `Bearer ${userToken}`)
+        .expect(403);
+    });
+
+    test("should soft delete the user and reject their tokens", async () => {
+      await asAdmin(request(app).delete(`/api/users/${targetId}`)).expect(200);
+
+      await request(app)
+        .get("/api/users/profile")
+        .set("Authorization", `Bearer ${targetToken}`)
+        .expect(401);
+      await asAdmin(request(app).get(`/api/users/${targetId}`)).expect(404);
+      await request(app)
+        .post("/api/users/login")
+        .send({ email: target.email, password: target.password })
+        .expect(401);
+    });
+
+    test("should list deleted users only when requested", async () => {
+      const search = encodeURIComponent(target.email);
+
+      const fullList = await asAdmin(
+        request(app).get(`/api/users/all?search=${search}&includeDeleted=true`)
+      ).expect(200);
+      expect(fullList.body.data.users).toHaveLength(1);
+      expect(fullList.body.data.users[0].deletedAt).toBeTruthy();
+
+      const defaultList = await asAdmin(
+        request(app).get(`/api/users/all?search=${search}`)
+      ).expect(200);
+      expect(defaultList.body.data.users).toHaveLength(0);
+    });
+
+    test("should keep the email reserved while deleted", async () => {
+      await request(app).post("/api/users/register").send(target).expect(409);
+    });
+
+    test("should return 404 for an unknown user", async () => {
+      await asAdmin(
+        request(app).delete("/api/users/507f1f77bcf86cd799439011")
+      ).expect(404);
+    });
+  });
+
+  describe("POST /api/users/:id/restore", () => {
+    test("should restore a deleted user", async () => {
+      const response = await asAdmin(
+        request(app).post(`/api/users/${targetId}/restore`)
+      ).expect(200);
+
+      expect(response.body.data.deletedAt).toBeNull();
+
+      await request(app)
+        .post("/api/users/login")
+        .send({ email: target.email, password: target.password })
+        .expect(200);
+    });
+
+    test("should reject restoring a user that is not deleted", async () => {
+      await asAdmin(request(app).post(`/api/users/${targetId}/restore`)).expect(
+        409
+      );
+    });
+
+    test("should deny non-admin users", async () => {
+      await request(app)
+        .post(`/api/users/${targetId}/restore`)
+        .set("Authorization", `Bearer ${userToken}`)
+        .expect(403);
+    });
+  });
+
+  describe("DELETE /api/users/:id/sessions", () => {
+    test("should sign the user out everywhere", async () => {
+      const login = await request(app)
+        .post("/api/users/login")
+        .send({ email: target.email, password: target.password })
+        .expect(200);
+
+      const response = await asAdmin(
+        request(app).delete(`/api/users/${targetId}/sessions`)
+      ).expect(200);
+      expect(response.body.data.revokedSessions).toBeGreaterThan(0);
+
+      await request(app)
+        .get("/api/users/profile")
+        .set("Authorization", `Bearer ${login.body.data.accessToken}`)
+        .expect(401);
+      await request(app)
+        .post("/api/users/refresh")
+        .send({ refreshToken: login.body.data.refreshToken })
+        .expect(401);
+    });
+
+    test("should deny non-admin users", async () => {
+      await request(app)
+        .delete(`/api/users/${targetId}/sessions`)
+        .set("Authorization", `Bearer ${userToken}`)
+        .expect(403);
+    });
+  });
+});
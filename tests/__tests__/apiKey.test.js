@@ -0,0 +1,91 @@
+import {
+  generateApiKey,
+  isApiKeyFormat,
+  getApiKeyFromRequest,
+  formatApiKey,
+  getApiKeyConfig,
+} from "../../utils/apiKey.js";
+import { hashToken } from "../../utils/authHelper.js";
+
+describe("API Key Helper Functions", () => {
+  describe("generateApiKey", () => {
+    test("should return the key, its prefix and its hash", () => {
+      const { key, prefix, keyHash } = generateApiKey();
+
+      expect(key.startsWith(`umk_${prefix}_`)).toBe(true);
+      expect(isApiKeyFormat(key)).toBe(true);
+      expect(keyHash).toBe(hashToken(key));
+      expect(keyHash).not.toContain(key);
+    });
+
+    test("should generate unique keys", () => {
+      expect(generateApiKey().key).not.toBe(generateApiKey().key);
+    });
+  });
+
+  describe("isApiKeyFormat", () => {
+    test("should reject strings that are not API keys", () => {
+      expect(isApiKeyFormat("umk_1234")).toBe(false);
+      expect(isApiKeyFormat("eyJhbGciOiJIUzI1NiJ9.e30.abc")).toBe(false);
+      expect(isApiKeyFormat(undefined)).toBe(false);
+    });
+  });
+
+  describe("getApiKeyFromRequest", () => {
+    test("should read the ApiKey authorization scheme", () => {
+      const req = { headers: { authorization: "ApiKey umk_abc" } };
+
+      expect(getApiKeyFromRequest(req)).toBe("umk_abc");
+    });
+
+    test("should read the X-API-Key header", () => {
+      const req = { headers: { "x-api-key": "umk_abc" } };
+
+      expect(getApiKeyFromRequest(req)).toBe("umk_abc");
+    });
+
+    test("should ignore bearer tokens", () => {
+      const req = { headers: { authorization: "Bearer token" } };
+
+      expect(getApiKeyFromRequest(req)).toBeNull();
+    });
+  });
+
+  describe("formatApiKey", () => {
+    test("should not expose the key hash", () => {
+      const formatted = formatApiKey({
+        _id: "key-id",
+        name: "CI",
+        prefix: "0a1b2c3d",
+        keyHash: "secret-hash",
+        scopes: ["profile:read"],
+      });
+
+      expect(formatted.prefix).toBe("umk_0a1b2c3d");
+      expect(formatted).not.toHaveProperty("keyHash");
+    });
+  });
+
+  describe("getApiKeyConfig", () => {
+    const originalMax = process.env.API_KEY_MAX_EXPIRES_DAYS;
+
+    afterEach(() => {
+      if (originalMax === undefined) {
+        delete process.env.API_KEY_MAX_EXPIRES_DAYS;
+      } else {
+        process.env.API_KEY_MAX_EXPIRES_DAYS = originalMax;
+      }
+    });
+
+    test("should use defaults and environment overrides", () => {
+      delete process.env.API_KEY_MAX_EXPIRES_DAYS;
+      expect(getApiKeyConfig()).toMatchObject({
+        defaultExpiresInDays: 90,
+        maxExpiresInDays: 365,
+      });
+
+      process.env.API_KEY_MAX_EXPIRES_DAYS = "30";
+      expect(getApiKeyConfig().maxExpiresInDays).toBe(30);
+    });
+  });
+});
@@ -0,0 +1,170 @@
+import request from "supertest";
+import app from "../../server.js";
+
+describe("API Keys API", () => {
+  let adminToken;
+  let userToken;
+  let userId;
+  let userKey;
+  let userKeyId;
+  let adminKey;
+  const testUser = {
+    name: "Api Key User",
+    email: `apikey${Date.now()}@example.com`,
+    password: "Test@123",
+  };
+
+  const createKey = (token, body) =>
+    request(app)
+      .post("/api/users/profile/api-keys")
+      .set("Authorization", `Bearer ${token}`)
+      .send(body);
+
+  beforeAll(async () => {
+    const adminRes = await request(app).post("/api/users/login").send({
+      email: "alice@example.com",
+      password: "password123",
+    });
+    adminToken = adminRes.body.data.accessToken;
+
+    const registerResponse = await request(app)
+      .post("/api/users/register")
+      .send(testUser);
+    userId = registerResponse.body.data.user.id;
+    userToken = registerResponse.body.data.accessToken;
+  });
+
+  test("should create a key and show it once", async () => {
+    const response = await createKey(userToken, {
+      name: "Backup script",
+      scopes: ["profile:read"],
+      expiresInDays: 30,
+    }).expect(201);
+
+    userKey = response.body.data.key;
+    userKeyId = response.body.data.apiKey.id;
+    expect(userKey).toMatch(/^umk_/);
+    expect(response.body.data.apiKey.scopes).toEqual(["profile:read"]);
+
+    const list = await request(app)
+      .get("/api/users/profile/api-keys")
+      .set("Authorization", `Bearer ${userToken}`)
+      .expect(200);
+    expect(list.body.data.apiKeys).toHaveLength(1);
+    expect(JSON.stringify(list.body)).not.toContain(userKey);
+  });
+
+  test("should reject unknown scopes", async () => {
+    await createKey(userToken, { name: "Bad", scopes: ["everything"] }).expect(
+      400
+    );
+  });
+
+  test("should not let regular users create admin scoped keys", async () => {
+    await createKey(userToken, {
+      name: "Sneaky",
+      scopes: ["users:read"],
+    }).expect(403);
+  });
+
+  test("should authenticate with the ApiKey scheme and X-API-Key", async () => {
+    const response = await request(app)
+      .get("/api/users/profile")
+      .set("Authorization", `ApiKey ${userKey}`)
+      .expect(200);
+    expect(response.body.data.email).toBe(testUser.email);
+
+    await request(app)
+      .get("/api/users/profile")
+      .set("X-API-Key", userKey)
+      .expect(200);
+  });
+
+  test("should record when a key was last used", async () => {
+    const list = await request(app)
+      .get("/api/users/profile/api-keys")
+      .set("Authorization", `Bearer ${userToken}`)
+      .expect(200);
+
+    expect(list.body.data.apiKeys[0].lastUsedAt).toBeDefined();
+  });
+
+  test("should enforce scopes", async () => {
+    const response = await request(app)
+      .put("/api/users/profile")
+      .set("X-API-Key", userKey)
+      .send({ name: "Changed By Key" })
+      .expect(403);
+
+    expect(response.body.message).toBe(
+      "API key is missing the profile:write scope"
+    );
+  });
+
+  test("should not accept keys on routes that did not opt in", async () => {
+    const response = await request(app)
+      .get("/api/users/profile/api-keys")
+      .set("X-API-Key", userKey)
+      .expect(403);
+
+    expect(response.body.message).toBe(
+      "API keys cannot be used for this endpoint"
+    );
+  });
+
+  test("should reject unknown keys", async () => {
+    await request(app)
+      .get("/api/users/profile")
+      .set("X-API-Key", `umk_00000000_${"a".repeat(43)}`)
+      .expect(401);
+  });
+
+  test("should let admins use keys on admin endpoints", async () => {
+    const response = await createKey(adminToken, {
+      name: "Provisioning",
+      scopes: ["users:read"],
+    }).expect(201);
+    adminKey = response.body.data.key;
+
+    await request(app)
+      .get(`/api/users/${userId}`)
+      .set("X-API-Key", adminKey)
+      .expect(200);
+  });
+
+  test("should let admins list and revoke a user's keys", async () => {
+    const list = await request(app)
+      .get(`/api/users/${userId}/api-keys`)
+      .set("Authorization", `Bearer ${adminToken}`)
+      .expect(200);
+    expect(list.body.data.apiKeys.map((key) => key.id)).toContain(userKeyId);
+
+    await request(app)
+      .delete(`/api/users/${userId}/api-keys/${userKeyId}`)
+      .set("Authorization", `Bearer ${adminToken}`)
+      .expect(200);
+
+    await request(app)
+      .get("/api/users/profile")
+      .set("X-API-Key", userKey)
+      .expect(401);
+  });
+
+  test("should let users revoke their own keys", async () => {
+    const response = await createKey(userToken, {
+      name: "Temporary",
+      scopes: ["profile:read"],
+    }).expect(201);
+    const { key, apiKey } = response.body.data;
+
+    await request(app)
+      .delete(`/api/users/profile/api-keys/${apiKey.id}`)
+      .set("Authorization", `Bearer ${userToken}`)
+      .expect(200);
+
+    await request(app)
+      .get("/api/users/profile")
+      .set("X-API-Key", key)
+      .expect(401);
+  });
+});
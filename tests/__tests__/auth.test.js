@@ -123,6 +123,11 @@ describe("Authentication API", () => {
       expect(response.body.success).toBe(true);
       expect(response.body.message).toBe("Token refreshed successfully");
       expect(response.body.data).toHaveProperty("accessToken");
+      expect(response.body.data).toHaveProperty("refreshToken");
+      expect(response.body.data.refreshToken).not.toBe(refreshToken);
+
+      // Refresh tokens are rotated on every use
+      refreshToken = response.body.data.refreshToken;
     });
 
     test("should fail with invalid refresh token", async () => {
@@ -0,0 +1,132 @@
+import request from "supertest";
+import app from "../../server.js";
+
+describe("Token Introspection and Userinfo API", () => {
+  const originalClients = process.env.INTROSPECTION_CLIENTS;
+  let accessToken;
+  let refreshToken;
+  let adminToken;
+
+  const introspect = (token) =>
+    request(app)
+      .post("/api/auth/introspect")
+      .auth("billing", "s3cret")
+      .type("form")
+      .send({ token });
+
+  beforeAll(async () => {
+    process.env.INTROSPECTION_CLIENTS = "billing:s3cret";
+
+    const login = await request(app).post("/api/users/login").send({
+      email: "bob@example.com",
+      password: "password123",
+    });
+    ({ accessToken, refreshToken } = login.body.data);
+
+    const adminLogin = await request(app).post("/api/users/login").send({
+      email: "alice@example.com",
+      password: "password123",
+    });
+    adminToken = adminLogin.body.data.accessToken;
+  });
+
+  afterAll(() => {
+    if (originalClients === undefined) {
+      delete process.env.INTROSPECTION_CLIENTS;
+    } else {
+      process.env.INTROSPECTION_CLIENTS = originalClients;
+    }
+  });
+
+  describe("POST /api/auth/introspect", () => {
+    test("should describe an active access token", async () => {
+      const response = await introspect(accessToken).expect(200);
+
+      expect(response.body).toMatchObject({
+        active: true,
+        username: "bob@example.com",
+        role: "User",
+      });
+      expect(response.body.exp).toBeGreaterThan(Date.now() / 1000);
+    });
+
+    test("should require client authentication", async () => {
+      await request(app)
+        .post("/api/auth/introspect")
+        .send({ token: accessToken })
+        .expect(401);
+
+      await request(app)
+        .post("/api/auth/introspect")
+        .auth("billing", "wrong")
+        .send({ token: accessToken })
+        .expect(401);
+    });
+
+    test("should not accept user access tokens as client credentials", async () => {
+      await request(app)
+        .post("/api/auth/introspect")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({ token: accessToken })
+        .expect(401);
+    });
+
+    test("should accept an admin API key", async () => {
+      const created = await request(app)
+        .post("/api/users/profile/api-keys")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({ name: "Gateway", scopes: ["tokens:introspect"] })
+        .expect(201);
+
+      const response = await request(app)
+        .post("/api/auth/introspect")
+        .set("X-API-Key", created.body.data.key)
+        .send({ token: accessToken })
+        .expect(200);
+
+      expect(response.body.active).toBe(true);
+    });
+
+    test("should report refresh tokens and garbage as inactive", async () => {
+      const refresh = await introspect(refreshToken).expect(200);
+      expect(refresh.body).toEqual({ active: false, state: "invalid" });
+
+      const garbage = await introspect("not-a-token").expect(200);
+      expect(garbage.body.active).toBe(false);
+    });
+  });
+
+  describe("GET /api/auth/userinfo", () => {
+    test("should return the user's claims", async () => {
+      const response = await request(app)
+        .get("/api/auth/userinfo")
+        .set("Authorization", `Bearer ${accessToken}`)
+        .expect(200);
+
+      expect(response.body).toMatchObject({
+        email: "bob@example.com",
+        email_verified: true,
+        role: "User",
+      });
+      expect(response.body.sub).toBeDefined();
+      expect(response.body).not.toHaveProperty("password");
+    });
+
+    test("should require a token", async () => {
+      await request(app).get("/api/auth/userinfo").expect(401);
+    });
+  });
+
+  describe("after logout", () => {
+    test("should report the token as revoked", async () => {
+      await request(app)
+        .post("/api/users/logout")
+        .set("Authorization", `Bearer ${accessToken}`)
+        .send({ refreshToken })
+        .expect(200);
+
+      const response = await introspect(accessToken).expect(200);
+      expect(response.body).toEqual({ active: false, state: "revoked" });
+    });
+  });
+});
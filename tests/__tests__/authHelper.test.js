@@ -1,7 +1,20 @@
+import jwt from "jsonwebtoken";
 import {
   hashPassword,
   comparePassword,
   sanitizeUser,
+  buildTokenPayload,
+  getEmailVerificationPolicy,
+  addRefreshToken,
+  removeRefreshToken,
+  hasValidRefreshToken,
+  getRefreshTokenFamily,
+  generateRecoveryCodes,
+  normalizeRecoveryCode,
+  hashToken,
+  hasRefreshTokenFamily,
+  revokeRefreshTokenFamily,
+  revokeAllUserTokens,
 } from "../../utils/authHelper.js";
 
 describe("Auth Helper Functions", () => {
@@ -39,13 +52,14 @@ describe("Auth Helper Functions", () => {
   });
 
   describe("sanitizeUser", () => {
-    test("should remove password and refreshTokens", () => {
+    test("should remove password, refreshTokens and sessions", () => {
       const user = {
         id: "123",
         name: "Test User",
         email: "test@example.com",
         password: "hashedpassword",
         refreshTokens: ["token1", "token2"],
+        sessions: [{ tokenHash: "hash", family: "family-a" }],
         role: "User",
       };
 
@@ -53,9 +67,150 @@ describe("Auth Helper Functions", () => {
 
       expect(sanitized).not.toHaveProperty("password");
       expect(sanitized).not.toHaveProperty("refreshTokens");
+      expect(sanitized).not.toHaveProperty("sessions");
       expect(sanitized).toHaveProperty("name");
       expect(sanitized).toHaveProperty("email");
       expect(sanitized).toHaveProperty("role");
     });
   });
+
+  describe("buildTokenPayload", () => {
+    test("should include identity, role, verification state and token version", () => {
+      const payload = buildTokenPayload({
+        _id: "123",
+        email: "test@example.com",
+        role: "User",
+        emailVerified: true,
+        tokenVersion: 2,
+        password: "hashedpassword",
+      });
+
+      expect(payload).toEqual({
+        id: "123",
+        email: "test@example.com",
+        role: "User",
+        emailVerified: true,
+        tokenVersion: 2,
+      });
+    });
+
+    test("should include the organization of members", () => {
+      const payload = buildTokenPayload({
+        _id: "123",
+        email: "test@example.com",
+        role: "User",
+        organization: { toString: () => "org-1" },
+        orgRole: "admin",
+      });
+
+      expect(payload.orgId).toBe("org-1");
+      expect(payload.orgRole).toBe("admin");
+    });
+  });
+
+  describe("getEmailVerificationPolicy", () => {
+    const originalPolicy = process.env.EMAIL_VERIFICATION_POLICY;
+
+    afterEach(() => {
+      if (originalPolicy === undefined) {
+        delete process.env.EMAIL_VERIFICATION_POLICY;
+      } else {
+        process.env.EMAIL_VERIFICATION_POLICY = originalPolicy;
+      }
+    });
+
+    test("should default to none", () => {
+      delete process.env.EMAIL_VERIFICATION_POLICY;
+      expect(getEmailVerificationPolicy()).toBe("none");
+    });
+
+    test("should accept configured policies", () => {
+      process.env.EMAIL_VERIFICATION_POLICY = "Block";
+      expect(getEmailVerificationPolicy()).toBe("block");
+    });
+
+    test("should fall back to none for unknown policies", () => {
+      process.env.EMAIL_VERIFICATION_POLICY = "sometimes";
+      expect(getEmailVerificationPolicy()).toBe("none");
+    });
+  });
+
+  describe("Refresh token families", () => {
+    const signRefreshToken = (family) =>
+      jwt.sign({ id: "123", family }, "test_refresh_secret", {
+        expiresIn: "7d",
+        jwtid: `${family}-${Math.random()}`,
+      });
+
+    test("should read the family from a refresh token", () => {
+      expect(getRefreshTokenFamily(signRefreshToken("family-a"))).toBe(
+        "family-a"
+      );
+      expect(getRefreshTokenFamily("not-a-jwt")).toBeNull();
+    });
+
+    test("should keep one session per family", () => {
+      const user = { sessions: [] };
+      const firstToken = signRefreshToken("family-a");
+      const rotatedToken = signRefreshToken("family-a");
+
+      addRefreshToken(user, firstToken);
+      addRefreshToken(user, rotatedToken);
+
+      expect(user.sessions).toHaveLength(1);
+      expect(hasValidRefreshToken(user, firstToken)).toBe(false);
+      expect(hasValidRefreshToken(user, rotatedToken)).toBe(true);
+    });
+
+    test("should revoke only the session of the given family", () => {
+      const user = { sessions: [] };
+      addRefreshToken(user, signRefreshToken("family-a"));
+      addRefreshToken(user, signRefreshToken("family-b"));
+
+      expect(hasRefreshTokenFamily(user, "family-a")).toBe(true);
+
+      revokeRefreshTokenFamily(user, "family-a");
+
+      expect(hasRefreshTokenFamily(user, "family-a")).toBe(false);
+      expect(hasRefreshTokenFamily(user, "family-b")).toBe(true);
+      expect(user.sessions).toHaveLength(1);
+    });
+
+    test("should end the session of a removed refresh token", () => {
+      const user = { sessions: [] };
+      const refreshToken = signRefreshToken("family-a");
+      addRefreshToken(user, refreshToken);
+
+      removeRefreshToken(user, refreshToken);
+
+      expect(hasValidRefreshToken(user, refreshToken)).toBe(false);
+      expect(user.sessions).toHaveLength(0);
+    });
+
+    test("should end every session and bump the token version", () => {
+      const user = { sessions: [], tokenVersion: 1 };
+      addRefreshToken(user, signRefreshToken("family-a"));
+      addRefreshToken(user, signRefreshToken("family-b"));
+
+      revokeAllUserTokens(user);
+
+      expect(user.sessions).toHaveLength(0);
+      expect(user.tokenVersion).toBe(2);
+    });
+  });
+
+  describe("generateRecoveryCodes", () => {
+    test("should return unique codes and their hashes", () => {
+      const { codes, hashedCodes } = generateRecoveryCodes(5);
+
+      expect(codes).toHaveLength(5);
+      expect(new Set(codes).size).toBe(5);
+      expect(codes[0]).toMatch(/^[a-f0-9]{5}-[a-f0-9]{5}$/);
+      expect(hashedCodes[0]).toBe(hashToken(normalizeRecoveryCode(codes[0])));
+    });
+
+    test("should normalize codes as typed by users", () => {
+      expect(normalizeRecoveryCode(" AB12C-3D4E5 ")).toBe("ab12c3d4e5");
+    });
+  });
 });
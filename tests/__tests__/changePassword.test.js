@@ -0,0 +1,105 @@
+import request from "supertest";
+import app from "../../server.js";
+
+describe("Change Password API", () => {
+  let accessToken;
+  let otherSession;
+  const testUser = {
+    name: "Change Password User",
+    email: `changepassword${Date.now()}@example.com`,
+    password: "Test@123",
+  };
+
+  const changePassword = (body) =>
+    request(app)
+      .put("/api/users/profile/password")
+      .set("Authorization", `Bearer ${accessToken}`)
+      .send(body);
+
+  beforeAll(async () => {
+    const registerResponse = await request(app)
+      .post("/api/users/register")
+      .send(testUser);
+    accessToken = registerResponse.body.data.accessToken;
+
+    const loginResponse = await request(app)
+      .post("/api/users/login")
+      .send({ email: testUser.email, password: testUser.password });
+    otherSession = loginResponse.body.data;
+  });
+
+  test("should reject an incorrect current password", async () => {
+    const response = await changePassword({
+      currentPassword: "Wrong@123",
+      newPassword: "NewPass123",
+    }).expect(401);
+
+    expect(response.body.message).toBe("Current password is incorrect");
+  });
+
+  test("should reject a weak new password", async () => {
+    await changePassword({
+      currentPassword: testUser.password,
+      newPassword: "weak",
+    }).expect(400);
+  });
+
+  test("should reject reusing the current password", async () => {
+    const response = await changePassword({
+      currentPassword: testUser.password,
+      newPassword: testUser.password,
+    }).expect(400);
+
+    expect(response.body.message).toBe(
+      "New password must be different from the current password"
+    );
+  });
+
+  test("should require authentication", async () => {
+    await request(app)
+      .put("/api/users/profile/password")
+      .send({ currentPassword: testUser.password, newPassword: "NewPass123" })
+      .expect(401);
+  });
+
+  test("should change the password and sign out other sessions", async () => {
+    const response = await changePassword({
+      currentPassword: testUser.password,
+      newPassword: "NewPass123",
+    }).expect(200);
+
+    const { accessToken: newAccessToken, refreshToken } = response.body.data;
+    expect(newAccessToken).toBeDefined();
+    expect(refreshToken).toBeDefined();
+
+    // The caller stays logged in with the reissued tokens
+    await request(app)
+      .get("/api/users/profile")
+      .set("Authorization", `Bearer ${newAccessToken}`)
+      .expect(200);
+    await request(app)
+      .post("/api/users/refresh")
+      .send({ refreshToken })
+      .expect(200);
+
+    // Other sessions are gone
+    await request(app)
+      .get("/api/users/profile")
+      .set("Authorization", `Bearer ${otherSession.accessToken}`)
+      .expect(401);
+    await request(app)
+      .post("/api/users/refresh")
+      .send({ refreshToken: otherSession.refreshToken })
+      .expect(401);
+
+    // Only the new password works
+    await request(app)
+      .post("/api/users/login")
+      .send({ email: testUser.email, password: testUser.password })
+      .expect(401);
+    await request(app)
+      .post("/api/users/login")
+      .send({ email: testUser.email, password: "NewPass123" })
+      .expect(200);
+  });
+});
@@ -6,6 +6,8 @@ describe("User Controller Tests", () => {
   let userToken;
   let testUserId;
   let testUserEmail;
+  let testUserToken;
+  let moderatorToken;
 
   beforeAll(async () => {
     // Create a test user first
@@ -19,6 +21,7 @@ describe("User Controller Tests", () => {
       });
     testUserId = newUser.body.data.user.id;
     testUserEmail = newUser.body.data.user.email;
+    testUserToken = newUser.body.data.accessToken;
 
     // Login as admin
     const adminRes = await request(app).post("/api/users/login").send({
@@ -33,6 +36,13 @@ describe("User Controller Tests", () => {
       password: "password123",
     });
     userToken = userRes.body.data.accessToken;
+
+    // Login as moderator
+    const moderatorRes = await request(app).post("/api/users/login").send({
+      email: "diana@example.com",
+      password: "password123",
+    });
+    moderatorToken = moderatorRes.body.data.accessToken;
   });
 
   describe("GET /api/users/all - Get All Users", () => {
@@ -149,6 +159,26 @@ describe("User Controller Tests", () => {
 
       expect(res.statusCode).toBe(403);
     });
+
+    it("should let users fetch their own record", async () => {
+      const res = await request(app)
+        .get(`/api/users/${testUserId}`)
+        .set("Authorization", `Bearer ${testUserToken}`);
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.data.email).toBe(testUserEmail);
+    });
+
+    it("should return a reduced view to moderators", async () => {
+      const res = await request(app)
+        .get(`/api/users/${testUserId}`)
+        .set("Authorization", `Bearer ${moderatorToken}`);
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.data.name).toBe("Controller Test User");
+      expect(res.body.data).not.toHaveProperty("email");
+      expect(res.body.data).not.toHaveProperty("emailVerified");
+    });
   });
 
   describe("GET /api/users/profile - Get Current User Profile", () => {
@@ -312,6 +342,20 @@ describe("User Controller Tests", () => {
       expect(res.statusCode).toBe(201);
       expect(res.body.data.user.role).toBe("User");
     });
+
+    it("should ignore a role sent by the client", async () => {
+      const user = {
+        name: "Self Promoted User",
+        email: `selfpromoted-${Date.now()}@example.com`,
+        password: "SelfPromoted123",
+        role: "Admin",
+      };
+
+      const res = await request(app).post("/api/users/register").send(user);
+
+      expect(res.statusCode).toBe(201);
+      expect(res.body.data.user.role).toBe("User");
+    });
   });
 
   describe("POST /api/users/login - User Login", () => {
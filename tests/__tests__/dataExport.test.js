@@ -0,0 +1,95 @@
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import zlib from "zlib";
+import { jest } from "@jest/globals";
+import AuditLog from "../../models/auditLogModels.js";
+import DataExport from "../../models/dataExportModels.js";
+import {
+  writeExportArchive,
+  removeExportArchive,
+} from "../../utils/dataExport.js";
+import { recordAuditEvent } from "../../utils/auditLog.js";
+import { failStalledDataExports } from "../../jobs/dataExports.js";
+
+describe("Data Export Helpers", () => {
+  let exportDir;
+  const originalExportDir = process.env.DATA_EXPORT_DIR;
+
+  beforeAll(async () => {
+    exportDir = await fs.mkdtemp(path.join(os.tmpdir(), "data-exports-"));
+    process.env.DATA_EXPORT_DIR = exportDir;
+  });
+
+  afterAll(async () => {
+    await fs.rm(exportDir, { recursive: true, force: true });
+    if (originalExportDir === undefined) {
+      delete process.env.DATA_EXPORT_DIR;
+    } else {
+      process.env.DATA_EXPORT_DIR = originalExportDir;
+    }
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe("writeExportArchive", () => {
+    const data = { profile: { name: "Jane Doe" }, sessions: [] };
+
+    test("should write a JSON archive", async () => {
+      const fileName = await writeExportArchive(data, "export-a", "json");
+
+      expect(fileName).toBe("export-a.json");
+      const content = await fs.readFile(path.join(exportDir, fileName));
+      expect(JSON.parse(content)).toEqual(data);
+    });
+
+    test("should write a gzip archive", async () => {
+      const fileName = await writeExportArchive(data, "export-b", "gzip");
+
+      expect(fileName).toBe("export-b.json.gz");
+      const content = await fs.readFile(path.join(exportDir, fileName));
+      expect(JSON.parse(zlib.gunzipSync(content))).toEqual(data);
+    });
+  });
+
+  describe("removeExportArchive", () => {
+    test("should delete the archive and ignore missing files", async () => {
+      const fileName = await writeExportArchive({}, "export-c", "json");
+
+      await removeExportArchive(fileName);
+      await removeExportArchive(fileName);
+
+      await expect(fs.access(path.join(exportDir, fileName))).rejects.toThrow();
+    });
+  });
+
+  describe("failStalledDataExports", () => {
+    test("should fail exports pending past the timeout", async () => {
+      const updateMany = jest
+        .spyOn(DataExport, "updateMany")
+        .mockResolvedValue({ modifiedCount: 1 });
+      const now = new Date("2025-01-01T01:00:00Z");
+
+      expect(await failStalledDataExports(now)).toBe(1);
+      expect(updateMany).toHaveBeenCalledWith(
+        {
+          status: "pending",
+          createdAt: { $lte: new Date("2025-01-01T00:30:00Z") },
+        },
+        { $set: { status: "failed", failureReason: "Export timed out" } }
+      );
+    });
+  });
+
+  describe("recordAuditEvent", () => {
+    test("should not throw when the event cannot be stored", async () => {
+      jest.spyOn(AuditLog, "create").mockRejectedValue(new Error("db down"));
+
+      await expect(
+        recordAuditEvent({ event: "login", user: "507f1f77bcf86cd799439011" })
+      ).resolves.toBeUndefined();
+    });
+  });
+});
@@ -0,0 +1,128 @@
+import request from "supertest";
+import app from "../../server.js";
+
+describe("Data Export API", () => {
+  let accessToken;
+  let exportId;
+  let downloadUrl;
+  const testUser = {
+    name: "Export Test User",
+    email: `export${Date.now()}@example.com`,
+    password: "Test@123",
+  };
+
+  const getStatus = (id) =>
+    request(app)
+      .get(`/api/users/profile/export/${id}`)
+      .set("Authorization", `Bearer ${accessToken}`);
+
+  // Exports are generated in the background
+  const waitUntilReady = async (id) => {
+    for (let attempt = 0; attempt < 20; attempt++) {
+      const response = await getStatus(id).expect(200);
+      if (response.body.data.status !== "pending") {
+        return response;
+      }
+      await new Promise((resolve) => setTimeout(resolve, 100));
+    }
+    throw new Error("Export not ready in time");
+  };
+
+  beforeAll(async () => {
+    await request(app).post("/api/users/register").send(testUser);
+    const loginResponse = await request(app)
+      .post("/api/users/login")
+      .send({ email: testUser.email, password: testUser.password });
+    accessToken = loginResponse.body.data.accessToken;
+  });
+
+  test("should start an export", async () => {
+    const response = await request(app)
+      .post("/api/users/profile/export")
+      .set("Authorization", `Bearer ${accessToken}`)
+      .send({ format: "json" })
+      .expect(202);
+
+    expect(response.body.data.status).toBe("pending");
+    exportId = response.body.data.id;
+  });
+
+  test("should reject an unknown format", async () => {
+    await request(app)
+      .post("/api/users/profile/export")
+      .set("Authorization", `Bearer ${accessToken}`)
+      .send({ format: "xml" })
+      .expect(400);
+  });
+
+  test("should provide an expiring download link once ready", async () => {
+    const response = await waitUntilReady(exportId);
+
+    expect(response.body.data.status).toBe("ready");
+    expect(response.body.data.downloadUrl).toMatch(/download\?token=/);
+    expect(response.body.data.downloadUrlExpiresAt).toBeDefined();
+    downloadUrl = response.body.data.downloadUrl;
+  });
+
+  test("should not hand out another link while one is valid", async () => {
+    const response = await getStatus(exportId).expect(200);
+
+    expect(response.body.data.downloadUrl).toBeUndefined();
+    expect(response.body.data.downloadUrlExpiresAt).toBeDefined();
+  });
+
+  const download = (url) => {
+    const { pathname, search } = new URL(url);
+    return request(app).get(`${pathname}${search}`);
+  };
+
+  test("should download the user's data", async () => {
+    const response = await download(downloadUrl)
+      .buffer(true)
+      .parse((res, callback) => {
+        let body = "";
+        res.on("data", (chunk) => (body += chunk));
+        res.on("end", () => callback(null, body));
+      })
+      .expect(200);
+
+    const data = JSON.parse(response.body);
+    expect(data.profile.email).toBe(testUser.email);
+    expect(data.profile).not.toHaveProperty("password");
+    expect(data.sessions.length).toBeGreaterThan(0);
+    expect(data.loginHistory[0].event).toBe("login");
+  });
+
+  test("should accept a download link only once", async () => {
+    await download(downloadUrl).expect(400);
+
+    // Once used, the next status check hands out a new link
+    const status = await getStatus(exportId).expect(200);
+    expect(status.body.data.downloadUrl).toMatch(/download\?token=/);
+    expect(status.body.data.downloadUrl).not.toBe(downloadUrl);
+  });
+
+  test("should reject an invalid download token", async () => {
+    await request(app)
+      .get(`/api/users/profile/export/${exportId}/download?token=invalid`)
+      .expect(400);
+  });
+
+  test("should reject a repeated download token", async () => {
+    await request(app)
+      .get(`/api/users/profile/export/${exportId}/download?token=a&token=b`)
+      .expect(400);
+  });
+
+  test("should not show other users' exports", async () => {
+    const adminRes = await request(app).post("/api/users/login").send({
+      email: "alice@example.com",
+      password: "password123",
+    });
+
+    await request(app)
+      .get(`/api/users/profile/export/${exportId}`)
+      .set("Authorization", `Bearer ${adminRes.body.data.accessToken}`)
+      .expect(404);
+  });
+});
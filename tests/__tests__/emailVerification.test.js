@@ -0,0 +1,156 @@
+import request from "supertest";
+import app from "../../server.js";
+import { outbox, clearOutbox } from "../../utils/mailer.js";
+
+const extractToken = (message) => message.text.match(/token=([a-f0-9]+)/)[1];
+
+const registerUser = async (prefix) => {
+  clearOutbox();
+  const user = {
+    name: "Verification Test User",
+    email: `${prefix}${Date.now()}@example.com`,
+    password: "Test@123",
+  };
+  const response = await request(app).post("/api/users/register").send(user);
+  return { user, response, token: extractToken(outbox[0]) };
+};
+
+describe("Email Verification API", () => {
+  const originalPolicy = process.env.EMAIL_VERIFICATION_POLICY;
+
+  afterEach(() => {
+    if (originalPolicy === undefined) {
+      delete process.env.EMAIL_VERIFICATION_POLICY;
+    } else {
+      process.env.EMAIL_VERIFICATION_POLICY = originalPolicy;
+    }
+  });
+
+  describe("POST /api/users/register", () => {
+    test("should send a verification email to new users", async () => {
+      const { user, response } = await registerUser("verify-send");
+
+      expect(response.statusCode).toBe(201);
+      expect(response.body.data.user.emailVerified).toBe(false);
+      expect(outbox[0].to).toBe(user.email);
+    });
+
+    test("should not issue tokens when verification is required", async () => {
+      process.env.EMAIL_VERIFICATION_POLICY = "block";
+
+      const { response } = await registerUser("verify-block");
+
+      expect(response.statusCode).toBe(201);
+      expect(response.body.data).not.toHaveProperty("accessToken");
+      expect(response.body.data).not.toHaveProperty("refreshToken");
+    });
+  });
+
+  describe("GET/POST /api/users/verify-email", () => {
+    test("should verify the email with a token in the query string", async () => {
+      const { token } = await registerUser("verify-get");
+
+      const response = await request(app)
+        .get(`/api/users/verify-email?token=${token}`)
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.data.emailVerified).toBe(true);
+    });
+
+    test("should verify the email with a token in the body", async () => {
+      const { token } = await registerUser("verify-post");
+
+      await request(app)
+        .post("/api/users/verify-email")
+        .send({ token })
+        .expect(200);
+
+      // Token is single-use
+      await request(app)
+        .post("/api/users/verify-email")
+        .send({ token })
+        .expect(400);
+    });
+
+    test("should fail without a token", async () => {
+      const response = await request(app)
+        .post("/api/users/verify-email")
+        .send({})
+        .expect(400);
+
+      expect(response.body.errors).toBeDefined();
+    });
+  });
+
+  describe("POST /api/users/verify-email/resend", () => {
+    test("should resend the verification email", async () => {
+      const { user } = await registerUser("verify-resend");
+      clearOutbox();
+
+      const response = await request(app)
+        .post("/api/users/verify-email/resend")
+        .send({ email: user.email })
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+      expect(outbox).toHaveLength(1);
+    });
+
+    test("should not reveal whether the email exists", async () => {
+      clearOutbox();
+
+      const response = await request(app)
+        .post("/api/users/verify-email/resend")
+        .send({ email: "nobody@example.com" })
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+      expect(outbox).toHaveLength(0);
+    });
+  });
+
+  describe("Unverified account policy", () => {
+    test("should block login for unverified users when policy is block", async () => {
+      const { user } = await registerUser("verify-login");
+      process.env.EMAIL_VERIFICATION_POLICY = "block";
+
+      const response = await request(app)
+        .post("/api/users/login")
+        .send({ email: user.email, password: user.password })
+        .expect(403);
+
+      expect(response.body.success).toBe(false);
+    });
+
+    test("should allow login once the email is verified", async () => {
+      const { user, token } = await registerUser("verify-login-ok");
+      await request(app).get(`/api/users/verify-email?token=${token}`);
+      process.env.EMAIL_VERIFICATION_POLICY = "block";
+
+      await request(app)
+        .post("/api/users/login")
+        .send({ email: user.email, password: user.password })
+        .expect(200);
+    });
+
+    test("should limit unverified users to opted-in routes when policy is limit", async () => {
+      const { response } = await registerUser("verify-limit");
+      const accessToken = response.body.data.accessToken;
+      process.env.EMAIL_VERIFICATION_POLICY = "limit";
+
+      await request(app)
+        .get("/api/users/profile")
+        .set("Authorization", `Bearer ${accessToken}`)
+        .expect(200);
+
+      const res = await request(app)
+        .put("/api/users/profile")
+        .set("Authorization", `Bearer ${accessToken}`)
+        .send({ name: "Limited User" })
+        .expect(403);
+
+      expect(res.body.message).toBe("Email address not verified");
+    });
+  });
+});
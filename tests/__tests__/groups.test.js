@@ -0,0 +1,145 @@
+import request from "supertest";
+import app from "../../server.js";
+
+describe("Groups API", () => {
+  let adminToken;
+  let memberToken;
+  let groupId;
+  const member = {
+    name: "Group Member",
+    email: `groups${Date.now()}@example.com`,
+    password: "Test@123",
+  };
+
+  const asAdmin = (req) => req.set("Authorization", `Bearer ${adminToken}`);
+
+  beforeAll(async () => {
+    const adminRes = await request(app).post("/api/users/login").send({
+      email: "alice@example.com",
+      password: "password123",
+    });
+    adminToken = adminRes.body.data.accessToken;
+
+    const registerResponse = await request(app)
+      .post("/api/users/register")
+      .send(member);
+    member.id = registerResponse.body.data.user.id;
+    memberToken = registerResponse.body.data.accessToken;
+  });
+
+  describe("POST /api/groups", () => {
+    test("should create a group with roles and permissions", async () => {
+      const response = await asAdmin(request(app).post("/api/groups"))
+        .send({
+          name: `Support Team ${Date.now()}`,
+          roles: ["Moderator"],
+          permissions: ["sessions:revoke"],
+        })
+        .expect(201);
+
+      groupId = response.body.data.group.id;
+      expect(response.body.data.group.effectivePermissions).toEqual([
+        "users:read",
+        "sessions:revoke",
+      ]);
+      expect(response.body.data.group.memberCount).toBe(0);
+    });
+
+    test("should reject unknown roles", async () => {
+      await asAdmin(request(app).post("/api/groups"))
+        .send({ name: "Broken Group", roles: ["Nobody"] })
+        .expect(400);
+    });
+
+    test("should deny users without the groups:manage permission", async () => {
+      await request(app)
+        .post("/api/groups")
+        .set("Authorization", `Bearer ${memberToken}`)
+        .send({ name: "Self Service" })
+        .expect(403);
+    });
+  });
+
+  describe("Membership", () => {
+    test("should grant the group's permissions to its members", async () => {
+      await request(app)
+        .get("/api/users/all")
+        .set("Authorization", `Bearer ${memberToken}`)
+        .expect(403);
+
+      const response = await asAdmin(
+        request(app).post(`/api/groups/${groupId}/members`)
+      )
+        .send({ userIds: [member.id] })
+        .expect(200);
+      expect(response.body.data.added).toBe(1);
+
+      // Permissions are looked up on each request: no new login needed
+      await request(app)
+        .get("/api/users/all")
+        .set("Authorization", `Bearer ${memberToken}`)
+        .expect(200);
+    });
+
+    test("should not add the same member twice", async () => {
+      const response = await asAdmin(
+        request(app).post(`/api/groups/${groupId}/members`)
+      )
+        .send({ userIds: [member.id] })
+        .expect(200);
+
+      expect(response.body.data.added).toBe(0);
+      expect(response.body.data.memberCount).toBe(1);
+    });
+
+    test("should reject unknown users", async () => {
+      await asAdmin(request(app).post(`/api/groups/${groupId}/members`))
+        .send({ userIds: ["507f1f77bcf86cd799439011"] })
+        .expect(404);
+    });
+
+    test("should filter the user list by group", async () => {
+      const response = await asAdmin(
+        request(app).get(`/api/users/all?group=${groupId}`)
+      ).expect(200);
+
+      expect(response.body.data.users.map((user) => user.email)).toEqual([
+        member.email,
+      ]);
+
+      await asAdmin(request(app).get("/api/users/all?group=nope")).expect(400);
+    });
+
+    test("should revoke the permissions on removal", async () => {
+      await asAdmin(
+        request(app).delete(`/api/groups/${groupId}/members/${member.id}`)
+      ).expect(200);
+
+      await request(app)
+        .get("/api/users/all")
+        .set("Authorization", `Bearer ${memberToken}`)
+        .expect(403);
+    });
+  });
+
+  describe("PATCH /api/groups/:id", () => {
+    test("should update the attached permissions", async () => {
+      const response = await asAdmin(
+        request(app).patch(`/api/groups/${groupId}`)
+      )
+        .send({ roles: [], permissions: ["tokens:introspect"] })
+        .expect(200);
+
+      expect(response.body.data.group.effectivePermissions).toEqual([
+        "tokens:introspect",
+      ]);
+    });
+  });
+
+  describe("DELETE /api/groups/:id", () => {
+    test("should delete the group", async () => {
+      await asAdmin(request(app).delete(`/api/groups/${groupId}`)).expect(200);
+      await asAdmin(request(app).get(`/api/groups/${groupId}`)).expect(404);
+    });
+  });
+});
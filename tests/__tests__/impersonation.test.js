@@ -0,0 +1,106 @@
+import { jest } from "@jest/globals";
+import { verifyToken } from "../../utils/jwt.js";
+import {
+  getImpersonationExpiresMinutes,
+  generateImpersonationToken,
+  getImpersonatorId,
+} from "../../utils/impersonation.js";
+import { denyImpersonation } from "../../middlewares/roleMiddleware.js";
+
+describe("Impersonation", () => {
+  const originalEnv = {
+    JWT_SECRET: process.env.JWT_SECRET,
+    JWT_EXPIRES_IN: process.env.JWT_EXPIRES_IN,
+    IMPERSONATION_EXPIRES_MINUTES: process.env.IMPERSONATION_EXPIRES_MINUTES,
+  };
+  const adminId = "507f1f77bcf86cd799439011";
+  const user = {
+    _id: "507f1f77bcf86cd799439012",
+    email: "jane@example.com",
+    role: "User",
+    emailVerified: true,
+    tokenVersion: 2,
+  };
+
+  beforeEach(() => {
+    process.env.JWT_SECRET = "test_secret";
+    process.env.JWT_EXPIRES_IN = "1h";
+    delete process.env.IMPERSONATION_EXPIRES_MINUTES;
+  });
+
+  afterEach(() => {
+    for (const [name, value] of Object.entries(originalEnv)) {
+      if (value === undefined) {
+        delete process.env[name];
+      } else {
+        process.env[name] = value;
+      }
+    }
+  });
+
+  test("should default to 15 minute tokens", () => {
+    expect(getImpersonationExpiresMinutes()).toBe(15);
+
+    process.env.IMPERSONATION_EXPIRES_MINUTES = "5";
+    expect(getImpersonationExpiresMinutes()).toBe(5);
+  });
+
+  describe("generateImpersonationToken", () => {
+    test("should carry the user's identity and the admin as actor", () => {
+      const { accessToken, jti } = generateImpersonationToken(user, adminId);
+      const claims = verifyToken(accessToken);
+
+      expect(claims.id).toBe(user._id);
+      expect(claims.email).toBe(user.email);
+      expect(claims.tv).toBe(2);
+      expect(claims.act).toEqual({ sub: adminId });
+      expect(claims.jti).toBe(jti);
+      expect(claims.sid).toBeUndefined();
+    });
+
+    test("should expire sooner than regular access tokens", () => {
+      process.env.IMPERSONATION_EXPIRES_MINUTES = "5";
+
+      const { accessToken, expiresAt } = generateImpersonationToken(
+        user,
+        adminId
+      );
+      const claims = verifyToken(accessToken);
+
+      expect(claims.exp - claims.iat).toBe(5 * 60);
+      expect(expiresAt).toEqual(new Date(claims.exp * 1000));
+    });
+  });
+
+  test("should tell impersonated requests apart", () => {
+    expect(getImpersonatorId({ id: user._id, act: { sub: adminId } })).toBe(
+      adminId
+    );
+    expect(getImpersonatorId({ id: user._id })).toBeNull();
+    expect(getImpersonatorId(undefined)).toBeNull();
+  });
+
+  describe("denyImpersonation", () => {
+    const run = (reqUser) => {
+      const req = { user: reqUser, method: "PUT", originalUrl: "/" };
+      const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+      const next = jest.fn();
+      denyImpersonation(req, res, next);
+      return { res, next };
+    };
+
+    test("should block impersonated requests", () => {
+      const { res, next } = run({ id: user._id, act: { sub: adminId } });
+
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(next).not.toHaveBeenCalled();
+    });
+
+    test("should let users act for themselves", () => {
+      const { res, next } = run({ id: user._id });
+
+      expect(next).toHaveBeenCalled();
+      expect(res.status).not.toHaveBeenCalled();
+    });
+  });
+});
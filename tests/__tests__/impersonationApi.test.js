@@ -0,0 +1,139 @@
+import request from "supertest";
+import jwt from "jsonwebtoken";
+import app from "../../server.js";
+import AuditLog from "../../models/auditLogModels.js";
+
+describe("Impersonation API", () => {
+  let adminToken;
+  let adminId;
+  let impersonationToken;
+  const target = {
+    name: "Impersonated User",
+    email: `impersonated${Date.now()}@example.com`,
+    password: "Test@123",
+  };
+
+  const asImpersonator = (req) =>
+    req.set("Authorization", `Bearer ${impersonationToken}`);
+
+  beforeAll(async () => {
+    const adminRes = await request(app).post("/api/users/login").send({
+      email: "alice@example.com",
+      password: "password123",
+    });
+    adminToken = adminRes.body.data.accessToken;
+    adminId = jwt.decode(adminToken).id;
+
+    const registerResponse = await request(app)
+      .post("/api/users/register")
+      .send(target);
+    target.id = registerResponse.body.data.user.id;
+    target.token = registerResponse.body.data.accessToken;
+  });
+
+  describe("POST /api/users/:id/impersonate", () => {
+    test("should issue a token acting as the user", async () => {
+      const response = await request(app)
+        .post(`/api/users/${target.id}/impersonate`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .expect(200);
+
+      impersonationToken = response.body.data.accessToken;
+      expect(response.body.data.refreshToken).toBeUndefined();
+
+      const claims = jwt.decode(impersonationToken);
+      expect(claims.id).toBe(target.id);
+      expect(claims.act).toEqual({ sub: adminId });
+
+      const started = await AuditLog.findOne({
+        user: target.id,
+        event: "impersonation_started",
+      }).lean();
+      expect(String(started.actor)).toBe(adminId);
+    });
+
+    test("should deny users without the users:impersonate permission", async () => {
+      await request(app)
+        .post(`/api/users/${adminId}/impersonate`)
+        .set("Authorization", `Bearer ${target.token}`)
+        .expect(403);
+    });
+
+    test("should not impersonate oneself", async () => {
+      await request(app)
+        .post(`/api/users/${adminId}/impersonate`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .expect(400);
+    });
+  });
+
+  describe("While impersonating", () => {
+    test("should show the impersonation in the profile", async () => {
+      const response = await asImpersonator(
+        request(app).get("/api/users/profile")
+      ).expect(200);
+
+      expect(response.body.data.email).toBe(target.email);
+      expect(response.body.data.impersonation.impersonatedBy.id).toBe(adminId);
+    });
+
+    test("should block sensitive operations", async () => {
+      await asImpersonator(request(app).put("/api/users/profile/password"))
+        .send({ currentPassword: target.password, newPassword: "Other@123" })
+        .expect(403);
+      await asImpersonator(request(app).delete("/api/users/profile"))
+        .send({ password: target.password })
+        .expect(403);
+    });
+
+    test("should block data exports, API key changes and session sign-outs", async () => {
+      const id = "507f1f77bcf86cd799439011";
+      const blocked = [
+        request(app).post("/api/users/profile/export"),
+        request(app).get(`/api/users/profile/export/${id}`),
+        request(app).delete(`/api/users/sessions/${id}`),
+        request(app).patch(`/api/users/profile/api-keys/${id}`),
+        request(app).delete(`/api/users/profile/api-keys/${id}`),
+      ];
+
+      for (const req of blocked) {
+        const response = await asImpersonator(req).expect(403);
+        expect(response.body.message).toBe(
+          "This action is not allowed while impersonating"
+        );
+      }
+    });
+
+    test("should not flag the user's own requests", async () => {
+      const response = await request(app)
+        .get("/api/users/profile")
+        .set("Authorization", `Bearer ${target.token}`)
+        .expect(200);
+
+      expect(response.body.data.impersonation).toBeUndefined();
+    });
+  });
+
+  describe("POST /api/users/impersonation/end", () => {
+    test("should reject regular tokens", async () => {
+      await request(app)
+        .post("/api/users/impersonation/end")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .expect(400);
+    });
+
+    test("should revoke the impersonation token", async () => {
+      await asImpersonator(
+        request(app).post("/api/users/impersonation/end")
+      ).expect(200);
+
+      await asImpersonator(request(app).get("/api/users/profile")).expect(401);
+
+      const ended = await AuditLog.findOne({
+        user: target.id,
+        event: "impersonation_ended",
+      }).lean();
+      expect(String(ended.actor)).toBe(adminId);
+    });
+  });
+});
@@ -0,0 +1,141 @@
+import { jest } from "@jest/globals";
+import jwt from "jsonwebtoken";
+import User from "../../models/userModels.js";
+import {
+  getIntrospectionClients,
+  verifyIntrospectionClient,
+  parseBasicCredentials,
+  inspectAccessToken,
+  buildIntrospectionResponse,
+  buildUserinfo,
+} from "../../utils/introspection.js";
+import { setKeyring } from "../../utils/keyring.js";
+
+describe("Token Introspection Helpers", () => {
+  const originalEnv = {
+    INTROSPECTION_CLIENTS: process.env.INTROSPECTION_CLIENTS,
+    JWT_SECRET: process.env.JWT_SECRET,
+  };
+
+  const mockUser = (user) =>
+    jest.spyOn(User, "findById").mockReturnValue({
+      select: () => ({ lean: async () => user }),
+    });
+
+  beforeEach(() => {
+    process.env.INTROSPECTION_CLIENTS = "billing:s3cret, reports:other:colon";
+    process.env.JWT_SECRET = "test_secret";
+    setKeyring([]);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    setKeyring(null);
+    for (const [name, value] of Object.entries(originalEnv)) {
+      if (value === undefined) {
+        delete process.env[name];
+      } else {
+        process.env[name] = value;
+      }
+    }
+  });
+
+  describe("client credentials", () => {
+    test("should parse configured clients", () => {
+      expect([...getIntrospectionClients().keys()]).toEqual([
+        "billing",
+        "reports",
+      ]);
+    });
+
+    test("should verify client secrets", () => {
+      expect(verifyIntrospectionClient("billing", "s3cret")).toBe(true);
+      expect(verifyIntrospectionClient("reports", "other:colon")).toBe(true);
+      expect(verifyIntrospectionClient("billing", "wrong")).toBe(false);
+      expect(verifyIntrospectionClient("unknown", "s3cret")).toBe(false);
+    });
+
+    test("should decode HTTP Basic credentials", () => {
+      const header = `Basic ${Buffer.from("billing:s3cret").toString("base64")}`;
+
+      expect(parseBasicCredentials(header)).toEqual({
+        clientId: "billing",
+        clientSecret: "s3cret",
+      });
+      expect(parseBasicCredentials("Bearer token")).toBeNull();
+      expect(parseBasicCredentials(undefined)).toBeNull();
+    });
+  });
+
+  describe("inspectAccessToken", () => {
+    const sign = (claims, options = {}) =>
+      jwt.sign({ id: "user-1", tv: 0, ...claims }, "test_secret", {
+        expiresIn: "15m",
+        jwtid: "token-1",
+        ...options,
+      });
+
+    test("should report active tokens with their user", async () => {
+      mockUser({ email: "jane@example.com", role: "User", tokenVersion: 0 });
+
+      const inspection = await inspectAccessToken(sign({ sid: "family-a" }));
+
+      expect(inspection.state).toBe("active");
+      expect(buildIntrospectionResponse(inspection)).toMatchObject({
+        active: true,
+        sub: "user-1",
+        username: "jane@example.com",
+        role: "User",
+        sid: "family-a",
+        jti: "token-1",
+      });
+    });
+
+    test("should report expired tokens", async () => {
+      const token = sign({}, { expiresIn: -10 });
+
+      expect((await inspectAccessToken(token)).state).toBe("expired");
+    });
+
+    test("should report revoked tokens", async () => {
+      mockUser({ tokenVersion: 1 });
+
+      expect((await inspectAccessToken(sign({}))).state).toBe("revoked");
+    });
+
+    test("should report tokens with a bad signature as invalid", async () => {
+      const token = jwt.sign({ id: "user-1" }, "another_secret");
+
+      expect((await inspectAccessToken(token)).state).toBe("invalid");
+    });
+
+    test("should not reveal claims of inactive tokens", () => {
+      expect(buildIntrospectionResponse({ state: "revoked" })).toEqual({
+        active: false,
+        state: "revoked",
+      });
+    });
+  });
+
+  describe("buildUserinfo", () => {
+    test("should map the user to OpenID Connect claims", () => {
+      const userinfo = buildUserinfo({
+        _id: "user-1",
+        name: "Jane Doe",
+        email: "jane@example.com",
+        emailVerified: true,
+        role: "User",
+        updatedAt: new Date("2025-01-01T00:00:00Z"),
+      });
+
+      expect(userinfo).toEqual({
+        sub: "user-1",
+        name: "Jane Doe",
+        email: "jane@example.com",
+        email_verified: true,
+        role: "User",
+        updated_at: 1735689600,
+      });
+    });
+  });
+});
@@ -0,0 +1,102 @@
+import { jest } from "@jest/globals";
+import Invitation from "../../models/invitationModels.js";
+import { generatePurposeToken } from "../../utils/jwt.js";
+import {
+  getInvitationExpiryDays,
+  generateInvitationToken,
+  isInvitationPending,
+  findPendingInvitation,
+} from "../../utils/invitations.js";
+
+describe("Invitation Helpers", () => {
+  const originalSecret = process.env.JWT_SECRET;
+  const originalExpiry = process.env.INVITATION_EXPIRES_DAYS;
+  const id = "507f1f77bcf86cd799439011";
+
+  const pendingInvitation = () => ({
+    _id: id,
+    email: "invitee@example.com",
+    acceptedAt: null,
+    revokedAt: null,
+    expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+  });
+
+  beforeAll(() => {
+    process.env.JWT_SECRET = "test_secret";
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    if (originalExpiry === undefined) {
+      delete process.env.INVITATION_EXPIRES_DAYS;
+    } else {
+      process.env.INVITATION_EXPIRES_DAYS = originalExpiry;
+    }
+  });
+
+  afterAll(() => {
+    process.env.JWT_SECRET = originalSecret;
+  });
+
+  test("should default to a 7 day expiry", () => {
+    delete process.env.INVITATION_EXPIRES_DAYS;
+    expect(getInvitationExpiryDays()).toBe(7);
+
+    process.env.INVITATION_EXPIRES_DAYS = "14";
+    expect(getInvitationExpiryDays()).toBe(14);
+  });
+
+  describe("isInvitationPending", () => {
+    test("should accept unused invitations that have not expired", () => {
+      expect(isInvitationPending(pendingInvitation())).toBe(true);
+    });
+
+    test("should reject used, revoked and expired invitations", () => {
+      const now = new Date();
+      expect(
+        isInvitationPending({ ...pendingInvitation(), acceptedAt: now })
+      ).toBe(false);
+      expect(
+        isInvitationPending({ ...pendingInvitation(), revokedAt: now })
+      ).toBe(false);
+      expect(
+        isInvitationPending({ ...pendingInvitation(), expiresAt: now }, now)
+      ).toBe(false);
+    });
+  });
+
+  describe("findPendingInvitation", () => {
+    test("should find the invitation named by its token", async () => {
+      const invitation = pendingInvitation();
+      const findById = jest
+        .spyOn(Invitation, "findById")
+        .mockResolvedValue(invitation);
+
+      const token = generateInvitationToken(invitation);
+
+      await expect(findPendingInvitation(token)).resolves.toBe(invitation);
+      expect(findById).toHaveBeenCalledWith(id);
+    });
+
+    test("should ignore invitations that were already used", async () => {
+      const invitation = pendingInvitation();
+      jest
+        .spyOn(Invitation, "findById")
+        .mockResolvedValue({ ...invitation, acceptedAt: new Date() });
+
+      await expect(
+        findPendingInvitation(generateInvitationToken(invitation))
+      ).resolves.toBeNull();
+    });
+
+    test("should reject tokens signed for another purpose", async () => {
+      const findById = jest.spyOn(Invitation, "findById");
+
+      await expect(
+        findPendingInvitation(generatePurposeToken({ id }, "magic_link", 60))
+      ).resolves.toBeNull();
+      await expect(findPendingInvitation("not-a-token")).resolves.toBeNull();
+      expect(findById).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,136 @@
+import request from "supertest";
+import jwt from "jsonwebtoken";
+import app from "../../server.js";
+import { outbox, clearOutbox } from "../../utils/mailer.js";
+
+const extractToken = (message) => message.text.match(/token=([\w.-]+)/)[1];
+
+describe("Invitations API", () => {
+  let adminToken;
+  let invitationToken;
+  const suffix = Date.now();
+  const invitee = {
+    name: "Invited User",
+    email: `invitee${suffix}@example.com`,
+  };
+
+  const asAdmin = (req) => req.set("Authorization", `Bearer ${adminToken}`);
+
+  beforeAll(async () => {
+    const adminRes = await request(app).post("/api/users/login").send({
+      email: "alice@example.com",
+      password: "password123",
+    });
+    adminToken = adminRes.body.data.accessToken;
+  });
+
+  describe("POST /api/invitations", () => {
+    test("should email an invite link", async () => {
+      clearOutbox();
+
+      const response = await asAdmin(request(app).post("/api/invitations"))
+        .send({ email: invitee.email, role: "Moderator" })
+        .expect(201);
+
+      expect(response.body.data.invitation.role).toBe("Moderator");
+      expect(outbox).toHaveLength(1);
+      expect(outbox[0].to).toBe(invitee.email);
+      invitationToken = extractToken(outbox[0]);
+    });
+
+    test("should not invite the same email twice", async () => {
+      await asAdmin(request(app).post("/api/invitations"))
+        .send({ email: invitee.email })
+        .expect(409);
+    });
+
+    test("should not invite existing users", async () => {
+      await asAdmin(request(app).post("/api/invitations"))
+        .send({ email: "alice@example.com" })
+        .expect(409);
+    });
+
+    test("should deny users without the users:invite permission", async () => {
+      const registerResponse = await request(app)
+        .post("/api/users/register")
+        .send({
+          name: "Not An Admin",
+          email: `inviter${suffix}@example.com`,
+          password: "Test@123",
+        });
+
+      await request(app)
+        .post("/api/invitations")
+        .set(
+          "Authorization",
+          `Bearer ${registerResponse.body.data.accessToken}`
+        )
+        .send({ email: `friend${suffix}@example.com` })
+        .expect(403);
+    });
+  });
+
+  describe("GET /api/invitations/:token", () => {
+    test("should describe a pending invitation", async () => {
+      const response = await request(app)
+        .get(`/api/invitations/${invitationToken}`)
+        .expect(200);
+
+      expect(response.body.data.invitation.email).toBe(invitee.email);
+      expect(response.body.data.invitation.role).toBe("Moderator");
+    });
+
+    test("should reject invalid tokens", async () => {
+      await request(app).get("/api/invitations/not-a-token").expect(400);
+    });
+  });
+
+  describe("POST /api/invitations/:token/accept", () => {
+    test("should create a verified account with the invited role", async () => {
+      const response = await request(app)
+        .post(`/api/invitations/${invitationToken}/accept`)
+        .send({ name: invitee.name, password: "Test@123", role: "Admin" })
+        .expect(201);
+
+      const { user, accessToken } = response.body.data;
+      expect(user.email).toBe(invitee.email);
+      expect(user.role).toBe("Moderator");
+      expect(user.emailVerified).toBe(true);
+      expect(jwt.decode(accessToken).role).toBe("Moderator");
+    });
+
+    test("should only work once", async () => {
+      await request(app)
+        .post(`/api/invitations/${invitationToken}/accept`)
+        .send({ name: "Second Try", password: "Test@123" })
+        .expect(400);
+    });
+  });
+
+  describe("DELETE /api/invitations/:id", () => {
+    test("should revoke a pending invitation", async () => {
+      clearOutbox();
+      const email = `revoked${suffix}@example.com`;
+      const created = await asAdmin(request(app).post("/api/invitations"))
+        .send({ email })
+        .expect(201);
+      const token = extractToken(outbox[0]);
+
+      const list = await asAdmin(request(app).get("/api/invitations")).expect(
+        200
+      );
+      expect(list.body.data.invitations.map((i) => i.email)).toContain(email);
+
+      await asAdmin(
+        request(app).delete(
+          `/api/invitations/${created.body.data.invitation.id}`
+        )
+      ).expect(200);
+
+      await request(app)
+        .post(`/api/invitations/${token}/accept`)
+        .send({ name: "Too Late", password: "Test@123" })
+        .expect(400);
+    });
+  });
+});
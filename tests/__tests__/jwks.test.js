@@ -0,0 +1,55 @@
+import request from "supertest";
+import app from "../../server.js";
+import {
+  createKeyringEntry,
+  generateSigningKey,
+  setKeyring,
+} from "../../utils/keyring.js";
+
+describe("JWKS Endpoint", () => {
+  afterEach(() => {
+    setKeyring(null);
+  });
+
+  test("should publish the keyring's public keys", async () => {
+    setKeyring([
+      createKeyringEntry({
+        kid: "jwks-test",
+        alg: "ES256",
+        privateKey: generateSigningKey(),
+      }),
+    ]);
+
+    const response = await request(app)
+      .get("/.well-known/jwks.json")
+      .expect(200);
+
+    expect(response.body.keys).toHaveLength(1);
+    expect(response.body.keys[0]).toMatchObject({
+      kid: "jwks-test",
+      alg: "ES256",
+      use: "sig",
+    });
+    expect(response.headers["cache-control"]).toMatch(/max-age/);
+  });
+
+  test("should let clients log in with asymmetric tokens", async () => {
+    setKeyring([
+      createKeyringEntry({
+        kid: "login-test",
+        alg: "RS256",
+        privateKey: generateSigningKey("RS256"),
+      }),
+    ]);
+
+    const login = await request(app).post("/api/users/login").send({
+      email: "bob@example.com",
+      password: "password123",
+    });
+
+    await request(app)
+      .get("/api/users/profile")
+      .set("Authorization", `Bearer ${login.body.data.accessToken}`)
+      .expect(200);
+  });
+});
@@ -0,0 +1,191 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import jwt from "jsonwebtoken";
+import {
+  createKeyringEntry,
+  generateSigningKey,
+  getJwks,
+  loadKeyringFile,
+  setKeyring,
+} from "../../utils/keyring.js";
+import { generateToken, verifyToken } from "../../utils/jwt.js";
+
+describe("Signing Keyring", () => {
+  const originalEnv = {
+    JWT_SECRET: process.env.JWT_SECRET,
+    JWT_EXPIRES_IN: process.env.JWT_EXPIRES_IN,
+  };
+  const user = { id: "123", email: "test@example.com", role: "User" };
+
+  const esKey = createKeyringEntry({
+    kid: "es-1",
+    alg: "ES256",
+    privateKey: generateSigningKey("ES256"),
+  });
+  const rsKey = createKeyringEntry({
+    kid: "rs-1",
+    alg: "RS256",
+    privateKey: generateSigningKey("RS256"),
+  });
+
+  beforeEach(() => {
+    process.env.JWT_SECRET = "test_secret";
+    process.env.JWT_EXPIRES_IN = "15m";
+  });
+
+  afterEach(() => {
+    setKeyring(null);
+    for (const [name, value] of Object.entries(originalEnv)) {
+      if (value === undefined) {
+        delete process.env[name];
+      } else {
+        process.env[name] = value;
+      }
+    }
+  });
+
+  describe("createKeyringEntry", () => {
+    test("should reject a key that does not match its algorithm", () => {
+      expect(() =>
+        createKeyringEntry({
+          kid: "bad",
+          alg: "ES256",
+          privateKey: rsKey.privateKey,
+        })
+      ).toThrow("not a valid ES256 key");
+    });
+
+    test("should reject unsupported algorithms", () => {
+      expect(() =>
+        createKeyringEntry({
+          kid: "bad",
+          alg: "HS256",
+          privateKey: esKey.privateKey,
+        })
+      ).toThrow();
+    });
+  });
+
+  describe("signing", () => {
+    test("should keep using JWT_SECRET without a keyring", () => {
+      setKeyring([]);
+      const token = generateToken(user);
+
+      expect(jwt.decode(token, { complete: true }).header).toMatchObject({
+        alg: "HS256",
+      });
+      expect(verifyToken(token).id).toBe("123");
+    });
+
+    test("should sign with the active key and its kid", () => {
+      setKeyring([esKey]);
+      const token = generateToken(user);
+
+      expect(jwt.decode(token, { complete: true }).header).toMatchObject({
+        alg: "ES256",
+        kid: "es-1",
+      });
+      expect(verifyToken(token).id).toBe("123");
+    });
+
+    test("should keep verifying tokens of a retiring key", () => {
+      setKeyring([rsKey]);
+      const oldToken = generateToken(user);
+
+      setKeyring([esKey, { ...rsKey, status: "retiring" }]);
+      const newToken = generateToken(user);
+
+      expect(jwt.decode(newToken, { complete: true }).header.kid).toBe("es-1");
+      expect(verifyToken(oldToken).id).toBe("123");
+    });
+
+    test("should reject tokens signed with a removed key", () => {
+      setKeyring([rsKey]);
+      const token = generateToken(user);
+
+      setKeyring([esKey]);
+      expect(() => verifyToken(token)).toThrow("Invalid or expired token");
+    });
+
+    test("should stop accepting shared-secret tokens when told to", () => {
+      setKeyring([]);
+      const oldToken = generateToken(user);
+
+      setKeyring([esKey]);
+      expect(verifyToken(oldToken).id).toBe("123");
+
+      process.env.JWT_ACCEPT_SHARED_SECRET = "false";
+      try {
+        expect(() => verifyToken(oldToken)).toThrow("Invalid or expired token");
+        expect(verifyToken(generateToken(user)).id).toBe("123");
+      } finally {
+        delete process.env.JWT_ACCEPT_SHARED_SECRET;
+      }
+    });
+
+    test("should ignore the setting without a keyring", () => {
+      process.env.JWT_ACCEPT_SHARED_SECRET = "false";
+      try {
+        setKeyring([]);
+        expect(verifyToken(generateToken(user)).id).toBe("123");
+      } finally {
+        delete process.env.JWT_ACCEPT_SHARED_SECRET;
+      }
+    });
+
+    test("should not accept an HS256 token forged with a public key", () => {
+      setKeyring([rsKey]);
+      const publicPem = rsKey.publicKey.export({ type: "spki", format: "pem" });
+      const forged = jwt.sign(user, publicPem, {
+        algorithm: "HS256",
+        keyid: "rs-1",
+      });
+
+      expect(() => verifyToken(forged)).toThrow("Invalid or expired token");
+    });
+  });
+
+  describe("getJwks", () => {
+    test("should publish public keys only", () => {
+      setKeyring([esKey, { ...rsKey, status: "retiring" }]);
+      const { keys } = getJwks();
+
+      expect(keys.map((key) => key.kid)).toEqual(["es-1", "rs-1"]);
+      expect(keys[0]).toMatchObject({ kty: "EC", alg: "ES256", use: "sig" });
+      expect(keys[1]).toMatchObject({ kty: "RSA", alg: "RS256" });
+      keys.forEach((key) => expect(key).not.toHaveProperty("d"));
+    });
+
+    test("should be empty without a keyring", () => {
+      setKeyring([]);
+      expect(getJwks()).toEqual({ keys: [] });
+    });
+  });
+
+  describe("loadKeyringFile", () => {
+    test("should read keys relative to the keyring file", () => {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), "keyring-"));
+      try {
+        fs.writeFileSync(path.join(dir, "k1.pem"), generateSigningKey());
+        fs.writeFileSync(
+          path.join(dir, "keyring.json"),
+          JSON.stringify({
+            keys: [{ kid: "k1", alg: "ES256", privateKeyFile: "k1.pem" }],
+          })
+        );
+
+        const entries = loadKeyringFile(path.join(dir, "keyring.json"));
+
+        expect(entries).toHaveLength(1);
+        expect(entries[0]).toMatchObject({ kid: "k1", status: "active" });
+      } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+      }
+    });
+
+    test("should reject duplicate key IDs", () => {
+      expect(() => setKeyring([esKey, esKey])).toThrow("unique");
+    });
+  });
+});
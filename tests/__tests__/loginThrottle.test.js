@@ -0,0 +1,147 @@
+import { jest } from "@jest/globals";
+import User from "../../models/userModels.js";
+import {
+  getLockRemainingMs,
+  getLockDurationMs,
+  recordFailedLogin,
+  resetLoginThrottle,
+  getUnknownEmailState,
+  clearUnknownEmailStates,
+  getFailedLoginUpdate,
+  recordAccountFailedLogin,
+  clearAccountLoginThrottle,
+} from "../../utils/loginThrottle.js";
+
+describe("Login Throttle", () => {
+  const now = Date.parse("2025-01-01T00:00:00Z");
+
+  beforeEach(() => {
+    process.env.LOGIN_MAX_FAILED_ATTEMPTS = "3";
+    process.env.LOGIN_LOCKOUT_BASE_MS = "60000";
+    process.env.LOGIN_LOCKOUT_MAX_MS = "600000";
+    process.env.LOGIN_FAILURE_WINDOW_MS = "900000";
+  });
+
+  afterAll(() => {
+    delete process.env.LOGIN_MAX_FAILED_ATTEMPTS;
+    delete process.env.LOGIN_LOCKOUT_BASE_MS;
+    delete process.env.LOGIN_LOCKOUT_MAX_MS;
+    delete process.env.LOGIN_FAILURE_WINDOW_MS;
+  });
+
+  describe("recordFailedLogin", () => {
+    test("should lock the account after the maximum attempts", () => {
+      const state = {};
+
+      expect(recordFailedLogin(state, now)).toBe(0);
+      expect(recordFailedLogin(state, now)).toBe(0);
+      expect(recordFailedLogin(state, now)).toBe(60000);
+
+      expect(getLockRemainingMs(state, now)).toBe(60000);
+      expect(getLockRemainingMs(state, now + 60000)).toBe(0);
+    });
+
+    test("should double the lock duration on each lockout", () => {
+      const state = {};
+      let time = now;
+      const lockOnce = () => {
+        let duration = 0;
+        for (let i = 0; i < 3; i++) {
+          duration = recordFailedLogin(state, time);
+        }
+        time += duration;
+        return duration;
+      };
+
+      expect(lockOnce()).toBe(60000);
+      expect(lockOnce()).toBe(120000);
+      expect(lockOnce()).toBe(240000);
+    });
+
+    test("should forget failures after a quiet period", () => {
+      const state = {};
+      recordFailedLogin(state, now);
+      recordFailedLogin(state, now);
+
+      recordFailedLogin(state, now + 900001);
+
+      expect(state.failedLoginAttempts).toBe(1);
+      expect(getLockRemainingMs(state, now + 900001)).toBe(0);
+    });
+  });
+
+  describe("getLockDurationMs", () => {
+    test("should cap the lock duration", () => {
+      expect(getLockDurationMs(10)).toBe(600000);
+    });
+  });
+
+  describe("resetLoginThrottle", () => {
+    test("should unlock the account", () => {
+      const state = {};
+      for (let i = 0; i < 3; i++) recordFailedLogin(state, now);
+
+      resetLoginThrottle(state);
+
+      expect(getLockRemainingMs(state, now)).toBe(0);
+      expect(state.failedLoginAttempts).toBe(0);
+      expect(state.lockoutCount).toBe(0);
+    });
+  });
+
+  describe("Account updates", () => {
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    const mockUpdatedState = (state) =>
+      jest.spyOn(User, "findOneAndUpdate").mockReturnValue({
+        select: () => ({ lean: async () => state }),
+      });
+
+    test("should record failures in one update pipeline", async () => {
+      const spy = mockUpdatedState({ failedLoginAttempts: 2 });
+
+      expect(await recordAccountFailedLogin("user-id", now)).toBe(0);
+      expect(spy).toHaveBeenCalledWith(
+        { _id: "user-id" },
+        getFailedLoginUpdate(now),
+        { new: true }
+      );
+    });
+
+    test("should report the lock applied by the failure", async () => {
+      mockUpdatedState({
+        failedLoginAttempts: 0,
+        lockUntil: new Date(now + 60000),
+      });
+
+      expect(await recordAccountFailedLogin("user-id", now)).toBe(60000);
+    });
+
+    test("should only clear failures of unlocked accounts", async () => {
+      const spy = jest
+        .spyOn(User, "updateOne")
+        .mockResolvedValue({ matchedCount: 0 });
+
+      expect(await clearAccountLoginThrottle("user-id", now)).toBe(false);
+      expect(spy.mock.calls[0][0].$or).toEqual([
+        { lockUntil: null },
+        { lockUntil: { $lte: new Date(now) } },
+      ]);
+    });
+  });
+
+  describe("getUnknownEmailState", () => {
+    test("should track unknown emails case-insensitively", () => {
+      clearUnknownEmailStates();
+
+      const state = getUnknownEmailState("Nobody@Example.com");
+      recordFailedLogin(state, now);
+
+      expect(
+        getUnknownEmailState("nobody@example.com").failedLoginAttempts
+      ).toBe(1);
+    });
+  });
+});
@@ -0,0 +1,92 @@
+import request from "supertest";
+import app from "../../server.js";
+import { outbox, clearOutbox } from "../../utils/mailer.js";
+
+const extractToken = (message) =>
+  decodeURIComponent(message.text.match(/token=([^\s]+)/)[1]);
+
+describe("Magic Link Login API", () => {
+  const testUser = {
+    name: "Magic Link User",
+    email: `magic${Date.now()}@example.com`,
+    password: "Test@123",
+  };
+
+  const requestLink = (email) =>
+    request(app).post("/api/users/login/magic-link").send({ email });
+
+  const consume = (token) =>
+    request(app).post("/api/users/login/magic-link/consume").send({ token });
+
+  beforeAll(async () => {
+    await request(app).post("/api/users/register").send(testUser);
+  });
+
+  beforeEach(() => {
+    clearOutbox();
+  });
+
+  test("should email a login link and exchange it for tokens", async () => {
+    const response = await requestLink(testUser.email).expect(200);
+
+    expect(response.body.message).toBe(
+      "If an account with that email exists, a login link has been sent"
+    );
+    expect(outbox).toHaveLength(1);
+    expect(outbox[0].to).toBe(testUser.email);
+
+    const login = await consume(extractToken(outbox[0])).expect(200);
+
+    expect(login.body.data.accessToken).toBeDefined();
+    expect(login.body.data.refreshToken).toBeDefined();
+
+    await request(app)
+      .get("/api/users/profile")
+      .set("Authorization", `Bearer ${login.body.data.accessToken}`)
+      .expect(200);
+  });
+
+  test("should only accept a link once", async () => {
+    await requestLink(testUser.email).expect(200);
+    const token = extractToken(outbox[0]);
+
+    await consume(token).expect(200);
+    const response = await consume(token).expect(401);
+
+    expect(response.body.message).toBe("Invalid or expired login link");
+  });
+
+  test("should answer the same for unknown emails", async () => {
+    const response = await requestLink(
+      `nobody${Date.now()}@example.com`
+    ).expect(200);
+
+    expect(response.body.message).toBe(
+      "If an account with that email exists, a login link has been sent"
+    );
+    expect(outbox).toHaveLength(0);
+  });
+
+  test("should reject tampered or foreign tokens", async () => {
+    await consume("not-a-token").expect(401);
+
+    // Access tokens share the signing secret but are not login links
+    const login = await request(app).post("/api/users/login").send({
+      email: testUser.email,
+      password: testUser.password,
+    });
+    await consume(login.body.data.accessToken).expect(401);
+  });
+
+  test("should throttle links per email address", async () => {
+    const email = `throttled${Date.now()}@example.com`;
+
+    for (let attempt = 0; attempt < 3; attempt++) {
+      await requestLink(email).expect(200);
+    }
+    await requestLink(email).expect(429);
+
+    // Other addresses are not affected
+    await requestLink(`other${Date.now()}@example.com`).expect(200);
+  });
+});
@@ -0,0 +1,110 @@
+import {
+  sendMail,
+  outbox,
+  clearOutbox,
+  setMailTransport,
+  buildAppUrl,
+  sendPasswordResetEmail,
+  sendMagicLinkEmail,
+  sendInvitationEmail,
+} from "../../utils/mailer.js";
+
+describe("Mailer", () => {
+  beforeEach(() => {
+    process.env.MAIL_TRANSPORT = "memory";
+    setMailTransport(null);
+    clearOutbox();
+  });
+
+  describe("sendMail", () => {
+    test("should deliver messages to the in-memory outbox", async () => {
+      await sendMail({
+        to: "test@example.com",
+        subject: "Hello",
+        text: "World",
+      });
+
+      expect(outbox).toHaveLength(1);
+      expect(outbox[0].to).toBe("test@example.com");
+      expect(outbox[0].subject).toBe("Hello");
+      expect(outbox[0]).toHaveProperty("from");
+    });
+
+    test("should use a custom transport when one is set", async () => {
+      const sent = [];
+      setMailTransport({ send: async (message) => sent.push(message) });
+
+      await sendMail({ to: "test@example.com", subject: "Hi", text: "" });
+
+      expect(sent).toHaveLength(1);
+      expect(outbox).toHaveLength(0);
+    });
+
+    test("should reject a transport without send()", () => {
+      expect(() => setMailTransport({})).toThrow();
+    });
+
+    test("should fail with an unknown transport name", async () => {
+      process.env.MAIL_TRANSPORT = "carrier-pigeon";
+
+      await expect(
+        sendMail({ to: "test@example.com", subject: "Hi", text: "" })
+      ).rejects.toThrow("Unknown mail transport");
+    });
+  });
+
+  describe("buildAppUrl", () => {
+    test("should append query parameters", () => {
+      process.env.APP_URL = "https://app.example.com";
+
+      expect(buildAppUrl("/reset-password", { token: "abc" })).toBe(
+        "https://app.example.com/reset-password?token=abc"
+      );
+    });
+  });
+
+  describe("sendPasswordResetEmail", () => {
+    test("should include the reset link", async () => {
+      await sendPasswordResetEmail(
+        { name: "Test User", email: "test@example.com" },
+        "abc123",
+        30
+      );
+
+      expect(outbox[0].text).toContain("reset-password?token=abc123");
+      expect(outbox[0].text).toContain("30 minutes");
+    });
+  });
+
+  describe("sendMagicLinkEmail", () => {
+    test("should include the login link", async () => {
+      await sendMagicLinkEmail(
+        { name: "Test User", email: "test@example.com" },
+        "abc.def.ghi",
+        15
+      );
+
+      expect(outbox[0].subject).toBe("Your login link");
+      expect(outbox[0].text).toContain("login/magic-link?token=abc.def.ghi");
+      expect(outbox[0].text).toContain("15 minutes");
+    });
+  });
+
+  describe("sendInvitationEmail", () => {
+    test("should include the invite link and who sent it", async () => {
+      await sendInvitationEmail(
+        {
+          email: "new@example.com",
+          expiresAt: new Date("2025-01-08T00:00:00Z"),
+        },
+        "abc.def.ghi",
+        "Alice Admin"
+      );
+
+      expect(outbox[0].to).toBe("new@example.com");
+      expect(outbox[0].text).toContain("Alice Admin invited you");
+      expect(outbox[0].text).toContain("invitations/accept?token=abc.def.ghi");
+      expect(outbox[0].text).toContain("08 Jan 2025");
+    });
+  });
+});
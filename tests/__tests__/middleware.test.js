@@ -6,6 +6,7 @@ describe("Middleware Tests", () => {
   let validToken;
   let adminToken;
   let userToken;
+  let moderatorToken;
 
   beforeAll(async () => {
     // Login as regular user
@@ -22,6 +23,13 @@ describe("Middleware Tests", () => {
     });
     adminToken = adminLogin.body.data.accessToken;
     validToken = adminToken;
+
+    // Login as moderator
+    const moderatorLogin = await request(app).post("/api/users/login").send({
+      email: "diana@example.com",
+      password: "password123",
+    });
+    moderatorToken = moderatorLogin.body.data.accessToken;
   });
 
   describe("Authentication Middleware", () => {
@@ -87,7 +95,7 @@ describe("Middleware Tests", () => {
     });
   });
 
-  describe("Authorization Middleware (Role-based)", () => {
+  describe("Authorization Middleware (Permission-based)", () => {
     it("should allow admin to access admin-only endpoint", async () => {
       const res = await request(app)
         .get("/api/users/all")
@@ -106,6 +114,30 @@ describe("Middleware Tests", () => {
       expect(res.body.message).toContain("Access denied");
     });
 
+    it("should allow a moderator to read users", async () => {
+      const res = await request(app)
+        .get("/api/users/all")
+        .set("Authorization", `Bearer ${moderatorToken}`);
+
+      expect(res.statusCode).toBe(200);
+    });
+
+    it("should deny a moderator from modifying users", async () => {
+      // Permissions are checked before the user is looked up
+      const targetId = "507f1f77bcf86cd799439011";
+
+      const update = await request(app)
+        .patch(`/api/users/${targetId}`)
+        .set("Authorization", `Bearer ${moderatorToken}`)
+        .send({ name: "Renamed By Moderator" });
+      expect(update.statusCode).toBe(403);
+
+      const removal = await request(app)
+        .delete(`/api/users/${targetId}`)
+        .set("Authorization", `Bearer ${moderatorToken}`);
+      expect(removal.statusCode).toBe(403);
+    });
+
     it("should allow any authenticated user to access their profile", async () => {
       const res = await request(app)
         .get("/api/users/profile")
@@ -0,0 +1,220 @@
+import http from "http";
+import jwt from "jsonwebtoken";
+import {
+  createCodeChallenge,
+  createOAuthState,
+  consumeOAuthState,
+  buildAuthorizationUrl,
+  exchangeAuthorizationCode,
+  fetchOAuthProfile,
+  validateIdTokenClaims,
+} from "../../utils/oauth.js";
+import {
+  fetchJson,
+  getOAuthProvider,
+  registerOAuthProvider,
+  resolveProviderEndpoints,
+} from "../../utils/oauthProviders.js";
+import { startMockOidcProvider } from "../mockOidcProvider.js";
+
+describe("OAuth Helpers", () => {
+  describe("createCodeChallenge", () => {
+    test("should match the RFC 7636 example", () => {
+      expect(
+        createCodeChallenge("dBjftJeZ4CVP-mB92K27uhbUJU1p1r_wW1gFWFOEjXk")
+      ).toBe("E9Melhoa2OwvFrEMTJguCHaoeK1t8URWbuGJSstw-cM");
+    });
+  });
+
+  describe("OAuth state", () => {
+    test("should be single-use", () => {
+      const { state, codeVerifier } = createOAuthState("google");
+
+      expect(consumeOAuthState(state, "google").codeVerifier).toBe(
+        codeVerifier
+      );
+      expect(consumeOAuthState(state, "google")).toBeNull();
+    });
+
+    test("should be bound to its provider", () => {
+      const { state } = createOAuthState("google");
+
+      expect(consumeOAuthState(state, "github")).toBeNull();
+    });
+
+    test("should reject unknown states", () => {
+      expect(consumeOAuthState("unknown", "google")).toBeNull();
+    });
+  });
+
+  describe("getOAuthProvider", () => {
+    afterEach(() => {
+      delete process.env.OAUTH_GOOGLE_CLIENT_ID;
+      delete process.env.OAUTH_GOOGLE_CLIENT_SECRET;
+    });
+
+    test("should enable presets when credentials are set", () => {
+      expect(getOAuthProvider("google")).toBeNull();
+
+      process.env.OAUTH_GOOGLE_CLIENT_ID = "google-client";
+      process.env.OAUTH_GOOGLE_CLIENT_SECRET = "google-secret";
+
+      const provider = getOAuthProvider("google");
+      expect(provider.clientId).toBe("google-client");
+      expect(provider.issuer).toBe("https://accounts.google.com");
+    });
+
+    test("should not resolve unknown providers", () => {
+      expect(getOAuthProvider("constructor")).toBeNull();
+    });
+  });
+
+  describe("validateIdTokenClaims", () => {
+    const provider = { issuer: "https://issuer.test", clientId: "client" };
+    const sign = (claims, options = {}) =>
+      jwt.sign(claims, "secret", {
+        issuer: "https://issuer.test",
+        audience: "client",
+        expiresIn: "5m",
+        ...options,
+      });
+
+    test("should accept matching claims", () => {
+      const claims = validateIdTokenClaims(
+        sign({ sub: "1", nonce: "n" }),
+        provider,
+        "n"
+      );
+
+      expect(claims.sub).toBe("1");
+    });
+
+    test("should reject a wrong nonce", () => {
+      expect(() =>
+        validateIdTokenClaims(sign({ sub: "1", nonce: "n" }), provider, "x")
+      ).toThrow("ID token nonce mismatch");
+    });
+
+    test("should reject another audience", () => {
+      expect(() =>
+        validateIdTokenClaims(
+          sign({ sub: "1", nonce: "n" }, { audience: "other" }),
+          provider,
+          "n"
+        )
+      ).toThrow("ID token audience mismatch");
+    });
+
+    test("should reject another issuer", () => {
+      expect(() =>
+        validateIdTokenClaims(
+          sign({ sub: "1", nonce: "n" }, { issuer: "https://evil.test" }),
+          provider,
+          "n"
+        )
+      ).toThrow("ID token issuer mismatch");
+    });
+  });
+
+  describe("against a mock OpenID Connect provider", () => {
+    let mockProvider;
+    let provider;
+    const redirectUri = "http://localhost:3000/api/users/oauth/mock/callback";
+    const profile = {
+      sub: "mock-user-1",
+      email: "mock.user@example.com",
+      email_verified: true,
+      name: "Mock User",
+    };
+
+    beforeAll(async () => {
+      mockProvider = await startMockOidcProvider();
+      registerOAuthProvider("mock", {
+        issuer: mockProvider.issuer,
+        clientId: mockProvider.clientId,
+      });
+      provider = await resolveProviderEndpoints(getOAuthProvider("mock"));
+    });
+
+    afterAll(async () => {
+      registerOAuthProvider("mock", null);
+      await mockProvider.close();
+    });
+
+    test("should discover the provider endpoints", () => {
+      expect(provider.tokenEndpoint).toBe(`${mockProvider.issuer}/token`);
+    });
+
+    test("should complete the code flow with PKCE", async () => {
+      const { state, codeVerifier, nonce } = createOAuthState("mock");
+      const authorizationUrl = buildAuthorizationUrl(provider, {
+        redirectUri,
+        state,
+        codeVerifier,
+        nonce,
+      });
+      const { code } = mockProvider.issueCode(authorizationUrl, profile);
+
+      const tokens = await exchangeAuthorizationCode(provider, {
+        code,
+        redirectUri,
+        codeVerifier,
+      });
+      const result = await fetchOAuthProfile(provider, tokens, nonce);
+
+      expect(result).toEqual({
+        subject: "mock-user-1",
+        email: "mock.user@example.com",
+        emailVerified: true,
+        name: "Mock User",
+      });
+    });
+
+    test("should fail with the wrong code verifier", async () => {
+      const { state, codeVerifier, nonce } = createOAuthState("mock");
+      const authorizationUrl = buildAuthorizationUrl(provider, {
+        redirectUri,
+        state,
+        codeVerifier,
+        nonce,
+      });
+      const { code } = mockProvider.issueCode(authorizationUrl, profile);
+
+      await expect(
+        exchangeAuthorizationCode(provider, {
+          code,
+          redirectUri,
+          codeVerifier: "wrong-verifier",
+        })
+      ).rejects.toThrow("failed with status 400");
+    });
+  });
+
+  describe("fetchJson", () => {
+    const originalTimeout = process.env.OAUTH_HTTP_TIMEOUT_MS;
+
+    afterEach(() => {
+      if (originalTimeout === undefined) {
+        delete process.env.OAUTH_HTTP_TIMEOUT_MS;
+      } else {
+        process.env.OAUTH_HTTP_TIMEOUT_MS = originalTimeout;
+      }
+    });
+
+    test("should give up on a provider that does not answer", async () => {
+      const pending = [];
+      const server = http.createServer((req, res) => pending.push(res));
+      await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+      process.env.OAUTH_HTTP_TIMEOUT_MS = "50";
+
+      try {
+        await expect(
+          fetchJson(`http://127.0.0.1:${server.address().port}/`)
+        ).rejects.toThrow();
+      } finally {
+        pending.forEach((res) => res.destroy());
+        await new Promise((resolve) => server.close(resolve));
+      }
+    });
+  });
+});
@@ -0,0 +1,216 @@
+import request from "supertest";
+import app from "../../server.js";
+import { registerOAuthProvider } from "../../utils/oauthProviders.js";
+import { outbox, clearOutbox } from "../../utils/mailer.js";
+import { startMockOidcProvider } from "../mockOidcProvider.js";
+
+describe("OAuth Login API", () => {
+  let mockProvider;
+  const subject = `mock-${Date.now()}`;
+  const email = `oauth${Date.now()}@example.com`;
+
+  // Start a login and approve it at the mock provider
+  const authorize = async (profile) => {
+    const start = await request(app)
+      .get("/api/users/oauth/mock/start")
+      .expect(302);
+    const cookie = start.headers["set-cookie"][0].split(";")[0];
+    const { code, state } = mockProvider.issueCode(
+      start.headers.location,
+      profile
+    );
+    return { code, state, cookie };
+  };
+
+  const callback = ({ code, state, cookie }) =>
+    request(app)
+      .get("/api/users/oauth/mock/callback")
+      .query({ code, state })
+      .set("Cookie", cookie);
+
+  beforeAll(async () => {
+    mockProvider = await startMockOidcProvider();
+    registerOAuthProvider("mock", {
+      issuer: mockProvider.issuer,
+      clientId: mockProvider.clientId,
+    });
+  });
+
+  afterAll(async () => {
+    registerOAuthProvider("mock", null);
+    await mockProvider.close();
+  });
+
+  test("should redirect to the provider with PKCE and state", async () => {
+    const response = await request(app)
+      .get("/api/users/oauth/mock/start")
+      .expect(302);
+
+    const params = new URL(response.headers.location).searchParams;
+    expect(params.get("code_challenge_method")).toBe("S256");
+    expect(params.get("code_challenge")).toBeTruthy();
+    expect(params.get("state")).toBeTruthy();
+    expect(params.get("nonce")).toBeTruthy();
+  });
+
+  test("should return 404 for an unknown provider", async () => {
+    await request(app).get("/api/users/oauth/unknown/start").expect(404);
+  });
+
+  test("should create an account on first login", async () => {
+    const attempt = await authorize({
+      sub: subject,
+      email,
+      email_verified: true,
+      name: "OAuth User",
+    });
+
+    const response = await callback(attempt).expect(200);
+
+    expect(response.body.data.accessToken).toBeDefined();
+    expect(response.body.data.refreshToken).toBeDefined();
+
+    const profile = await request(app)
+      .get("/api/users/profile")
+      .set("Authorization", `Bearer ${response.body.data.accessToken}`)
+      .expect(200);
+    expect(profile.body.data.email).toBe(email);
+    expect(profile.body.data.emailVerified).toBe(true);
+  });
+
+  test("should log into the same account again", async () => {
+    const attempt = await authorize({
+      sub: subject,
+      email,
+      email_verified: true,
+    });
+
+    await callback(attempt).expect(200);
+  });
+
+  test("should link an existing account by verified email", async () => {
+    const localUser = {
+      name: "Local User",
+      email: `local${Date.now()}@example.com`,
+      password: "Test@123",
+    };
+    clearOutbox();
+    await request(app).post("/api/users/register").send(localUser);
+    const verificationToken = outbox[0].text.match(/token=([a-f0-9]+)/)[1];
+    await request(app)
+      .post("/api/users/verify-email")
+      .send({ token: verificationToken })
+      .expect(200);
+
+    const unverified = await authorize({
+      sub: `${subject}-local`,
+      email: localUser.email,
+      email_verified: false,
+    });
+    await callback(unverified).expect(409);
+
+    const verified = await authorize({
+      sub: `${subject}-local`,
+      email: localUser.email,
+      email_verified: true,
+    });
+    const response = await callback(verified).expect(200);
+
+    const profile = await request(app)
+      .get("/api/users/profile")
+      .set("Authorization", `Bearer ${response.body.data.accessToken}`)
+      .expect(200);
+    expect(profile.body.data.email).toBe(localUser.email);
+  });
+
+  test("should not link an account whose email was never verified", async () => {
+    // Someone else may have registered the address to take over the account
+    const squatter = {
+      name: "Squatter",
+      email: `squatted${Date.now()}@example.com`,
+      password: "Test@123",
+    };
+    await request(app).post("/api/users/register").send(squatter);
+
+    const attempt = await authorize({
+      sub: `${subject}-squatted`,
+      email: squatter.email,
+      email_verified: true,
+    });
+    await callback(attempt).expect(409);
+  });
+
+  test("should refuse logins linked to a deleted account", async () => {
+    const deletedSubject = `${subject}-deleted`;
+    const first = await callback(
+      await authorize({
+        sub: deletedSubject,
+        email: `oauthdeleted${Date.now()}@example.com`,
+        email_verified: true,
+      })
+    ).expect(200);
+
+    const adminRes = await request(app).post("/api/users/login").send({
+      email: "alice@example.com",
+      password: "password123",
+    });
+    const profile = await request(app)
+      .get("/api/users/profile")
+      .set("Authorization", `Bearer ${first.body.data.accessToken}`)
+      .expect(200);
+    await request(app)
+      .delete(`/api/users/${profile.body.data._id}`)
+      .set("Authorization", `Bearer ${adminRes.body.data.accessToken}`)
+      .expect(200);
+
+    // Even with another email the identity stays taken
+    const attempt = await authorize({
+      sub: deletedSubject,
+      email: `oauthdeleted-new${Date.now()}@example.com`,
+      email_verified: true,
+    });
+    await callback(attempt).expect(409);
+  });
+
+  test("should apply the email verification policy", async () => {
+    const originalPolicy = process.env.EMAIL_VERIFICATION_POLICY;
+    process.env.EMAIL_VERIFICATION_POLICY = "block";
+    try {
+      const attempt = await authorize({
+        sub: `${subject}-unverified`,
+        email: `oauthunverified${Date.now()}@example.com`,
+        email_verified: false,
+      });
+      await callback(attempt).expect(403);
+    } finally {
+      if (originalPolicy === undefined) {
+        delete process.env.EMAIL_VERIFICATION_POLICY;
+      } else {
+        process.env.EMAIL_VERIFICATION_POLICY = originalPolicy;
+      }
+    }
+  });
+
+  test("should reject a callback without the state cookie", async () => {
+    const { code, state } = await authorize({ sub: subject, email });
+
+    await request(app)
+      .get("/api/users/oauth/mock/callback")
+      .query({ code, state })
+      .expect(400);
+  });
+
+  test("should reject a reused state", async () => {
+    const attempt = await authorize({ sub: subject, email });
+    await callback(attempt).expect(200);
+
+    await callback(attempt).expect(400);
+  });
+
+  test("should report a denied login", async () => {
+    await request(app)
+      .get("/api/users/oauth/mock/callback")
+      .query({ error: "access_denied" })
+      .expect(400);
+  });
+});
@@ -0,0 +1,73 @@
+import {
+  getTenant,
+  canManageOrganization,
+  slugify,
+} from "../../utils/organizations.js";
+
+describe("Organization Helpers", () => {
+  const orgId = "507f1f77bcf86cd799439011";
+
+  describe("getTenant", () => {
+    test("should scope members to their organization", () => {
+      expect(getTenant({ id: "1", orgId })).toBe(orgId);
+    });
+
+    test("should not scope users outside any organization", () => {
+      expect(getTenant({ id: "1" })).toBeNull();
+      expect(getTenant(undefined)).toBeNull();
+    });
+  });
+
+  describe("canManageOrganization", () => {
+    test("should allow owners and admins of the organization", () => {
+      expect(
+        canManageOrganization(
+          { orgId, orgRole: "owner", permissions: [] },
+          orgId
+        )
+      ).toBe(true);
+      expect(
+        canManageOrganization(
+          { orgId, orgRole: "admin", permissions: [] },
+          orgId
+        )
+      ).toBe(true);
+    });
+
+    test("should deny plain members", () => {
+      expect(
+        canManageOrganization(
+          { orgId, orgRole: "member", permissions: [] },
+          orgId
+        )
+      ).toBe(false);
+    });
+
+    test("should deny admins of another organization", () => {
+      expect(
+        canManageOrganization(
+          {
+            orgId: "507f1f77bcf86cd799439012",
+            orgRole: "owner",
+            permissions: [],
+          },
+          orgId
+        )
+      ).toBe(false);
+    });
+
+    test("should allow the organizations:manage permission", () => {
+      expect(
+        canManageOrganization({ permissions: ["organizations:manage"] }, orgId)
+      ).toBe(true);
+      expect(canManageOrganization({ permissions: [] }, orgId)).toBe(false);
+    });
+  });
+
+  describe("slugify", () => {
+    test("should keep lowercase letters, digits and single hyphens", () => {
+      expect(slugify("Acme Corp.")).toBe("acme-corp");
+      expect(slugify("  Café 42 -- Ltd  ")).toBe("cafe-42-ltd");
+    });
+  });
+});
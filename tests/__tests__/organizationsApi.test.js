@@ -0,0 +1,241 @@
+import request from "supertest";
+import jwt from "jsonwebtoken";
+import app from "../../server.js";
+
+describe("Organizations API", () => {
+  let adminToken;
+  let organizationId;
+  let ownerToken;
+  const suffix = Date.now();
+  const accounts = {
+    owner: { name: "Org Owner", email: `owner${suffix}@example.com` },
+    member: { name: "Org Member", email: `member${suffix}@example.com` },
+    moderator: { name: "Org Moderator", email: `orgmod${suffix}@example.com` },
+    outsider: { name: "Outsider", email: `outsider${suffix}@example.com` },
+    staff: { name: "Org Staff", email: `orgstaff${suffix}@example.com` },
+  };
+
+  const asAdmin = (req) => req.set("Authorization", `Bearer ${adminToken}`);
+  const asOwner = (req) => req.set("Authorization", `Bearer ${ownerToken}`);
+
+  const login = async ({ email }) => {
+    const response = await request(app)
+      .post("/api/users/login")
+      .send({ email, password: "Test@123" });
+    return response.body.data.accessToken;
+  };
+
+  beforeAll(async () => {
+    const adminRes = await request(app).post("/api/users/login").send({
+      email: "alice@example.com",
+      password: "password123",
+    });
+    adminToken = adminRes.body.data.accessToken;
+
+    for (const account of Object.values(accounts)) {
+      const response = await request(app)
+        .post("/api/users/register")
+        .send({ ...account, password: "Test@123" });
+      account.id = response.body.data.user.id;
+    }
+  });
+
+  describe("POST /api/organizations", () => {
+    test("should create an organization with an owner", async () => {
+      const response = await asAdmin(request(app).post("/api/organizations"))
+        .send({ name: `Acme ${suffix}`, ownerId: accounts.owner.id })
+        .expect(201);
+
+      organizationId = response.body.data.organization.id;
+      expect(response.body.data.organization.slug).toBe(`acme-${suffix}`);
+
+      // Adding the owner signed them out; new tokens carry the organization
+      ownerToken = await login(accounts.owner);
+      const claims = jwt.decode(ownerToken);
+      expect(claims.orgId).toBe(organizationId);
+      expect(claims.orgRole).toBe("owner");
+    });
+
+    test("should reject a duplicate slug", async () => {
+      await asAdmin(request(app).post("/api/organizations"))
+        .send({ name: `Acme ${suffix}` })
+        .expect(409);
+    });
+
+    test("should be reserved to the platform", async () => {
+      await asOwner(request(app).post("/api/organizations"))
+        .send({ name: "Side Project" })
+        .expect(403);
+    });
+  });
+
+  describe("Members", () => {
+    test("should let the platform add existing users", async () => {
+      await asAdmin(
+        request(app).post(`/api/organizations/${organizationId}/members`)
+      )
+        .send({ userId: accounts.member.id })
+        .expect(201);
+      await asAdmin(
+        request(app).post(`/api/organizations/${organizationId}/members`)
+      )
+        .send({ userId: accounts.member.id })
+        .expect(409);
+
+      // Organization owners cannot pull in arbitrary accounts
+      await asOwner(
+        request(app).post(`/api/organizations/${organizationId}/members`)
+      )
+        .send({ userId: accounts.outsider.id })
+        .expect(403);
+    });
+
+    test("should let owners list their members", async () => {
+      const response = await asOwner(
+        request(app).get(`/api/organizations/${organizationId}/members`)
+      ).expect(200);
+
+      const emails = response.body.data.members.map((member) => member.email);
+      expect(emails).toEqual(
+        expect.arrayContaining([accounts.owner.email, accounts.member.email])
+      );
+      expect(emails).not.toContain(accounts.outsider.email);
+    });
+
+    test("should let owners change member roles", async () => {
+      const response = await asOwner(
+        request(app).patch(
+          `/api/organizations/${organizationId}/members/${accounts.member.id}`
+        )
+      )
+        .send({ role: "admin" })
+        .expect(200);
+
+      expect(response.body.data.member.role).toBe("admin");
+    });
+
+    test("should not let admins manage owners", async () => {
+      const memberToken = await login(accounts.member);
+
+      await request(app)
+        .patch(
+          `/api/organizations/${organizationId}/members/${accounts.owner.id}`
+        )
+        .set("Authorization", `Bearer ${memberToken}`)
+        .send({ role: "member" })
+        .expect(403);
+    });
+
+    test("should keep at least one owner", async () => {
+      await asOwner(
+        request(app).delete(
+          `/api/organizations/${organizationId}/members/${accounts.owner.id}`
+        )
+      ).expect(409);
+    });
+
+    test("should deny members of other organizations", async () => {
+      const outsiderToken = await login(accounts.outsider);
+
+      await request(app)
+        .get(`/api/organizations/${organizationId}/members`)
+        .set("Authorization", `Bearer ${outsiderToken}`)
+        .expect(403);
+    });
+  });
+
+  describe("Tenant scoping", () => {
+    test("should limit user lookups to the caller's organization", async () => {
+      await asAdmin(request(app).patch(`/api/users/${accounts.moderator.id}`))
+        .send({ role: "Moderator" })
+        .expect(200);
+      await asAdmin(
+        request(app).post(`/api/organizations/${organizationId}/members`)
+      )
+        .send({ userId: accounts.moderator.id })
+        .expect(201);
+      const moderatorToken = await login(accounts.moderator);
+
+      const list = await request(app)
+        .get("/api/users/all?limit=100")
+        .set("Authorization", `Bearer ${moderatorToken}`)
+        .expect(200);
+      const names = list.body.data.users.map((user) => user.name);
+      expect(names).toEqual(
+        expect.arrayContaining(["Org Owner", "Org Member", "Org Moderator"])
+      );
+      expect(names).toHaveLength(3);
+
+      await request(app)
+        .get(`/api/users/${accounts.member.id}`)
+        .set("Authorization", `Bearer ${moderatorToken}`)
+        .expect(200);
+      await request(app)
+        .get(`/api/users/${accounts.outsider.id}`)
+        .set("Authorization", `Bearer ${moderatorToken}`)
+        .expect(404);
+    });
+
+    test("should limit admin actions to the caller's organization", async () => {
+      await asAdmin(request(app).patch(`/api/users/${accounts.staff.id}`))
+        .send({ role: "Admin" })
+        .expect(200);
+      await asAdmin(
+        request(app).post(`/api/organizations/${organizationId}/members`)
+      )
+        .send({ userId: accounts.staff.id })
+        .expect(201);
+      const staffToken = await login(accounts.staff);
+      const asStaff = (req) => req.set("Authorization", `Bearer ${staffToken}`);
+      const outsider = `/api/users/${accounts.outsider.id}`;
+
+      await asStaff(request(app).patch(outsider))
+        .send({ name: "Renamed" })
+        .expect(404);
+      await asStaff(request(app).delete(outsider)).expect(404);
+      await asStaff(request(app).post(`${outsider}/restore`)).expect(404);
+      await asStaff(request(app).post(`${outsider}/unlock`)).expect(404);
+      await asStaff(request(app).delete(`${outsider}/sessions`)).expect(404);
+      await asStaff(request(app).delete(`${outsider}/2fa`)).expect(404);
+      await asStaff(request(app).get(`${outsider}/api-keys`)).expect(404);
+      await asStaff(
+        request(app).delete(`${outsider}/api-keys/${accounts.outsider.id}`)
+      ).expect(404);
+
+      const outsiderProfile = await asAdmin(request(app).get(outsider)).expect(
+        200
+      );
+      expect(outsiderProfile.body.data.name).toBe("Outsider");
+    });
+
+    test("should keep organization members from managing groups", async () => {
+      // Set up by the previous test: an Admin inside the organization
+      const staffToken = await login(accounts.staff);
+      const asStaff = (req) => req.set("Authorization", `Bearer ${staffToken}`);
+
+      await asStaff(request(app).get("/api/groups")).expect(403);
+      await asStaff(request(app).post("/api/groups"))
+        .send({ name: `Org Group ${suffix}` })
+        .expect(403);
+    });
+  });
+
+  describe("DELETE /api/organizations/:id/members/:userId", () => {
+    test("should remove a member and sign them out", async () => {
+      const memberToken = await login(accounts.member);
+
+      await asOwner(
+        request(app).delete(
+          `/api/organizations/${organizationId}/members/${accounts.member.id}`
+        )
+      ).expect(200);
+
+      await request(app)
+        .get("/api/users/profile")
+        .set("Authorization", `Bearer ${memberToken}`)
+        .expect(401);
+      const claims = jwt.decode(await login(accounts.member));
+      expect(claims.orgId).toBeUndefined();
+    });
+  });
+});
@@ -0,0 +1,244 @@
+import request from "supertest";
+import app from "../../server.js";
+import { generateTotp, getTimeStep } from "../../utils/totp.js";
+import { getWebAuthnConfig } from "../../utils/webauthn.js";
+import { createSoftwareAuthenticator } from "../softwareAuthenticator.js";
+
+describe("Passkeys API", () => {
+  let accessToken;
+  let userId;
+  let passkeyId;
+  let authenticator;
+
+  const testUser = {
+    name: "Passkey Test User",
+    email: `passkey${Date.now()}@example.com`,
+    password: "Test@123",
+  };
+
+  const registerPasskey = async (token, name) => {
+    const optionsResponse = await request(app)
+      .post("/api/users/webauthn/register/options")
+      .set("Authorization", `Bearer ${token}`)
+      .expect(200);
+
+    return request(app)
+      .post("/api/users/webauthn/register/verify")
+      .set("Authorization", `Bearer ${token}`)
+      .send({
+        credential: authenticator.create(optionsResponse.body.data.options),
+        name,
+      });
+  };
+
+  const loginOptions = async (body = {}) => {
+    const response = await request(app)
+      .post("/api/users/webauthn/login/options")
+      .send(body)
+      .expect(200);
+    return response.body.data.options;
+  };
+
+  beforeAll(async () => {
+    const { origins, rpId } = getWebAuthnConfig();
+    authenticator = createSoftwareAuthenticator({ origin: origins[0], rpId });
+
+    const registerResponse = await request(app)
+      .post("/api/users/register")
+      .send(testUser);
+    accessToken = registerResponse.body.data.accessToken;
+    userId = registerResponse.body.data.user.id;
+  });
+
+  describe("Registration", () => {
+    test("should require authentication", async () => {
+      await request(app)
+        .post("/api/users/webauthn/register/options")
+        .expect(401);
+    });
+
+    test("should register a passkey", async () => {
+      const response = await registerPasskey(accessToken, "Laptop").expect(201);
+
+      passkeyId = response.body.data.passkey.id;
+      expect(response.body.data.passkey.name).toBe("Laptop");
+      expect(response.body.data.passkey).not.toHaveProperty("publicKey");
+    });
+
+    test("should exclude registered passkeys from new registrations", async () => {
+      const optionsResponse = await request(app)
+        .post("/api/users/webauthn/register/options")
+        .set("Authorization", `Bearer ${accessToken}`)
+        .expect(200);
+
+      expect(optionsResponse.body.data.options.excludeCredentials).toHaveLength(
+        1
+      );
+    });
+
+    test("should reject a response to an unknown challenge", async () => {
+      const credential = authenticator.create({
+        challenge: "bm90LWEtY2hhbGxlbmdl",
+        user: { id: "dW5rbm93bg" },
+      });
+
+      await request(app)
+        .post("/api/users/webauthn/register/verify")
+        .set("Authorization", `Bearer ${accessToken}`)
+        .send({ credential })
+        .expect(400);
+    });
+  });
+
+  describe("Passkey login", () => {
+    test("should log in with a discoverable passkey", async () => {
+      const options = await loginOptions();
+      const credential = authenticator.get(options);
+
+      const response = await request(app)
+        .post("/api/users/webauthn/login/verify")
+        .send({ credential })
+        .expect(200);
+
+      expect(response.body.data).toHaveProperty("accessToken");
+      expect(response.body.data).toHaveProperty("refreshToken");
+    });
+
+    test("should reject a replayed assertion", async () => {
+      const options = await loginOptions();
+      const credential = authenticator.get(options);
+
+      await request(app)
+        .post("/api/users/webauthn/login/verify")
+        .send({ credential })
+        .expect(200);
+      await request(app)
+        .post("/api/users/webauthn/login/verify")
+        .send({ credential })
+        .expect(401);
+    });
+
+    test("should reject an unknown credential", async () => {
+      const credential = authenticator.get(await loginOptions());
+
+      await request(app)
+        .post("/api/users/webauthn/login/verify")
+        .send({ credential: { ...credential, id: "dW5rbm93bg" } })
+        .expect(401);
+    });
+
+    test("should not log into a locked account", async () => {
+      const originalMaxAttempts = process.env.LOGIN_MAX_FAILED_ATTEMPTS;
+      process.env.LOGIN_MAX_FAILED_ATTEMPTS = "3";
+
+      try {
+        for (let attempt = 0; attempt < 3; attempt++) {
+          await request(app)
+            .post("/api/users/login")
+            .send({ email: testUser.email, password: "Wrong@123" })
+            .expect(401);
+        }
+
+        const credential = authenticator.get(await loginOptions());
+        await request(app)
+          .post("/api/users/webauthn/login/verify")
+          .send({ credential })
+          .expect(429);
+      } finally {
+        if (originalMaxAttempts === undefined) {
+          delete process.env.LOGIN_MAX_FAILED_ATTEMPTS;
+        } else {
+          process.env.LOGIN_MAX_FAILED_ATTEMPTS = originalMaxAttempts;
+        }
+      }
+
+      const adminRes = await request(app).post("/api/users/login").send({
+        email: "alice@example.com",
+        password: "password123",
+      });
+      await request(app)
+        .post(`/api/users/${userId}/unlock`)
+        .set("Authorization", `Bearer ${adminRes.body.data.accessToken}`)
+        .expect(200);
+    });
+  });
+
+  describe("Passkey as a second factor", () => {
+    let secret;
+
+    beforeAll(async () => {
+      const setup = await request(app)
+        .post("/api/users/2fa/setup")
+        .set("Authorization", `Bearer ${accessToken}`);
+      secret = setup.body.data.secret;
+
+      await request(app)
+        .post("/api/users/2fa/verify")
+        .set("Authorization", `Bearer ${accessToken}`)
+        .send({ code: generateTotp(secret, getTimeStep()) })
+        .expect(200);
+    });
+
+    test("should complete a two-step login with a passkey", async () => {
+      const loginResponse = await request(app)
+        .post("/api/users/login")
+        .send({ email: testUser.email, password: testUser.password })
+        .expect(200);
+      const { mfaToken } = loginResponse.body.data;
+
+      const options = await loginOptions({ mfaToken });
+      expect(options.allowCredentials).toHaveLength(1);
+
+      const response = await request(app)
+        .post("/api/users/login/2fa")
+        .send({ mfaToken, webauthn: authenticator.get(options) })
+        .expect(200);
+
+      expect(response.body.data).toHaveProperty("accessToken");
+    });
+
+    test("should not accept a passkey-login challenge as a second factor", async () => {
+      const loginResponse = await request(app)
+        .post("/api/users/login")
+        .send({ email: testUser.email, password: testUser.password });
+      const { mfaToken } = loginResponse.body.data;
+
+      await request(app)
+        .post("/api/users/login/2fa")
+        .send({ mfaToken, webauthn: authenticator.get(await loginOptions()) })
+        .expect(401);
+    });
+  });
+
+  describe("Passkey management", () => {
+    test("should list the user's passkeys", async () => {
+      const response = await request(app)
+        .get("/api/users/profile/passkeys")
+        .set("Authorization", `Bearer ${accessToken}`)
+        .expect(200);
+
+      expect(response.body.data.passkeys).toHaveLength(1);
+      expect(response.body.data.passkeys[0].lastUsedAt).toBeDefined();
+    });
+
+    test("should remove a passkey", async () => {
+      await request(app)
+        .delete(`/api/users/profile/passkeys/${passkeyId}`)
+        .set("Authorization", `Bearer ${accessToken}`)
+        .expect(200);
+
+      const credential = authenticator.get(await loginOptions());
+      await request(app)
+        .post("/api/users/webauthn/login/verify")
+        .send({ credential })
+        .expect(401);
+    });
+
+    test("should return 404 for an unknown passkey", async () => {
+      await request(app)
+        .delete(`/api/users/profile/passkeys/${passkeyId}`)
+        .set("Authorization", `Bearer ${accessToken}`)
+        .expect(404);
+    });
+  });
+});
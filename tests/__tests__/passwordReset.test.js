@@ -0,0 +1,145 @@
+import request from "supertest";
+import app from "../../server.js";
+import { outbox, clearOutbox } from "../../utils/mailer.js";
+
+const extractToken = (message) => message.text.match(/token=([a-f0-9]+)/)[1];
+
+describe("Password Reset API", () => {
+  let refreshToken;
+  let accessToken;
+  let apiKey;
+  const testUser = {
+    name: "Reset Test User",
+    email: `reset${Date.now()}@example.com`,
+    password: "Test@123",
+  };
+
+  beforeAll(async () => {
+    const registerResponse = await request(app)
+      .post("/api/users/register")
+      .send(testUser);
+
+    refreshToken = registerResponse.body.data.refreshToken;
+    accessToken = registerResponse.body.data.accessToken;
+
+    const keyResponse = await request(app)
+      .post("/api/users/profile/api-keys")
+      .set("Authorization", `Bearer ${accessToken}`)
+      .send({ name: "Reset test key", scopes: ["profile:read"] });
+    apiKey = keyResponse.body.data.key;
+  });
+
+  beforeEach(() => {
+    clearOutbox();
+  });
+
+  describe("POST /api/users/password/forgot", () => {
+    test("should send a reset link to an existing user", async () => {
+      const response = await request(app)
+        .post("/api/users/password/forgot")
+        .send({ email: testUser.email })
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+      expect(outbox).toHaveLength(1);
+      expect(outbox[0].to).toBe(testUser.email);
+      expect(outbox[0].text).toMatch(/token=[a-f0-9]+/);
+    });
+
+    test("should return the same response for an unknown email", async () => {
+      const known = await request(app)
+        .post("/api/users/password/forgot")
+        .send({ email: testUser.email });
+      clearOutbox();
+
+      const unknown = await request(app)
+        .post("/api/users/password/forgot")
+        .send({ email: "nobody@example.com" })
+        .expect(200);
+
+      expect(unknown.body.message).toBe(known.body.message);
+      expect(outbox).toHaveLength(0);
+    });
+
+    test("should fail with invalid email", async () => {
+      const response = await request(app)
+        .post("/api/users/password/forgot")
+        .send({ email: "invalid-email" })
+        .expect(400);
+
+      expect(response.body.errors).toBeDefined();
+    });
+  });
+
+  describe("POST /api/users/password/reset", () => {
+    test("should reject an invalid token", async () => {
+      const response = await request(app)
+        .post("/api/users/password/reset")
+        .send({ token: "not-a-real-token", password: "NewPass123" })
+        .expect(400);
+
+      expect(response.body.success).toBe(false);
+    });
+
+    test("should reject a weak password", async () => {
+      await request(app)
+        .post("/api/users/password/forgot")
+        .send({ email: testUser.email });
+
+      const response = await request(app)
+        .post("/api/users/password/reset")
+        .send({ token: extractToken(outbox[0]), password: "weak" })
+        .expect(400);
+
+      expect(response.body.errors).toBeDefined();
+    });
+
+    test("should reset the password and revoke tokens and API keys", async () => {
+      await request(app)
+        .post("/api/users/password/forgot")
+        .send({ email: testUser.email });
+      const token = extractToken(outbox[0]);
+
+      const response = await request(app)
+        .post("/api/users/password/reset")
+        .send({ token, password: "NewPass123" })
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+
+      // Old password no longer works, new one does
+      await request(app)
+        .post("/api/users/login")
+        .send({ email: testUser.email, password: testUser.password })
+        .expect(401);
+      await request(app)
+        .post("/api/users/login")
+        .send({ email: testUser.email, password: "NewPass123" })
+        .expect(200);
+
+      // Existing refresh tokens were revoked
+      await request(app)
+        .post("/api/users/refresh")
+        .send({ refreshToken })
+        .expect(401);
+
+      // Access tokens issued before the reset are rejected
+      await request(app)
+        .get("/api/users/profile")
+        .set("Authorization", `Bearer ${accessToken}`)
+        .expect(401);
+
+      // API keys created before the reset are revoked
+      await request(app)
+        .get("/api/users/profile")
+        .set("X-API-Key", apiKey)
+        .expect(401);
+
+      // Token is single-use
+      await request(app)
+        .post("/api/users/password/reset")
+        .send({ token, password: "Another123" })
+        .expect(400);
+    });
+  });
+});
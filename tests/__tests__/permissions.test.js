@@ -0,0 +1,312 @@
+import { jest } from "@jest/globals";
+import Role from "../../models/roleModels.js";
+import Group from "../../models/groupModels.js";
+import {
+  PERMISSIONS,
+  getRoleDefinitions,
+  getRolePermissions,
+  getUserPermissions,
+  getAncestorRoles,
+  roleExists,
+  hasPermissions,
+  canAccessUser,
+  projectUser,
+  clearRoleCache,
+  clearGroupCache,
+} from "../../utils/permissions.js";
+import {
+  authorize,
+  authorizeSelfOr,
+} from "../../middlewares/roleMiddleware.js";
+
+describe("Permissions", () => {
+  const customRoles = [
+    {
+      name: "Support",
+      description: "Helps users",
+      permissions: ["sessions:revoke"],
+      parents: ["Moderator"],
+    },
+    {
+      name: "Auditor",
+      description: "Reads everything support reads",
+      permissions: [],
+      parents: ["Support"],
+    },
+    // Inheritance loops are rejected by the API but must not hang lookups
+    { name: "LoopA", description: "", permissions: [], parents: ["LoopB"] },
+    {
+      name: "LoopB",
+      description: "",
+      permissions: ["users:read"],
+      parents: ["LoopA"],
+    },
+  ];
+
+  const userId = "507f1f77bcf86cd799439011";
+  const groups = [
+    {
+      roles: ["Support"],
+      permissions: ["tokens:introspect"],
+      members: [{ toString: () => userId }],
+    },
+    { roles: ["Admin"], permissions: [], members: [] },
+  ];
+
+  beforeEach(() => {
+    clearRoleCache();
+    clearGroupCache();
+    jest.spyOn(Role, "find").mockReturnValue({ lean: async () => customRoles });
+    jest
+      .spyOn(Group, "find")
+      .mockReturnValue({ select: () => ({ lean: async () => groups }) });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    clearRoleCache();
+    clearGroupCache();
+  });
+
+  describe("getRolePermissions", () => {
+    test("should grant every permission to admins", async () => {
+      expect(await getRolePermissions("Admin")).toEqual(PERMISSIONS);
+    });
+
+    test("should let moderators read users only", async () => {
+      expect(await getRolePermissions("Moderator")).toEqual(["users:read"]);
+    });
+
+    test("should grant nothing to users and unknown roles", async () => {
+      expect(await getRolePermissions("User")).toEqual([]);
+      expect(await getRolePermissions("toString")).toEqual([]);
+      expect(await getRolePermissions(undefined)).toEqual([]);
+    });
+
+    test("should include permissions inherited from parent roles", async () => {
+      expect(await getRolePermissions("Support")).toEqual([
+        "users:read",
+        "sessions:revoke",
+      ]);
+      expect(await getRolePermissions("Auditor")).toEqual([
+        "users:read",
+        "sessions:revoke",
+      ]);
+    });
+
+    test("should survive inheritance loops", async () => {
+      expect(await getRolePermissions("LoopA")).toEqual(["users:read"]);
+    });
+  });
+
+  describe("getUserPermissions", () => {
+    test("should add the permissions of the user's groups", async () => {
+      expect(await getUserPermissions({ id: userId, role: "User" })).toEqual([
+        "users:read",
+        "sessions:revoke",
+        "tokens:introspect",
+      ]);
+    });
+
+    test("should accept user documents", async () => {
+      const user = { _id: { toString: () => userId }, role: "Moderator" };
+
+      expect(await getUserPermissions(user)).toEqual([
+        "users:read",
+        "sessions:revoke",
+        "tokens:introspect",
+      ]);
+    });
+
+    test("should only use the role for users outside any group", async () => {
+      expect(
+        await getUserPermissions({
+          id: "507f1f77bcf86cd799439012",
+          role: "Moderator",
+        })
+      ).toEqual(["users:read"]);
+    });
+
+    test("should cache groups until cleared", async () => {
+      await getUserPermissions({ id: userId, role: "User" });
+      await getUserPermissions({ id: userId, role: "User" });
+      expect(Group.find).toHaveBeenCalledTimes(1);
+
+      clearGroupCache();
+      await getUserPermissions({ id: userId, role: "User" });
+      expect(Group.find).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe("getRoleDefinitions", () => {
+    test("should cache custom roles until cleared", async () => {
+      await getRoleDefinitions();
+      await getRoleDefinitions();
+      expect(Role.find).toHaveBeenCalledTimes(1);
+
+      clearRoleCache();
+      await getRoleDefinitions();
+      expect(Role.find).toHaveBeenCalledTimes(2);
+    });
+
+    test("should not let a stored role override a built-in one", async () => {
+      Role.find.mockReturnValue({
+        lean: async () => [
+          { name: "User", permissions: ["users:delete"], parents: [] },
+        ],
+      });
+
+      expect(await getRolePermissions("User")).toEqual([]);
+    });
+
+    test("should know built-in and custom roles", async () => {
+      expect(await roleExists("Admin")).toBe(true);
+      expect(await roleExists("Auditor")).toBe(true);
+      expect(await roleExists("Nobody")).toBe(false);
+    });
+  });
+
+  test("should list every ancestor of a role", async () => {
+    const roles = await getRoleDefinitions();
+
+    expect(getAncestorRoles("Auditor", roles)).toEqual(
+      new Set(["Support", "Moderator"])
+    );
+    expect(getAncestorRoles("Admin", roles)).toEqual(new Set());
+  });
+
+  describe("hasPermissions", () => {
+    test("should require every permission", () => {
+      const user = { permissions: ["users:read"] };
+
+      expect(hasPermissions(user, ["users:read"])).toBe(true);
+      expect(hasPermissions(user, ["users:read", "users:write"])).toBe(false);
+    });
+
+    test("should deny users without resolved permissions", () => {
+      expect(hasPermissions({ role: "Admin" }, ["users:read"])).toBe(false);
+      expect(hasPermissions(undefined, ["users:read"])).toBe(false);
+    });
+  });
+
+  describe("canAccessUser", () => {
+    const userId = "507f1f77bcf86cd799439011";
+
+    test("should let users access their own record", () => {
+      expect(
+        canAccessUser({ id: userId, permissions: [] }, userId, ["users:read"])
+      ).toBe(true);
+    });
+
+    test("should require the permissions for other records", () => {
+      const otherId = "507f1f77bcf86cd799439012";
+
+      expect(
+        canAccessUser({ id: otherId, permissions: [] }, userId, ["users:read"])
+      ).toBe(false);
+      expect(
+        canAccessUser({ id: otherId, permissions: ["users:read"] }, userId, [
+          "users:read",
+        ])
+      ).toBe(true);
+      expect(canAccessUser(undefined, userId, ["users:read"])).toBe(false);
+    });
+  });
+
+  describe("projectUser", () => {
+    const record = {
+      _id: { toString: () => "507f1f77bcf86cd799439011" },
+      name: "Target",
+      email: "target@example.com",
+      role: "User",
+      status: "active",
+      twoFactor: { enabled: true },
+      createdAt: new Date("2025-01-01"),
+    };
+
+    test("should return the public view to readers", () => {
+      const viewer = {
+        id: "507f1f77bcf86cd799439012",
+        permissions: ["users:read"],
+      };
+
+      expect(projectUser(record, viewer)).toEqual({
+        _id: record._id,
+        name: "Target",
+        role: "User",
+        status: "active",
+        createdAt: record.createdAt,
+      });
+    });
+
+    test("should return the full record to editors and to the user", () => {
+      const admin = {
+        id: "507f1f77bcf86cd799439012",
+        permissions: ["users:read", "users:write"],
+      };
+      const self = { id: "507f1f77bcf86cd799439011", permissions: [] };
+
+      expect(projectUser(record, admin)).toBe(record);
+      expect(projectUser(record, self)).toBe(record);
+    });
+  });
+
+  describe("authorizeSelfOr", () => {
+    const run = (user, id) => {
+      const req = { user, params: { id } };
+      const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+      const next = jest.fn();
+      authorizeSelfOr("users:read")(req, res, next);
+      return { res, next };
+    };
+
+    test("should let users reach their own record", () => {
+      const { next } = run({ id: "abc", permissions: [] }, "abc");
+
+      expect(next).toHaveBeenCalled();
+    });
+
+    test("should return 403 for other records without the permission", () => {
+      const { res, next } = run({ id: "abc", permissions: [] }, "def");
+
+      expect(next).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(403);
+    });
+  });
+
+  describe("authorize", () => {
+    const run = (user, ...permissions) => {
+      const req = { user };
+      const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+      const next = jest.fn();
+      authorize(...permissions)(req, res, next);
+      return { res, next };
+    };
+
+    test("should call next when the permissions are granted", () => {
+      const { next } = run(
+        { role: "Moderator", permissions: ["users:read"] },
+        "users:read"
+      );
+
+      expect(next).toHaveBeenCalled();
+    });
+
+    test("should return 403 when a permission is missing", () => {
+      const { res, next } = run(
+        { role: "Moderator", permissions: ["users:read"] },
+        "users:write"
+      );
+
+      expect(next).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(403);
+    });
+
+    test("should return 403 without an authenticated user", () => {
+      const { res, next } = run(undefined, "users:read");
+
+      expect(next).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(403);
+    });
+  });
+});
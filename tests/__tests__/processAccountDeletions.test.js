@@ -0,0 +1,71 @@
+import { jest } from "@jest/globals";
+import User from "../../models/userModels.js";
+import { comparePassword } from "../../utils/authHelper.js";
+import {
+  anonymizeUser,
+  processAccountDeletions,
+} from "../../jobs/processAccountDeletions.js";
+
+describe("Account Deletion Job", () => {
+  const buildUser = () => ({
+    _id: "507f1f77bcf86cd799439011",
+    name: "Jane Doe",
+    email: "jane@example.com",
+    password: "hashed",
+    emailVerified: true,
+    tokenVersion: 0,
+    sessions: [{ family: "family-a" }],
+    twoFactor: { enabled: true },
+    passkeys: [{ credentialId: "credential-a" }],
+    identities: [
+      { provider: "google", subject: "google-1", email: "jane@example.com" },
+    ],
+    deletionScheduledFor: new Date("2025-01-01T00:00:00Z"),
+    deletedAt: null,
+    save: jest.fn(),
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe("anonymizeUser", () => {
+    test("should remove personal data and mark the user deleted", async () => {
+      const user = buildUser();
+      const now = new Date("2025-01-02T00:00:00Z");
+
+      await anonymizeUser(user, now);
+
+      expect(user.name).toBe("Deleted User");
+      expect(user.email).toBe(
+        "deleted-507f1f77bcf86cd799439011@deleted.example.org"
+      );
+      expect(await comparePassword("hashed", user.password)).toBe(false);
+      expect(user.sessions).toHaveLength(0);
+      expect(user.tokenVersion).toBe(1);
+      expect(user.twoFactor).toEqual({ enabled: false });
+      expect(user.passkeys).toHaveLength(0);
+      expect(user.identities).toHaveLength(0);
+      expect(user.deletionScheduledFor).toBeNull();
+      expect(user.deletedAt).toBe(now);
+      expect(user.deletedBy).toBe(user._id);
+    });
+  });
+
+  describe("processAccountDeletions", () => {
+    test("should delete accounts whose grace period has ended", async () => {
+      const user = buildUser();
+      const find = jest.spyOn(User, "find").mockResolvedValue([user]);
+      const now = new Date("2025-01-02T00:00:00Z");
+
+      const deleted = await processAccountDeletions(now);
+
+      expect(deleted).toBe(1);
+      expect(find).toHaveBeenCalledWith({
+        deletionScheduledFor: { $ne: null, $lte: now },
+      });
+      expect(user.save).toHaveBeenCalled();
+      expect(user.deletedAt).toBe(now);
+    });
+  });
+});
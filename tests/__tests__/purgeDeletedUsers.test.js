@@ -0,0 +1,54 @@
+import { jest } from "@jest/globals";
+import User from "../../models/userModels.js";
+import ApiKey from "../../models/apiKeyModels.js";
+import Group from "../../models/groupModels.js";
+import {
+  purgeDeletedUsers,
+  getDeletedUserRetentionDays,
+} from "../../jobs/purgeDeletedUsers.js";
+
+describe("Purge Deleted Users Job", () => {
+  const originalRetention = process.env.DELETED_USER_RETENTION_DAYS;
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    if (originalRetention === undefined) {
+      delete process.env.DELETED_USER_RETENTION_DAYS;
+    } else {
+      process.env.DELETED_USER_RETENTION_DAYS = originalRetention;
+    }
+  });
+
+  test("should default to a 30 day retention period", () => {
+    delete process.env.DELETED_USER_RETENTION_DAYS;
+
+    expect(getDeletedUserRetentionDays()).toBe(30);
+  });
+
+  test("should remove users deleted before the retention cutoff", async () => {
+    process.env.DELETED_USER_RETENTION_DAYS = "7";
+    jest.spyOn(User, "distinct").mockResolvedValue(["a", "b"]);
+    const deleteApiKeys = jest
+      .spyOn(ApiKey, "deleteMany")
+      .mockResolvedValue({ deletedCount: 1 });
+    const pullMembers = jest
+      .spyOn(Group, "updateMany")
+      .mockResolvedValue({ modifiedCount: 1 });
+    const deleteMany = jest
+      .spyOn(User, "deleteMany")
+      .mockResolvedValue({ deletedCount: 2 });
+    const now = new Date("2025-01-08T00:00:00Z");
+
+    const purged = await purgeDeletedUsers(now);
+
+    expect(purged).toBe(2);
+    expect(deleteMany).toHaveBeenCalledWith({
+      deletedAt: { $ne: null, $lte: new Date("2025-01-01T00:00:00Z") },
+    });
+    expect(deleteApiKeys).toHaveBeenCalledWith({ user: { $in: ["a", "b"] } });
+    expect(pullMembers).toHaveBeenCalledWith(
+      { members: { $in: ["a", "b"] } },
+      { $pull: { members: { $in: ["a", "b"] } } }
+    );
+  });
+});
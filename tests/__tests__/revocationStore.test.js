@@ -0,0 +1,107 @@
+import {
+  revokeAccessToken,
+  revokeSessionAccessTokens,
+  isAccessTokenRevoked,
+  isAccessTokenRevokedForUser,
+  setRevocationStore,
+  clearRevocations,
+} from "../../utils/revocationStore.js";
+
+describe("Revocation Store", () => {
+  const inOneHour = () => Math.floor(Date.now() / 1000) + 3600;
+
+  afterEach(async () => {
+    setRevocationStore(null);
+    await clearRevocations();
+  });
+
+  describe("revokeAccessToken", () => {
+    test("should revoke a token by its jti", async () => {
+      const decoded = { jti: "token-a", sid: "family-a", exp: inOneHour() };
+
+      expect(await isAccessTokenRevoked(decoded)).toBe(false);
+
+      await revokeAccessToken(decoded);
+
+      expect(await isAccessTokenRevoked(decoded)).toBe(true);
+      expect(
+        await isAccessTokenRevoked({ jti: "token-b", sid: "family-a" })
+      ).toBe(false);
+    });
+
+    test("should forget tokens once they have expired", async () => {
+      const decoded = {
+        jti: "token-a",
+        exp: Math.floor(Date.now() / 1000) - 1,
+      };
+
+      await revokeAccessToken(decoded);
+
+      expect(await isAccessTokenRevoked(decoded)).toBe(false);
+    });
+
+    test("should ignore tokens without a jti", async () => {
+      await revokeAccessToken({ exp: inOneHour() });
+
+      expect(await isAccessTokenRevoked({ exp: inOneHour() })).toBe(false);
+    });
+  });
+
+  describe("revokeSessionAccessTokens", () => {
+    test("should revoke every token of the session", async () => {
+      await revokeSessionAccessTokens({
+        family: "family-a",
+        expiresAt: new Date(Date.now() + 60000),
+      });
+
+      expect(
+        await isAccessTokenRevoked({ jti: "token-a", sid: "family-a" })
+      ).toBe(true);
+      expect(
+        await isAccessTokenRevoked({ jti: "token-b", sid: "family-b" })
+      ).toBe(false);
+    });
+  });
+
+  describe("setRevocationStore", () => {
+    test("should use a custom store", async () => {
+      const keys = new Set();
+      setRevocationStore({
+        add: async (key) => keys.add(key),
+        has: async (key) => keys.has(key),
+      });
+
+      await revokeAccessToken({ jti: "token-a", exp: inOneHour() });
+
+      expect(keys.has("jti:token-a")).toBe(true);
+      expect(await isAccessTokenRevoked({ jti: "token-a" })).toBe(true);
+    });
+
+    test("should reject stores missing required methods", () => {
+      expect(() => setRevocationStore({ add: () => {} })).toThrow(
+        "Revocation store must implement add(key, expiresAt) and has(key)"
+      );
+    });
+  });
+
+  describe("isAccessTokenRevokedForUser", () => {
+    test("should reject tokens of missing users or older token versions", async () => {
+      const decoded = { jti: "token-a", tv: 1 };
+
+      expect(await isAccessTokenRevokedForUser(decoded, null)).toBe(true);
+      expect(
+        await isAccessTokenRevokedForUser(decoded, { tokenVersion: 2 })
+      ).toBe(true);
+      expect(
+        await isAccessTokenRevokedForUser(decoded, { tokenVersion: 1 })
+      ).toBe(false);
+    });
+
+    test("should reject tokens revoked in the store", async () => {
+      const decoded = { jti: "token-a", exp: inOneHour() };
+      await revokeAccessToken(decoded);
+
+      expect(await isAccessTokenRevokedForUser(decoded, {})).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,300 @@
+import request from "supertest";
+import jwt from "jsonwebtoken";
+import app from "../../server.js";
+
+describe("Roles API", () => {
+  let adminToken;
+  let userToken;
+  let targetId;
+  const roleName = `Support${Date.now()}`;
+  const childRole = `Auditor${Date.now()}`;
+  const target = {
+    name: "Role Test User",
+    email: `roles${Date.now()}@example.com`,
+    password: "Test@123",
+  };
+
+  const asAdmin = (req) => req.set("Authorization", `Bearer ${adminToken}`);
+
+  beforeAll(async () => {
+    const adminRes = await request(app).post("/api/users/login").send({
+      email: "alice@example.com",
+      password: "password123",
+    });
+    adminToken = adminRes.body.data.accessToken;
+
+    const registerResponse = await request(app)
+      .post("/api/users/register")
+      .send(target);
+    targetId = registerResponse.body.data.user.id;
+    userToken = registerResponse.body.data.accessToken;
+  });
+
+  describe("GET /api/roles", () => {
+    test("should list the built-in roles", async () => {
+      const response = await asAdmin(request(app).get("/api/roles")).expect(
+        200
+      );
+
+      const names = response.body.data.roles.map((role) => role.name);
+      expect(names).toEqual(
+        expect.arrayContaining(["User", "Moderator", "Admin"])
+      );
+      const admin = response.body.data.roles.find(
+        (role) => role.name === "Admin"
+      );
+      expect(admin.builtIn).toBe(true);
+    });
+
+    test("should deny users without the roles:manage permission", async () => {
+      await request(app)
+        .get("/api/roles")
+        .set("Authorization", `Bearer ${userToken}`)
+        .expect(403);
+    });
+  });
+
+  describe("POST /api/roles", () => {
+    test("should create a role inheriting from another", async () => {
+      const response = await asAdmin(request(app).post("/api/roles"))
+        .send({
+          name: roleName,
+          description: "Helps users",
+          permissions: ["sessions:revoke"],
+          parents: ["Moderator"],
+        })
+        .expect(201);
+
+      expect(response.body.data.role.builtIn).toBe(false);
+      expect(response.body.data.role.effectivePermissions).toEqual([
+        "users:read",
+        "sessions:revoke",
+      ]);
+    });
+
+    test("should reject a duplicate or built-in name", async () => {
+      await asAdmin(request(app).post("/api/roles"))
+        .send({ name: roleName })
+        .expect(409);
+      await asAdmin(request(app).post("/api/roles"))
+        .send({ name: "admin" })
+        .expect(409);
+    });
+
+    test("should reject unknown permissions and parents", async () => {
+      await asAdmin(request(app).post("/api/roles"))
+        .send({ name: "Broken", permissions: ["everything"] })
+        .expect(400);
+      await asAdmin(request(app).post("/api/roles"))
+        .send({ name: "Broken", parents: ["Nobody"] })
+        .expect(400);
+    });
+
+    test("should create a child role", async () => {
+      await asAdmin(request(app).post("/api/roles"))
+        .send({ name: childRole, parents: [roleName] })
+        .expect(201);
+    });
+  });
+
+  describe("PATCH /api/roles/:name", () => {
+    test("should update permissions", async () => {
+      const response = await asAdmin(
+        request(app).patch(`/api/roles/${roleName}`)
+      )
+        .send({ permissions: [] })
+        .expect(200);
+
+      expect(response.body.data.role.effectivePermissions).toEqual([
+        "users:read",
+      ]);
+    });
+
+    test("should reject circular inheritance", async () => {
+      await asAdmin(request(app).patch(`/api/roles/${roleName}`))
+        .send({ parents: [childRole] })
+        .expect(400);
+    });
+
+    test("should protect built-in roles", async () => {
+      await asAdmin(request(app).patch("/api/roles/Admin"))
+        .send({ permissions: [] })
+        .expect(403);
+    });
+  });
+
+  describe("Assigning custom roles", () => {
+    test("should give the user the role's permissions", async () => {
+      await asAdmin(request(app).patch(`/api/users/${targetId}`))
+        .send({ role: childRole })
+        .expect(200);
+
+      // The role change signed the user out
+      const login = await request(app)
+        .post("/api/users/login")
+        .send({ email: target.email, password: target.password });
+      userToken = login.body.data.accessToken;
+
+      await request(app)
+        .get("/api/users/all")
+        .set("Authorization", `Bearer ${userToken}`)
+        .expect(200);
+      await request(app)
+        .delete(`/api/users/${targetId}`)
+        .set("Authorization", `Bearer ${userToken}`)
+        .expect(403);
+    });
+
+    test("should reject roles that do not exist", async () => {
+      await asAdmin(request(app).patch(`/api/users/${targetId}`))
+        .send({ role: "Nobody" })
+        .expect(400);
+    });
+  });
+
+  describe("Granting permissions", () => {
+    const managerRole = `RoleManager${Date.now()}`;
+    let managerToken;
+
+    beforeAll(async () => {
+      await asAdmin(request(app).post("/api/roles"))
+        .send({ name: managerRole, permissions: ["roles:manage"] })
+        .expect(201);
+
+      const manager = {
+        name: "Role Manager",
+        email: `rolemanager${Date.now()}@example.com`,
+        password: "Test@123",
+      };
+      const registerResponse = await request(app)
+        .post("/api/users/register")
+        .send(manager);
+      await asAdmin(
+        request(app).patch(`/api/users/${registerResponse.body.data.user.id}`)
+      )
+        .send({ role: managerRole })
+        .expect(200);
+
+      const login = await request(app)
+        .post("/api/users/login")
+        .send({ email: manager.email, password: manager.password });
+      managerToken = login.body.data.accessToken;
+    });
+
+    test("should not let roles grant more than the caller holds", async () => {
+      await request(app)
+        .post("/api/roles")
+        .set("Authorization", `Bearer ${managerToken}`)
+        .send({ name: `Escalated${Date.now()}`, parents: ["Admin"] })
+        .expect(403);
+      await request(app)
+        .patch(`/api/roles/${managerRole}`)
+        .set("Authorization", `Bearer ${managerToken}`)
+        .send({ permissions: ["roles:manage", "users:impersonate"] })
+        .expect(403);
+    });
+
+    test("should allow roles within the caller's permissions", async () => {
+      await request(app)
+        .patch(`/api/roles/${managerRole}`)
+        .set("Authorization", `Bearer ${managerToken}`)
+        .send({ description: "Manages roles" })
+        .expect(200);
+    });
+  });
+
+  describe("Managing other users", () => {
+    const supportRole = `UserSupport${Date.now()}`;
+    let supportToken;
+    let adminId;
+
+    beforeAll(async () => {
+      adminId = jwt.decode(adminToken).id;
+      await asAdmin(request(app).post("/api/roles"))
+        .send({
+          name: supportRole,
+          permissions: ["users:read", "users:write", "sessions:revoke"],
+        })
+        .expect(201);
+
+      const support = {
+        name: "User Support",
+        email: `usersupport${Date.now()}@example.com`,
+        password: "Test@123",
+      };
+      const registerResponse = await request(app)
+        .post("/api/users/register")
+        .send(support);
+      await asAdmin(
+        request(app).patch(`/api/users/${registerResponse.body.data.user.id}`)
+      )
+        .send({ role: supportRole })
+        .expect(200);
+
+      const login = await request(app)
+        .post("/api/users/login")
+        .send({ email: support.email, password: support.password });
+      supportToken = login.body.data.accessToken;
+    });
+
+    test("should not act on users with more permissions", async () => {
+      await request(app)
+        .post(`/api/users/${adminId}/unlock`)
+        .set("Authorization", `Bearer ${supportToken}`)
+        .expect(403);
+      await request(app)
+        .delete(`/api/users/${adminId}/2fa`)
+        .set("Authorization", `Bearer ${supportToken}`)
+        .expect(403);
+      await request(app)
+        .delete(`/api/users/${adminId}/sessions`)
+        .set("Authorization", `Bearer ${supportToken}`)
+        .expect(403);
+    });
+
+    test("should act on users within the caller's permissions", async () => {
+      const user = await request(app)
+        .post("/api/users/register")
+        .send({
+          name: "Supported User",
+          email: `supported${Date.now()}@example.com`,
+          password: "Test@123",
+        });
+      const userId = user.body.data.user.id;
+
+      await request(app)
+        .post(`/api/users/${userId}/unlock`)
+        .set("Authorization", `Bearer ${supportToken}`)
+        .expect(200);
+      await request(app)
+        .delete(`/api/users/${userId}/2fa`)
+        .set("Authorization", `Bearer ${supportToken}`)
+        .expect(200);
+      await request(app)
+        .delete(`/api/users/${userId}/sessions`)
+        .set("Authorization", `Bearer ${supportToken}`)
+        .expect(200);
+    });
+  });
+
+  describe("DELETE /api/roles/:name", () => {
+    test("should refuse to delete a role that is inherited or assigned", async () => {
+      await asAdmin(request(app).delete(`/api/roles/${roleName}`)).expect(409);
+      await asAdmin(request(app).delete(`/api/roles/${childRole}`)).expect(409);
+    });
+
+    test("should protect built-in roles", async () => {
+      await asAdmin(request(app).delete("/api/roles/Moderator")).expect(403);
+    });
+
+    test("should delete unused roles", async () => {
+      await asAdmin(request(app).patch(`/api/users/${targetId}`))
+        .send({ role: "User" })
+        .expect(200);
+
+      await asAdmin(request(app).delete(`/api/roles/${childRole}`)).expect(200);
+      await asAdmin(request(app).delete(`/api/roles/${roleName}`)).expect(200);
+      await asAdmin(request(app).get(`/api/roles/${roleName}`)).expect(404);
+    });
+  });
+});
@@ -0,0 +1,123 @@
+import jwt from "jsonwebtoken";
+import {
+  getSessionContext,
+  findSessionByToken,
+  saveSession,
+  pruneSessions,
+  revokeSessions,
+  formatSession,
+} from "../../utils/sessionHelper.js";
+
+const signRefreshToken = (family, expiresIn = "7d") =>
+  jwt.sign({ id: "123", family }, "test_refresh_secret", {
+    expiresIn,
+    jwtid: `${family}-${Math.random()}`,
+  });
+
+describe("Session Helper Functions", () => {
+  describe("saveSession", () => {
+    test("should store a hash of the token with client details", () => {
+      const user = { sessions: [] };
+      const refreshToken = signRefreshToken("family-a");
+
+      const session = saveSession(user, refreshToken, {
+        userAgent: "jest",
+        ip: "127.0.0.1",
+      });
+
+      expect(session.family).toBe("family-a");
+      expect(session.tokenHash).not.toBe(refreshToken);
+      expect(session.userAgent).toBe("jest");
+      expect(session.ip).toBe("127.0.0.1");
+      expect(session.expiresAt.getTime()).toBeGreaterThan(Date.now());
+      expect(findSessionByToken(user, refreshToken)).toBe(session);
+    });
+
+    test("should rotate the token of an existing family in place", () => {
+      const user = { sessions: [] };
+      const first = saveSession(user, signRefreshToken("family-a"));
+      const createdAt = first.createdAt;
+
+      const rotated = saveSession(user, signRefreshToken("family-a"));
+
+      expect(user.sessions).toHaveLength(1);
+      expect(rotated.createdAt).toBe(createdAt);
+    });
+
+    test("should evict the least recently used session over the limit", () => {
+      process.env.MAX_SESSIONS_PER_USER = "2";
+      const user = { sessions: [] };
+
+      saveSession(user, signRefreshToken("family-a"));
+      user.sessions[0].lastUsedAt = new Date(Date.now() - 60000);
+      saveSession(user, signRefreshToken("family-b"));
+      saveSession(user, signRefreshToken("family-c"));
+
+      expect(user.sessions.map((s) => s.family).sort()).toEqual([
+        "family-b",
+        "family-c",
+      ]);
+
+      delete process.env.MAX_SESSIONS_PER_USER;
+    });
+  });
+
+  describe("findSessionByToken", () => {
+    test("should ignore expired sessions", () => {
+      const user = { sessions: [] };
+      const refreshToken = signRefreshToken("family-a");
+      saveSession(user, refreshToken);
+      user.sessions[0].expiresAt = new Date(Date.now() - 1000);
+
+      expect(findSessionByToken(user, refreshToken)).toBeUndefined();
+    });
+  });
+
+  describe("pruneSessions", () => {
+    test("should drop expired sessions", () => {
+      const user = {
+        sessions: [
+          { family: "old", expiresAt: new Date(Date.now() - 1000) },
+          { family: "new", expiresAt: new Date(Date.now() + 1000) },
+        ],
+      };
+
+      pruneSessions(user);
+
+      expect(user.sessions.map((s) => s.family)).toEqual(["new"]);
+    });
+  });
+
+  describe("revokeSessions", () => {
+    test("should remove matching sessions and return the count", () => {
+      const user = { sessions: [{ family: "a" }, { family: "b" }] };
+
+      expect(revokeSessions(user, (s) => s.family !== "a")).toBe(1);
+      expect(user.sessions).toEqual([{ family: "a" }]);
+    });
+  });
+
+  describe("formatSession", () => {
+    test("should hide the token hash and flag the current session", () => {
+      const formatted = formatSession(
+        { _id: "1", family: "family-a", tokenHash: "hash", userAgent: "jest" },
+        "family-a"
+      );
+
+      expect(formatted).not.toHaveProperty("tokenHash");
+      expect(formatted).not.toHaveProperty("family");
+      expect(formatted.current).toBe(true);
+    });
+  });
+
+  describe("getSessionContext", () => {
+    test("should read the user agent and ip from the request", () => {
+      const req = { ip: "127.0.0.1", get: () => undefined };
+
+      expect(getSessionContext(req)).toEqual({
+        userAgent: "unknown",
+        ip: "127.0.0.1",
+      });
+    });
+  });
+});
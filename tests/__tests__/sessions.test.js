@@ -0,0 +1,108 @@
+import request from "supertest";
+import app from "../../server.js";
+
+describe("Sessions API", () => {
+  const testUser = {
+    name: "Session Test User",
+    email: `sessions${Date.now()}@example.com`,
+    password: "Test@123",
+  };
+
+  const login = async (userAgent) => {
+    const response = await request(app)
+      .post("/api/users/login")
+      .set("User-Agent", userAgent)
+      .send({ email: testUser.email, password: testUser.password });
+    return response.body.data;
+  };
+
+  beforeAll(async () => {
+    await request(app).post("/api/users/register").send(testUser);
+  });
+
+  describe("GET /api/users/sessions", () => {
+    test("should list active sessions with client details", async () => {
+      const { accessToken } = await login("session-list-agent");
+
+      const response = await request(app)
+        .get("/api/users/sessions")
+        .set("Authorization", `Bearer ${accessToken}`)
+        .expect(200);
+
+      const { sessions } = response.body.data;
+      expect(sessions.length).toBeGreaterThan(0);
+
+      const current = sessions.find((session) => session.current);
+      expect(current.userAgent).toBe("session-list-agent");
+      expect(current).toHaveProperty("ip");
+      expect(current).toHaveProperty("createdAt");
+      expect(current).toHaveProperty("lastUsedAt");
+      expect(current).toHaveProperty("expiresAt");
+      expect(current).not.toHaveProperty("tokenHash");
+    });
+
+    test("should require authentication", async () => {
+      await request(app).get("/api/users/sessions").expect(401);
+    });
+  });
+
+  describe("DELETE /api/users/sessions/:id", () => {
+    test("should revoke a single session", async () => {
+      const laptop = await login("laptop");
+      const phone = await login("phone");
+
+      const list = await request(app)
+        .get("/api/users/sessions")
+        .set("Authorization", `Bearer ${laptop.accessToken}`);
+      const phoneSession = list.body.data.sessions.find(
+        (session) => session.userAgent === "phone"
+      );
+
+      await request(app)
+        .delete(`/api/users/sessions/${phoneSession.id}`)
+        .set("Authorization", `Bearer ${laptop.accessToken}`)
+        .expect(200);
+
+      await request(app)
+        .post("/api/users/refresh")
+        .send({ refreshToken: phone.refreshToken })
+        .expect(401);
+      await request(app)
+        .post("/api/users/refresh")
+        .send({ refreshToken: laptop.refreshToken })
+        .expect(200);
+    });
+
+    test("should return 404 for an unknown session", async () => {
+      const { accessToken } = await login("unknown-session");
+
+      await request(app)
+        .delete("/api/users/sessions/000000000000000000000000")
+        .set("Authorization", `Bearer ${accessToken}`)
+        .expect(404);
+    });
+  });
+
+  describe("DELETE /api/users/sessions", () => {
+    test("should log out every other session", async () => {
+      const other = await login("other-device");
+      const current = await login("current-device");
+
+      const response = await request(app)
+        .delete("/api/users/sessions")
+        .set("Authorization", `Bearer ${current.accessToken}`)
+        .expect(200);
+
+      expect(response.body.data.revokedSessions).toBeGreaterThan(0);
+
+      await request(app)
+        .post("/api/users/refresh")
+        .send({ refreshToken: other.refreshToken })
+        .expect(401);
+      await request(app)
+        .post("/api/users/refresh")
+        .send({ refreshToken: current.refreshToken })
+        .expect(200);
+    });
+  });
+});
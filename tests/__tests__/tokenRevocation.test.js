@@ -0,0 +1,64 @@
+import request from "supertest";
+import app from "../../server.js";
+
+describe("Access Token Revocation", () => {
+  const testUser = {
+    name: "Revocation Test User",
+    email: `revocation${Date.now()}@example.com`,
+    password: "Test@123",
+  };
+
+  const login = () =>
+    request(app)
+      .post("/api/users/login")
+      .send({ email: testUser.email, password: testUser.password });
+
+  const getProfile = (accessToken) =>
+    request(app)
+      .get("/api/users/profile")
+      .set("Authorization", `Bearer ${accessToken}`);
+
+  beforeAll(async () => {
+    await request(app).post("/api/users/register").send(testUser);
+  });
+
+  test("should reject the access token after logout", async () => {
+    const { accessToken, refreshToken } = (await login()).body.data;
+    await getProfile(accessToken).expect(200);
+
+    await request(app)
+      .post("/api/users/logout")
+      .set("Authorization", `Bearer ${accessToken}`)
+      .send({ refreshToken })
+      .expect(200);
+
+    const response = await getProfile(accessToken).expect(401);
+    expect(response.body.message).toBe("Token has been revoked");
+  });
+
+  test("should reject access tokens of a revoked session", async () => {
+    const current = (await login()).body.data;
+    const other = (await login()).body.data;
+
+    await request(app)
+      .delete("/api/users/sessions")
+      .set("Authorization", `Bearer ${current.accessToken}`)
+      .expect(200);
+
+    await getProfile(other.accessToken).expect(401);
+    await getProfile(current.accessToken).expect(200);
+  });
+
+  test("should keep other sessions working after logout", async () => {
+    const first = (await login()).body.data;
+    const second = (await login()).body.data;
+
+    await request(app)
+      .post("/api/users/logout")
+      .set("Authorization", `Bearer ${first.accessToken}`)
+      .send({ refreshToken: first.refreshToken })
+      .expect(200);
+
+    await getProfile(second.accessToken).expect(200);
+  });
+});
@@ -0,0 +1,67 @@
+import request from "supertest";
+import app from "../../server.js";
+
+describe("Refresh Token Rotation", () => {
+  const testUser = {
+    name: "Rotation Test User",
+    email: `rotation${Date.now()}@example.com`,
+    password: "Test@123",
+  };
+
+  const login = async () => {
+    const response = await request(app)
+      .post("/api/users/login")
+      .send({ email: testUser.email, password: testUser.password });
+    return response.body.data.refreshToken;
+  };
+
+  const refresh = (refreshToken) =>
+    request(app).post("/api/users/refresh").send({ refreshToken });
+
+  beforeAll(async () => {
+    await request(app).post("/api/users/register").send(testUser);
+  });
+
+  test("should issue a new refresh token on every refresh", async () => {
+    const refreshToken = await login();
+
+    const response = await refresh(refreshToken).expect(200);
+
+    expect(response.body.data.refreshToken).toBeDefined();
+    expect(response.body.data.refreshToken).not.toBe(refreshToken);
+
+    // The new token keeps working
+    await refresh(response.body.data.refreshToken).expect(200);
+  });
+
+  test("should reject a refresh token that was already rotated", async () => {
+    const refreshToken = await login();
+    await refresh(refreshToken).expect(200);
+
+    const response = await refresh(refreshToken).expect(401);
+
+    expect(response.body.success).toBe(false);
+  });
+
+  test("should revoke the whole family when an old token is replayed", async () => {
+    const stolenToken = await login();
+    const rotated = await refresh(stolenToken);
+    const currentToken = rotated.body.data.refreshToken;
+
+    // Attacker replays the stolen token
+    await refresh(stolenToken).expect(401);
+
+    // Legitimate holder of the family is signed out too
+    await refresh(currentToken).expect(401);
+  });
+
+  test("should not affect other sessions when a family is revoked", async () => {
+    const otherSessionToken = await login();
+    const stolenToken = await login();
+    await refresh(stolenToken);
+
+    await refresh(stolenToken).expect(401);
+
+    await refresh(otherSessionToken).expect(200);
+  });
+});
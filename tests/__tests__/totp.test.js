@@ -0,0 +1,84 @@
+import {
+  base32Encode,
+  base32Decode,
+  generateTotpSecret,
+  generateTotp,
+  verifyTotp,
+  getTimeStep,
+  buildOtpauthUri,
+} from "../../utils/totp.js";
+
+// RFC 6238 Appendix B test secret ("12345678901234567890")
+const RFC_SECRET = base32Encode(Buffer.from("12345678901234567890"));
+
+describe("TOTP Helper Functions", () => {
+  describe("base32", () => {
+    test("should encode RFC 4648 test vectors", () => {
+      expect(base32Encode(Buffer.from("foobar"))).toBe("MZXW6YTBOI");
+      expect(base32Encode(Buffer.from("f"))).toBe("MY");
+    });
+
+    test("should round-trip random bytes", () => {
+      const secret = generateTotpSecret();
+
+      expect(secret).toMatch(/^[A-Z2-7]{32}$/);
+      expect(base32Encode(base32Decode(secret))).toBe(secret);
+    });
+
+    test("should reject invalid characters", () => {
+      expect(() => base32Decode("not base32!")).toThrow();
+    });
+  });
+
+  describe("generateTotp", () => {
+    test.each([
+      [59, "287082"],
+      [1111111109, "081804"],
+      [1234567890, "005924"],
+      [2000000000, "279037"],
+    ])("should match RFC 6238 vector at %i", (seconds, expected) => {
+      expect(generateTotp(RFC_SECRET, getTimeStep(seconds * 1000))).toBe(
+        expected
+      );
+    });
+  });
+
+  describe("verifyTotp", () => {
+    const timestamp = 1111111109 * 1000;
+
+    test("should accept the current code and return its step", () => {
+      expect(verifyTotp(RFC_SECRET, "081804", { timestamp })).toBe(
+        getTimeStep(timestamp)
+      );
+    });
+
+    test("should tolerate one step of clock drift", () => {
+      const previous = generateTotp(RFC_SECRET, getTimeStep(timestamp) - 1);
+
+      expect(verifyTotp(RFC_SECRET, previous, { timestamp })).not.toBeNull();
+      expect(
+        verifyTotp(RFC_SECRET, previous, { timestamp, window: 0 })
+      ).toBeNull();
+    });
+
+    test("should reject wrong or malformed codes", () => {
+      expect(verifyTotp(RFC_SECRET, "000000", { timestamp })).toBeNull();
+      expect(verifyTotp(RFC_SECRET, "12ab56", { timestamp })).toBeNull();
+      expect(verifyTotp(RFC_SECRET, undefined, { timestamp })).toBeNull();
+    });
+  });
+
+  describe("buildOtpauthUri", () => {
+    test("should build an otpauth URI", () => {
+      const uri = buildOtpauthUri({
+        secret: "JBSWY3DPEHPK3PXP",
+        accountName: "test@example.com",
+        issuer: "User Management API",
+      });
+
+      expect(uri).toMatch(/^otpauth:\/\/totp\/User%20Management%20API%3A/);
+      expect(uri).toContain("secret=JBSWY3DPEHPK3PXP");
+      expect(uri).toContain("issuer=User+Management+API");
+    });
+  });
+});
@@ -0,0 +1,257 @@
+import request from "supertest";
+import app from "../../server.js";
+import { generateTotp, getTimeStep } from "../../utils/totp.js";
+
+describe("Two-Factor Authentication API", () => {
+  let accessToken;
+  let secret;
+  let recoveryCodes;
+  let userId;
+  let adminToken;
+  // Each accepted code is single-use, so every step uses a fresh time step
+  let stepOffset = -1;
+  const nextCode = () => generateTotp(secret, getTimeStep() + stepOffset++);
+
+  const testUser = {
+    name: "Two Factor Test User",
+    email: `twofactor${Date.now()}@example.com`,
+    password: "Test@123",
+  };
+
+  const login = () =>
+    request(app)
+      .post("/api/users/login")
+      .send({ email: testUser.email, password: testUser.password });
+
+  beforeAll(async () => {
+    const registerResponse = await request(app)
+      .post("/api/users/register")
+      .send(testUser);
+    accessToken = registerResponse.body.data.accessToken;
+    userId = registerResponse.body.data.user.id;
+
+    const adminRes = await request(app).post("/api/users/login").send({
+      email: "alice@example.com",
+      password: "password123",
+    });
+    adminToken = adminRes.body.data.accessToken;
+  });
+
+  describe("POST /api/users/2fa/setup", () => {
+    test("should return a secret and an otpauth URI", async () => {
+      const response = await request(app)
+        .post("/api/users/2fa/setup")
+        .set("Authorization", `Bearer ${accessToken}`)
+        .expect(200);
+
+      secret = response.body.data.secret;
+      expect(secret).toMatch(/^[A-Z2-7]+$/);
+      expect(response.body.data.otpauthUri).toMatch(/^otpauth:\/\/totp\//);
+    });
+
+    test("should require authentication", async () => {
+      await request(app).post("/api/users/2fa/setup").expect(401);
+    });
+  });
+
+  describe("POST /api/users/2fa/verify", () => {
+    test("should reject an invalid code", async () => {
+      const response = await request(app)
+        .post("/api/users/2fa/verify")
+        .set("Authorization", `Bearer ${accessToken}`)
+        .send({ code: "000000" });
+
+      expect(response.statusCode).toBe(400);
+    });
+
+    test("should enable 2FA and return recovery codes", async () => {
+      const response = await request(app)
+        .post("/api/users/2fa/verify")
+        .set("Authorization", `Bearer ${accessToken}`)
+        .send({ code: nextCode() })
+        .expect(200);
+
+      recoveryCodes = response.body.data.recoveryCodes;
+      expect(recoveryCodes).toHaveLength(10);
+    });
+
+    test("should not allow enrolling twice", async () => {
+      await request(app)
+        .post("/api/users/2fa/setup")
+        .set("Authorization", `Bearer ${accessToken}`)
+        .expect(409);
+    });
+  });
+
+  describe("Two-step login", () => {
+    test("should return an MFA challenge instead of tokens", async () => {
+      const response = await login().expect(200);
+
+      expect(response.body.data.mfaRequired).toBe(true);
+      expect(response.body.data.mfaToken).toBeDefined();
+      expect(response.body.data).not.toHaveProperty("accessToken");
+    });
+
+    test("should not accept the MFA token as an access token", async () => {
+      const { mfaToken } = (await login()).body.data;
+
+      await request(app)
+        .get("/api/users/profile")
+        .set("Authorization", `Bearer ${mfaToken}`)
+        .expect(403);
+    });
+
+    test("should complete login with a TOTP code", async () => {
+      const { mfaToken } = (await login()).body.data;
+
+      const response = await request(app)
+        .post("/api/users/login/2fa")
+        .send({ mfaToken, code: nextCode() })
+        .expect(200);
+
+      expect(response.body.data).toHaveProperty("accessToken");
+      expect(response.body.data).toHaveProperty("refreshToken");
+    });
+
+    test("should reject a wrong code", async () => {
+      const { mfaToken } = (await login()).body.data;
+
+      await request(app)
+        .post("/api/users/login/2fa")
+        .send({ mfaToken, code: "000000" })
+        .expect(401);
+    });
+
+    test("should accept an MFA token only once", async () => {
+      const { mfaToken } = (await login()).body.data;
+
+      await request(app)
+        .post("/api/users/login/2fa")
+        .send({ mfaToken, code: nextCode() })
+        .expect(200);
+
+      const response = await request(app)
+        .post("/api/users/login/2fa")
+        .send({ mfaToken, code: nextCode() })
+        .expect(401);
+
+      expect(response.body.message).toBe("Invalid or expired MFA token");
+    });
+
+    test("should accept a recovery code only once", async () => {
+      const first = (await login()).body.data;
+
+      await request(app)
+        .post("/api/users/login/2fa")
+        .send({ mfaToken: first.mfaToken, recoveryCode: recoveryCodes[0] })
+        .expect(200);
+
+      const second = (await login()).body.data;
+
+      const response = await request(app)
+        .post("/api/users/login/2fa")
+        .send({ mfaToken: second.mfaToken, recoveryCode: recoveryCodes[0] })
+        .expect(401);
+
+      expect(response.body.message).toBe("Invalid recovery code");
+    });
+
+    test("should count wrong codes toward the account lockout", async () => {
+      const originalMaxAttempts = process.env.LOGIN_MAX_FAILED_ATTEMPTS;
+      process.env.LOGIN_MAX_FAILED_ATTEMPTS = "3";
+
+      try {
+        const { mfaToken } = (await login()).body.data;
+
+        for (const code of ["000000", "111111", "222222"]) {
+          await request(app)
+            .post("/api/users/login/2fa")
+            .send({ mfaToken, code })
+            .expect(401);
+        }
+
+        await request(app)
+          .post("/api/users/login/2fa")
+          .send({ mfaToken, code: nextCode() })
+          .expect(429);
+      } finally {
+        if (originalMaxAttempts === undefined) {
+          delete process.env.LOGIN_MAX_FAILED_ATTEMPTS;
+        } else {
+          process.env.LOGIN_MAX_FAILED_ATTEMPTS = originalMaxAttempts;
+        }
+      }
+
+      await request(app)
+        .post(`/api/users/${userId}/unlock`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .expect(200);
+    });
+
+    test("should not reset the lockout when the password is entered again", async () => {
+      const originalMaxAttempts = process.env.LOGIN_MAX_FAILED_ATTEMPTS;
+      process.env.LOGIN_MAX_FAILED_ATTEMPTS = "3";
+
+      try {
+        for (const code of ["000000", "111111", "222222"]) {
+          const { mfaToken } = (await login().expect(200)).body.data;
+
+          await request(app)
+            .post("/api/users/login/2fa")
+            .send({ mfaToken, code })
+            .expect(401);
+        }
+
+        await login().expect(429);
+      } finally {
+        if (originalMaxAttempts === undefined) {
+          delete process.env.LOGIN_MAX_FAILED_ATTEMPTS;
+        } else {
+          process.env.LOGIN_MAX_FAILED_ATTEMPTS = originalMaxAttempts;
+        }
+      }
+
+      await request(app)
+        .post(`/api/users/${userId}/unlock`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .expect(200);
+    });
+
+    test("should require a code or recovery code", async () => {
+      const { mfaToken } = (await login()).body.data;
+
+      const response = await request(app)
+        .post("/api/users/login/2fa")
+        .send({ mfaToken })
+        .expect(400);
+
+      expect(response.body.errors).toBeDefined();
+    });
+  });
+
+  describe("DELETE /api/users/:id/2fa", () => {
+    test("should deny non-admin users", async () => {
+      await request(app)
+        .delete(`/api/users/${userId}/2fa`)
+        .set("Authorization", `Bearer ${accessToken}`)
+        .expect(403);
+    });
+
+    test("should reject malformed ids", async () => {
+      await request(app)
+        .delete("/api/users/not-an-id/2fa")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .expect(400);
+    });
+
+    test("should let an admin reset 2FA", async () => {
+      await request(app)
+        .delete(`/api/users/${userId}/2fa`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .expect(200);
+
+      const response = await login().expect(200);
+      expect(response.body.data).toHaveProperty("accessToken");
+    });
+  });
+});
@@ -0,0 +1,216 @@
+import { decodeCbor } from "../../utils/cbor.js";
+import {
+  getWebAuthnConfig,
+  buildRegistrationOptions,
+  buildAuthenticationOptions,
+  verifyRegistrationResponse,
+  verifyAuthenticationResponse,
+} from "../../utils/webauthn.js";
+import {
+  createSoftwareAuthenticator,
+  encodeCbor,
+} from "../softwareAuthenticator.js";
+
+describe("WebAuthn Utils", () => {
+  const user = {
+    _id: "507f1f77bcf86cd799439011",
+    email: "jane@example.com",
+    name: "Jane Doe",
+  };
+  const originalEnv = {
+    APP_URL: process.env.APP_URL,
+    WEBAUTHN_ORIGINS: process.env.WEBAUTHN_ORIGINS,
+    WEBAUTHN_RP_ID: process.env.WEBAUTHN_RP_ID,
+  };
+
+  beforeEach(() => {
+    process.env.APP_URL = "https://app.example.com";
+    delete process.env.WEBAUTHN_ORIGINS;
+    delete process.env.WEBAUTHN_RP_ID;
+  });
+
+  afterAll(() => {
+    for (const [key, value] of Object.entries(originalEnv)) {
+      if (value === undefined) {
+        delete process.env[key];
+      } else {
+        process.env[key] = value;
+      }
+    }
+  });
+
+  const newAuthenticator = (options) =>
+    createSoftwareAuthenticator({
+      origin: "https://app.example.com",
+      rpId: "app.example.com",
+      ...options,
+    });
+
+  const register = (authenticator) => {
+    const credential = authenticator.create(buildRegistrationOptions(user));
+    return verifyRegistrationResponse(credential, user._id);
+  };
+
+  describe("decodeCbor", () => {
+    test("should decode maps with integer and string keys", () => {
+      const value = decodeCbor(
+        encodeCbor(
+          new Map([
+            [1, 2],
+            [-7, "text"],
+            ["bytes", Buffer.from([1, 2, 3])],
+            ["list", [0, 500, -300]],
+          ])
+        )
+      );
+
+      expect(value.get(1)).toBe(2);
+      expect(value.get(-7)).toBe("text");
+      expect(value.get("bytes")).toEqual(Buffer.from([1, 2, 3]));
+      expect(value.get("list")).toEqual([0, 500, -300]);
+    });
+
+    test("should reject truncated and trailing data", () => {
+      const encoded = encodeCbor("hello");
+      expect(() => decodeCbor(encoded.subarray(0, 3))).toThrow();
+      expect(() => decodeCbor(Buffer.concat([encoded, encoded]))).toThrow(
+        "Trailing bytes"
+      );
+    });
+  });
+
+  test("should derive the relying party from APP_URL", () => {
+    expect(getWebAuthnConfig()).toEqual({
+      rpId: "app.example.com",
+      rpName: expect.any(String),
+      origins: ["https://app.example.com"],
+    });
+  });
+
+  test("should verify a registration and return the credential to store", () => {
+    const authenticator = newAuthenticator();
+    const passkey = register(authenticator);
+
+    expect(authenticator.credentials.has(passkey.credentialId)).toBe(true);
+    expect(passkey.algorithm).toBe(-7);
+    expect(passkey.signCount).toBe(0);
+    expect(passkey.transports).toEqual(["internal"]);
+    expect(passkey.publicKey).toEqual(expect.any(String));
+  });
+
+  test("should reject a registration from another origin", () => {
+    const authenticator = newAuthenticator({
+      origin: "https://evil.example.com",
+    });
+
+    expect(() => register(authenticator)).toThrow("Unexpected origin");
+  });
+
+  test("should reject a registration challenge issued to another user", () => {
+    const authenticator = newAuthenticator();
+    const credential = authenticator.create(buildRegistrationOptions(user));
+
+    expect(() =>
+      verifyRegistrationResponse(credential, "507f1f77bcf86cd799439012")
+    ).toThrow("Unknown or expired challenge");
+  });
+
+  test("should verify an assertion and advance the counter", () => {
+    const authenticator = newAuthenticator();
+    const passkey = register(authenticator);
+
+    const assertion = authenticator.get(buildAuthenticationOptions("login"));
+    const result = verifyAuthenticationResponse(assertion, passkey, {
+      ceremony: "login",
+      userId: user._id,
+    });
+
+    expect(result.signCount).toBe(1);
+  });
+
+  test("should not accept a challenge twice", () => {
+    const authenticator = newAuthenticator();
+    const passkey = register(authenticator);
+    const options = buildAuthenticationOptions("login");
+
+    const first = authenticator.get(options);
+    verifyAuthenticationResponse(first, passkey, {
+      ceremony: "login",
+      userId: user._id,
+    });
+    const replay = authenticator.get(options);
+
+    expect(() =>
+      verifyAuthenticationResponse(replay, passkey, {
+        ceremony: "login",
+        userId: user._id,
+      })
+    ).toThrow("Unknown or expired challenge");
+  });
+
+  test("should reject a counter that did not increase", () => {
+    const authenticator = newAuthenticator();
+    const passkey = register(authenticator);
+    const assertion = authenticator.get(buildAuthenticationOptions("login"));
+
+    expect(() =>
+      verifyAuthenticationResponse(
+        assertion,
+        { ...passkey, signCount: 5 },
+        { ceremony: "login", userId: user._id }
+      )
+    ).toThrow("Signature counter did not increase");
+  });
+
+  test("should reject a signature from another key", () => {
+    const authenticator = newAuthenticator();
+    const passkey = register(authenticator);
+    const other = register(newAuthenticator());
+    const assertion = authenticator.get(buildAuthenticationOptions("login"));
+
+    expect(() =>
+      verifyAuthenticationResponse(
+        assertion,
+        { ...passkey, publicKey: other.publicKey },
+        { ceremony: "login", userId: user._id }
+      )
+    ).toThrow("Invalid signature");
+  });
+
+  test("should require user verification for passkey-only login", () => {
+    const authenticator = newAuthenticator({ userVerification: false });
+    const passkey = register(authenticator);
+
+    const login = authenticator.get(buildAuthenticationOptions("login"));
+    expect(() =>
+      verifyAuthenticationResponse(login, passkey, {
+        ceremony: "login",
+        userId: user._id,
+      })
+    ).toThrow("User verification is required");
+
+    // As a second factor, presence is enough
+    const mfa = authenticator.get(
+      buildAuthenticationOptions("mfa", user, [passkey])
+    );
+    expect(() =>
+      verifyAuthenticationResponse(mfa, passkey, {
+        ceremony: "mfa",
+        userId: user._id,
+      })
+    ).not.toThrow();
+  });
+
+  test("should reject a passkey that names another user", () => {
+    const authenticator = newAuthenticator();
+    const passkey = register(authenticator);
+    const assertion = authenticator.get(buildAuthenticationOptions("login"));
+
+    expect(() =>
+      verifyAuthenticationResponse(assertion, passkey, {
+        ceremony: "login",
+        userId: "507f1f77bcf86cd799439012",
+      })
+    ).toThrow("User handle mismatch");
+  });
+});
@@ -0,0 +1,104 @@
+import crypto from "crypto";
+import express from "express";
+import jwt from "jsonwebtoken";
+
+// Minimal OpenID Connect provider for tests: discovery, token endpoint with
+// PKCE verification and userinfo. Authorization is simulated by calling
+// issueCode() with the parameters of the authorization URL.
+
+const base64Url = (buffer) =>
+  buffer
+    .toString("base64")
+    .replace(/\+/g, "-")
+    .replace(/\//g, "_")
+    .replace(/=+$/, "");
+
+export const startMockOidcProvider = async ({
+  clientId = "test-client",
+} = {}) => {
+  const app = express();
+  app.use(express.urlencoded({ extended: false }));
+
+  const codes = new Map();
+  const accessTokens = new Map();
+  let issuer;
+
+  app.get("/.well-known/openid-configuration", (req, res) => {
+    res.json({
+      issuer,
+      authorization_endpoint: `${issuer}/authorize`,
+      token_endpoint: `${issuer}/token`,
+      userinfo_endpoint: `${issuer}/userinfo`,
+    });
+  });
+
+  app.post("/token", (req, res) => {
+    const entry = codes.get(req.body.code);
+    codes.delete(req.body.code);
+
+    const challenge = base64Url(
+      crypto
+        .createHash("sha256")
+        .update(req.body.code_verifier ?? "")
+        .digest()
+    );
+    if (
+      !entry ||
+      req.body.client_id !== clientId ||
+      req.body.redirect_uri !== entry.redirectUri ||
+      challenge !== entry.codeChallenge
+    ) {
+      return res.status(400).json({ error: "invalid_grant" });
+    }
+
+    const accessToken = crypto.randomBytes(16).toString("hex");
+    accessTokens.set(accessToken, entry.profile);
+
+    res.json({
+      access_token: accessToken,
+      token_type: "Bearer",
+      id_token: jwt.sign(
+        { ...entry.profile, nonce: entry.nonce },
+        "mock-provider-secret",
+        { issuer, audience: clientId, expiresIn: "5m" }
+      ),
+    });
+  });
+
+  app.get("/userinfo", (req, res) => {
+    const token = req.get("authorization")?.split(" ")[1];
+    const profile = accessTokens.get(token);
+    if (!profile) {
+      return res.status(401).json({ error: "invalid_token" });
+    }
+    res.json(profile);
+  });
+
+  const server = await new Promise((resolve) => {
+    const listener = app.listen(0, "127.0.0.1", () => resolve(listener));
+  });
+  issuer = `http://127.0.0.1:${server.address().port}`;
+
+  return {
+    issuer,
+    clientId,
+    /**
+     * Simulate the user approving the login at the provider
+     * @param {string} authorizationUrl - URL the API redirected to
+     * @param {Object} profile - Claims of the user (sub, email, email_verified, name)
+     * @returns {Object} code and state to send to the callback
+     */
+    issueCode: (authorizationUrl, profile) => {
+      const params = new URL(authorizationUrl).searchParams;
+      const code = crypto.randomBytes(16).toString("hex");
+      codes.set(code, {
+        profile,
+        nonce: params.get("nonce"),
+        codeChallenge: params.get("code_challenge"),
+        redirectUri: params.get("redirect_uri"),
+      });
+      return { code, state: params.get("state") };
+    },
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+};
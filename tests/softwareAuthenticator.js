@@ -0,0 +1,164 @@
+import crypto from "crypto";
+
+// Software WebAuthn authenticator for tests: creates ES256 passkeys with
+// "none" attestation and signs assertions like a browser + security key would.
+// Credentials produced by create() and get() have the JSON shape browsers
+// return from PublicKeyCredential.toJSON().
+
+// Minimal CBOR encoder for the structures an authenticator emits
+const encodeHead = (major, value) => {
+  if (value < 24) return Buffer.from([(major << 5) | value]);
+  if (value < 0x100) return Buffer.from([(major << 5) | 24, value]);
+  const head = Buffer.alloc(3);
+  head[0] = (major << 5) | 25;
+  head.writeUInt16BE(value, 1);
+  return head;
+};
+
+export const encodeCbor = (value) => {
+  if (typeof value === "number") {
+    return value >= 0 ? encodeHead(0, value) : encodeHead(1, -1 - value);
+  }
+  if (Buffer.isBuffer(value)) {
+    return Buffer.concat([encodeHead(2, value.length), value]);
+  }
+  if (typeof value === "string") {
+    const bytes = Buffer.from(value, "utf8");
+    return Buffer.concat([encodeHead(3, bytes.length), bytes]);
+  }
+  if (Array.isArray(value)) {
+    return Buffer.concat([
+      encodeHead(4, value.length),
+      ...value.map(encodeCbor),
+    ]);
+  }
+  if (value instanceof Map) {
+    const parts = [encodeHead(5, value.size)];
+    for (const [key, item] of value) {
+      parts.push(encodeCbor(key), encodeCbor(item));
+    }
+    return Buffer.concat(parts);
+  }
+  throw new Error(`Cannot encode ${typeof value} as CBOR`);
+};
+
+const sha256 = (data) => crypto.createHash("sha256").update(data).digest();
+
+export const createSoftwareAuthenticator = ({
+  origin = "http://localhost:3000",
+  rpId = "localhost",
+  userVerification = true,
+  backedUp = false,
+} = {}) => {
+  const credentials = new Map();
+
+  const clientData = (type, challenge) =>
+    Buffer.from(
+      JSON.stringify({ type, challenge, origin, crossOrigin: false })
+    );
+
+  const flags = (extra = 0) =>
+    0x01 | (userVerification ? 0x04 : 0) | (backedUp ? 0x18 : 0) | extra;
+
+  const authenticatorData = (
+    flagBits,
+    signCount,
+    attested = Buffer.alloc(0)
+  ) => {
+    const counter = Buffer.alloc(4);
+    counter.writeUInt32BE(signCount);
+    return Buffer.concat([
+      sha256(rpId),
+      Buffer.from([flagBits]),
+      counter,
+      attested,
+    ]);
+  };
+
+  return {
+    credentials,
+
+    // navigator.credentials.create()
+    create(options) {
+      const { privateKey, publicKey } = crypto.generateKeyPairSync("ec", {
+        namedCurve: "P-256",
+      });
+      const id = crypto.randomBytes(16);
+      const credentialId = id.toString("base64url");
+      const jwk = publicKey.export({ format: "jwk" });
+      const coseKey = new Map([
+        [1, 2],
+        [3, -7],
+        [-1, 1],
+        [-2, Buffer.from(jwk.x, "base64url")],
+        [-3, Buffer.from(jwk.y, "base64url")],
+      ]);
+
+      const idLength = Buffer.alloc(2);
+      idLength.writeUInt16BE(id.length);
+      const attested = Buffer.concat([
+        Buffer.alloc(16),
+        idLength,
+        id,
+        encodeCbor(coseKey),
+      ]);
+
+      credentials.set(credentialId, {
+        privateKey,
+        userHandle: options.user.id,
+        signCount: 0,
+      });
+
+      return {
+        id: credentialId,
+        rawId: credentialId,
+        type: "public-key",
+        response: {
+          clientDataJSON: clientData(
+            "webauthn.create",
+            options.challenge
+          ).toString("base64url"),
+          attestationObject: encodeCbor(
+            new Map([
+              ["fmt", "none"],
+              ["attStmt", new Map()],
+              ["authData", authenticatorData(flags(0x40), 0, attested)],
+            ])
+          ).toString("base64url"),
+          transports: ["internal"],
+        },
+      };
+    },
+
+    // navigator.credentials.get(); picks the first allowed credential
+    get(options, credentialId) {
+      const allowed = options.allowCredentials?.map((item) => item.id) ?? [];
+      const id =
+        credentialId ??
+        allowed.find((item) => credentials.has(item)) ??
+        credentials.keys().next().value;
+      const credential = credentials.get(id);
+
+      credential.signCount += 1;
+      const authData = authenticatorData(flags(), credential.signCount);
+      const clientDataJSON = clientData("webauthn.get", options.challenge);
+      const signature = crypto.sign(
+        "sha256",
+        Buffer.concat([authData, sha256(clientDataJSON)]),
+        credential.privateKey
+      );
+
+      return {
+        id,
+        rawId: id,
+        type: "public-key",
+        response: {
+          clientDataJSON: clientDataJSON.toString("base64url"),
+          authenticatorData: authData.toString("base64url"),
+          signature: signature.toString("base64url"),
+          userHandle: credential.userHandle,
+        },
+      };
+    },
+  };
+};
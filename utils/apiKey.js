@@ -0,0 +1,89 @@
+import crypto from "crypto";
+import { hashToken } from "./authHelper.js";
+
+// API keys look like "umk_<prefix>_<secret>". The prefix is stored in clear
+// so users can recognise their keys; the whole key is only stored hashed.
+
+const KEY_PATTERN = /^umk_([a-f0-9]{8})_([A-Za-z0-9_-]{43})$/;
+
+// Each scope opens a group of routes to API keys (see allowApiKey)
+export const API_KEY_SCOPES = [
+  "profile:read",
+  "profile:write",
+  "users:read",
+  "users:write",
+  "tokens:introspect",
+];
+
+// Scopes that need the permission of the same name (see utils/permissions.js)
+export const PRIVILEGED_API_KEY_SCOPES = [
+  "users:read",
+  "users:write",
+  "tokens:introspect",
+];
+
+/**
+ * Read API key settings from the environment
+ * @returns {Object} API key configuration
+ */
+export const getApiKeyConfig = () => {
+  return {
+    defaultExpiresInDays:
+      parseInt(process.env.API_KEY_DEFAULT_EXPIRES_DAYS) || 90,
+    maxExpiresInDays: parseInt(process.env.API_KEY_MAX_EXPIRES_DAYS) || 365,
+    maxKeysPerUser: parseInt(process.env.API_KEY_MAX_PER_USER) || 20,
+  };
+};
+
+/**
+ * Generate a new API key
+ * @returns {Object} Plain key to show once, its public prefix and the hash to store
+ */
+export const generateApiKey = () => {
+  const prefix = crypto.randomBytes(4).toString("hex");
+  const secret = crypto.randomBytes(32).toString("base64url");
+  const key = `umk_${prefix}_${secret}`;
+  return { key, prefix, keyHash: hashToken(key) };
+};
+
+/**
+ * Check that a string has the shape of an API key
+ * @param {string} key - Candidate key
+ * @returns {boolean} True if it could be an API key
+ */
+export const isApiKeyFormat = (key) => {
+  return typeof key === "string" && KEY_PATTERN.test(key);
+};
+
+/**
+ * Extract the API key sent with a request, from "Authorization: ApiKey <key>"
+ * or the X-API-Key header
+ * @param {Object} req - Express request
+ * @returns {string|null} API key, or null if none was sent
+ */
+export const getApiKeyFromRequest = (req) => {
+  const [scheme, credentials] = (req.headers["authorization"] ?? "").split(" ");
+  if (scheme?.toLowerCase() === "apikey" && credentials) {
+    return credentials;
+  }
+  return req.headers["x-api-key"] || null;
+};
+
+/**
+ * Public representation of an API key
+ * @param {Object} apiKey - ApiKey document
+ * @returns {Object} Key details without its hash
+ */
+export const formatApiKey = (apiKey) => {
+  return {
+    id: apiKey._id,
+    name: apiKey.name,
+    prefix: `umk_${apiKey.prefix}`,
+    scopes: apiKey.scopes,
+    expiresAt: apiKey.expiresAt,
+    lastUsedAt: apiKey.lastUsedAt,
+    lastUsedIp: apiKey.lastUsedIp,
+    revokedAt: apiKey.revokedAt,
+    createdAt: apiKey.createdAt,
+  };
+};
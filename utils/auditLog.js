@@ -0,0 +1,51 @@
+import AuditLog from "../models/auditLogModels.js";
+import { logger } from "./logger.js";
+import { getImpersonatorId } from "./impersonation.js";
+
+/**
+ * Persist an audit event. Failures are logged and swallowed so auditing never
+ * breaks the request that triggered it.
+ * @param {Object} options
+ * @param {string} options.event - Event name (e.g. "login")
+ * @param {string} options.user - ID of the user the event is about
+ * @param {string} [options.actor] - ID of the user who acted, if different
+ * (defaults to the admin impersonating the user of req)
+ * @param {Object} [options.details] - Extra event data
+ * @param {Object} [options.req] - Express request (for ip and user agent)
+ */
+export const recordAuditEvent = async ({
+  event,
+  user,
+  actor,
+  details = {},
+  req,
+}) => {
+  try {
+    await AuditLog.create({
+      event,
+      user,
+      actor: actor ?? getImpersonatorId(req?.user),
+      details,
+      ip: req?.ip,
+      userAgent: req?.get("user-agent"),
+    });
+  } catch (error) {
+    logger.error(`Failed to record audit event ${event}: ${error.message}`);
+  }
+};
+
+/**
+ * Public representation of an audit entry
+ * @param {Object} entry - AuditLog document
+ * @returns {Object} Entry without internal fields
+ */
+export const formatAuditEntry = (entry) => {
+  return {
+    event: entry.event,
+    actor: entry.actor,
+    details: entry.details,
+    ip: entry.ip,
+    userAgent: entry.userAgent,
+    createdAt: entry.createdAt,
+  };
+};
@@ -1,6 +1,14 @@
 import bcrypt from "bcrypt";
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
 import { generateToken, generateRefreshToken } from "../utils/jwt.js";
 import { isValidPassword } from "./validationHelper.js";
+import {
+  saveSession,
+  findSessionByToken,
+  findSessionByFamily,
+  revokeSessions,
+} from "./sessionHelper.js";
 /**
  * Hash a password
  * @param {string} password - Plain text password
@@ -14,6 +22,18 @@ export const hashPassword = async (password) => {
   return await bcrypt.hash(password, parseInt(process.env.SALT_ROUNDS));
 };
 
+/**
+ * Hash a random password nobody knows, for accounts that must exist but
+ * cannot be logged into with a password
+ * @returns {Promise<string>} Hashed password
+ */
+export const hashRandomPassword = async () => {
+  return await bcrypt.hash(
+    crypto.randomBytes(32).toString("hex"),
+    parseInt(process.env.SALT_ROUNDS) || 10
+  );
+};
+
 /**
  * Compare password with hashed password
  * @param {string} password - Plain text password
@@ -24,59 +44,213 @@ export const comparePassword = async (password, hashedPassword) => {
   return await bcrypt.compare(password, hashedPassword);
 };
 
+/**
+ * Build the JWT payload for a user
+ * @param {Object} user - User document or plain object
+ * @returns {Object} Claims used by generateTokenPair
+ */
+export const buildTokenPayload = (user) => {
+  return {
+    id: user._id,
+    email: user.email,
+    role: user.role,
+    emailVerified: user.emailVerified,
+    tokenVersion: user.tokenVersion,
+    // Members of an organization are scoped to it (see utils/organizations.js)
+    orgId: user.organization ? String(user.organization) : undefined,
+    orgRole: user.organization ? user.orgRole : undefined,
+  };
+};
+
 /**
  * Generate both access and refresh tokens for a user
  * @param {Object} user - User object
+ * @param {string} [family] - Refresh token family to continue (a new one is started if omitted)
  * @returns {Object} Object containing accessToken and refreshToken
  */
-export const generateTokenPair = (user) => {
-  const accessToken = generateToken(user);
-  const refreshToken = generateRefreshToken(user);
+export const generateTokenPair = (user, family = crypto.randomUUID()) => {
+  // The access token carries the session (family) id so requests can tell
+  // which session they come from
+  const accessToken = generateToken({ ...user, sid: family });
+  const refreshToken = generateRefreshToken(user, family);
   return { accessToken, refreshToken };
 };
 
 /**
- * Add refresh token to user's token list
+ * Issue a token pair for a new login and open its session
+ * @param {Object} user - User document (caller saves it)
+ * @param {Object} [context] - Client details from getSessionContext
+ * @returns {Object} Object containing accessToken and refreshToken
+ */
+export const createSessionTokens = (user, context) => {
+  const tokens = generateTokenPair(buildTokenPayload(user));
+  addRefreshToken(user, tokens.refreshToken, context);
+  return tokens;
+};
+
+/**
+ * Store a refresh token in the session of its family
  * @param {Object} user - User object
  * @param {string} refreshToken - Refresh token to add
+ * @param {Object} [context] - Client details from getSessionContext
  */
-export const addRefreshToken = (user, refreshToken) => {
-  if (!user.refreshTokens) {
-    user.refreshTokens = [];
-  }
-  user.refreshTokens.push(refreshToken);
+export const addRefreshToken = (user, refreshToken, context) => {
+  saveSession(user, refreshToken, context);
 };
 
 /**
- * Remove refresh token from user's token list
+ * End the session a refresh token belongs to
  * @param {Object} user - User object
  * @param {string} refreshToken - Refresh token to remove
  */
 export const removeRefreshToken = (user, refreshToken) => {
-  if (!user.refreshTokens) {
+  const session = findSessionByToken(user, refreshToken);
+  if (!session) {
     return;
   }
-  user.refreshTokens = user.refreshTokens.filter(
-    (token) => token !== refreshToken
-  );
+  revokeSessions(user, (s) => s.family === session.family);
 };
 
 /**
  * Check if user has a valid refresh token
  * @param {Object} user - User object
  * @param {string} refreshToken - Refresh token to check
- * @returns {boolean} True if token is valid
+ * @returns {boolean} True if token is the current token of an active session
  */
 export const hasValidRefreshToken = (user, refreshToken) => {
-  return user?.refreshTokens?.includes(refreshToken) ?? false;
+  return Boolean(findSessionByToken(user, refreshToken));
+};
+
+/**
+ * Get the family a refresh token belongs to
+ * @param {string} refreshToken - Refresh token
+ * @returns {string|null} Family id, or null for tokens issued before rotation existed
+ */
+export const getRefreshTokenFamily = (refreshToken) => {
+  return jwt.decode(refreshToken)?.family ?? null;
+};
+
+/**
+ * Check if user still has a session for a refresh token family
+ * @param {Object} user - User object
+ * @param {string} family - Refresh token family
+ * @returns {boolean} True if the family's session is stored
+ */
+export const hasRefreshTokenFamily = (user, family) => {
+  return Boolean(findSessionByFamily(user, family));
+};
+
+/**
+ * End the session of a refresh token family
+ * @param {Object} user - User object
+ * @param {string} family - Refresh token family to revoke
+ */
+export const revokeRefreshTokenFamily = (user, family) => {
+  revokeSessions(user, (session) => session.family === family);
+};
+
+/**
+ * End every session of the user
+ * @param {Object} user - User object
+ */
+export const clearRefreshTokens = (user) => {
+  user.sessions = [];
+};
+
+/**
+ * Invalidate every token of the user: ends all sessions and bumps the token
+ * version so access tokens already issued are rejected
+ * @param {Object} user - User document (caller saves it)
+ */
+export const revokeAllUserTokens = (user) => {
+  user.tokenVersion = (user.tokenVersion ?? 0) + 1;
+  clearRefreshTokens(user);
+};
+
+/**
+ * Cancel a pending self-service account deletion
+ * @param {Object} user - User document (caller saves it)
+ * @returns {boolean} True if a deletion was cancelled
+ */
+export const cancelAccountDeletion = (user) => {
+  if (!user.deletionScheduledFor) {
+    return false;
+  }
+  user.deletionScheduledFor = null;
+  return true;
+};
+
+/**
+ * Hash a one-time token for storage
+ * @param {string} token - Plain token
+ * @returns {string} SHA-256 hex digest of the token
+ */
+export const hashToken = (token) => {
+  return crypto.createHash("sha256").update(token).digest("hex");
+};
+
+/**
+ * Generate a random single-use token (password reset, email verification...)
+ * @param {number} expiresInMinutes - Token lifetime in minutes
+ * @returns {Object} Plain token to send to the user, its hash to store and the expiry date
+ */
+export const generateOneTimeToken = (expiresInMinutes) => {
+  const token = crypto.randomBytes(32).toString("hex");
+  return {
+    token,
+    hashedToken: hashToken(token),
+    expiresAt: new Date(Date.now() + expiresInMinutes * 60 * 1000),
+  };
+};
+
+/**
+ * Get the configured policy for accounts with an unverified email
+ * - "none": unverified accounts are fully usable (default)
+ * - "limit": unverified accounts can log in but only reach routes that opt in
+ * - "block": unverified accounts cannot log in or use their tokens
+ * @returns {string} Email verification policy
+ */
+export const getEmailVerificationPolicy = () => {
+  const policy = (
+    process.env.EMAIL_VERIFICATION_POLICY || "none"
+  ).toLowerCase();
+  return ["none", "limit", "block"].includes(policy) ? policy : "none";
+};
+
+/**
+ * Normalize a recovery code as typed by the user
+ * @param {string} code - Recovery code
+ * @returns {string} Lowercase code without spaces or dashes
+ */
+export const normalizeRecoveryCode = (code) => {
+  return String(code ?? "")
+    .toLowerCase()
+    .replace(/[\s-]/g, "");
+};
+
+/**
+ * Generate two-factor recovery codes
+ * @param {number} [count] - Number of codes
+ * @returns {Object} Plain codes to show once and their hashes to store
+ */
+export const generateRecoveryCodes = (count = 10) => {
+  const codes = Array.from({ length: count }, () => {
+    const raw = crypto.randomBytes(5).toString("hex");
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+  return {
+    codes,
+    hashedCodes: codes.map((code) => hashToken(normalizeRecoveryCode(code))),
+  };
 };
 
 /**
- * Remove password from user object
+ * Remove password and session data from user object
  * @param {Object} user - User object
  * @returns {Object} User object without password
  */
 export const sanitizeUser = (user) => {
-  const { password, refreshTokens, ...sanitizedUser } = user;
+  // refreshTokens may still exist on documents created before sessions
+  const { password, refreshTokens, sessions, ...sanitizedUser } = user;
   return sanitizedUser;
 };
@@ -0,0 +1,110 @@
+// Minimal CBOR (RFC 8949) decoder for WebAuthn attestation objects and COSE
+// keys. Only definite-length items are supported, which is all authenticators
+// produce for these structures.
+
+/**
+ * Read the argument of an item header
+ * @param {Buffer} buffer - CBOR data
+ * @param {number} offset - Offset just after the initial byte
+ * @param {number} info - Additional information bits of the initial byte
+ * @returns {Array} [argument, offset after it]
+ */
+const readArgument = (buffer, offset, info) => {
+  if (info < 24) {
+    return [info, offset];
+  }
+  if (info === 24) {
+    return [buffer.readUInt8(offset), offset + 1];
+  }
+  if (info === 25) {
+    return [buffer.readUInt16BE(offset), offset + 2];
+  }
+  if (info === 26) {
+    return [buffer.readUInt32BE(offset), offset + 4];
+  }
+  if (info === 27) {
+    const value = buffer.readBigUInt64BE(offset);
+    if (value > BigInt(Number.MAX_SAFE_INTEGER)) {
+      throw new Error("CBOR integer too large");
+    }
+    return [Number(value), offset + 8];
+  }
+  throw new Error("Unsupported CBOR length encoding");
+};
+
+/**
+ * Decode one CBOR item
+ * @param {Buffer} buffer - CBOR data
+ * @param {number} [offset] - Where the item starts
+ * @returns {Array} [value, offset after the item]
+ */
+export const decodeCborItem = (buffer, offset = 0) => {
+  if (offset >= buffer.length) {
+    throw new Error("Unexpected end of CBOR data");
+  }
+
+  const initial = buffer[offset];
+  const major = initial >> 5;
+  const info = initial & 0x1f;
+  let [argument, next] = readArgument(buffer, offset + 1, info);
+
+  switch (major) {
+    case 0:
+      return [argument, next];
+    case 1:
+      return [-1 - argument, next];
+    case 2:
+    case 3: {
+      if (next + argument > buffer.length) {
+        throw new Error("Unexpected end of CBOR data");
+      }
+      const bytes = buffer.subarray(next, next + argument);
+      return [
+        major === 2 ? Buffer.from(bytes) : bytes.toString("utf8"),
+        next + argument,
+      ];
+    }
+    case 4: {
+      const items = [];
+      for (let index = 0; index < argument; index++) {
+        let item;
+        [item, next] = decodeCborItem(buffer, next);
+        items.push(item);
+      }
+      return [items, next];
+    }
+    case 5: {
+      // Maps keep their keys as is (COSE keys use integers)
+      const map = new Map();
+      for (let index = 0; index < argument; index++) {
+        let key;
+        let value;
+        [key, next] = decodeCborItem(buffer, next);
+        [value, next] = decodeCborItem(buffer, next);
+        map.set(key, value);
+      }
+      return [map, next];
+    }
+    case 6:
+      // Tags carry no meaning for WebAuthn data; keep the tagged value
+      return decodeCborItem(buffer, next);
+    default:
+      if (info === 20) return [false, next];
+      if (info === 21) return [true, next];
+      if (info === 22) return [null, next];
+      throw new Error("Unsupported CBOR simple value");
+  }
+};
+
+/**
+ * Decode a buffer holding exactly one CBOR item
+ * @param {Buffer} buffer - CBOR data
+ * @returns {*} Decoded value
+ */
+export const decodeCbor = (buffer) => {
+  const [value, end] = decodeCborItem(buffer, 0);
+  if (end !== buffer.length) {
+    throw new Error("Trailing bytes after CBOR data");
+  }
+  return value;
+};
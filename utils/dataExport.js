@@ -0,0 +1,79 @@
+import fs from "fs/promises";
+import path from "path";
+import { promisify } from "util";
+import zlib from "zlib";
+import User from "../models/userModels.js";
+import AuditLog from "../models/auditLogModels.js";
+import { sanitizeUser } from "./authHelper.js";
+import { formatSession } from "./sessionHelper.js";
+import { formatAuditEntry } from "./auditLog.js";
+
+const gzip = promisify(zlib.gzip);
+
+const LOGIN_EVENTS = ["login", "login_failed"];
+
+/**
+ * Directory where export archives are written
+ * @returns {string} Export directory
+ */
+export const getDataExportDir = () => {
+  return process.env.DATA_EXPORT_DIR || "data-exports";
+};
+
+/**
+ * Collect everything stored about a user
+ * @param {string} userId - User ID
+ * @returns {Promise<Object|null>} Export data, or null if the user does not exist
+ */
+export const buildUserDataExport = async (userId) => {
+  const user = await User.findById(userId).lean();
+  if (!user) {
+    return null;
+  }
+
+  const auditEntries = await AuditLog.find({ user: userId })
+    .sort({ createdAt: -1 })
+    .lean();
+
+  return {
+    exportedAt: new Date(),
+    profile: sanitizeUser(user),
+    sessions: (user.sessions ?? []).map((session) => formatSession(session)),
+    loginHistory: auditEntries
+      .filter((entry) => LOGIN_EVENTS.includes(entry.event))
+      .map(formatAuditEntry),
+    auditLog: auditEntries
+      .filter((entry) => !LOGIN_EVENTS.includes(entry.event))
+      .map(formatAuditEntry),
+  };
+};
+
+/**
+ * Write export data to an archive file
+ * @param {Object} data - Export data
+ * @param {string} fileName - File name without extension
+ * @param {string} format - "json" or "gzip"
+ * @returns {Promise<string>} Name of the written file
+ */
+export const writeExportArchive = async (data, fileName, format) => {
+  const exportDir = getDataExportDir();
+  await fs.mkdir(exportDir, { recursive: true });
+
+  let content = Buffer.from(JSON.stringify(data, null, 2));
+  let fullName = `${fileName}.json`;
+  if (format === "gzip") {
+    content = await gzip(content);
+    fullName += ".gz";
+  }
+
+  await fs.writeFile(path.join(exportDir, fullName), content);
+  return fullName;
+};
+
+/**
+ * Delete an export archive (missing files are ignored)
+ * @param {string} fileName - Archive file name
+ */
+export const removeExportArchive = async (fileName) => {
+  await fs.rm(path.join(getDataExportDir(), fileName), { force: true });
+};
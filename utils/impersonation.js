@@ -0,0 +1,37 @@
+import jwt from "jsonwebtoken";
+import { generateToken } from "./jwt.js";
+import { buildTokenPayload } from "./authHelper.js";
+
+/**
+ * Lifetime of impersonation tokens
+ * @returns {number} Minutes (IMPERSONATION_EXPIRES_MINUTES, 15 by default)
+ */
+export const getImpersonationExpiresMinutes = () => {
+  return parseInt(process.env.IMPERSONATION_EXPIRES_MINUTES) || 15;
+};
+
+/**
+ * Issue an access token that acts as a user on behalf of an admin. It carries
+ * the user's identity plus an act claim naming the admin, belongs to no
+ * session and comes without a refresh token.
+ * @param {Object} user - User document of the impersonated user
+ * @param {string} actorId - ID of the admin
+ * @returns {Object} accessToken, its jti (for the audit log) and expiresAt
+ */
+export const generateImpersonationToken = (user, actorId) => {
+  const accessToken = generateToken(
+    { ...buildTokenPayload(user), act: { sub: String(actorId) } },
+    `${getImpersonationExpiresMinutes()}m`
+  );
+  const { jti, exp } = jwt.decode(accessToken);
+  return { accessToken, jti, expiresAt: new Date(exp * 1000) };
+};
+
+/**
+ * Find who is behind an impersonated request
+ * @param {Object} user - Authenticated user (req.user)
+ * @returns {string|null} ID of the impersonating admin, or null
+ */
+export const getImpersonatorId = (user) => {
+  return user?.act?.sub ?? null;
+};
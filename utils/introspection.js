@@ -0,0 +1,142 @@
+import crypto from "crypto";
+import User from "../models/userModels.js";
+import { verifyToken } from "./jwt.js";
+import { hashToken } from "./authHelper.js";
+import { isAccessTokenRevokedForUser } from "./revocationStore.js";
+
+// Token introspection (RFC 7662) for other backends. Services authenticate
+// with client credentials from INTROSPECTION_CLIENTS, a comma separated list
+// of "client_id:client_secret" pairs, or with an admin API key carrying the
+// tokens:introspect scope.
+
+/**
+ * Read the introspection clients from the environment
+ * @returns {Map<string, string>} Client IDs mapped to hashed secrets
+ */
+export const getIntrospectionClients = () => {
+  const clients = new Map();
+  for (const pair of (process.env.INTROSPECTION_CLIENTS ?? "").split(",")) {
+    const separator = pair.indexOf(":");
+    if (separator > 0) {
+      clients.set(
+        pair.slice(0, separator).trim(),
+        hashToken(pair.slice(separator + 1).trim())
+      );
+    }
+  }
+  return clients;
+};
+
+/**
+ * Check client credentials in constant time
+ * @param {string} clientId - Client ID
+ * @param {string} clientSecret - Client secret
+ * @returns {boolean} True if the client is known and the secret matches
+ */
+export const verifyIntrospectionClient = (clientId, clientSecret) => {
+  const expected = getIntrospectionClients().get(clientId);
+  if (!expected || !clientSecret) {
+    return false;
+  }
+  return crypto.timingSafeEqual(
+    Buffer.from(hashToken(clientSecret)),
+    Buffer.from(expected)
+  );
+};
+
+/**
+ * Decode HTTP Basic credentials
+ * @param {string} [header] - Authorization header
+ * @returns {Object|null} { clientId, clientSecret }, or null if not Basic
+ */
+export const parseBasicCredentials = (header) => {
+  const [scheme, encoded] = (header ?? "").split(" ");
+  if (scheme?.toLowerCase() !== "basic" || !encoded) {
+    return null;
+  }
+  const decoded = Buffer.from(encoded, "base64").toString("utf8");
+  const separator = decoded.indexOf(":");
+  if (separator < 0) {
+    return null;
+  }
+  // RFC 6749 2.3.1: both parts are form-urlencoded
+  const decode = (value) => decodeURIComponent(value.replace(/\+/g, " "));
+  try {
+    return {
+      clientId: decode(decoded.slice(0, separator)),
+      clientSecret: decode(decoded.slice(separator + 1)),
+    };
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Find out whether an access token is usable right now
+ * @param {string} token - Access token
+ * @returns {Promise<Object>} { state: "active" | "expired" | "revoked" | "invalid", claims, user }
+ */
+export const inspectAccessToken = async (token) => {
+  let claims;
+  try {
+    claims = verifyToken(token);
+  } catch (error) {
+    // Expiry is only checked once the signature is known to be good
+    const expired = error.cause?.name === "TokenExpiredError";
+    return { state: expired ? "expired" : "invalid" };
+  }
+
+  const user = await User.findById(claims.id)
+    .select("name email role emailVerified status tokenVersion updatedAt")
+    .lean();
+  if (await isAccessTokenRevokedForUser(claims, user)) {
+    return { state: "revoked" };
+  }
+  return { state: "active", claims, user };
+};
+
+/**
+ * Build the introspection response for an inspected token. Inactive tokens
+ * only report why they are inactive.
+ * @param {Object} inspection - Result of inspectAccessToken
+ * @returns {Object} RFC 7662 response
+ */
+export const buildIntrospectionResponse = ({ state, claims, user }) => {
+  if (state !== "active") {
+    return { active: false, state };
+  }
+  return {
+    active: true,
+    state,
+    token_type: "Bearer",
+    sub: String(claims.id),
+    username: user.email,
+    email: user.email,
+    email_verified: user.emailVerified,
+    role: user.role,
+    status: user.status,
+    sid: claims.sid,
+    act: claims.act,
+    jti: claims.jti,
+    iat: claims.iat,
+    exp: claims.exp,
+  };
+};
+
+/**
+ * OpenID Connect userinfo claims of a user
+ * @param {Object} user - User document or plain object
+ * @returns {Object} Standard claims plus the role
+ */
+export const buildUserinfo = (user) => {
+  return {
+    sub: String(user._id),
+    name: user.name,
+    email: user.email,
+    email_verified: user.emailVerified,
+    role: user.role,
+    updated_at: user.updatedAt
+      ? Math.floor(new Date(user.updatedAt).getTime() / 1000)
+      : undefined,
+  };
+};
@@ -0,0 +1,79 @@
+import Invitation from "../models/invitationModels.js";
+import { generatePurposeToken, verifyPurposeToken } from "./jwt.js";
+
+/**
+ * Default number of days an invitation stays valid
+ * @returns {number} Days (INVITATION_EXPIRES_DAYS, 7 by default)
+ */
+export const getInvitationExpiryDays = () => {
+  return parseInt(process.env.INVITATION_EXPIRES_DAYS) || 7;
+};
+
+/**
+ * Sign the token of an invite link; it expires with the invitation
+ * @param {Object} invitation - Invitation document
+ * @returns {string} Signed token naming the invitation
+ */
+export const generateInvitationToken = (invitation) => {
+  const expiresInSeconds = Math.ceil(
+    (invitation.expiresAt.getTime() - Date.now()) / 1000
+  );
+  return generatePurposeToken(
+    { id: invitation._id },
+    "invitation",
+    expiresInSeconds
+  );
+};
+
+/**
+ * Check that an invitation can still be accepted
+ * @param {Object} invitation - Invitation document
+ * @param {Date} [now] - Current time
+ * @returns {boolean} True if not accepted, revoked or expired
+ */
+export const isInvitationPending = (invitation, now = new Date()) => {
+  return (
+    !invitation.acceptedAt &&
+    !invitation.revokedAt &&
+    invitation.expiresAt > now
+  );
+};
+
+/**
+ * Find the pending invitation an invite link token names
+ * @param {string} token - Token from the invite link
+ * @returns {Promise<Object|null>} Invitation document, or null if the token
+ * is invalid or the invitation was used, revoked or has expired
+ */
+export const findPendingInvitation = async (token) => {
+  let decoded;
+  try {
+    decoded = verifyPurposeToken(token, "invitation");
+  } catch {
+    return null;
+  }
+
+  const invitation = await Invitation.findById(decoded.id);
+  if (!invitation || !isInvitationPending(invitation)) {
+    return null;
+  }
+  return invitation;
+};
+
+/**
+ * Public representation of an invitation
+ * @param {Object} invitation - Invitation document
+ * @returns {Object} Invitation without internal fields
+ */
+export const formatInvitation = (invitation) => {
+  return {
+    id: invitation._id,
+    email: invitation.email,
+    role: invitation.role,
+    organization: invitation.organization,
+    orgRole: invitation.orgRole,
+    invitedBy: invitation.invitedBy,
+    expiresAt: invitation.expiresAt,
+    createdAt: invitation.createdAt,
+  };
+};
@@ -1,33 +1,94 @@
 import jwt from "jsonwebtoken";
+import crypto from "crypto";
 import { asyncHandler } from "./errorHandler.js";
+import {
+  getSigningKey,
+  getVerificationKey,
+  acceptsSharedSecretTokens,
+} from "./keyring.js";
 
-export const generateToken = (user) => {
+/**
+ * Find the key and algorithm that must have signed an access token
+ * @param {string} token - Access token
+ * @returns {Object} key and allowed algorithms for jwt.verify
+ */
+const getAccessTokenVerification = (token) => {
+  const kid = jwt.decode(token, { complete: true })?.header.kid;
+
+  if (kid) {
+    const entry = getVerificationKey(kid);
+    if (!entry) {
+      throw new Error(`Unknown signing key ${kid}`);
+    }
+    return { key: entry.publicKey, algorithms: [entry.alg] };
+  }
+  // Tokens without a kid are signed with the shared secret (no keyring, or
+  // issued before the keyring was set up)
+  if (!acceptsSharedSecretTokens()) {
+    throw new Error("Tokens signed with JWT_SECRET are no longer accepted");
+  }
+  return { key: process.env.JWT_SECRET, algorithms: ["HS256"] };
+};
+
+// expiresIn overrides JWT_EXPIRES_IN (e.g. for impersonation tokens)
+export const generateToken = (user, expiresIn = process.env.JWT_EXPIRES_IN) => {
   const payload = {
     id: user.id,
     email: user.email,
     role: user.role,
+    emailVerified: user.emailVerified,
+    sid: user.sid,
+    tv: user.tokenVersion ?? 0,
+    // Absent for users outside any organization
+    orgId: user.orgId,
+    orgRole: user.orgRole,
+    // Actor claim (RFC 8693) of impersonation tokens: the admin behind them
+    act: user.act,
   };
-  return jwt.sign(payload, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRES_IN,
-  });
+  // The jti lets a single access token be revoked (see revocationStore.js)
+  const options = {
+    expiresIn,
+    jwtid: crypto.randomUUID(),
+  };
+
+  const signingKey = getSigningKey();
+  if (signingKey) {
+    return jwt.sign(payload, signingKey.privateKey, {
+      ...options,
+      algorithm: signingKey.alg,
+      keyid: signingKey.kid,
+    });
+  }
+  return jwt.sign(payload, process.env.JWT_SECRET, options);
 };
 
-export const generateRefreshToken = (user) => {
+// Every refresh token belongs to a family: the chain of tokens obtained by
+// rotating the one issued at login. A new family is started when none is given.
+export const generateRefreshToken = (user, family = crypto.randomUUID()) => {
   const payload = {
     id: user.id,
+    family,
   };
   return jwt.sign(payload, process.env.JWT_REFRESH_SECRET, {
     expiresIn: process.env.JWT_REFRESH_EXPIRES_IN,
+    jwtid: crypto.randomUUID(),
   });
 };
 
 export const verifyToken = (token) => {
+  let decoded;
   try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    return decoded; // Make sure you're returning the decoded token
+    const { key, algorithms } = getAccessTokenVerification(token);
+    decoded = jwt.verify(token, key, { algorithms });
   } catch (error) {
+    // The cause tells expired tokens apart (e.g. for introspection)
+    throw new Error("Invalid or expired token", { cause: error });
+  }
+  // Purpose tokens (MFA challenges...) share the secret but are not access tokens
+  if (decoded.purpose) {
     throw new Error("Invalid or expired token");
   }
+  return decoded; // Make sure you're returning the decoded token
 };
 
 export const verifyRefreshToken = (token) => {
@@ -38,3 +99,28 @@ export const verifyRefreshToken = (token) => {
     throw new Error("Invalid or expired refresh token");
   }
 };
+
+// Short-lived tokens for a single step of a flow (e.g. "mfa" challenges).
+// The purpose claim keeps them from being accepted anywhere else. They stay on
+// the shared secret, so services trusting the JWKS never see them as valid.
+export const generatePurposeToken = (payload, purpose, expiresIn) => {
+  return jwt.sign({ ...payload, purpose }, process.env.JWT_SECRET, {
+    expiresIn,
+    jwtid: crypto.randomUUID(),
+  });
+};
+
+export const verifyPurposeToken = (token, purpose) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET, {
+      algorithms: ["HS256"],
+    });
+  } catch (error) {
+    throw new Error("Invalid or expired token");
+  }
+  if (decoded.purpose !== purpose) {
+    throw new Error("Invalid or expired token");
+  }
+  return decoded;
+};
@@ -0,0 +1,180 @@
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+
+// Signing keys for access tokens. Without a keyring, access tokens are signed
+// with HS256 and JWT_SECRET, and only this API can verify them.
+//
+// JWT_KEYRING_FILE points at a JSON file listing asymmetric keys:
+//   { "keys": [
+//     { "kid": "2025-11", "alg": "ES256", "privateKeyFile": "2025-11.pem", "status": "active" },
+//     { "kid": "2025-05", "alg": "ES256", "privateKeyFile": "2025-05.pem", "status": "retiring" }
+//   ] }
+// Key files are resolved relative to the keyring file. The first active key
+// signs new tokens; every key verifies tokens carrying its kid and is
+// published in the JWKS. To rotate, add the new key as active, mark the old
+// one retiring, and remove it once its tokens have expired.
+
+export const SUPPORTED_ALGORITHMS = ["RS256", "ES256"];
+
+const KEY_TYPES = { RS256: "rsa", ES256: "ec" };
+const KEY_STATUSES = ["active", "retiring"];
+
+// null until loaded from the environment (or set with setKeyring)
+let keyring = null;
+
+/**
+ * Build a keyring entry from a private key
+ * @param {Object} options
+ * @param {string} options.kid - Key ID, sent in the token header
+ * @param {string} options.alg - RS256 or ES256
+ * @param {string|Object} options.privateKey - PEM string or KeyObject
+ * @param {string} [options.status] - "active" or "retiring"
+ * @returns {Object} Entry with kid, alg, status, privateKey and publicKey
+ */
+export const createKeyringEntry = ({
+  kid,
+  alg,
+  privateKey,
+  status = "active",
+}) => {
+  if (!kid) {
+    throw new Error("Signing key needs a kid");
+  }
+  if (!SUPPORTED_ALGORITHMS.includes(alg)) {
+    throw new Error(
+      `Signing key ${kid} must use one of ${SUPPORTED_ALGORITHMS.join(", ")}`
+    );
+  }
+  if (!KEY_STATUSES.includes(status)) {
+    throw new Error(`Signing key ${kid} must be active or retiring`);
+  }
+
+  const key =
+    privateKey instanceof crypto.KeyObject
+      ? privateKey
+      : crypto.createPrivateKey(privateKey);
+
+  if (key.asymmetricKeyType !== KEY_TYPES[alg]) {
+    throw new Error(`Signing key ${kid} is not a valid ${alg} key`);
+  }
+  if (alg === "ES256" && key.asymmetricKeyDetails.namedCurve !== "prime256v1") {
+    throw new Error(`Signing key ${kid} must use the P-256 curve for ES256`);
+  }
+
+  return {
+    kid,
+    alg,
+    status,
+    privateKey: key,
+    publicKey: crypto.createPublicKey(key),
+  };
+};
+
+/**
+ * Read a keyring file (see the format above)
+ * @param {string} file - Path to the keyring JSON file
+ * @returns {Array<Object>} Keyring entries
+ */
+export const loadKeyringFile = (file) => {
+  const baseDir = path.dirname(path.resolve(file));
+  const { keys = [] } = JSON.parse(fs.readFileSync(file, "utf8"));
+
+  return keys.map(({ privateKeyFile, privateKey, ...entry }) =>
+    createKeyringEntry({
+      ...entry,
+      privateKey:
+        privateKey ??
+        fs.readFileSync(path.resolve(baseDir, privateKeyFile), "utf8"),
+    })
+  );
+};
+
+/**
+ * Replace the keyring
+ * @param {Array<Object>|null} entries - Entries from createKeyringEntry, or null to reload from the environment
+ */
+export const setKeyring = (entries) => {
+  if (entries) {
+    const kids = entries.map((entry) => entry.kid);
+    if (new Set(kids).size !== kids.length) {
+      throw new Error("Signing key IDs must be unique");
+    }
+  }
+  keyring = entries;
+};
+
+/**
+ * Current keyring, loaded from JWT_KEYRING_FILE on first use
+ * @returns {Array<Object>} Keyring entries (empty when using JWT_SECRET)
+ */
+export const getKeyring = () => {
+  if (keyring === null) {
+    const file = process.env.JWT_KEYRING_FILE;
+    setKeyring(file ? loadKeyringFile(file) : []);
+  }
+  return keyring;
+};
+
+/**
+ * Key used to sign new access tokens
+ * @returns {Object|null} First active entry, or null to sign with JWT_SECRET
+ */
+export const getSigningKey = () => {
+  return getKeyring().find((entry) => entry.status === "active") ?? null;
+};
+
+/**
+ * Key that verifies tokens carrying the given kid
+ * @param {string} kid - Key ID from the token header
+ * @returns {Object|null} Keyring entry, or null if unknown
+ */
+export const getVerificationKey = (kid) => {
+  return getKeyring().find((entry) => entry.kid === kid) ?? null;
+};
+
+/**
+ * Whether access tokens without a kid (signed with JWT_SECRET) are accepted.
+ * They are without a keyring; with one, only until JWT_ACCEPT_SHARED_SECRET
+ * is set to false once the HS256 tokens issued before it have expired.
+ * @returns {boolean} True if shared-secret tokens are accepted
+ */
+export const acceptsSharedSecretTokens = () => {
+  return (
+    getKeyring().length === 0 ||
+    process.env.JWT_ACCEPT_SHARED_SECRET !== "false"
+  );
+};
+
+/**
+ * Public keys of the keyring as a JSON Web Key Set
+ * @returns {Object} { keys: [...] }
+ */
+export const getJwks = () => {
+  return {
+    keys: getKeyring().map((entry) => ({
+      ...entry.publicKey.export({ format: "jwk" }),
+      kid: entry.kid,
+      alg: entry.alg,
+      use: "sig",
+    })),
+  };
+};
+
+/**
+ * Generate a new private key for the keyring
+ * @param {string} [alg] - RS256 or ES256
+ * @returns {string} PKCS#8 PEM private key
+ */
+export const generateSigningKey = (alg = "ES256") => {
+  if (!SUPPORTED_ALGORITHMS.includes(alg)) {
+    throw new Error(
+      `Algorithm must be one of ${SUPPORTED_ALGORITHMS.join(", ")}`
+    );
+  }
+  const { privateKey } =
+    alg === "RS256"
+      ? crypto.generateKeyPairSync("rsa", { modulusLength: 2048 })
+      : crypto.generateKeyPairSync("ec", { namedCurve: "P-256" });
+  return privateKey.export({ type: "pkcs8", format: "pem" });
+};
@@ -8,6 +8,11 @@ export const logger = {
   error: (message) => {
     console.error(`[ERROR] ${new Date().toISOString()}: ${message}`);
   },
+  security: (event, details = {}) => {
+    console.warn(
+      `[SECURITY] ${new Date().toISOString()}: ${event} ${JSON.stringify(details)}`
+    );
+  },
   debug: (message) => {
     if (process.env.NODE_ENV === "development") {
       console.debug(`[DEBUG] ${new Date().toISOString()}: ${message}`);
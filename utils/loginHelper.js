@@ -0,0 +1,122 @@
+import { generatePurposeToken } from "./jwt.js";
+import {
+  createSessionTokens,
+  cancelAccountDeletion,
+  getEmailVerificationPolicy,
+  hashToken,
+} from "./authHelper.js";
+import { getSessionContext } from "./sessionHelper.js";
+import {
+  getLockRemainingMs,
+  clearAccountLoginThrottle,
+} from "./loginThrottle.js";
+import User from "../models/userModels.js";
+import { recordAuditEvent } from "./auditLog.js";
+import { logger } from "./logger.js";
+import { sendSuccessResponse, sendErrorResponse } from "./responseHandler.js";
+
+/**
+ * Refuse a login because the account is locked
+ * @param {Object} res - Express response
+ * @param {number} lockRemainingMs - Time left on the lock
+ */
+export const sendLockoutResponse = (res, lockRemainingMs) => {
+  res.set("Retry-After", String(Math.ceil(lockRemainingMs / 1000)));
+  return sendErrorResponse(
+    res,
+    "Too many failed login attempts. Please try again later.",
+    429
+  );
+};
+
+/**
+ * Finish a login once the first factor is verified: apply the email
+ * verification policy and the account lockout, then hand out a two-factor
+ * challenge or open a session and respond with its token pair. Shared by
+ * every first-factor login method.
+ *
+ * Failed login attempts are only forgotten once the login is complete, so
+ * with two-factor enabled, entering the password again does not reset the
+ * lockout built up by wrong codes.
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object} user - Authenticated User document
+ * @param {string} method - Login method recorded in the audit log
+ * @param {Object} [details] - Extra audit details (e.g. the OAuth provider)
+ * @param {Object} [options]
+ * @param {boolean} [options.skipTwoFactor] - The method already counts as two
+ * factors (passkey with user verification)
+ */
+export const completeLogin = async (
+  req,
+  res,
+  user,
+  method,
+  details = {},
+  { skipTwoFactor = false } = {}
+) => {
+  if (!user.emailVerified && getEmailVerificationPolicy() === "block") {
+    logger.error(`Login failed: user ID ${user._id} is not verified`);
+    return sendErrorResponse(
+      res,
+      "Please verify your email address before logging in",
+      403
+    );
+  }
+
+  const lockRemainingMs = getLockRemainingMs(user);
+  if (lockRemainingMs > 0) {
+    logger.warn(`Login blocked: user ID ${user._id} is temporarily locked`);
+    return sendLockoutResponse(res, lockRemainingMs);
+  }
+
+  // Second factor required: hand out a challenge instead of tokens. Only the
+  // latest challenge works, and only once
+  if (user.twoFactor?.enabled && !skipTwoFactor) {
+    const mfaToken = generatePurposeToken(
+      { id: user._id },
+      "mfa",
+      process.env.MFA_TOKEN_EXPIRES_IN || "5m"
+    );
+    user.twoFactor.challengeToken = hashToken(mfaToken);
+    await user.save();
+
+    logger.info(`Two-factor challenge issued for email ${user.email}`);
+    return sendSuccessResponse(
+      res,
+      { mfaRequired: true, mfaToken },
+      "Two-factor authentication required"
+    );
+  }
+
+  // Forget earlier failures, unless parallel guesses have locked the account
+  // since it was loaded
+  if (!(await clearAccountLoginThrottle(user._id))) {
+    logger.warn(`Login blocked: user ID ${user._id} was locked meanwhile`);
+    const lockedUser = await User.findById(user._id).select("lockUntil");
+    return sendLockoutResponse(res, getLockRemainingMs(lockedUser));
+  }
+
+  // Logging in during the grace period keeps the account
+  if (cancelAccountDeletion(user)) {
+    logger.security("account_deletion_cancelled", { userId: user._id });
+  }
+
+  // Generate tokens
+  const { accessToken, refreshToken } = createSessionTokens(
+    user,
+    getSessionContext(req)
+  );
+  await user.save();
+
+  await recordAuditEvent({
+    event: "login",
+    user: user._id,
+    details: { method, ...details },
+    req,
+  });
+
+  logger.info(`User with email ${user.email} logged in successfully`);
+
+  sendSuccessResponse(res, { accessToken, refreshToken }, "Login successful");
+};
@@ -0,0 +1,238 @@
+// Per-account login throttling. After LOGIN_MAX_FAILED_ATTEMPTS consecutive
+// failures the account is locked; each further lockout doubles the duration
+// (up to LOGIN_LOCKOUT_MAX_MS). A quiet period of LOGIN_FAILURE_WINDOW_MS
+// forgets earlier failures.
+//
+// The state lives on the User document for real accounts, where it is only
+// changed by single atomic updates so parallel guesses cannot overwrite each
+// other's failures. Emails without an account get the same treatment from an
+// in-memory map, so lockout responses do not reveal whether an email is
+// registered.
+
+import User from "../models/userModels.js";
+
+const MAX_TRACKED_UNKNOWN_EMAILS = 10000;
+const unknownEmailStates = new Map();
+
+/**
+ * Read lockout settings from the environment
+ * @returns {Object} Lockout configuration
+ */
+export const getLockoutConfig = () => {
+  return {
+    maxAttempts: parseInt(process.env.LOGIN_MAX_FAILED_ATTEMPTS) || 5,
+    baseLockMs: parseInt(process.env.LOGIN_LOCKOUT_BASE_MS) || 60 * 1000,
+    maxLockMs: parseInt(process.env.LOGIN_LOCKOUT_MAX_MS) || 60 * 60 * 1000,
+    failureWindowMs:
+      parseInt(process.env.LOGIN_FAILURE_WINDOW_MS) || 15 * 60 * 1000,
+  };
+};
+
+/**
+ * Time left before a locked account can try again
+ * @param {Object} state - Throttle state (User document or tracked email)
+ * @param {number} [now] - Current time in ms
+ * @returns {number} Remaining lock time in ms, 0 if not locked
+ */
+export const getLockRemainingMs = (state, now = Date.now()) => {
+  if (!state?.lockUntil) {
+    return 0;
+  }
+  return Math.max(0, new Date(state.lockUntil).getTime() - now);
+};
+
+/**
+ * Lock duration for the nth lockout: base * 2^n, capped
+ * @param {number} lockoutCount - Number of previous lockouts
+ * @returns {number} Lock duration in ms
+ */
+export const getLockDurationMs = (lockoutCount) => {
+  const { baseLockMs, maxLockMs } = getLockoutConfig();
+  return Math.min(baseLockMs * 2 ** lockoutCount, maxLockMs);
+};
+
+/**
+ * Clear failures and lockouts
+ * @param {Object} state - Throttle state to reset
+ */
+export const resetLoginThrottle = (state) => {
+  state.failedLoginAttempts = 0;
+  state.lockoutCount = 0;
+  state.lastFailedLoginAt = undefined;
+  state.lockUntil = undefined;
+};
+
+/**
+ * Record a failed login, locking the account once the limit is reached
+ * @param {Object} state - Throttle state to update
+ * @param {number} [now] - Current time in ms
+ * @returns {number} Lock duration applied in ms, 0 if not locked by this failure
+ */
+export const recordFailedLogin = (state, now = Date.now()) => {
+  const { maxAttempts, failureWindowMs } = getLockoutConfig();
+
+  // Forget history after a quiet period (measured from the end of the last lock)
+  const lastActivity = Math.max(
+    state.lastFailedLoginAt ? new Date(state.lastFailedLoginAt).getTime() : 0,
+    state.lockUntil ? new Date(state.lockUntil).getTime() : 0
+  );
+  if (lastActivity && now - lastActivity > failureWindowMs) {
+    resetLoginThrottle(state);
+  }
+
+  state.failedLoginAttempts = (state.failedLoginAttempts || 0) + 1;
+  state.lastFailedLoginAt = new Date(now);
+
+  if (state.failedLoginAttempts < maxAttempts) {
+    return 0;
+  }
+
+  const lockoutCount = state.lockoutCount || 0;
+  const duration = getLockDurationMs(lockoutCount);
+
+  state.lockUntil = new Date(now + duration);
+  state.lockoutCount = lockoutCount + 1;
+  state.failedLoginAttempts = 0;
+
+  return duration;
+};
+
+/**
+ * Update pipeline doing what recordFailedLogin does, inside the database
+ * @param {number} [now] - Current time in ms
+ * @returns {Array} Update pipeline for findOneAndUpdate
+ */
+export const getFailedLoginUpdate = (now = Date.now()) => {
+  const { maxAttempts, baseLockMs, maxLockMs, failureWindowMs } =
+    getLockoutConfig();
+  const epoch = new Date(0);
+  const isStale = {
+    $lt: [
+      {
+        $max: [
+          { $ifNull: ["$lastFailedLoginAt", epoch] },
+          { $ifNull: ["$lockUntil", epoch] },
+        ],
+      },
+      new Date(now - failureWindowMs),
+    ],
+  };
+  const isLocking = { $gte: ["$failedLoginAttempts", maxAttempts] };
+
+  return [
+    {
+      $set: {
+        failedLoginAttempts: {
+          $add: [
+            { $cond: [isStale, 0, { $ifNull: ["$failedLoginAttempts", 0] }] },
+            1,
+          ],
+        },
+        lockoutCount: {
+          $cond: [isStale, 0, { $ifNull: ["$lockoutCount", 0] }],
+        },
+        lockUntil: { $cond: [isStale, "$$REMOVE", "$lockUntil"] },
+        lastFailedLoginAt: new Date(now),
+      },
+    },
+    {
+      $set: {
+        lockUntil: {
+          $cond: [
+            isLocking,
+            {
+              $add: [
+                new Date(now),
+                {
+                  $min: [
+                    {
+                      $multiply: [baseLockMs, { $pow: [2, "$lockoutCount"] }],
+                    },
+                    maxLockMs,
+                  ],
+                },
+              ],
+            },
+            "$lockUntil",
+          ],
+        },
+        lockoutCount: {
+          $cond: [isLocking, { $add: ["$lockoutCount", 1] }, "$lockoutCount"],
+        },
+        failedLoginAttempts: {
+          $cond: [isLocking, 0, "$failedLoginAttempts"],
+        },
+      },
+    },
+  ];
+};
+
+/**
+ * Record a failed login for an account in one atomic update
+ * @param {string} userId - ID of the account
+ * @param {number} [now] - Current time in ms
+ * @returns {Promise<number>} Lock duration applied in ms, 0 if not locked by this failure
+ */
+export const recordAccountFailedLogin = async (userId, now = Date.now()) => {
+  const state = await User.findOneAndUpdate(
+    { _id: userId },
+    getFailedLoginUpdate(now),
+    { new: true }
+  )
+    .select("failedLoginAttempts lockUntil")
+    .lean();
+
+  // The counter only drops back to 0 when this failure locked the account
+  if (!state || state.failedLoginAttempts > 0) {
+    return 0;
+  }
+  return getLockRemainingMs(state, now);
+};
+
+/**
+ * Forget an account's failures after a successful first factor, unless a
+ * parallel failure locked it in the meantime
+ * @param {string} userId - ID of the account
+ * @param {number} [now] - Current time in ms
+ * @returns {Promise<boolean>} False if the account is locked
+ */
+export const clearAccountLoginThrottle = async (userId, now = Date.now()) => {
+  const result = await User.updateOne(
+    {
+      _id: userId,
+      $or: [{ lockUntil: null }, { lockUntil: { $lte: new Date(now) } }],
+    },
+    {
+      $set: { failedLoginAttempts: 0, lockoutCount: 0 },
+      $unset: { lastFailedLoginAt: 1, lockUntil: 1 },
+    }
+  );
+  return result.matchedCount > 0;
+};
+
+/**
+ * Throttle state for an email that has no account
+ * @param {string} email - Email used in the login attempt
+ * @returns {Object} Tracked state (created on first use)
+ */
+export const getUnknownEmailState = (email) => {
+  const key = String(email).toLowerCase();
+  let state = unknownEmailStates.get(key);
+
+  if (!state) {
+    // Oldest entries are dropped first (Map keeps insertion order)
+    if (unknownEmailStates.size >= MAX_TRACKED_UNKNOWN_EMAILS) {
+      unknownEmailStates.delete(unknownEmailStates.keys().next().value);
+    }
+    state = { failedLoginAttempts: 0, lockoutCount: 0 };
+    unknownEmailStates.set(key, state);
+  }
+  return state;
+};
+
+/**
+ * Forget every tracked unknown email
+ */
+export const clearUnknownEmailStates = () => {
+  unknownEmailStates.clear();
+};
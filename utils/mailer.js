@@ -0,0 +1,183 @@
+import fs from "fs/promises";
+import path from "path";
+import crypto from "crypto";
+import { logger } from "./logger.js";
+
+/**
+ * Messages delivered through the "memory" transport.
+ * Tests read tokens from here instead of a real inbox.
+ */
+export const outbox = [];
+
+const memoryTransport = {
+  send: async (message) => {
+    outbox.push(message);
+  },
+};
+
+const fileTransport = {
+  send: async (message) => {
+    const outboxDir = process.env.MAIL_OUTBOX_DIR || "mail-outbox";
+    await fs.mkdir(outboxDir, { recursive: true });
+
+    const fileName = `${Date.now()}-${crypto.randomBytes(4).toString("hex")}.json`;
+    await fs.writeFile(
+      path.join(outboxDir, fileName),
+      JSON.stringify(message, null, 2)
+    );
+  },
+};
+
+const transports = {
+  memory: memoryTransport,
+  file: fileTransport,
+};
+
+let customTransport = null;
+
+/**
+ * Replace the built-in transports with a custom one (e.g. SMTP, SES)
+ * @param {Object|null} transport - Object exposing an async send(message) method, or null to reset
+ */
+export const setMailTransport = (transport) => {
+  if (transport && typeof transport.send !== "function") {
+    throw new Error("Mail transport must implement send(message)");
+  }
+  customTransport = transport;
+};
+
+/**
+ * Resolve the transport configured through MAIL_TRANSPORT
+ * @returns {Object} Transport with a send(message) method
+ */
+const resolveTransport = () => {
+  if (customTransport) {
+    return customTransport;
+  }
+
+  const defaultTransport = process.env.NODE_ENV === "test" ? "memory" : "file";
+  const name = process.env.MAIL_TRANSPORT || defaultTransport;
+  const transport = transports[name];
+
+  if (!transport) {
+    throw new Error(`Unknown mail transport: ${name}`);
+  }
+  return transport;
+};
+
+/**
+ * Send an email through the configured transport
+ * @param {Object} options - Message options
+ * @param {string} options.to - Recipient address
+ * @param {string} options.subject - Message subject
+ * @param {string} options.text - Plain text body
+ * @returns {Promise<Object>} The message that was sent
+ */
+export const sendMail = async ({ to, subject, text }) => {
+  const message = {
+    from: process.env.MAIL_FROM || "no-reply@user-management.local",
+    to,
+    subject,
+    text,
+    sentAt: new Date().toISOString(),
+  };
+
+  await resolveTransport().send(message);
+
+  logger.info(`Email "${subject}" sent to ${to}`);
+  return message;
+};
+
+/**
+ * Empty the in-memory outbox
+ */
+export const clearOutbox = () => {
+  outbox.length = 0;
+};
+
+/**
+ * Build an absolute link into the client application
+ * @param {string} pathname - Path on the client application
+ * @param {Object} params - Query string parameters
+ * @returns {string} Absolute URL
+ */
+export const buildAppUrl = (pathname, params = {}) => {
+  const baseUrl =
+    process.env.APP_URL || `http://localhost:${process.env.PORT || 3000}`;
+  const query = new URLSearchParams(params).toString();
+  return `${baseUrl}${pathname}${query ? `?${query}` : ""}`;
+};
+
+// ==================== Email Templates ====================
+
+export const sendPasswordResetEmail = async (user, token, expiresInMinutes) => {
+  const resetUrl = buildAppUrl("/reset-password", { token });
+
+  return sendMail({
+    to: user.email,
+    subject: "Reset your password",
+    text: [
+      `Hi ${user.name},`,
+      "",
+      "We received a request to reset your password. Use the link below to choose a new one:",
+      resetUrl,
+      "",
+      `This link expires in ${expiresInMinutes} minutes and can only be used once.`,
+      "If you did not request a password reset, you can safely ignore this email.",
+    ].join("\n"),
+  });
+};
+
+export const sendVerificationEmail = async (user, token, expiresInHours) => {
+  const verifyUrl = buildAppUrl("/verify-email", { token });
+
+  return sendMail({
+    to: user.email,
+    subject: "Verify your email address",
+    text: [
+      `Hi ${user.name},`,
+      "",
+      "Please confirm your email address by opening the link below:",
+      verifyUrl,
+      "",
+      `This link expires in ${expiresInHours} hours.`,
+      "If you did not create an account, you can safely ignore this email.",
+    ].join("\n"),
+  });
+};
+
+export const sendMagicLinkEmail = async (user, token, expiresInMinutes) => {
+  const loginUrl = buildAppUrl("/login/magic-link", { token });
+
+  return sendMail({
+    to: user.email,
+    subject: "Your login link",
+    text: [
+      `Hi ${user.name},`,
+      "",
+      "Use the link below to log in without a password:",
+      loginUrl,
+      "",
+      `This link expires in ${expiresInMinutes} minutes and can only be used once.`,
+      "If you did not ask to log in, you can safely ignore this email.",
+    ].join("\n"),
+  });
+};
+
+export const sendInvitationEmail = async (invitation, token, inviterName) => {
+  const acceptUrl = buildAppUrl("/invitations/accept", { token });
+
+  return sendMail({
+    to: invitation.email,
+    subject: "You have been invited",
+    text: [
+      "Hi,",
+      "",
+      `${inviterName} invited you to create an account. Use the link below to choose your name and password:`,
+      acceptUrl,
+      "",
+      `This link expires on ${invitation.expiresAt.toUTCString()} and can only be used once.`,
+      "If you were not expecting this invitation, you can safely ignore this email.",
+    ].join("\n"),
+  });
+};
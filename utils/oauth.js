@@ -0,0 +1,217 @@
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import { fetchJson } from "./oauthProviders.js";
+
+// Authorization code flow with PKCE. Each login attempt gets a random state,
+// kept server side with its PKCE verifier and nonce until the callback.
+
+const STATE_TTL_MS = 10 * 60 * 1000;
+const MAX_PENDING_STATES = 10000;
+const pendingStates = new Map();
+
+/**
+ * Encode bytes as base64url (no padding)
+ * @param {Buffer} buffer - Bytes to encode
+ * @returns {string} base64url string
+ */
+const base64Url = (buffer) => {
+  return buffer
+    .toString("base64")
+    .replace(/\+/g, "-")
+    .replace(/\//g, "_")
+    .replace(/=+$/, "");
+};
+
+/**
+ * Generate a random PKCE code verifier
+ * @returns {string} 43 character verifier
+ */
+export const generateCodeVerifier = () => {
+  return base64Url(crypto.randomBytes(32));
+};
+
+/**
+ * Derive the S256 code challenge of a verifier
+ * @param {string} verifier - PKCE code verifier
+ * @returns {string} Code challenge
+ */
+export const createCodeChallenge = (verifier) => {
+  return base64Url(crypto.createHash("sha256").update(verifier).digest());
+};
+
+/**
+ * Start a login attempt: create and remember its state, verifier and nonce
+ * @param {string} provider - Provider name
+ * @returns {Object} state, codeVerifier and nonce
+ */
+export const createOAuthState = (provider) => {
+  const now = Date.now();
+
+  // Drop expired attempts, then the oldest ones if there are still too many
+  for (const [key, entry] of pendingStates) {
+    if (entry.expiresAt <= now) {
+      pendingStates.delete(key);
+    }
+  }
+  if (pendingStates.size >= MAX_PENDING_STATES) {
+    pendingStates.delete(pendingStates.keys().next().value);
+  }
+
+  const entry = {
+    provider,
+    codeVerifier: generateCodeVerifier(),
+    nonce: base64Url(crypto.randomBytes(16)),
+    expiresAt: now + STATE_TTL_MS,
+  };
+  const state = base64Url(crypto.randomBytes(32));
+  pendingStates.set(state, entry);
+
+  return { state, codeVerifier: entry.codeVerifier, nonce: entry.nonce };
+};
+
+/**
+ * Take a pending login attempt (single-use)
+ * @param {string} state - State returned by the provider
+ * @param {string} provider - Provider the callback was received for
+ * @returns {Object|null} codeVerifier and nonce, or null if unknown, expired or for another provider
+ */
+export const consumeOAuthState = (state, provider) => {
+  const entry = pendingStates.get(state);
+  pendingStates.delete(state);
+
+  if (!entry || entry.expiresAt <= Date.now() || entry.provider !== provider) {
+    return null;
+  }
+  return { codeVerifier: entry.codeVerifier, nonce: entry.nonce };
+};
+
+/**
+ * Build the URL the user is sent to at the provider
+ * @param {Object} provider - Provider with resolved endpoints
+ * @param {Object} options
+ * @param {string} options.redirectUri - Callback URL
+ * @param {string} options.state - Login attempt state
+ * @param {string} options.codeVerifier - PKCE verifier
+ * @param {string} options.nonce - OIDC nonce
+ * @returns {string} Authorization URL
+ */
+export const buildAuthorizationUrl = (
+  provider,
+  { redirectUri, state, codeVerifier, nonce }
+) => {
+  const params = new URLSearchParams({
+    response_type: "code",
+    client_id: provider.clientId,
+    redirect_uri: redirectUri,
+    scope: provider.scope,
+    state,
+    code_challenge: createCodeChallenge(codeVerifier),
+    code_challenge_method: "S256",
+  });
+  if (provider.type === "oidc") {
+    params.set("nonce", nonce);
+  }
+  return `${provider.authorizationEndpoint}?${params.toString()}`;
+};
+
+/**
+ * Exchange an authorization code for tokens
+ * @param {Object} provider - Provider with resolved endpoints
+ * @param {Object} options
+ * @param {string} options.code - Authorization code
+ * @param {string} options.redirectUri - Callback URL used to get the code
+ * @param {string} options.codeVerifier - PKCE verifier of the login attempt
+ * @returns {Promise<Object>} Token response (access_token, id_token...)
+ */
+export const exchangeAuthorizationCode = async (
+  provider,
+  { code, redirectUri, codeVerifier }
+) => {
+  const body = new URLSearchParams({
+    grant_type: "authorization_code",
+    code,
+    redirect_uri: redirectUri,
+    client_id: provider.clientId,
+    code_verifier: codeVerifier,
+  });
+  if (provider.clientSecret) {
+    body.set("client_secret", provider.clientSecret);
+  }
+
+  return fetchJson(provider.tokenEndpoint, {
+    method: "POST",
+    headers: { "Content-Type": "application/x-www-form-urlencoded" },
+    body,
+  });
+};
+
+/**
+ * Check the claims of an ID token received from the token endpoint. The
+ * token comes straight from the provider over TLS, so its signature is not
+ * checked (OpenID Connect Core 3.1.3.7).
+ * @param {string} idToken - ID token
+ * @param {Object} provider - Provider config
+ * @param {string} nonce - Nonce sent with the authorization request
+ * @returns {Object} ID token claims
+ */
+export const validateIdTokenClaims = (idToken, provider, nonce) => {
+  const claims = jwt.decode(idToken);
+  if (!claims) {
+    throw new Error("Malformed ID token");
+  }
+
+  const audiences = [].concat(claims.aud);
+  if (provider.issuer && claims.iss !== provider.issuer) {
+    throw new Error("ID token issuer mismatch");
+  }
+  if (!audiences.includes(provider.clientId)) {
+    throw new Error("ID token audience mismatch");
+  }
+  if (claims.nonce !== nonce) {
+    throw new Error("ID token nonce mismatch");
+  }
+  if (!claims.exp || claims.exp * 1000 <= Date.now()) {
+    throw new Error("ID token expired");
+  }
+  return claims;
+};
+
+/**
+ * Get the user's profile after a successful code exchange
+ * @param {Object} provider - Provider with resolved endpoints
+ * @param {Object} tokens - Token response
+ * @param {string} nonce - Nonce sent with the authorization request
+ * @returns {Promise<Object>} { subject, email, emailVerified, name }
+ */
+export const fetchOAuthProfile = async (provider, tokens, nonce) => {
+  if (provider.fetchProfile) {
+    return provider.fetchProfile(tokens.access_token);
+  }
+
+  if (provider.type === "oidc") {
+    if (!tokens.id_token) {
+      throw new Error("Provider did not return an ID token");
+    }
+    let claims = validateIdTokenClaims(tokens.id_token, provider, nonce);
+
+    // Some providers only put the email in the userinfo response
+    if (!claims.email && provider.userinfoEndpoint) {
+      const userinfo = await fetchJson(provider.userinfoEndpoint, {
+        headers: { Authorization: `Bearer ${tokens.access_token}` },
+      });
+      if (userinfo.sub === claims.sub) {
+        claims = {
+          ...claims,
+          email: userinfo.email,
+          email_verified: userinfo.email_verified,
+        };
+      }
+    }
+    return provider.mapProfile(claims);
+  }
+
+  const userinfo = await fetchJson(provider.userinfoEndpoint, {
+    headers: { Authorization: `Bearer ${tokens.access_token}` },
+  });
+  return provider.mapProfile(userinfo);
+};
@@ -0,0 +1,177 @@
+// External identity providers. A provider describes its endpoints and how to
+// turn its user data into { subject, email, emailVerified, name }.
+//
+// Built-in providers are enabled by setting their client credentials:
+// - google: OAUTH_GOOGLE_CLIENT_ID / OAUTH_GOOGLE_CLIENT_SECRET
+// - github: OAUTH_GITHUB_CLIENT_ID / OAUTH_GITHUB_CLIENT_SECRET
+// - oidc:   OAUTH_OIDC_ISSUER / OAUTH_OIDC_CLIENT_ID / OAUTH_OIDC_CLIENT_SECRET
+//           (any OpenID Connect provider, endpoints come from discovery)
+// Others can be added with registerOAuthProvider.
+
+/**
+ * Map standard OpenID Connect claims to a profile
+ * @param {Object} claims - ID token or userinfo claims
+ * @returns {Object} Provider profile
+ */
+const mapOidcClaims = (claims) => {
+  return {
+    subject: String(claims.sub),
+    email: claims.email,
+    emailVerified: claims.email_verified === true,
+    name: claims.name,
+  };
+};
+
+const presets = {
+  google: {
+    type: "oidc",
+    issuer: "https://accounts.google.com",
+    authorizationEndpoint: "https://accounts.google.com/o/oauth2/v2/auth",
+    tokenEndpoint: "https://oauth2.googleapis.com/token",
+    userinfoEndpoint: "https://openidconnect.googleapis.com/v1/userinfo",
+    scope: "openid email profile",
+    mapProfile: mapOidcClaims,
+  },
+  github: {
+    // Plain OAuth 2.0: no ID token, the profile comes from the REST API
+    type: "oauth2",
+    authorizationEndpoint: "https://github.com/login/oauth/authorize",
+    tokenEndpoint: "https://github.com/login/oauth/access_token",
+    userinfoEndpoint: "https://api.github.com/user",
+    scope: "read:user user:email",
+    fetchProfile: async (accessToken) => {
+      const headers = {
+        Authorization: `Bearer ${accessToken}`,
+        Accept: "application/vnd.github+json",
+      };
+      const user = await fetchJson("https://api.github.com/user", { headers });
+      const emails = await fetchJson("https://api.github.com/user/emails", {
+        headers,
+      });
+      const primary = emails.find((email) => email.primary) ?? emails[0];
+
+      return {
+        subject: String(user.id),
+        email: primary?.email,
+        emailVerified: primary?.verified === true,
+        name: user.name || user.login,
+      };
+    },
+  },
+  oidc: {
+    type: "oidc",
+    scope: "openid email profile",
+    mapProfile: mapOidcClaims,
+  },
+};
+
+const customProviders = new Map();
+
+/**
+ * How long to wait for a provider before giving up
+ * @returns {number} Milliseconds (OAUTH_HTTP_TIMEOUT_MS, 10 seconds by default)
+ */
+export const getOAuthHttpTimeoutMs = () => {
+  return parseInt(process.env.OAUTH_HTTP_TIMEOUT_MS) || 10 * 1000;
+};
+
+/**
+ * Fetch a URL and parse its JSON body. A provider that does not answer in
+ * time fails the request instead of hanging it.
+ * @param {string} url - URL to fetch
+ * @param {Object} [options] - fetch options
+ * @returns {Promise<Object>} Parsed body
+ */
+export const fetchJson = async (url, options = {}) => {
+  const response = await fetch(url, {
+    signal: AbortSignal.timeout(getOAuthHttpTimeoutMs()),
+    ...options,
+    headers: { Accept: "application/json", ...options.headers },
+  });
+  if (!response.ok) {
+    throw new Error(`Request to ${url} failed with status ${response.status}`);
+  }
+  return response.json();
+};
+
+/**
+ * Add or replace a provider (e.g. an in-house OIDC server)
+ * @param {string} name - Provider name used in URLs
+ * @param {Object|null} config - Provider config (same shape as the presets), or null to remove it
+ */
+export const registerOAuthProvider = (name, config) => {
+  if (!config) {
+    customProviders.delete(name);
+    return;
+  }
+  if (!config.clientId || (!config.tokenEndpoint && !config.issuer)) {
+    throw new Error(
+      "OAuth provider needs a clientId and an issuer or endpoints"
+    );
+  }
+  customProviders.set(name, {
+    type: "oidc",
+    scope: "openid email profile",
+    mapProfile: mapOidcClaims,
+    ...config,
+  });
+};
+
+/**
+ * Resolve a provider by name, including its credentials
+ * @param {string} name - Provider name
+ * @returns {Object|null} Provider config, or null if unknown or not configured
+ */
+export const getOAuthProvider = (name) => {
+  if (customProviders.has(name)) {
+    return customProviders.get(name);
+  }
+
+  const preset = Object.hasOwn(presets, name) ? presets[name] : null;
+  const prefix = `OAUTH_${name.toUpperCase()}`;
+  const clientId = process.env[`${prefix}_CLIENT_ID`];
+  if (!preset || !clientId) {
+    return null;
+  }
+
+  return {
+    ...preset,
+    issuer: process.env[`${prefix}_ISSUER`] || preset.issuer,
+    clientId,
+    clientSecret: process.env[`${prefix}_CLIENT_SECRET`],
+  };
+};
+
+const discoveryCache = new Map();
+
+/**
+ * Fill in missing endpoints from the issuer's discovery document
+ * @param {Object} provider - Provider config
+ * @returns {Promise<Object>} Provider with all endpoints set
+ */
+export const resolveProviderEndpoints = async (provider) => {
+  if (provider.authorizationEndpoint && provider.tokenEndpoint) {
+    return provider;
+  }
+  if (!provider.issuer) {
+    throw new Error("OAuth provider has no issuer to discover endpoints from");
+  }
+
+  if (!discoveryCache.has(provider.issuer)) {
+    const issuer = provider.issuer.replace(/\/$/, "");
+    discoveryCache.set(
+      provider.issuer,
+      await fetchJson(`${issuer}/.well-known/openid-configuration`)
+    );
+  }
+  const discovery = discoveryCache.get(provider.issuer);
+
+  return {
+    ...provider,
+    issuer: discovery.issuer ?? provider.issuer,
+    authorizationEndpoint:
+      provider.authorizationEndpoint ?? discovery.authorization_endpoint,
+    tokenEndpoint: provider.tokenEndpoint ?? discovery.token_endpoint,
+    userinfoEndpoint: provider.userinfoEndpoint ?? discovery.userinfo_endpoint,
+  };
+};
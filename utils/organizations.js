@@ -0,0 +1,62 @@
+import { hasPermissions } from "./permissions.js";
+
+// Roles a member holds inside their organization, most powerful first.
+// They are separate from the global role: an organization admin manages the
+// members of their own organization and nothing else.
+export const ORG_ROLES = ["owner", "admin", "member"];
+
+// Organization roles allowed to manage members
+const ORG_MANAGER_ROLES = ["owner", "admin"];
+
+/**
+ * Organization a user's queries are limited to
+ * @param {Object} user - Authenticated user (req.user)
+ * @returns {string|null} Organization ID, or null for users outside any
+ * organization (platform staff), who are not scoped
+ */
+export const getTenant = (user) => {
+  return user?.orgId ?? null;
+};
+
+/**
+ * Check that a user may manage the members of an organization: its owners
+ * and admins, and holders of the organizations:manage permission
+ * @param {Object} user - Authenticated user (req.user, with permissions set)
+ * @param {string|Object} organizationId - Organization ID
+ * @returns {boolean} True if allowed
+ */
+export const canManageOrganization = (user, organizationId) => {
+  if (hasPermissions(user, ["organizations:manage"])) {
+    return true;
+  }
+  return (
+    Boolean(user?.orgId) &&
+    user.orgId === String(organizationId) &&
+    ORG_MANAGER_ROLES.includes(user.orgRole)
+  );
+};
+
+/**
+ * Only owners (and holders of organizations:manage) may grant or take away
+ * the owner role
+ * @param {Object} user - Authenticated user (req.user, with permissions set)
+ * @returns {boolean} True if the user can manage owners
+ */
+export const canManageOwners = (user) => {
+  return (
+    hasPermissions(user, ["organizations:manage"]) || user?.orgRole === "owner"
+  );
+};
+
+/**
+ * Derive a slug from an organization name
+ * @param {string} name - Organization name
+ * @returns {string} Lowercase letters, digits and hyphens
+ */
+export const slugify = (name) => {
+  return name
+    .toLowerCase()
+    .normalize("NFKD")
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+};
@@ -0,0 +1,281 @@
+import Role from "../models/roleModels.js";
+import Group from "../models/groupModels.js";
+
+// Permissions granted by each role. Routes ask for permissions (see
+// authorize in roleMiddleware.js), never for role names.
+//
+// Built-in roles are defined here and cannot be changed; admins add custom
+// roles (stored in the Role collection) that can inherit from any role.
+// Users also get the permissions of the groups they belong to.
+
+export const PERMISSIONS = [
+  "users:read", // list and view any account
+  "users:write", // edit accounts, change roles, unlock, reset 2FA
+  "users:delete", // soft delete and restore accounts
+  "users:invite", // invite people and manage pending invitations
+  "users:impersonate", // sign in as a user to reproduce their issues
+  "sessions:revoke", // sign a user out: revoke their sessions and API keys
+  "tokens:introspect", // check tokens on behalf of other services
+  "roles:manage", // create, edit and delete custom roles
+  "organizations:manage", // create organizations and manage any of their members
+  "groups:manage", // create groups, edit them and manage their members
+];
+
+export const BUILT_IN_ROLES = {
+  User: {
+    description: "Regular account",
+    permissions: [],
+    parents: [],
+  },
+  Moderator: {
+    description: "Can look up users",
+    permissions: ["users:read"],
+    parents: [],
+  },
+  Admin: {
+    description: "Full access",
+    permissions: [...PERMISSIONS],
+    parents: [],
+  },
+};
+
+// Custom roles and groups are cached briefly so authorization does not query
+// the database on every request. Changes made through the API clear the
+// cache; other instances pick them up within ROLE_CACHE_TTL_MS.
+const ROLE_CACHE_TTL_MS = 30 * 1000;
+let roleCache = null;
+let groupCache = null;
+
+/**
+ * Check whether a role is built in
+ * @param {string} name - Role name
+ * @returns {boolean} True for User, Moderator and Admin
+ */
+export const isBuiltInRole = (name) => {
+  return Object.hasOwn(BUILT_IN_ROLES, name);
+};
+
+/**
+ * Forget cached custom roles (call after changing the Role collection)
+ */
+export const clearRoleCache = () => {
+  roleCache = null;
+};
+
+/**
+ * Forget cached groups (call after changing the Group collection)
+ */
+export const clearGroupCache = () => {
+  groupCache = null;
+};
+
+/**
+ * Load all role definitions, built-in and custom
+ * @returns {Promise<Map>} Role name -> { description, permissions, parents, builtIn }
+ */
+export const getRoleDefinitions = async () => {
+  if (roleCache && roleCache.expiresAt > Date.now()) {
+    return roleCache.roles;
+  }
+
+  const roles = new Map();
+  for (const [name, role] of Object.entries(BUILT_IN_ROLES)) {
+    roles.set(name, { name, ...role, builtIn: true });
+  }
+
+  const customRoles = await Role.find().lean();
+  for (const role of customRoles) {
+    if (!roles.has(role.name)) {
+      roles.set(role.name, { ...role, builtIn: false });
+    }
+  }
+
+  roleCache = { roles, expiresAt: Date.now() + ROLE_CACHE_TTL_MS };
+  return roles;
+};
+
+/**
+ * Collect the permissions of a role and of every role it inherits from
+ * @param {string} name - Role name
+ * @param {Map} roles - Role definitions (see getRoleDefinitions)
+ * @returns {Array<string>} Permissions, in PERMISSIONS order (empty for unknown roles)
+ */
+export const resolvePermissions = (name, roles) => {
+  const granted = new Set();
+  const visited = new Set();
+  const pending = [name];
+
+  while (pending.length > 0) {
+    const current = pending.pop();
+    const role = roles.get(current);
+    if (visited.has(current) || !role) {
+      continue;
+    }
+    visited.add(current);
+    role.permissions.forEach((permission) => granted.add(permission));
+    pending.push(...role.parents);
+  }
+
+  return PERMISSIONS.filter((permission) => granted.has(permission));
+};
+
+/**
+ * Find the roles a role inherits from, directly or not
+ * @param {string} name - Role name
+ * @param {Map} roles - Role definitions
+ * @returns {Set<string>} Ancestor role names
+ */
+export const getAncestorRoles = (name, roles) => {
+  const ancestors = new Set();
+  const pending = [...(roles.get(name)?.parents ?? [])];
+
+  while (pending.length > 0) {
+    const current = pending.pop();
+    if (!ancestors.has(current)) {
+      ancestors.add(current);
+      pending.push(...(roles.get(current)?.parents ?? []));
+    }
+  }
+  return ancestors;
+};
+
+/**
+ * Permissions granted by a role, including inherited ones
+ * @param {string} role - Role name
+ * @returns {Promise<Array<string>>} Permissions (empty for unknown roles)
+ */
+export const getRolePermissions = async (role) => {
+  return resolvePermissions(role, await getRoleDefinitions());
+};
+
+/**
+ * Load the roles and permissions attached to groups, with their members
+ * @returns {Promise<Array<Object>>} { roles, permissions, members: Set of user IDs }
+ */
+const getGroupGrants = async () => {
+  if (groupCache && groupCache.expiresAt > Date.now()) {
+    return groupCache.groups;
+  }
+
+  const groups = (
+    await Group.find().select("roles permissions members").lean()
+  ).map((group) => ({
+    roles: group.roles,
+    permissions: group.permissions,
+    members: new Set(group.members.map(String)),
+  }));
+
+  groupCache = { groups, expiresAt: Date.now() + ROLE_CACHE_TTL_MS };
+  return groups;
+};
+
+/**
+ * Permissions granted to a group: its own and those of its roles
+ * @param {Object} group - Group (roles and permissions)
+ * @param {Map} roles - Role definitions (see getRoleDefinitions)
+ * @returns {Array<string>} Permissions, in PERMISSIONS order
+ */
+export const resolveGroupPermissions = (group, roles) => {
+  const granted = new Set(group.permissions);
+  for (const role of group.roles) {
+    resolvePermissions(role, roles).forEach((permission) =>
+      granted.add(permission)
+    );
+  }
+  return PERMISSIONS.filter((permission) => granted.has(permission));
+};
+
+/**
+ * Effective permissions of a user: those of their role plus those of every
+ * group they belong to
+ * @param {Object} user - User with id and role (req.user or a user document)
+ * @returns {Promise<Array<string>>} Permissions, in PERMISSIONS order
+ */
+export const getUserPermissions = async (user) => {
+  const roles = await getRoleDefinitions();
+  const userId = String(user.id ?? user._id);
+  const granted = new Set(resolvePermissions(user.role, roles));
+
+  for (const group of await getGroupGrants()) {
+    if (group.members.has(userId)) {
+      resolveGroupPermissions(group, roles).forEach((permission) =>
+        granted.add(permission)
+      );
+    }
+  }
+  return PERMISSIONS.filter((permission) => granted.has(permission));
+};
+
+/**
+ * Check that a role exists
+ * @param {string} name - Role name
+ * @returns {Promise<boolean>} True for built-in and custom roles
+ */
+export const roleExists = async (name) => {
+  return (await getRoleDefinitions()).has(name);
+};
+
+/**
+ * Check that a user holds every given permission
+ * @param {Object} user - Authenticated user (req.user, with permissions set)
+ * @param {Array<string>} permissions - Required permissions
+ * @returns {boolean} True if all are granted
+ */
+export const hasPermissions = (user, permissions) => {
+  const granted = user?.permissions ?? [];
+  return permissions.every((permission) => granted.includes(permission));
+};
+
+// Fields shown when a user is looked up by someone who can read users but
+// not edit them. The full record (minus secrets) is for the user themselves
+// and for callers with users:write, who can change those fields anyway.
+export const PUBLIC_USER_FIELDS = [
+  "_id",
+  "name",
+  "role",
+  "status",
+  "organization",
+  "orgRole",
+  "createdAt",
+];
+
+/**
+ * Check whether a user record belongs to the authenticated user
+ * @param {Object} user - Authenticated user (req.user)
+ * @param {string|Object} userId - ID of the user record
+ * @returns {boolean} True if it is their own record
+ */
+export const isSelf = (user, userId) => {
+  return Boolean(user?.id) && userId != null && user.id === String(userId);
+};
+
+/**
+ * Check that a user may act on a user record: their own, or any record if
+ * they hold every given permission
+ * @param {Object} user - Authenticated user (req.user, with permissions set)
+ * @param {string|Object} userId - ID of the user record
+ * @param {Array<string>} permissions - Permissions required for other users
+ * @returns {boolean} True if access is allowed
+ */
+export const canAccessUser = (user, userId, permissions) => {
+  return isSelf(user, userId) || hasPermissions(user, permissions);
+};
+
+/**
+ * Reduce a user record to the fields the viewer may see
+ * @param {Object} record - User record (plain object, secrets already removed)
+ * @param {Object} viewer - Authenticated user (req.user, with permissions set)
+ * @returns {Object} Full record for the user and for users:write holders,
+ * PUBLIC_USER_FIELDS otherwise
+ */
+export const projectUser = (record, viewer) => {
+  if (isSelf(viewer, record._id) || hasPermissions(viewer, ["users:write"])) {
+    return record;
+  }
+  return Object.fromEntries(
+    PUBLIC_USER_FIELDS.filter((field) => field in record).map((field) => [
+      field,
+      record[field],
+    ])
+  );
+};
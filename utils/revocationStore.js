@@ -0,0 +1,111 @@
+// Revoked access tokens are remembered until they would have expired anyway.
+// Two kinds of entries are kept: single tokens (by jti) and whole sessions (by
+// sid, the refresh token family carried in every access token).
+//
+// The default store lives in memory, so it is per-process and forgotten on
+// restart. Deployments running several instances should plug in a shared
+// store (e.g. Redis) with setRevocationStore.
+
+/**
+ * Create an in-memory store that drops entries once they expire
+ * @returns {Object} Store with add, has and clear methods
+ */
+const createMemoryStore = () => {
+  const entries = new Map();
+
+  return {
+    add: async (key, expiresAt) => {
+      entries.set(key, new Date(expiresAt).getTime());
+    },
+    has: async (key) => {
+      const expiresAt = entries.get(key);
+      if (expiresAt === undefined) {
+        return false;
+      }
+      if (expiresAt <= Date.now()) {
+        entries.delete(key);
+        return false;
+      }
+      return true;
+    },
+    clear: async () => {
+      entries.clear();
+    },
+  };
+};
+
+const memoryStore = createMemoryStore();
+let customStore = null;
+
+/**
+ * Replace the in-memory store with a shared one
+ * @param {Object|null} store - Object exposing async add(key, expiresAt) and has(key), or null to reset
+ */
+export const setRevocationStore = (store) => {
+  if (
+    store &&
+    (typeof store.add !== "function" || typeof store.has !== "function")
+  ) {
+    throw new Error(
+      "Revocation store must implement add(key, expiresAt) and has(key)"
+    );
+  }
+  customStore = store;
+};
+
+const getStore = () => customStore ?? memoryStore;
+
+/**
+ * Revoke a single access token until it expires
+ * @param {Object} decoded - Decoded access token (needs jti and exp)
+ */
+export const revokeAccessToken = async (decoded) => {
+  if (!decoded?.jti || !decoded.exp) {
+    return;
+  }
+  await getStore().add(`jti:${decoded.jti}`, new Date(decoded.exp * 1000));
+};
+
+/**
+ * Revoke every access token issued for a session
+ * @param {Object} session - Session with family and expiresAt
+ */
+export const revokeSessionAccessTokens = async (session) => {
+  // Access tokens never outlive the refresh token of their session
+  await getStore().add(`sid:${session.family}`, session.expiresAt);
+};
+
+/**
+ * Check whether an access token was revoked on its own or with its session
+ * @param {Object} decoded - Decoded access token
+ * @returns {Promise<boolean>} True if the token must be rejected
+ */
+export const isAccessTokenRevoked = async (decoded) => {
+  const store = getStore();
+  if (decoded.jti && (await store.has(`jti:${decoded.jti}`))) {
+    return true;
+  }
+  return Boolean(decoded.sid && (await store.has(`sid:${decoded.sid}`)));
+};
+
+/**
+ * Check an access token against its user: the user must still exist, the
+ * token must carry the user's current token version and not be revoked
+ * @param {Object} decoded - Decoded access token
+ * @param {Object|null} user - User the token was issued to (needs tokenVersion)
+ * @returns {Promise<boolean>} True if the token must be rejected
+ */
+export const isAccessTokenRevokedForUser = async (decoded, user) => {
+  return (
+    !user ||
+    (user.tokenVersion ?? 0) !== (decoded.tv ?? 0) ||
+    (await isAccessTokenRevoked(decoded))
+  );
+};
+
+/**
+ * Forget every revocation held by the in-memory store (tests)
+ */
+export const clearRevocations = async () => {
+  await memoryStore.clear();
+};
@@ -0,0 +1,137 @@
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+
+// A session is one refresh token family: it is created at login, its token is
+// replaced on every refresh and it ends on logout, revocation or expiry.
+// Only a hash of the current refresh token is stored.
+
+/**
+ * Hash a refresh token for storage
+ * @param {string} refreshToken - Refresh token
+ * @returns {string} SHA-256 hex digest of the token
+ */
+const hashRefreshToken = (refreshToken) => {
+  return crypto.createHash("sha256").update(refreshToken).digest("hex");
+};
+
+/**
+ * Maximum number of sessions kept per user
+ * @returns {number} Session limit
+ */
+const getMaxSessions = () => {
+  return parseInt(process.env.MAX_SESSIONS_PER_USER) || 10;
+};
+
+/**
+ * Extract the client details stored with a session
+ * @param {Object} req - Express request
+ * @returns {Object} userAgent and ip of the client
+ */
+export const getSessionContext = (req) => {
+  return {
+    userAgent: req.get("user-agent") || "unknown",
+    ip: req.ip,
+  };
+};
+
+/**
+ * Find the active session a refresh token belongs to
+ * @param {Object} user - User object
+ * @param {string} refreshToken - Refresh token
+ * @returns {Object|undefined} Matching, unexpired session
+ */
+export const findSessionByToken = (user, refreshToken) => {
+  const tokenHash = hashRefreshToken(refreshToken);
+  return (user?.sessions ?? []).find(
+    (session) =>
+      session.tokenHash === tokenHash && session.expiresAt > new Date()
+  );
+};
+
+/**
+ * Find the session of a refresh token family
+ * @param {Object} user - User object
+ * @param {string} family - Refresh token family
+ * @returns {Object|undefined} Matching session
+ */
+export const findSessionByFamily = (user, family) => {
+  return (user?.sessions ?? []).find((session) => session.family === family);
+};
+
+/**
+ * Store a refresh token: rotates the session of its family, or opens a new one
+ * @param {Object} user - User object
+ * @param {string} refreshToken - Newly issued refresh token
+ * @param {Object} context - Client details from getSessionContext
+ * @returns {Object} The created or updated session
+ */
+export const saveSession = (user, refreshToken, context = {}) => {
+  const { family, exp } = jwt.decode(refreshToken);
+  const now = new Date();
+  const details = {
+    tokenHash: hashRefreshToken(refreshToken),
+    expiresAt: new Date(exp * 1000),
+    lastUsedAt: now,
+    ...(context.userAgent && { userAgent: context.userAgent }),
+    ...(context.ip && { ip: context.ip }),
+  };
+
+  if (!user.sessions) {
+    user.sessions = [];
+  }
+
+  const existing = findSessionByFamily(user, family);
+  if (existing) {
+    Object.assign(existing, details);
+    return existing;
+  }
+
+  pruneSessions(user);
+  user.sessions.push({ family, createdAt: now, ...details });
+  return user.sessions[user.sessions.length - 1];
+};
+
+/**
+ * Drop expired sessions and keep room for one more under the session limit,
+ * evicting the least recently used ones
+ * @param {Object} user - User object
+ */
+export const pruneSessions = (user) => {
+  const now = new Date();
+  const active = (user.sessions ?? [])
+    .filter((session) => session.expiresAt > now)
+    .sort((a, b) => b.lastUsedAt - a.lastUsedAt);
+
+  user.sessions = active.slice(0, getMaxSessions() - 1);
+};
+
+/**
+ * Remove sessions matching a predicate
+ * @param {Object} user - User object
+ * @param {Function} predicate - Returns true for sessions to remove
+ * @returns {number} Number of sessions removed
+ */
+export const revokeSessions = (user, predicate) => {
+  const sessions = user.sessions ?? [];
+  const remaining = sessions.filter((session) => !predicate(session));
+  user.sessions = remaining;
+  return sessions.length - remaining.length;
+};
+
+/**
+ * Public representation of a session
+ * @param {Object} session - Session subdocument
+ * @param {string} [currentFamily] - Family of the session making the request
+ * @returns {Object} Session without its token hash
+ */
+export const formatSession = (session, currentFamily) => {
+  return {
+    id: session._id,
+    userAgent: session.userAgent,
+    ip: session.ip,
+    createdAt: session.createdAt,
+    lastUsedAt: session.lastUsedAt,
+    expiresAt: session.expiresAt,
+    current: session.family === currentFamily,
+  };
+};
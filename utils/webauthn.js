@@ -0,0 +1,406 @@
+import crypto from "crypto";
+import { decodeCbor, decodeCborItem } from "./cbor.js";
+
+// WebAuthn (passkey) ceremonies. Only "none" attestation is accepted: the API
+// trusts the public key the authenticator returns without checking its make.
+//
+// Challenges are kept in memory until the ceremony completes, like OAuth
+// states. Each is single-use and bound to its ceremony (and user, if known).
+
+const CHALLENGE_TTL_MS = 5 * 60 * 1000;
+const MAX_PENDING_CHALLENGES = 10000;
+const pendingChallenges = new Map();
+
+// Authenticator data flags
+const FLAG_USER_PRESENT = 0x01;
+const FLAG_USER_VERIFIED = 0x04;
+const FLAG_BACKED_UP = 0x10;
+const FLAG_ATTESTED_CREDENTIAL = 0x40;
+
+// COSE algorithms we accept, in order of preference
+export const SUPPORTED_COSE_ALGORITHMS = [-7, -8, -257];
+
+/**
+ * Read relying party settings from the environment
+ * @returns {Object} rpId, rpName and allowed origins
+ */
+export const getWebAuthnConfig = () => {
+  const appUrl =
+    process.env.APP_URL || `http://localhost:${process.env.PORT || 3000}`;
+  const origins = process.env.WEBAUTHN_ORIGINS
+    ? process.env.WEBAUTHN_ORIGINS.split(",").map((origin) => origin.trim())
+    : [new URL(appUrl).origin];
+
+  return {
+    rpId: process.env.WEBAUTHN_RP_ID || new URL(origins[0]).hostname,
+    rpName:
+      process.env.WEBAUTHN_RP_NAME ||
+      process.env.TOTP_ISSUER ||
+      "User Management API",
+    origins,
+  };
+};
+
+/**
+ * Decode base64url (also accepts standard base64)
+ * @param {string} value - Encoded data
+ * @returns {Buffer} Decoded bytes
+ */
+export const fromBase64Url = (value) => {
+  if (typeof value !== "string") {
+    throw new Error("Expected a base64url string");
+  }
+  return Buffer.from(value, "base64url");
+};
+
+/**
+ * Create and remember a challenge for a ceremony
+ * @param {string} ceremony - "registration", "login" or "mfa"
+ * @param {string} [userId] - User the ceremony is for, if known
+ * @returns {string} base64url challenge
+ */
+export const createChallenge = (ceremony, userId = null) => {
+  const now = Date.now();
+
+  // Drop expired challenges, then the oldest ones if there are still too many
+  for (const [key, entry] of pendingChallenges) {
+    if (entry.expiresAt <= now) {
+      pendingChallenges.delete(key);
+    }
+  }
+  if (pendingChallenges.size >= MAX_PENDING_CHALLENGES) {
+    pendingChallenges.delete(pendingChallenges.keys().next().value);
+  }
+
+  const challenge = crypto.randomBytes(32).toString("base64url");
+  pendingChallenges.set(challenge, {
+    ceremony,
+    userId: userId ? String(userId) : null,
+    expiresAt: now + CHALLENGE_TTL_MS,
+  });
+  return challenge;
+};
+
+/**
+ * Take a pending challenge (single-use)
+ * @param {string} challenge - Challenge echoed in clientDataJSON
+ * @param {string} ceremony - Ceremony it must belong to
+ * @param {string} [userId] - User it must belong to, if it was bound to one
+ * @returns {Object|null} Challenge entry, or null if unknown, expired or mismatched
+ */
+export const consumeChallenge = (challenge, ceremony, userId = null) => {
+  const entry = pendingChallenges.get(challenge);
+  pendingChallenges.delete(challenge);
+
+  if (
+    !entry ||
+    entry.expiresAt <= Date.now() ||
+    entry.ceremony !== ceremony ||
+    (entry.userId && entry.userId !== String(userId))
+  ) {
+    return null;
+  }
+  return entry;
+};
+
+/**
+ * Options for navigator.credentials.create()
+ * @param {Object} user - User registering a passkey
+ * @param {Array<Object>} credentials - Passkeys the user already has
+ * @returns {Object} PublicKeyCredentialCreationOptions (JSON form)
+ */
+export const buildRegistrationOptions = (user, credentials = []) => {
+  const { rpId, rpName } = getWebAuthnConfig();
+
+  return {
+    challenge: createChallenge("registration", user._id),
+    rp: { id: rpId, name: rpName },
+    user: {
+      id: Buffer.from(String(user._id)).toString("base64url"),
+      name: user.email,
+      displayName: user.name,
+    },
+    pubKeyCredParams: SUPPORTED_COSE_ALGORITHMS.map((alg) => ({
+      type: "public-key",
+      alg,
+    })),
+    timeout: CHALLENGE_TTL_MS,
+    attestation: "none",
+    // Resident keys make the passkey usable without typing an email
+    authenticatorSelection: {
+      residentKey: "preferred",
+      userVerification: "preferred",
+    },
+    excludeCredentials: credentials.map((credential) => ({
+      type: "public-key",
+      id: credential.credentialId,
+      transports: credential.transports,
+    })),
+  };
+};
+
+/**
+ * Options for navigator.credentials.get()
+ * @param {string} ceremony - "login" (passkey only) or "mfa" (second factor)
+ * @param {Object} [user] - User to authenticate, if known
+ * @param {Array<Object>} [credentials] - The user's passkeys
+ * @returns {Object} PublicKeyCredentialRequestOptions (JSON form)
+ */
+export const buildAuthenticationOptions = (
+  ceremony,
+  user = null,
+  credentials = []
+) => {
+  return {
+    challenge: createChallenge(ceremony, user?._id),
+    rpId: getWebAuthnConfig().rpId,
+    timeout: CHALLENGE_TTL_MS,
+    // Logging in with a passkey alone must prove who is holding it
+    userVerification: ceremony === "login" ? "required" : "preferred",
+    allowCredentials: credentials.map((credential) => ({
+      type: "public-key",
+      id: credential.credentialId,
+      transports: credential.transports,
+    })),
+  };
+};
+
+/**
+ * Parse and check clientDataJSON
+ * @param {string} encoded - base64url clientDataJSON
+ * @param {string} type - Expected type ("webauthn.create" or "webauthn.get")
+ * @returns {Object} Client data and its raw bytes
+ */
+const parseClientData = (encoded, type) => {
+  const raw = fromBase64Url(encoded);
+  const clientData = JSON.parse(raw.toString("utf8"));
+
+  if (clientData.type !== type) {
+    throw new Error(`Unexpected client data type ${clientData.type}`);
+  }
+  if (!getWebAuthnConfig().origins.includes(clientData.origin)) {
+    throw new Error(`Unexpected origin ${clientData.origin}`);
+  }
+  if (clientData.crossOrigin === true) {
+    throw new Error("Cross-origin ceremonies are not allowed");
+  }
+  return { clientData, raw };
+};
+
+/**
+ * Parse authenticator data
+ * @param {Buffer} authData - Raw authenticator data
+ * @returns {Object} rpIdHash, flags, signCount and attested credential (if any)
+ */
+export const parseAuthenticatorData = (authData) => {
+  if (authData.length < 37) {
+    throw new Error("Authenticator data is too short");
+  }
+
+  const parsed = {
+    rpIdHash: authData.subarray(0, 32),
+    flags: authData[32],
+    signCount: authData.readUInt32BE(33),
+  };
+
+  if (parsed.flags & FLAG_ATTESTED_CREDENTIAL) {
+    const idLength = authData.readUInt16BE(53);
+    const credentialId = authData.subarray(55, 55 + idLength);
+    const [publicKey] = decodeCborItem(authData, 55 + idLength);
+
+    parsed.aaguid = authData.subarray(37, 53).toString("hex");
+    parsed.credentialId = Buffer.from(credentialId).toString("base64url");
+    parsed.publicKey = publicKey;
+  }
+  return parsed;
+};
+
+/**
+ * Check the relying party hash and user flags of authenticator data
+ * @param {Object} authData - Parsed authenticator data
+ * @param {boolean} requireUserVerification - Whether UV is mandatory
+ */
+const checkAuthenticatorData = (authData, requireUserVerification) => {
+  const expectedHash = crypto
+    .createHash("sha256")
+    .update(getWebAuthnConfig().rpId)
+    .digest();
+
+  if (!crypto.timingSafeEqual(authData.rpIdHash, expectedHash)) {
+    throw new Error("Relying party ID mismatch");
+  }
+  if (!(authData.flags & FLAG_USER_PRESENT)) {
+    throw new Error("User presence is required");
+  }
+  if (requireUserVerification && !(authData.flags & FLAG_USER_VERIFIED)) {
+    throw new Error("User verification is required");
+  }
+};
+
+/**
+ * Convert a COSE public key to a Node.js key
+ * @param {Map} coseKey - Decoded COSE key
+ * @returns {Object} { key: KeyObject, algorithm: COSE algorithm }
+ */
+export const coseToPublicKey = (coseKey) => {
+  const kty = coseKey.get(1);
+  const algorithm = coseKey.get(3);
+  const b64 = (value) => Buffer.from(value).toString("base64url");
+  let jwk;
+
+  if (kty === 2 && algorithm === -7 && coseKey.get(-1) === 1) {
+    jwk = {
+      kty: "EC",
+      crv: "P-256",
+      x: b64(coseKey.get(-2)),
+      y: b64(coseKey.get(-3)),
+    };
+  } else if (kty === 1 && algorithm === -8 && coseKey.get(-1) === 6) {
+    jwk = { kty: "OKP", crv: "Ed25519", x: b64(coseKey.get(-2)) };
+  } else if (kty === 3 && algorithm === -257) {
+    jwk = { kty: "RSA", n: b64(coseKey.get(-1)), e: b64(coseKey.get(-2)) };
+  } else {
+    throw new Error(`Unsupported public key (kty ${kty}, alg ${algorithm})`);
+  }
+
+  return {
+    key: crypto.createPublicKey({ key: jwk, format: "jwk" }),
+    algorithm,
+  };
+};
+
+/**
+ * Verify a registration (attestation) response
+ * @param {Object} credential - PublicKeyCredential JSON from the browser
+ * @param {string} userId - User registering the passkey
+ * @returns {Object} Credential to store: credentialId, publicKey, algorithm, signCount, transports, aaguid, backedUp
+ */
+export const verifyRegistrationResponse = (credential, userId) => {
+  const { clientData } = parseClientData(
+    credential.response?.clientDataJSON,
+    "webauthn.create"
+  );
+  if (!consumeChallenge(clientData.challenge, "registration", userId)) {
+    throw new Error("Unknown or expired challenge");
+  }
+
+  const attestation = decodeCbor(
+    fromBase64Url(credential.response.attestationObject)
+  );
+  if (attestation.get("fmt") !== "none") {
+    throw new Error(`Unsupported attestation format ${attestation.get("fmt")}`);
+  }
+
+  const authData = parseAuthenticatorData(attestation.get("authData"));
+  checkAuthenticatorData(authData, false);
+  if (!authData.credentialId) {
+    throw new Error("No credential in attestation");
+  }
+  if (credential.id !== authData.credentialId) {
+    throw new Error("Credential ID mismatch");
+  }
+
+  const { key, algorithm } = coseToPublicKey(authData.publicKey);
+  if (!SUPPORTED_COSE_ALGORITHMS.includes(algorithm)) {
+    throw new Error(`Unsupported algorithm ${algorithm}`);
+  }
+
+  return {
+    credentialId: authData.credentialId,
+    publicKey: key
+      .export({ type: "spki", format: "der" })
+      .toString("base64url"),
+    algorithm,
+    signCount: authData.signCount,
+    transports: Array.isArray(credential.response.transports)
+      ? credential.response.transports.map(String)
+      : [],
+    aaguid: authData.aaguid,
+    backedUp: Boolean(authData.flags & FLAG_BACKED_UP),
+  };
+};
+
+/**
+ * Verify an authentication (assertion) response against a stored passkey
+ * @param {Object} credential - PublicKeyCredential JSON from the browser
+ * @param {Object} stored - Stored passkey (publicKey, algorithm, signCount)
+ * @param {Object} options
+ * @param {string} options.ceremony - "login" or "mfa"
+ * @param {string} options.userId - Owner of the stored passkey
+ * @returns {Object} { signCount, backedUp } to save on the passkey
+ */
+export const verifyAuthenticationResponse = (
+  credential,
+  stored,
+  { ceremony, userId }
+) => {
+  const { clientData, raw } = parseClientData(
+    credential.response?.clientDataJSON,
+    "webauthn.get"
+  );
+  if (!consumeChallenge(clientData.challenge, ceremony, userId)) {
+    throw new Error("Unknown or expired challenge");
+  }
+
+  // Discoverable passkeys name their owner; it must be the stored one
+  const { userHandle } = credential.response;
+  if (userHandle && fromBase64Url(userHandle).toString() !== String(userId)) {
+    throw new Error("User handle mismatch");
+  }
+
+  const authenticatorData = fromBase64Url(
+    credential.response.authenticatorData
+  );
+  const authData = parseAuthenticatorData(authenticatorData);
+  checkAuthenticatorData(authData, ceremony === "login");
+
+  const signedData = Buffer.concat([
+    authenticatorData,
+    crypto.createHash("sha256").update(raw).digest(),
+  ]);
+  const key = crypto.createPublicKey({
+    key: fromBase64Url(stored.publicKey),
+    format: "der",
+    type: "spki",
+  });
+  const signature = fromBase64Url(credential.response.signature);
+  const valid = crypto.verify(
+    stored.algorithm === -8 ? null : "sha256",
+    signedData,
+    key,
+    signature
+  );
+  if (!valid) {
+    throw new Error("Invalid signature");
+  }
+
+  // A counter that does not move forward suggests a cloned authenticator.
+  // Authenticators that do not count always report 0.
+  if (
+    (authData.signCount > 0 || stored.signCount > 0) &&
+    authData.signCount <= stored.signCount
+  ) {
+    throw new Error("Signature counter did not increase");
+  }
+
+  return {
+    signCount: authData.signCount,
+    backedUp: Boolean(authData.flags & FLAG_BACKED_UP),
+  };
+};
+
+/**
+ * Public representation of a stored passkey
+ * @param {Object} credential - Stored passkey
+ * @returns {Object} Passkey details without the public key
+ */
+export const formatPasskey = (credential) => {
+  return {
+    id: credential._id,
+    name: credential.name,
+    transports: credential.transports,
+    backedUp: credential.backedUp,
+    createdAt: credential.createdAt,
+    lastUsedAt: credential.lastUsedAt,
+  };
+};